@@ -0,0 +1,53 @@
+-- ============================================================================
+-- LEAD AUTO-ASSIGNMENT RULES
+-- Replaces the hardcoded round-robin in LeadService.assignLead with
+-- admin-managed rules evaluated in priority order.
+-- ============================================================================
+
+-- 1. Employee routing attributes (used for rule weighting)
+ALTER TABLE employees
+ADD COLUMN IF NOT EXISTS skills TEXT[] DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS languages TEXT[] DEFAULT '{}';
+
+-- 2. Rules table
+CREATE TABLE IF NOT EXISTS lead_assignment_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    description TEXT,
+    priority INTEGER NOT NULL DEFAULT 100, -- Lower number = evaluated first
+    is_active BOOLEAN DEFAULT TRUE,
+
+    -- Match conditions (empty array = match anything)
+    match_service_types TEXT[] DEFAULT '{}',
+    match_countries TEXT[] DEFAULT '{}',
+    match_sources TEXT[] DEFAULT '{}',
+    match_department_ids UUID[] DEFAULT '{}',
+
+    -- Target pool
+    target_department_id UUID REFERENCES departments(id) ON DELETE SET NULL,
+    target_employee_ids UUID[] DEFAULT '{}',
+    eligible_roles TEXT[] DEFAULT ARRAY['counsellor', 'wfh', 'admission', 'admission_officer'],
+
+    -- Capacity
+    max_active_leads INTEGER NOT NULL DEFAULT 10,
+    capacity_overrides JSONB DEFAULT '{}'::jsonb, -- { "<employee_id>": 25 }
+
+    -- Weighting (each matching skill/language adds the weight to the candidate score)
+    preferred_skills TEXT[] DEFAULT '{}',
+    preferred_languages TEXT[] DEFAULT '{}',
+    skill_weight INTEGER DEFAULT 10,
+    language_weight INTEGER DEFAULT 5,
+
+    created_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    updated_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_assignment_rules_priority ON lead_assignment_rules(is_active, priority);
+
+COMMENT ON TABLE lead_assignment_rules IS 'Admin-managed routing rules for automatic lead assignment';
+COMMENT ON COLUMN lead_assignment_rules.capacity_overrides IS 'Per-employee active lead cap, keyed by employee id';
+
+-- 3. Reload schema cache
+NOTIFY pgrst, 'reload config';
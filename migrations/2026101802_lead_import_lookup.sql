@@ -0,0 +1,21 @@
+-- ============================================================================
+-- LEAD IMPORT DUPLICATE LOOKUP
+-- Case-insensitive email match for the bulk lead import ('A@x.com' and
+-- 'a@x.com' are the same person). PostgREST `in` filters compare exactly.
+-- ============================================================================
+
+-- 1. Existing emails (lowercased) among the given lowercased emails
+CREATE OR REPLACE FUNCTION find_existing_emails(p_table TEXT, p_emails TEXT[])
+RETURNS TABLE (email TEXT) AS $$
+    SELECT lower(l.email) FROM leads l
+    WHERE p_table = 'leads' AND lower(l.email) = ANY(p_emails)
+    UNION
+    SELECT lower(r.email) FROM registrations r
+    WHERE p_table = 'registrations' AND lower(r.email) = ANY(p_emails);
+$$ LANGUAGE sql STABLE;
+
+CREATE INDEX IF NOT EXISTS idx_leads_email_lower ON leads (lower(email));
+CREATE INDEX IF NOT EXISTS idx_registrations_email_lower ON registrations (lower(email));
+
+-- 2. Reload schema cache
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,42 @@
+-- ============================================================================
+-- PERSISTENT JOB SCHEDULER
+-- Job definitions are registered in code (src/jobs); this stores admin state
+-- (pause) and the run history. The UNIQUE (job_name, scheduled_for) constraint
+-- is the cross-instance lock: only one process can claim a given run slot.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+    name VARCHAR(100) PRIMARY KEY,
+    description TEXT,
+    cron VARCHAR(100) NOT NULL,
+    timezone VARCHAR(64) DEFAULT 'Asia/Kolkata',
+    is_paused BOOLEAN DEFAULT FALSE,
+    paused_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    paused_at TIMESTAMPTZ,
+    last_run_at TIMESTAMPTZ,
+    last_status VARCHAR(20), -- SUCCESS, FAILED
+    last_duration_ms INTEGER,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS scheduled_job_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    job_name VARCHAR(100) NOT NULL REFERENCES scheduled_jobs(name) ON DELETE CASCADE,
+    scheduled_for TIMESTAMPTZ NOT NULL, -- Cron slot (minute) or trigger time for manual runs
+    trigger VARCHAR(20) DEFAULT 'SCHEDULE' CHECK (trigger IN ('SCHEDULE', 'MANUAL')),
+    triggered_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    status VARCHAR(20) DEFAULT 'RUNNING' CHECK (status IN ('RUNNING', 'SUCCESS', 'FAILED')),
+    instance_id TEXT,
+    started_at TIMESTAMPTZ DEFAULT NOW(),
+    finished_at TIMESTAMPTZ,
+    duration_ms INTEGER,
+    result JSONB DEFAULT '{}'::jsonb,
+    error TEXT,
+    CONSTRAINT uq_scheduled_job_runs_slot UNIQUE (job_name, scheduled_for)
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_job_runs_job ON scheduled_job_runs(job_name, started_at DESC);
+
+COMMENT ON TABLE scheduled_job_runs IS 'Run history for background jobs; unique slot doubles as a distributed lock';
+
+NOTIFY pgrst, 'reload config';
@@ -0,0 +1,35 @@
+-- ============================================================================
+-- LIVE CHAT: PRESENCE, DELIVERY & READ RECEIPTS
+-- ============================================================================
+
+-- 1. Last seen (written when an employee's last live session disconnects)
+ALTER TABLE employees
+ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMPTZ;
+
+-- 2. Direct message receipts (1-to-1, so the receipt lives on the message)
+ALTER TABLE direct_messages
+ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS read_at TIMESTAMPTZ;
+
+-- Backfill: treat legacy is_read rows as read
+UPDATE direct_messages
+SET read_at = created_at, status = 'read'
+WHERE is_read = TRUE AND read_at IS NULL;
+
+-- Fast unread counts per receiver
+CREATE INDEX IF NOT EXISTS idx_dm_receiver_unread ON direct_messages(receiver_id, conversation_id) WHERE read_at IS NULL;
+
+-- 3. Department chat receipts (one row per reader per message)
+CREATE TABLE IF NOT EXISTS team_message_reads (
+    message_id UUID NOT NULL REFERENCES team_messages(id) ON DELETE CASCADE,
+    employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    read_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (message_id, employee_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_team_message_reads_employee ON team_message_reads(employee_id);
+
+-- Disable RLS (Security handled by backend)
+ALTER TABLE team_message_reads DISABLE ROW LEVEL SECURITY;
+
+NOTIFY pgrst, 'reload config';
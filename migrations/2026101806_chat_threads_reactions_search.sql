@@ -0,0 +1,47 @@
+-- ============================================================================
+-- CHAT: EDIT HISTORY, THREADS, REACTIONS & FULL-TEXT SEARCH
+-- ============================================================================
+
+-- 1. Threads + edit tracking on department messages
+ALTER TABLE team_messages
+ADD COLUMN IF NOT EXISTS parent_id UUID REFERENCES team_messages(id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS reply_count INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS last_reply_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_team_messages_parent ON team_messages(parent_id);
+
+-- 2. Edit history (previous content is kept for every edit)
+CREATE TABLE IF NOT EXISTS team_message_edits (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    message_id UUID NOT NULL REFERENCES team_messages(id) ON DELETE CASCADE,
+    previous_content TEXT NOT NULL,
+    new_content TEXT NOT NULL,
+    edited_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    edited_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_team_message_edits_message ON team_message_edits(message_id, edited_at);
+
+-- 3. Reactions (same shape as announcement_reactions)
+CREATE TABLE IF NOT EXISTS team_message_reactions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    message_id UUID NOT NULL REFERENCES team_messages(id) ON DELETE CASCADE,
+    employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    emoji TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(message_id, employee_id, emoji)
+);
+
+CREATE INDEX IF NOT EXISTS idx_team_message_reactions_message ON team_message_reactions(message_id);
+
+-- 4. Full-text search ('simple' config: no stemming, works for mixed English/Indian names)
+-- Expression indexes match the to_tsvector('simple', content) PostgREST builds for textSearch(..., { config: 'simple' })
+CREATE INDEX IF NOT EXISTS idx_team_messages_search ON team_messages USING GIN (to_tsvector('simple', content));
+CREATE INDEX IF NOT EXISTS idx_direct_messages_search ON direct_messages USING GIN (to_tsvector('simple', content));
+
+-- Disable RLS (Security handled by backend)
+ALTER TABLE team_message_edits DISABLE ROW LEVEL SECURITY;
+ALTER TABLE team_message_reactions DISABLE ROW LEVEL SECURITY;
+
+NOTIFY pgrst, 'reload config';
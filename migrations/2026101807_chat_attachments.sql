@@ -0,0 +1,20 @@
+-- ============================================================================
+-- CHAT ATTACHMENTS (PRIVATE BUCKET + METADATA)
+-- ============================================================================
+-- Files are uploaded through the API into the private 'chat-attachments' bucket
+-- and only ever served as short-lived signed URLs to conversation members.
+-- attachment_url stays for legacy rows but is no longer written by the API.
+
+-- 1. Private bucket (no public read policy on purpose)
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('chat-attachments', 'chat-attachments', false)
+ON CONFLICT (id) DO UPDATE SET public = false;
+
+-- 2. Attachment metadata: { path, thumbnail_path, name, size, mime, extension, bucket }
+ALTER TABLE team_messages
+ADD COLUMN IF NOT EXISTS attachment JSONB;
+
+ALTER TABLE direct_messages
+ADD COLUMN IF NOT EXISTS attachment JSONB;
+
+NOTIFY pgrst, 'reload schema';
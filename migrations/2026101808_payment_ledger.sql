@@ -0,0 +1,128 @@
+-- ============================================================================
+-- STUDENT PAYMENT LEDGER & INSTALLMENT SCHEDULES
+-- ============================================================================
+-- Every money movement is an append-only ledger row. Balances and payment
+-- status are derived from the ledger; registrations.payment_details and
+-- loan_applications.total_paid become caches written by the API.
+--
+--   DEBIT  : CHARGE (fee owed), REFUND (money returned to the student)
+--   CREDIT : PAYMENT (money received), WAIVER (fee forgiven)
+-- Corrections are made with a reversing entry (reversal_of) of the same type in
+-- the opposite direction, never by editing.
+
+-- 1. Ledger
+CREATE TABLE IF NOT EXISTS payment_ledger (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    registration_id UUID NOT NULL REFERENCES registrations(id) ON DELETE CASCADE,
+    loan_id UUID REFERENCES loan_applications(id) ON DELETE SET NULL,
+    entry_type TEXT NOT NULL CHECK (entry_type IN ('CHARGE', 'PAYMENT', 'REFUND', 'WAIVER')),
+    direction TEXT NOT NULL CHECK (direction IN ('DEBIT', 'CREDIT')),
+    fee_type TEXT NOT NULL DEFAULT 'REGISTRATION_FEE', -- REGISTRATION_FEE | LOAN_PROCESSING_FEE | OTHER
+    amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+    method TEXT,              -- Cash, UPI, Bank Transfer, Card...
+    reference TEXT,           -- UTR / transaction id / cheque no.
+    notes TEXT,
+    installment_id UUID,      -- Optional: installment a payment was made against
+    reversal_of UUID REFERENCES payment_ledger(id),
+    source TEXT NOT NULL DEFAULT 'manual', -- manual | registration | loan_payment | backfill
+    source_ref TEXT,          -- Idempotency key within a source
+    entry_date TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    created_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT payment_ledger_direction_matches CHECK (
+        ((entry_type IN ('CHARGE', 'REFUND')) = (direction = 'DEBIT')) = (reversal_of IS NULL)
+    )
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_ledger_source ON payment_ledger(source, source_ref) WHERE source_ref IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_ledger_reversal ON payment_ledger(reversal_of) WHERE reversal_of IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_payment_ledger_registration ON payment_ledger(registration_id, entry_date);
+CREATE INDEX IF NOT EXISTS idx_payment_ledger_loan ON payment_ledger(loan_id);
+
+-- Append-only: history can never be silently overwritten.
+-- pg_trigger_depth() = 0 lets FK cascades (registration deleted, loan unlinked) through.
+CREATE OR REPLACE FUNCTION prevent_payment_ledger_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'payment_ledger is append-only; post a reversing entry instead';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_payment_ledger_immutable ON payment_ledger;
+CREATE TRIGGER trg_payment_ledger_immutable
+BEFORE UPDATE OR DELETE ON payment_ledger
+FOR EACH ROW
+WHEN (pg_trigger_depth() = 0)
+EXECUTE FUNCTION prevent_payment_ledger_changes();
+
+-- 2. Installment schedules (amount due by date; paid status is derived from the ledger)
+CREATE TABLE IF NOT EXISTS payment_installments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    registration_id UUID NOT NULL REFERENCES registrations(id) ON DELETE CASCADE,
+    fee_type TEXT NOT NULL DEFAULT 'REGISTRATION_FEE',
+    sequence INTEGER NOT NULL,
+    label TEXT,
+    amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+    due_date DATE NOT NULL,
+    created_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (registration_id, fee_type, sequence)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_installments_due ON payment_installments(due_date);
+
+-- 3. Backfill from legacy sources (idempotent via source/source_ref)
+
+-- 3a. Registration fee charged
+INSERT INTO payment_ledger (registration_id, entry_type, direction, fee_type, amount, notes, source, source_ref, entry_date)
+SELECT r.id, 'CHARGE', 'DEBIT', 'REGISTRATION_FEE', (r.payment_details->>'totalAmount')::DECIMAL,
+       'Registration fee (migrated)', 'backfill', 'reg-charge:' || r.id, r.created_at
+FROM registrations r
+WHERE COALESCE((r.payment_details->>'totalAmount')::DECIMAL, 0) > 0
+ON CONFLICT DO NOTHING;
+
+-- 3b. Registration payments (one row per legacy installment)
+INSERT INTO payment_ledger (registration_id, entry_type, direction, fee_type, amount, method, notes, source, source_ref, entry_date)
+SELECT r.id, 'PAYMENT', 'CREDIT', 'REGISTRATION_FEE', (inst->>'amount')::DECIMAL, inst->>'method',
+       COALESCE(inst->>'type', 'Registration Fee') || ' (migrated)',
+       'backfill', 'reg-payment:' || r.id || ':' || COALESCE(inst->>'id', ord::TEXT),
+       COALESCE((inst->>'date')::TIMESTAMPTZ, r.created_at)
+FROM registrations r,
+     jsonb_array_elements(COALESCE(r.payment_details->'installments', '[]'::jsonb)) WITH ORDINALITY AS t(inst, ord)
+WHERE COALESCE((inst->>'amount')::DECIMAL, 0) > 0
+  AND COALESCE(inst->>'status', 'Success') = 'Success'
+ON CONFLICT DO NOTHING;
+
+-- 3c. Loan processing fee charged
+INSERT INTO payment_ledger (registration_id, loan_id, entry_type, direction, fee_type, amount, notes, source, source_ref, entry_date)
+SELECT la.registration_id, la.id, 'CHARGE', 'DEBIT', 'LOAN_PROCESSING_FEE', COALESCE(la.processing_fee, 57000),
+       'Loan processing fee (migrated)', 'backfill', 'loan-charge:' || la.id, la.created_at
+FROM loan_applications la
+WHERE la.registration_id IS NOT NULL
+  AND EXISTS (SELECT 1 FROM loan_payments lp WHERE lp.loan_id = la.id)
+ON CONFLICT DO NOTHING;
+
+-- 3d. Loan payments. Rows created by the old scripts/sync_loan_payments.js copied the
+-- registration fee into loan_payments and are skipped to avoid double counting.
+INSERT INTO payment_ledger (registration_id, loan_id, entry_type, direction, fee_type, amount, notes, source, source_ref, entry_date, created_by)
+SELECT la.registration_id, la.id, 'PAYMENT', 'CREDIT', 'LOAN_PROCESSING_FEE', lp.amount, lp.notes,
+       'loan_payment', lp.id::TEXT, lp.payment_date, lp.created_by
+FROM loan_payments lp
+JOIN loan_applications la ON la.id = lp.loan_id
+WHERE la.registration_id IS NOT NULL
+  AND lp.amount > 0
+  AND lp.notes NOT ILIKE '%(Synced)%'
+ON CONFLICT DO NOTHING;
+
+-- 3e. Migrated registrations get a single installment for their fee, due at registration
+INSERT INTO payment_installments (registration_id, fee_type, sequence, label, amount, due_date)
+SELECT r.id, 'REGISTRATION_FEE', 1, 'Registration Fee', (r.payment_details->>'totalAmount')::DECIMAL, r.created_at::DATE
+FROM registrations r
+WHERE COALESCE((r.payment_details->>'totalAmount')::DECIMAL, 0) > 0
+ON CONFLICT DO NOTHING;
+
+ALTER TABLE payment_ledger DISABLE ROW LEVEL SECURITY;
+ALTER TABLE payment_installments DISABLE ROW LEVEL SECURITY;
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,73 @@
+-- ============================================================================
+-- PAYMENT RECEIPTS & PROFORMA INVOICES
+-- ============================================================================
+-- Receipts are issued once per ledger payment and never regenerated; the PDF
+-- is stored in the private 'payment-documents' bucket. Numbers are sequential
+-- per document type and Indian financial year (e.g. RCPT/2026-27/000042).
+
+-- 1. Counters (row lock on UPDATE serialises concurrent issuers). Numbers are
+--    unique and increasing but not gap-free: the number is taken in its own
+--    call before the PDF is stored, so a failed issue leaves a skipped number.
+CREATE TABLE IF NOT EXISTS document_sequences (
+    doc_type TEXT NOT NULL,
+    fiscal_year TEXT NOT NULL,
+    last_value INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (doc_type, fiscal_year)
+);
+
+CREATE OR REPLACE FUNCTION next_document_number(p_doc_type TEXT, p_fiscal_year TEXT)
+RETURNS INTEGER AS $$
+DECLARE
+    v_next INTEGER;
+BEGIN
+    INSERT INTO document_sequences (doc_type, fiscal_year, last_value)
+    VALUES (p_doc_type, p_fiscal_year, 1)
+    ON CONFLICT (doc_type, fiscal_year)
+    DO UPDATE SET last_value = document_sequences.last_value + 1
+    RETURNING last_value INTO v_next;
+
+    RETURN v_next;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 2. Issued documents
+CREATE TABLE IF NOT EXISTS payment_documents (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    doc_type TEXT NOT NULL CHECK (doc_type IN ('RECEIPT', 'PROFORMA')),
+    doc_number TEXT NOT NULL UNIQUE,
+    fiscal_year TEXT NOT NULL,
+    sequence INTEGER NOT NULL,
+    registration_id UUID NOT NULL REFERENCES registrations(id) ON DELETE CASCADE,
+    ledger_entry_id UUID REFERENCES payment_ledger(id) ON DELETE SET NULL,
+    fee_type TEXT NOT NULL,
+    payer_name TEXT,
+    payer_email TEXT,
+    payment_mode TEXT,
+    reference TEXT,
+    amount DECIMAL(12, 2) NOT NULL,          -- Gross amount (incl. tax)
+    taxable_value DECIMAL(12, 2) NOT NULL,
+    gst_rate DECIMAL(5, 2) NOT NULL DEFAULT 0,
+    cgst DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    sgst DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    igst DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    amount_in_words TEXT,
+    file_path TEXT,
+    emailed_at TIMESTAMPTZ,
+    issued_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    issued_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One receipt per ledger payment
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_documents_receipt_entry
+    ON payment_documents(ledger_entry_id) WHERE doc_type = 'RECEIPT';
+CREATE INDEX IF NOT EXISTS idx_payment_documents_registration ON payment_documents(registration_id, issued_at DESC);
+
+-- 3. Private bucket for the PDFs
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('payment-documents', 'payment-documents', false)
+ON CONFLICT (id) DO UPDATE SET public = false;
+
+ALTER TABLE document_sequences DISABLE ROW LEVEL SECURITY;
+ALTER TABLE payment_documents DISABLE ROW LEVEL SECURITY;
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,41 @@
+-- ============================================================================
+-- PAYMENT REMINDERS (DUNNING) & STUDENT NOTIFICATIONS
+-- ============================================================================
+
+-- 1. One row per reminder sent. UNIQUE(installment, offset) makes the daily
+--    job idempotent: re-runs and multiple instances never send twice.
+CREATE TABLE IF NOT EXISTS payment_reminders (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    registration_id UUID NOT NULL REFERENCES registrations(id) ON DELETE CASCADE,
+    installment_id UUID NOT NULL REFERENCES payment_installments(id) ON DELETE CASCADE,
+    offset_days INTEGER NOT NULL,          -- days relative to due date (-3 = before, 7 = overdue)
+    stage TEXT NOT NULL CHECK (stage IN ('UPCOMING', 'DUE', 'OVERDUE')),
+    amount_due DECIMAL(12, 2) NOT NULL,
+    due_date DATE NOT NULL,
+    channels TEXT[] DEFAULT '{}',          -- EMAIL, IN_APP
+    counsellor_id UUID REFERENCES employees(id) ON DELETE SET NULL,
+    sent_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (installment_id, offset_days)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_reminders_registration ON payment_reminders(registration_id, sent_at DESC);
+
+-- 2. In-app notifications for students (notifications.recipient_id is employees only)
+CREATE TABLE IF NOT EXISTS student_notifications (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    registration_id UUID NOT NULL REFERENCES registrations(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    message TEXT NOT NULL,
+    type VARCHAR(50) DEFAULT 'GENERAL', -- PAYMENT, DOCUMENT, APPLICATION
+    priority VARCHAR(20) DEFAULT 'NORMAL',
+    link TEXT,
+    is_read BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_student_notifications_registration ON student_notifications(registration_id, is_read, created_at DESC);
+
+ALTER TABLE payment_reminders DISABLE ROW LEVEL SECURITY;
+ALTER TABLE student_notifications DISABLE ROW LEVEL SECURITY;
+
+NOTIFY pgrst, 'reload schema';
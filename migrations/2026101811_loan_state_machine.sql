@@ -0,0 +1,65 @@
+-- ============================================================================
+-- LOAN APPLICATION LIFECYCLE & STATUS HISTORY
+-- ============================================================================
+-- Lifecycle:
+--   DRAFT -> SUBMITTED -> DOCS_PENDING <-> UNDER_REVIEW -> SANCTIONED -> DISBURSED
+--   REJECTED / WITHDRAWN are terminal.
+-- Transitions are enforced in src/services/loanLifecycle.service.js; this table
+-- records who moved a loan, when and why.
+
+-- 1. Normalise legacy values ('PENDING', 'APPLIED', 'IN_REVIEW', 'Approved', ...)
+ALTER TABLE loan_applications DROP CONSTRAINT IF EXISTS loan_applications_status_check;
+
+UPDATE loan_applications
+SET status = CASE UPPER(REPLACE(TRIM(COALESCE(status, '')), ' ', '_'))
+    WHEN '' THEN 'DRAFT'
+    WHEN 'PENDING' THEN 'DRAFT'
+    WHEN 'DRAFT' THEN 'DRAFT'
+    WHEN 'APPLIED' THEN 'SUBMITTED'
+    WHEN 'SUBMITTED' THEN 'SUBMITTED'
+    WHEN 'DOCS_PENDING' THEN 'DOCS_PENDING'
+    WHEN 'IN_REVIEW' THEN 'UNDER_REVIEW'
+    WHEN 'UNDER_REVIEW' THEN 'UNDER_REVIEW'
+    WHEN 'APPROVED' THEN 'SANCTIONED'
+    WHEN 'SANCTIONED' THEN 'SANCTIONED'
+    WHEN 'DISBURSED' THEN 'DISBURSED'
+    WHEN 'REJECTED' THEN 'REJECTED'
+    WHEN 'WITHDRAWN' THEN 'WITHDRAWN'
+    ELSE 'SUBMITTED'
+END;
+
+ALTER TABLE loan_applications
+    ALTER COLUMN status SET DEFAULT 'DRAFT',
+    ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMPTZ;
+
+ALTER TABLE loan_applications
+    ADD CONSTRAINT loan_applications_status_check
+    CHECK (status IN ('DRAFT', 'SUBMITTED', 'DOCS_PENDING', 'UNDER_REVIEW', 'SANCTIONED', 'DISBURSED', 'REJECTED', 'WITHDRAWN'));
+
+-- 2. Status history (one row per transition)
+CREATE TABLE IF NOT EXISTS loan_status_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    loan_id UUID NOT NULL REFERENCES loan_applications(id) ON DELETE CASCADE,
+    registration_id UUID REFERENCES registrations(id) ON DELETE CASCADE,
+    from_status TEXT,                      -- NULL for the initial state
+    to_status TEXT NOT NULL,
+    reason TEXT,
+    metadata JSONB DEFAULT '{}'::jsonb,    -- field changes made with the transition
+    changed_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    changed_by_role TEXT,                  -- STAFF, STUDENT, SYSTEM
+    changed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_loan_status_history_loan ON loan_status_history(loan_id, changed_at);
+
+-- 3. Seed history with the current state of existing loans
+INSERT INTO loan_status_history (loan_id, registration_id, from_status, to_status, reason, changed_by_role, changed_at)
+SELECT la.id, la.registration_id, NULL, la.status, 'Status at lifecycle rollout', 'SYSTEM', COALESCE(la.updated_at, la.created_at, NOW())
+FROM loan_applications la
+WHERE NOT EXISTS (SELECT 1 FROM loan_status_history h WHERE h.loan_id = la.id);
+
+UPDATE loan_applications SET status_changed_at = COALESCE(updated_at, created_at) WHERE status_changed_at IS NULL;
+
+ALTER TABLE loan_status_history DISABLE ROW LEVEL SECURITY;
+
+NOTIFY pgrst, 'reload schema';
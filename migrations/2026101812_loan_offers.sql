@@ -0,0 +1,43 @@
+-- ============================================================================
+-- LOAN OFFERS (multiple lenders per loan application)
+-- ============================================================================
+-- A loan application can collect offers from several lenders. Accepting one
+-- copies its terms onto loan_applications (bank, rate, tenure, EMI, sanctioned
+-- amount) and moves the loan to SANCTIONED.
+
+CREATE TABLE IF NOT EXISTS loan_offers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    loan_id UUID NOT NULL REFERENCES loan_applications(id) ON DELETE CASCADE,
+    registration_id UUID REFERENCES registrations(id) ON DELETE CASCADE,
+    lender_name TEXT NOT NULL,
+    lender_type TEXT DEFAULT 'BANK' CHECK (lender_type IN ('BANK', 'NBFC', 'INTERNATIONAL', 'OTHER')),
+    branch_name TEXT,
+    sanctioned_amount DECIMAL(15, 2) NOT NULL CHECK (sanctioned_amount > 0),
+    interest_rate DECIMAL(5, 2) NOT NULL CHECK (interest_rate >= 0),   -- annual %
+    rate_type TEXT DEFAULT 'FLOATING' CHECK (rate_type IN ('FIXED', 'FLOATING')),
+    tenure_months INTEGER NOT NULL CHECK (tenure_months > 0),
+    processing_fee DECIMAL(12, 2) DEFAULT 0 CHECK (processing_fee >= 0),
+    collateral_required BOOLEAN DEFAULT FALSE,
+    collateral_details TEXT,
+    offered_on DATE DEFAULT CURRENT_DATE,
+    expires_on DATE,
+    status TEXT DEFAULT 'OFFERED' CHECK (status IN ('OFFERED', 'ACCEPTED', 'DECLINED', 'WITHDRAWN')),
+    notes TEXT,
+    accepted_at TIMESTAMPTZ,
+    accepted_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    created_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_loan_offers_loan ON loan_offers(loan_id);
+
+-- At most one accepted offer per loan
+CREATE UNIQUE INDEX IF NOT EXISTS uq_loan_offers_accepted ON loan_offers(loan_id) WHERE status = 'ACCEPTED';
+
+ALTER TABLE loan_applications
+    ADD COLUMN IF NOT EXISTS accepted_offer_id UUID REFERENCES loan_offers(id) ON DELETE SET NULL;
+
+ALTER TABLE loan_offers DISABLE ROW LEVEL SECURITY;
+
+NOTIFY pgrst, 'reload schema';
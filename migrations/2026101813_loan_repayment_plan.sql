@@ -0,0 +1,14 @@
+-- ============================================================================
+-- LOAN REPAYMENT PLAN (EMI calculator inputs per loan)
+-- ============================================================================
+-- Moratorium and disbursement plan used by loanCalculator.service to build the
+-- amortization schedule. Rate, tenure and amount stay in their own columns.
+-- Shape: { courseMonths, graceMonths, moratoriumInterest: 'CAPITALISE'|'SERVICE',
+--          disbursements: [{ amount, month | date, label }], startDate }
+
+ALTER TABLE loan_applications
+    ADD COLUMN IF NOT EXISTS repayment_plan JSONB DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN loan_applications.repayment_plan IS 'Moratorium / disbursement plan for the repayment schedule calculator';
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,77 @@
+-- ============================================================================
+-- LOAN DOCUMENT CHECKLISTS (per lender / security type / co-applicant type)
+-- ============================================================================
+-- Each row is one required document. NULL in lender_name, security_type or
+-- co_applicant_type means "any". When several rows name the same
+-- document_type for a loan, the most specific one wins (lender > security
+-- type > co-applicant type), so a lender row can relax or drop a default.
+--   source = LOAN    -> satisfied by loan_documents.document_type
+--   source = STUDENT -> satisfied by student_documents.doc_id
+
+CREATE TABLE IF NOT EXISTS loan_document_requirements (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    lender_name TEXT,
+    security_type TEXT CHECK (security_type IN ('SECURED', 'UNSECURED')),
+    co_applicant_type TEXT CHECK (co_applicant_type IN ('SALARIED', 'SELF_EMPLOYED', 'NRI', 'PENSIONER')),
+    document_type TEXT NOT NULL,
+    label TEXT NOT NULL,
+    description TEXT,
+    source TEXT NOT NULL DEFAULT 'LOAN' CHECK (source IN ('LOAN', 'STUDENT')),
+    requirement TEXT NOT NULL DEFAULT 'MANDATORY' CHECK (requirement IN ('MANDATORY', 'OPTIONAL', 'NOT_REQUIRED')),
+    sort_order INTEGER DEFAULT 100,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    updated_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_loan_document_requirements_scope ON loan_document_requirements (
+    COALESCE(LOWER(lender_name), ''), COALESCE(security_type, ''), COALESCE(co_applicant_type, ''), document_type
+);
+
+-- Checklist keys on the loan
+ALTER TABLE loan_applications
+    ADD COLUMN IF NOT EXISTS security_type TEXT CHECK (security_type IN ('SECURED', 'UNSECURED')),
+    ADD COLUMN IF NOT EXISTS co_applicant_type TEXT CHECK (co_applicant_type IN ('SALARIED', 'SELF_EMPLOYED', 'NRI', 'PENSIONER'));
+
+-- Admin override when a case is transferred with an incomplete checklist
+ALTER TABLE registrations
+    ADD COLUMN IF NOT EXISTS veda_transfer_override JSONB; -- { by, reason, at, missing: [...] }
+
+-- Default checklist (applies to every lender)
+INSERT INTO loan_document_requirements (lender_name, security_type, co_applicant_type, document_type, label, description, source, requirement, sort_order) VALUES
+    (NULL, NULL, NULL, 'passport', 'Student Passport', NULL, 'STUDENT', 'MANDATORY', 10),
+    (NULL, NULL, NULL, 'high_school_marksheet', '10th Marksheet', NULL, 'STUDENT', 'MANDATORY', 11),
+    (NULL, NULL, NULL, 'intermediate_marksheet', '12th Marksheet', NULL, 'STUDENT', 'MANDATORY', 12),
+    (NULL, NULL, NULL, 'graduation_marksheet', 'Graduation Marksheets', 'For postgraduate programmes', 'STUDENT', 'OPTIONAL', 13),
+    (NULL, NULL, NULL, 'ADMISSION_LETTER', 'Admission / Offer Letter', NULL, 'LOAN', 'MANDATORY', 20),
+    (NULL, NULL, NULL, 'FEE_STRUCTURE', 'University Fee Structure', 'Cost of attendance from the university', 'LOAN', 'MANDATORY', 21),
+    (NULL, NULL, NULL, 'ID_PROOF', 'Co-applicant ID Proof (PAN + Aadhaar)', NULL, 'LOAN', 'MANDATORY', 30),
+    (NULL, NULL, NULL, 'ADDRESS_PROOF', 'Co-applicant Address Proof', NULL, 'LOAN', 'MANDATORY', 31),
+    (NULL, NULL, NULL, 'BANK_STATEMENTS', 'Co-applicant Bank Statements (6 months)', NULL, 'LOAN', 'MANDATORY', 32),
+    (NULL, NULL, NULL, 'PHOTOGRAPHS', 'Passport-size Photographs', 'Student and co-applicant', 'LOAN', 'OPTIONAL', 33),
+
+    (NULL, NULL, 'SALARIED', 'SALARY_SLIPS', 'Salary Slips (3 months)', NULL, 'LOAN', 'MANDATORY', 40),
+    (NULL, NULL, 'SALARIED', 'FORM_16', 'Form 16 (2 years)', NULL, 'LOAN', 'MANDATORY', 41),
+    (NULL, NULL, 'SALARIED', 'EMPLOYMENT_PROOF', 'Employment Certificate / ID', NULL, 'LOAN', 'OPTIONAL', 42),
+
+    (NULL, NULL, 'SELF_EMPLOYED', 'ITR', 'Income Tax Returns with computation (2 years)', NULL, 'LOAN', 'MANDATORY', 40),
+    (NULL, NULL, 'SELF_EMPLOYED', 'BUSINESS_PROOF', 'Business Registration / GST Certificate', NULL, 'LOAN', 'MANDATORY', 41),
+    (NULL, NULL, 'SELF_EMPLOYED', 'AUDITED_FINANCIALS', 'Audited P&L and Balance Sheet (2 years)', NULL, 'LOAN', 'OPTIONAL', 42),
+
+    (NULL, NULL, 'NRI', 'CO_APPLICANT_PASSPORT_VISA', 'Co-applicant Passport & Visa / Residence Permit', NULL, 'LOAN', 'MANDATORY', 40),
+    (NULL, NULL, 'NRI', 'OVERSEAS_INCOME_PROOF', 'Overseas Salary Slips / Employment Contract', NULL, 'LOAN', 'MANDATORY', 41),
+    (NULL, NULL, 'NRI', 'NRE_NRO_STATEMENTS', 'NRE/NRO Account Statements (6 months)', NULL, 'LOAN', 'MANDATORY', 42),
+
+    (NULL, NULL, 'PENSIONER', 'PENSION_PROOF', 'Pension Payment Order / Pension Statements', NULL, 'LOAN', 'MANDATORY', 40),
+
+    (NULL, 'SECURED', NULL, 'PROPERTY_TITLE_DEED', 'Property Title Deed / Sale Deed', NULL, 'LOAN', 'MANDATORY', 50),
+    (NULL, 'SECURED', NULL, 'PROPERTY_VALUATION', 'Property Valuation Report', NULL, 'LOAN', 'MANDATORY', 51),
+    (NULL, 'SECURED', NULL, 'ENCUMBRANCE_CERTIFICATE', 'Encumbrance Certificate (13 years)', NULL, 'LOAN', 'MANDATORY', 52),
+    (NULL, 'SECURED', NULL, 'PROPERTY_TAX_RECEIPT', 'Latest Property Tax Receipt', NULL, 'LOAN', 'OPTIONAL', 53)
+ON CONFLICT DO NOTHING;
+
+ALTER TABLE loan_document_requirements DISABLE ROW LEVEL SECURITY;
+
+NOTIFY pgrst, 'reload schema';
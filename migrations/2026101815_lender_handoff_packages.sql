@@ -0,0 +1,33 @@
+-- ============================================================================
+-- LENDER HANDOFF PACKAGES
+-- ============================================================================
+-- transferToVeda builds one ZIP per transfer: verified loan & student documents
+-- (renamed to a standard convention), a cover-sheet PDF and a JSON/CSV
+-- manifest. Packages live in a private bucket and are shared as signed links.
+
+-- 1. Private bucket (no public read policy on purpose)
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('lender-handoffs', 'lender-handoffs', false)
+ON CONFLICT (id) DO UPDATE SET public = false;
+
+-- 2. One row per generated package
+CREATE TABLE IF NOT EXISTS lender_handoff_packages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    registration_id UUID NOT NULL REFERENCES registrations(id) ON DELETE CASCADE,
+    loan_id UUID REFERENCES loan_applications(id) ON DELETE SET NULL,
+    lender_name TEXT,
+    file_path TEXT NOT NULL,
+    file_name TEXT NOT NULL,
+    file_size BIGINT,
+    document_count INTEGER DEFAULT 0,
+    manifest JSONB NOT NULL DEFAULT '{}'::jsonb,
+    checklist_override BOOLEAN DEFAULT FALSE,   -- transferred with an incomplete checklist
+    generated_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    generated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lender_handoff_packages_registration ON lender_handoff_packages(registration_id, generated_at DESC);
+
+ALTER TABLE lender_handoff_packages DISABLE ROW LEVEL SECURITY;
+
+NOTIFY pgrst, 'reload schema';
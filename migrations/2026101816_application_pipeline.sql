@@ -0,0 +1,52 @@
+-- ============================================================================
+-- ADMISSION APPLICATION PIPELINE: DEADLINES, FEES, PORTAL, DECISIONS
+-- ============================================================================
+
+-- 1. Tracking fields per university application
+ALTER TABLE admission_applications
+ADD COLUMN IF NOT EXISTS application_deadline DATE,
+ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMPTZ,                -- submitted on the university portal
+ADD COLUMN IF NOT EXISTS application_fee_amount NUMERIC(12, 2),
+ADD COLUMN IF NOT EXISTS application_fee_currency VARCHAR(10),
+ADD COLUMN IF NOT EXISTS application_fee_paid BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS application_fee_paid_at DATE,
+ADD COLUMN IF NOT EXISTS portal_url TEXT,
+ADD COLUMN IF NOT EXISTS portal_login_id TEXT,                    -- username / email used on the portal (never the password)
+ADD COLUMN IF NOT EXISTS portal_application_ref TEXT,             -- application number issued by the university
+ADD COLUMN IF NOT EXISTS required_items JSONB DEFAULT '[]'::jsonb, -- [{ name, dueDate, received, receivedAt }]
+ADD COLUMN IF NOT EXISTS decision VARCHAR(30) DEFAULT 'PENDING'
+    CHECK (decision IN ('PENDING', 'CONDITIONAL_OFFER', 'UNCONDITIONAL_OFFER', 'WAITLISTED', 'REJECTED', 'WITHDRAWN')),
+ADD COLUMN IF NOT EXISTS decision_date DATE,
+ADD COLUMN IF NOT EXISTS decision_expected_by DATE,
+ADD COLUMN IF NOT EXISTS decision_notes TEXT;
+
+-- Withdrawn is a pipeline column and the status a WITHDRAWN decision sets. NOT VALID:
+-- tables created without the original CHECK may hold other legacy values.
+ALTER TABLE admission_applications DROP CONSTRAINT IF EXISTS admission_applications_status_check;
+ALTER TABLE admission_applications
+    ADD CONSTRAINT admission_applications_status_check
+    CHECK (status IN ('Applied', 'Under Review', 'Approved', 'Rejected', 'Withdrawn')) NOT VALID;
+
+CREATE INDEX IF NOT EXISTS idx_admission_applications_deadline ON admission_applications(application_deadline)
+    WHERE application_deadline IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_admission_applications_status ON admission_applications(status);
+
+-- 2. Deadline alerts sent (unique per application / deadline / offset -> job is idempotent)
+CREATE TABLE IF NOT EXISTS application_deadline_alerts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    application_id UUID NOT NULL REFERENCES admission_applications(id) ON DELETE CASCADE,
+    registration_id UUID REFERENCES registrations(id) ON DELETE CASCADE,
+    deadline_type VARCHAR(30) NOT NULL,   -- APPLICATION, REQUIRED_ITEM
+    deadline_key TEXT NOT NULL DEFAULT '', -- item name for REQUIRED_ITEM
+    deadline_date DATE NOT NULL,
+    days_before INTEGER NOT NULL,
+    recipient_id UUID REFERENCES employees(id) ON DELETE SET NULL,
+    sent_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (application_id, deadline_type, deadline_key, deadline_date, days_before)
+);
+
+CREATE INDEX IF NOT EXISTS idx_application_deadline_alerts_application ON application_deadline_alerts(application_id);
+
+ALTER TABLE application_deadline_alerts DISABLE ROW LEVEL SECURITY;
+
+NOTIFY pgrst, 'reload schema';
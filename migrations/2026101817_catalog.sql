@@ -0,0 +1,162 @@
+-- ============================================================================
+-- UNIVERSITY & COURSE CATALOG
+-- ============================================================================
+-- Managed list of countries -> universities -> programs. Leads, registrations
+-- and admission applications reference catalog IDs; the existing text columns
+-- (university, course, preferred_country, program_name) are kept as display
+-- labels and filled from the catalog when an ID is supplied.
+
+-- 1. Countries
+CREATE TABLE IF NOT EXISTS catalog_countries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    code CHAR(2) NOT NULL UNIQUE,          -- ISO 3166-1 alpha-2
+    name TEXT NOT NULL UNIQUE,
+    currency VARCHAR(10),                  -- default tuition currency
+    description TEXT,
+    sort_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    updated_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- 2. Universities
+CREATE TABLE IF NOT EXISTS catalog_universities (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    country_id UUID NOT NULL REFERENCES catalog_countries(id) ON DELETE RESTRICT,
+    name TEXT NOT NULL,
+    city TEXT,
+    website TEXT,
+    world_ranking INTEGER,
+    logo_url TEXT,
+    description TEXT,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    updated_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_catalog_universities_name ON catalog_universities(country_id, lower(name));
+CREATE INDEX IF NOT EXISTS idx_catalog_universities_country ON catalog_universities(country_id) WHERE is_active;
+
+-- 3. Programs
+CREATE TABLE IF NOT EXISTS catalog_programs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    university_id UUID NOT NULL REFERENCES catalog_universities(id) ON DELETE RESTRICT,
+    name TEXT NOT NULL,
+    level VARCHAR(20) NOT NULL DEFAULT 'PG'
+        CHECK (level IN ('FOUNDATION', 'DIPLOMA', 'UG', 'PG', 'PHD', 'CERTIFICATE')),
+    discipline TEXT,
+    duration_months INTEGER CHECK (duration_months > 0),
+    intake_months INTEGER[] DEFAULT '{}',  -- 1..12, e.g. {1,9} = January and September
+    tuition_fee NUMERIC(12, 2) CHECK (tuition_fee >= 0),      -- per year
+    tuition_currency VARCHAR(10),
+    application_fee NUMERIC(12, 2) CHECK (application_fee >= 0),
+    application_fee_currency VARCHAR(10),
+    min_gpa NUMERIC(4, 2),                 -- on gpa_scale
+    gpa_scale NUMERIC(4, 2) DEFAULT 10,
+    min_ielts NUMERIC(3, 1),
+    min_toefl INTEGER,
+    min_pte INTEGER,
+    min_gre INTEGER,
+    min_gmat INTEGER,
+    other_requirements TEXT,
+    application_deadlines JSONB DEFAULT '[]'::jsonb,  -- [{ intake: 'Sep 2027', deadline: '2027-05-31' }]
+    program_url TEXT,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    updated_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_catalog_programs_name ON catalog_programs(university_id, lower(name), level);
+CREATE INDEX IF NOT EXISTS idx_catalog_programs_university ON catalog_programs(university_id) WHERE is_active;
+
+-- 4. Catalog references on the funnel
+ALTER TABLE leads
+    ADD COLUMN IF NOT EXISTS country_id UUID REFERENCES catalog_countries(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS university_id UUID REFERENCES catalog_universities(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS program_id UUID REFERENCES catalog_programs(id) ON DELETE SET NULL;
+
+ALTER TABLE registrations
+    ADD COLUMN IF NOT EXISTS country_id UUID REFERENCES catalog_countries(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS university_id UUID REFERENCES catalog_universities(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS program_id UUID REFERENCES catalog_programs(id) ON DELETE SET NULL;
+
+ALTER TABLE admission_applications
+    ADD COLUMN IF NOT EXISTS country_id UUID REFERENCES catalog_countries(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS university_id UUID REFERENCES catalog_universities(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS program_id UUID REFERENCES catalog_programs(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_leads_university_id ON leads(university_id);
+CREATE INDEX IF NOT EXISTS idx_registrations_university_id ON registrations(university_id);
+CREATE INDEX IF NOT EXISTS idx_admission_applications_university_id ON admission_applications(university_id);
+
+-- 5. Seed the destinations we already advertise (chatbot country list)
+INSERT INTO catalog_countries (code, name, currency, sort_order) VALUES
+    ('US', 'USA', 'USD', 1),
+    ('GB', 'UK', 'GBP', 2),
+    ('CA', 'Canada', 'CAD', 3),
+    ('AU', 'Australia', 'AUD', 4),
+    ('DE', 'Germany', 'EUR', 5),
+    ('IE', 'Ireland', 'EUR', 6),
+    ('NZ', 'New Zealand', 'NZD', 7),
+    ('FR', 'France', 'EUR', 8),
+    ('SE', 'Sweden', 'SEK', 9),
+    ('ES', 'Spain', 'EUR', 10),
+    ('SG', 'Singapore', 'SGD', 11),
+    ('AE', 'UAE', 'AED', 12)
+ON CONFLICT (code) DO NOTHING;
+
+-- 6. Backfill country references from existing free text (exact, case-insensitive)
+UPDATE leads l SET country_id = c.id
+FROM catalog_countries c
+WHERE l.country_id IS NULL AND lower(trim(l.preferred_country)) = lower(c.name);
+
+UPDATE registrations r SET country_id = c.id
+FROM catalog_countries c
+WHERE r.country_id IS NULL AND lower(trim(r.workflow->>'preferredCountry')) = lower(c.name);
+
+-- 7. Conversions by university, aggregated here: PostgREST caps plain selects at
+-- max-rows, so counting rows client-side undercounts on large tables
+CREATE OR REPLACE FUNCTION catalog_conversions_by_university(p_from TIMESTAMPTZ DEFAULT NULL, p_to TIMESTAMPTZ DEFAULT NULL)
+RETURNS TABLE (
+    university_id UUID,
+    university_name TEXT,
+    country_name TEXT,
+    lead_count BIGINT,
+    registration_count BIGINT,
+    application_count BIGINT,
+    offer_count BIGINT
+) AS $$
+    WITH funnel AS (
+        SELECT l.university_id AS uid, 1 AS is_lead, 0 AS is_registration, 0 AS is_application, 0 AS is_offer
+        FROM leads l
+        WHERE l.is_deleted = FALSE
+          AND (p_from IS NULL OR l.created_at >= p_from) AND (p_to IS NULL OR l.created_at <= p_to)
+        UNION ALL
+        SELECT r.university_id, 0, 1, 0, 0
+        FROM registrations r
+        WHERE r.is_deleted = FALSE
+          AND (p_from IS NULL OR r.created_at >= p_from) AND (p_to IS NULL OR r.created_at <= p_to)
+        UNION ALL
+        SELECT a.university_id, 0, 0, 1, CASE WHEN a.status = 'Approved' THEN 1 ELSE 0 END
+        FROM admission_applications a
+        WHERE (p_from IS NULL OR a.created_at >= p_from) AND (p_to IS NULL OR a.created_at <= p_to)
+    )
+    SELECT f.uid, u.name::TEXT, c.name::TEXT,
+           SUM(f.is_lead), SUM(f.is_registration), SUM(f.is_application), SUM(f.is_offer)
+    FROM funnel f
+    LEFT JOIN catalog_universities u ON u.id = f.uid
+    LEFT JOIN catalog_countries c ON c.id = u.country_id
+    GROUP BY f.uid, u.name, c.name;
+$$ LANGUAGE sql STABLE;
+
+ALTER TABLE catalog_countries DISABLE ROW LEVEL SECURITY;
+ALTER TABLE catalog_universities DISABLE ROW LEVEL SECURITY;
+ALTER TABLE catalog_programs DISABLE ROW LEVEL SECURITY;
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,13 @@
+-- ============================================================================
+-- PROGRAM SHORTLISTS ON REGISTRATIONS
+-- ============================================================================
+-- Counsellors save the matching engine's Ambitious / Moderate / Safe picks on
+-- the registration:
+-- { profile: {...}, profileOverrides: {...}, items: [{ programId, category, score, reasons, missing, note, program: {...} }],
+--   savedBy, savedByName, savedAt }
+
+ALTER TABLE registrations
+    ADD COLUMN IF NOT EXISTS shortlist JSONB,
+    ADD COLUMN IF NOT EXISTS shortlist_updated_at TIMESTAMPTZ;
+
+NOTIFY pgrst, 'reload schema';
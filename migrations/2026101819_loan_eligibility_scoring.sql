@@ -0,0 +1,43 @@
+-- ============================================================================
+-- LOAN ELIGIBILITY SCORING RULES
+-- ============================================================================
+-- Public eligibility checks are scored by loanEligibility.service using the
+-- rules below (income multipliers, collateral LTV, country / university tier
+-- caps, score weights). Every save inserts a new version and deactivates the
+-- previous one, so eligibility_records.analysis.rulesVersion can always be
+-- traced back to the exact rules used. No active row = built-in defaults.
+
+CREATE TABLE IF NOT EXISTS loan_eligibility_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    version INTEGER NOT NULL UNIQUE,
+    rules JSONB NOT NULL,
+    notes TEXT,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- At most one active rule set
+CREATE UNIQUE INDEX IF NOT EXISTS uq_loan_eligibility_rules_active ON loan_eligibility_rules(is_active) WHERE is_active;
+
+-- Deactivate + insert in one transaction: a failed insert (e.g. a concurrent save
+-- taking the same version, 23505) rolls the deactivation back, so the previous
+-- rule set stays active instead of scoring falling back to the defaults.
+CREATE OR REPLACE FUNCTION save_loan_eligibility_rules(p_version INTEGER, p_rules JSONB, p_notes TEXT, p_created_by UUID)
+RETURNS loan_eligibility_rules AS $$
+DECLARE
+    v_row loan_eligibility_rules;
+BEGIN
+    UPDATE loan_eligibility_rules SET is_active = FALSE WHERE is_active;
+
+    INSERT INTO loan_eligibility_rules (version, rules, notes, is_active, created_by)
+    VALUES (p_version, p_rules, p_notes, TRUE, p_created_by)
+    RETURNING * INTO v_row;
+
+    RETURN v_row;
+END;
+$$ LANGUAGE plpgsql;
+
+ALTER TABLE loan_eligibility_rules DISABLE ROW LEVEL SECURITY;
+
+NOTIFY pgrst, 'reload schema';
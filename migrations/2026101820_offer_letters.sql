@@ -0,0 +1,90 @@
+-- ============================================================================
+-- OFFER LETTER MANAGEMENT: TERMS, DEADLINES, CAS / I-20, ACCEPTANCE
+-- ============================================================================
+
+-- 1. Offer terms on each offer letter
+-- The old status CHECK only allowed 'Conditional' / 'Confirmed' while uploads
+-- wrote 'Approved', so history rows were silently rejected. offer_type now
+-- carries the meaning; status is kept as its display label.
+ALTER TABLE offer_letters DROP CONSTRAINT IF EXISTS offer_letters_status_check;
+
+ALTER TABLE offer_letters
+ADD COLUMN IF NOT EXISTS offer_type VARCHAR(20) DEFAULT 'CONDITIONAL'
+    CHECK (offer_type IN ('CONDITIONAL', 'UNCONDITIONAL')),
+ADD COLUMN IF NOT EXISTS conditions JSONB DEFAULT '[]'::jsonb,      -- [{ text, met, metAt }]
+ADD COLUMN IF NOT EXISTS program_name TEXT,
+ADD COLUMN IF NOT EXISTS intake TEXT,
+ADD COLUMN IF NOT EXISTS issued_at DATE,
+ADD COLUMN IF NOT EXISTS acceptance_deadline DATE,
+ADD COLUMN IF NOT EXISTS deposit_amount NUMERIC(12, 2),
+ADD COLUMN IF NOT EXISTS deposit_currency VARCHAR(10),
+ADD COLUMN IF NOT EXISTS deposit_deadline DATE,
+ADD COLUMN IF NOT EXISTS deposit_paid_at DATE,
+ADD COLUMN IF NOT EXISTS deposit_reference TEXT,
+ADD COLUMN IF NOT EXISTS cas_status VARCHAR(20) DEFAULT 'NOT_REQUESTED'
+    CHECK (cas_status IN ('NOT_APPLICABLE', 'NOT_REQUESTED', 'REQUESTED', 'ISSUED', 'REFUSED')),
+ADD COLUMN IF NOT EXISTS cas_number TEXT,                           -- CAS number / I-20 SEVIS ID / CoE code
+ADD COLUMN IF NOT EXISTS cas_issued_at DATE,
+ADD COLUMN IF NOT EXISTS acceptance_status VARCHAR(20) DEFAULT 'PENDING'
+    CHECK (acceptance_status IN ('PENDING', 'ACCEPTED', 'DECLINED', 'EXPIRED')),
+ADD COLUMN IF NOT EXISTS acceptance_decided_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS acceptance_decided_by UUID REFERENCES employees(id) ON DELETE SET NULL, -- NULL when the student decided
+ADD COLUMN IF NOT EXISTS decline_reason TEXT,
+ADD COLUMN IF NOT EXISTS next_steps JSONB DEFAULT '{}'::jsonb,      -- what acceptance kicked off (deposit task, loan, visa case)
+ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES employees(id) ON DELETE SET NULL;
+
+UPDATE offer_letters SET offer_type = 'UNCONDITIONAL' WHERE status = 'Confirmed' AND offer_type = 'CONDITIONAL';
+
+CREATE INDEX IF NOT EXISTS idx_offer_letters_registration ON offer_letters(registration_id);
+CREATE INDEX IF NOT EXISTS idx_offer_letters_pending_deadline ON offer_letters(acceptance_deadline)
+    WHERE acceptance_status = 'PENDING';
+
+-- At most one accepted offer per registration
+CREATE UNIQUE INDEX IF NOT EXISTS uq_offer_letters_accepted ON offer_letters(registration_id)
+    WHERE acceptance_status = 'ACCEPTED';
+
+ALTER TABLE offer_letters DISABLE ROW LEVEL SECURITY;
+
+-- 2. The student's response on the application itself (a decline also sets status
+--    'Withdrawn', allowed by admission_applications_status_check since 2026101816)
+ALTER TABLE admission_applications
+ADD COLUMN IF NOT EXISTS offer_response VARCHAR(20) CHECK (offer_response IN ('ACCEPTED', 'DECLINED')),
+ADD COLUMN IF NOT EXISTS offer_responded_at TIMESTAMPTZ;
+
+-- 3. Reminders sent (unique per offer / deadline / offset -> job is idempotent)
+CREATE TABLE IF NOT EXISTS offer_letter_reminders (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    offer_letter_id UUID NOT NULL REFERENCES offer_letters(id) ON DELETE CASCADE,
+    registration_id UUID REFERENCES registrations(id) ON DELETE CASCADE,
+    reminder_type VARCHAR(20) NOT NULL,   -- ACCEPTANCE, DEPOSIT
+    deadline_date DATE NOT NULL,
+    days_before INTEGER NOT NULL,
+    recipient_id UUID REFERENCES employees(id) ON DELETE SET NULL,
+    sent_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (offer_letter_id, reminder_type, deadline_date, days_before)
+);
+
+CREATE INDEX IF NOT EXISTS idx_offer_letter_reminders_offer ON offer_letter_reminders(offer_letter_id);
+
+ALTER TABLE offer_letter_reminders DISABLE ROW LEVEL SECURITY;
+
+-- 4. Visa cases, opened when an offer is accepted (one per registration)
+CREATE TABLE IF NOT EXISTS visa_cases (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    registration_id UUID NOT NULL UNIQUE REFERENCES registrations(id) ON DELETE CASCADE,
+    offer_letter_id UUID REFERENCES offer_letters(id) ON DELETE SET NULL,
+    application_id UUID REFERENCES admission_applications(id) ON DELETE SET NULL,
+    destination_country TEXT,
+    country_id UUID REFERENCES catalog_countries(id) ON DELETE SET NULL,
+    university TEXT,
+    intake TEXT,
+    status VARCHAR(30) DEFAULT 'OPEN',
+    owner_id UUID REFERENCES employees(id) ON DELETE SET NULL,
+    created_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE visa_cases DISABLE ROW LEVEL SECURITY;
+
+NOTIFY pgrst, 'reload schema';
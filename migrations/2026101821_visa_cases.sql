@@ -0,0 +1,73 @@
+-- ============================================================================
+-- VISA CASE MANAGEMENT
+-- ============================================================================
+-- One visa case per registration (table created with the offer letter
+-- workflow). Lifecycle:
+--   OPEN -> DOCS_IN_PROGRESS -> READY_TO_SUBMIT -> SUBMITTED -> AWAITING_DECISION -> GRANTED
+--   REFUSED (may restart at DOCS_IN_PROGRESS for a re-application), WITHDRAWN is terminal.
+-- Transitions are enforced in src/services/visaCase.service.js; visa_case_history
+-- records who moved a case, when and why.
+
+-- 1. Case details
+ALTER TABLE visa_cases
+ADD COLUMN IF NOT EXISTS visa_type TEXT,                              -- e.g. Student visa, F-1, Study permit, Subclass 500
+ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMPTZ DEFAULT NOW(),
+ADD COLUMN IF NOT EXISTS checklist JSONB DEFAULT '[]'::jsonb,         -- [{ key, label, required, received, receivedAt, notes }]
+ADD COLUMN IF NOT EXISTS biometrics_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS biometrics_location TEXT,
+ADD COLUMN IF NOT EXISTS biometrics_completed_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS interview_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS interview_location TEXT,
+ADD COLUMN IF NOT EXISTS interview_completed_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS fees JSONB DEFAULT '[]'::jsonb,              -- [{ type, label, amount, currency, paidAt, reference }]
+ADD COLUMN IF NOT EXISTS application_ref TEXT,                        -- GWF / DS-160 / IRCC application number
+ADD COLUMN IF NOT EXISTS submitted_at DATE,
+ADD COLUMN IF NOT EXISTS decision VARCHAR(20) DEFAULT 'PENDING'
+    CHECK (decision IN ('PENDING', 'GRANTED', 'REFUSED', 'WITHDRAWN')),
+ADD COLUMN IF NOT EXISTS decision_date DATE,
+ADD COLUMN IF NOT EXISTS decision_reason TEXT,
+ADD COLUMN IF NOT EXISTS visa_valid_from DATE,
+ADD COLUMN IF NOT EXISTS visa_valid_until DATE,
+ADD COLUMN IF NOT EXISTS passport_status VARCHAR(20) DEFAULT 'WITH_STUDENT'
+    CHECK (passport_status IN ('WITH_STUDENT', 'SUBMITTED', 'RETURNED')),
+ADD COLUMN IF NOT EXISTS passport_submitted_at DATE,
+ADD COLUMN IF NOT EXISTS passport_returned_at DATE,
+ADD COLUMN IF NOT EXISTS owner_assigned_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS notes TEXT;
+
+UPDATE visa_cases SET status = 'OPEN' WHERE status IS NULL OR status NOT IN
+    ('OPEN', 'DOCS_IN_PROGRESS', 'READY_TO_SUBMIT', 'SUBMITTED', 'AWAITING_DECISION', 'GRANTED', 'REFUSED', 'WITHDRAWN');
+
+ALTER TABLE visa_cases DROP CONSTRAINT IF EXISTS visa_cases_status_check;
+ALTER TABLE visa_cases
+    ADD CONSTRAINT visa_cases_status_check
+    CHECK (status IN ('OPEN', 'DOCS_IN_PROGRESS', 'READY_TO_SUBMIT', 'SUBMITTED', 'AWAITING_DECISION', 'GRANTED', 'REFUSED', 'WITHDRAWN'));
+
+CREATE INDEX IF NOT EXISTS idx_visa_cases_status ON visa_cases(status);
+CREATE INDEX IF NOT EXISTS idx_visa_cases_owner ON visa_cases(owner_id);
+
+-- 2. Status history (one row per transition)
+CREATE TABLE IF NOT EXISTS visa_case_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    visa_case_id UUID NOT NULL REFERENCES visa_cases(id) ON DELETE CASCADE,
+    registration_id UUID REFERENCES registrations(id) ON DELETE CASCADE,
+    from_status TEXT,                      -- NULL for the initial state
+    to_status TEXT NOT NULL,
+    reason TEXT,
+    metadata JSONB DEFAULT '{}'::jsonb,    -- field changes made with the transition
+    changed_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    changed_by_role TEXT,                  -- STAFF, STUDENT, SYSTEM
+    changed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_visa_case_history_case ON visa_case_history(visa_case_id, changed_at);
+
+-- 3. Seed history for cases opened before this migration
+INSERT INTO visa_case_history (visa_case_id, registration_id, from_status, to_status, reason, changed_by_role, changed_at)
+SELECT vc.id, vc.registration_id, NULL, vc.status, 'Visa case opened', 'SYSTEM', COALESCE(vc.created_at, NOW())
+FROM visa_cases vc
+WHERE NOT EXISTS (SELECT 1 FROM visa_case_history h WHERE h.visa_case_id = vc.id);
+
+ALTER TABLE visa_case_history DISABLE ROW LEVEL SECURITY;
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,126 @@
+-- ============================================================================
+-- PRE-DEPARTURE / POST-ARRIVAL CHECKLISTS
+-- ============================================================================
+-- departure_checklist_templates is the configurable item list. NULL country
+-- means "every destination"; a country row with the same item_key overrides
+-- the default (requirement NOT_REQUIRED drops it for that country).
+-- due_offset_days is relative to the intake start date: -30 = 30 days before,
+-- 14 = two weeks after arrival.
+-- When a visa case is GRANTED the registration gets a departure_checklists row
+-- and a copy of the resolved items; students tick them off in the portal.
+
+CREATE TABLE IF NOT EXISTS departure_checklist_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    country TEXT,
+    item_key TEXT NOT NULL,
+    label TEXT NOT NULL,
+    description TEXT,
+    category TEXT NOT NULL DEFAULT 'OTHER'
+        CHECK (category IN ('FINANCE', 'ACCOMMODATION', 'TRAVEL', 'INSURANCE', 'DOCUMENTS', 'CONNECTIVITY', 'REGISTRATION', 'OTHER')),
+    phase TEXT NOT NULL DEFAULT 'PRE_DEPARTURE' CHECK (phase IN ('PRE_DEPARTURE', 'POST_ARRIVAL')),
+    requirement TEXT NOT NULL DEFAULT 'MANDATORY' CHECK (requirement IN ('MANDATORY', 'OPTIONAL', 'NOT_REQUIRED')),
+    due_offset_days INTEGER,
+    sort_order INTEGER DEFAULT 100,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    updated_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_departure_checklist_templates_scope
+    ON departure_checklist_templates (COALESCE(LOWER(country), ''), item_key);
+
+-- One checklist per registration
+CREATE TABLE IF NOT EXISTS departure_checklists (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    registration_id UUID NOT NULL UNIQUE REFERENCES registrations(id) ON DELETE CASCADE,
+    visa_case_id UUID REFERENCES visa_cases(id) ON DELETE SET NULL,
+    destination_country TEXT,
+    intake TEXT,
+    intake_start_date DATE,                -- parsed from the intake, staff may correct it
+    created_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS departure_checklist_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    checklist_id UUID NOT NULL REFERENCES departure_checklists(id) ON DELETE CASCADE,
+    registration_id UUID NOT NULL REFERENCES registrations(id) ON DELETE CASCADE,
+    template_id UUID REFERENCES departure_checklist_templates(id) ON DELETE SET NULL,
+    item_key TEXT NOT NULL,
+    label TEXT NOT NULL,
+    description TEXT,
+    category TEXT NOT NULL DEFAULT 'OTHER',
+    phase TEXT NOT NULL DEFAULT 'PRE_DEPARTURE',
+    requirement TEXT NOT NULL DEFAULT 'MANDATORY' CHECK (requirement IN ('MANDATORY', 'OPTIONAL')),
+    due_offset_days INTEGER,
+    due_date DATE,
+    status TEXT NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'DONE', 'NOT_APPLICABLE')),
+    completed_at TIMESTAMPTZ,
+    completed_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    completed_by_role TEXT,                -- STAFF, STUDENT
+    student_notes TEXT,
+    staff_notes TEXT,
+    sort_order INTEGER DEFAULT 100,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (checklist_id, item_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_departure_checklist_items_checklist ON departure_checklist_items(checklist_id, sort_order);
+CREATE INDEX IF NOT EXISTS idx_departure_checklist_items_due ON departure_checklist_items(status, due_date);
+
+-- Overdue nudges sent to the student (one per checklist per day at most)
+CREATE TABLE IF NOT EXISTS departure_checklist_nudges (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    checklist_id UUID NOT NULL REFERENCES departure_checklists(id) ON DELETE CASCADE,
+    registration_id UUID REFERENCES registrations(id) ON DELETE CASCADE,
+    nudge_date DATE NOT NULL,
+    overdue_items JSONB DEFAULT '[]'::jsonb,   -- [{ itemId, label, dueDate }]
+    sent_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (checklist_id, nudge_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_departure_checklist_nudges_checklist ON departure_checklist_nudges(checklist_id, nudge_date DESC);
+
+-- Default items (every destination)
+INSERT INTO departure_checklist_templates (country, item_key, label, description, category, phase, requirement, due_offset_days, sort_order) VALUES
+    (NULL, 'flight', 'Book flight tickets', 'Arrive before the orientation / enrolment week', 'TRAVEL', 'PRE_DEPARTURE', 'MANDATORY', -30, 10),
+    (NULL, 'accommodation', 'Confirm accommodation', 'University halls or private housing, with the tenancy confirmation saved', 'ACCOMMODATION', 'PRE_DEPARTURE', 'MANDATORY', -30, 20),
+    (NULL, 'forex', 'Arrange forex / travel card', 'Forex card or currency for the first weeks of living expenses', 'FINANCE', 'PRE_DEPARTURE', 'MANDATORY', -14, 30),
+    (NULL, 'insurance', 'Buy travel and health insurance', 'Cover must start on the day of travel', 'INSURANCE', 'PRE_DEPARTURE', 'MANDATORY', -14, 40),
+    (NULL, 'tuition_remittance', 'Remit first tuition instalment', 'Keep the bank remittance advice for the university and the lender', 'FINANCE', 'PRE_DEPARTURE', 'MANDATORY', -21, 50),
+    (NULL, 'document_copies', 'Carry original documents and copies', 'Passport, visa, offer letter, academic certificates, loan sanction letter', 'DOCUMENTS', 'PRE_DEPARTURE', 'MANDATORY', -7, 60),
+    (NULL, 'pre_departure_session', 'Attend pre-departure briefing', NULL, 'OTHER', 'PRE_DEPARTURE', 'OPTIONAL', -10, 70),
+    (NULL, 'airport_pickup', 'Arrange airport pickup', 'University pickup service or a booked transfer', 'TRAVEL', 'PRE_DEPARTURE', 'OPTIONAL', -7, 80),
+    (NULL, 'sim_card', 'Get a local SIM card', NULL, 'CONNECTIVITY', 'POST_ARRIVAL', 'MANDATORY', 3, 110),
+    (NULL, 'bank_account', 'Open a local bank account', NULL, 'FINANCE', 'POST_ARRIVAL', 'MANDATORY', 14, 120),
+    (NULL, 'university_enrolment', 'Complete university enrolment', 'Collect the student ID card', 'REGISTRATION', 'POST_ARRIVAL', 'MANDATORY', 7, 130),
+
+    ('Germany', 'blocked_account', 'Open and fund the blocked account (Sperrkonto)', 'Required for the visa and released monthly after arrival', 'FINANCE', 'PRE_DEPARTURE', 'MANDATORY', -60, 5),
+    ('Germany', 'city_registration', 'Register address (Anmeldung)', 'At the local Bürgeramt within 14 days of moving in', 'REGISTRATION', 'POST_ARRIVAL', 'MANDATORY', 14, 125),
+    ('Germany', 'residence_permit', 'Apply for the residence permit', 'At the Ausländerbehörde before the entry visa expires', 'REGISTRATION', 'POST_ARRIVAL', 'MANDATORY', 60, 140),
+    ('Germany', 'insurance', 'Arrange public health insurance', 'Statutory health insurance is needed for university enrolment', 'INSURANCE', 'PRE_DEPARTURE', 'MANDATORY', -14, 40),
+
+    ('United Kingdom', 'brp_evisa', 'Collect BRP / activate eVisa (UKVI account)', NULL, 'REGISTRATION', 'POST_ARRIVAL', 'MANDATORY', 10, 140),
+    ('United Kingdom', 'gp_registration', 'Register with a GP', 'Covered by the Immigration Health Surcharge', 'INSURANCE', 'POST_ARRIVAL', 'OPTIONAL', 30, 150),
+    ('United Kingdom', 'insurance', 'Buy travel insurance', 'NHS cover comes with the Immigration Health Surcharge', 'INSURANCE', 'PRE_DEPARTURE', 'OPTIONAL', -14, 40),
+
+    ('USA', 'i20_travel_signature', 'Carry signed I-20 and SEVIS fee receipt', NULL, 'DOCUMENTS', 'PRE_DEPARTURE', 'MANDATORY', -7, 55),
+    ('USA', 'ssn', 'Apply for SSN (if on-campus job)', NULL, 'REGISTRATION', 'POST_ARRIVAL', 'OPTIONAL', 30, 140),
+
+    ('Canada', 'gic', 'Confirm GIC account and first disbursement', NULL, 'FINANCE', 'PRE_DEPARTURE', 'MANDATORY', -30, 5),
+    ('Canada', 'sin', 'Apply for SIN', NULL, 'REGISTRATION', 'POST_ARRIVAL', 'MANDATORY', 14, 140),
+
+    ('Australia', 'oshc', 'Activate OSHC health cover', NULL, 'INSURANCE', 'PRE_DEPARTURE', 'MANDATORY', -14, 40),
+    ('Australia', 'tfn', 'Apply for Tax File Number', NULL, 'REGISTRATION', 'POST_ARRIVAL', 'OPTIONAL', 30, 140)
+ON CONFLICT DO NOTHING;
+
+ALTER TABLE departure_checklist_templates DISABLE ROW LEVEL SECURITY;
+ALTER TABLE departure_checklists DISABLE ROW LEVEL SECURITY;
+ALTER TABLE departure_checklist_items DISABLE ROW LEVEL SECURITY;
+ALTER TABLE departure_checklist_nudges DISABLE ROW LEVEL SECURITY;
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,109 @@
+-- ============================================================================
+-- STUDENT DOCUMENT VERSIONS, EXPIRY AND REJECTION REASONS
+-- ============================================================================
+-- student_documents keeps pointing at the current file. Every upload is also
+-- kept in student_document_versions with its uploader and the verification
+-- outcome it received, so re-uploads no longer lose earlier files or the
+-- rejection history. Rejections pick codes from document_rejection_reasons.
+
+-- 1. Current-version details on the document
+ALTER TABLE student_documents
+ADD COLUMN IF NOT EXISTS version INTEGER DEFAULT 1,
+ADD COLUMN IF NOT EXISTS issue_date DATE,
+ADD COLUMN IF NOT EXISTS expiry_date DATE,
+ADD COLUMN IF NOT EXISTS document_number TEXT,                  -- passport no., TRF no., account no. (last digits)
+ADD COLUMN IF NOT EXISTS rejection_reasons JSONB DEFAULT '[]'::jsonb, -- reason codes of the latest rejection
+ADD COLUMN IF NOT EXISTS file_size INTEGER,
+ADD COLUMN IF NOT EXISTS mime_type TEXT,
+ADD COLUMN IF NOT EXISTS content_hash TEXT;                     -- sha256 of the uploaded file
+
+CREATE INDEX IF NOT EXISTS idx_student_documents_expiry ON student_documents(expiry_date) WHERE expiry_date IS NOT NULL;
+
+-- 2. Rejection reason catalog. applies_to holds doc_id values or whole
+--    underscore-separated parts of them ('bank_statement' also matches
+--    'co_applicant_bank_statement'); empty = any document.
+CREATE TABLE IF NOT EXISTS document_rejection_reasons (
+    code TEXT PRIMARY KEY,
+    label TEXT NOT NULL,
+    guidance TEXT NOT NULL,                -- what the student should do, shown in the email and portal
+    applies_to TEXT[] DEFAULT '{}',
+    requires_remarks BOOLEAN DEFAULT FALSE,
+    sort_order INTEGER DEFAULT 100,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+INSERT INTO document_rejection_reasons (code, label, guidance, applies_to, requires_remarks, sort_order) VALUES
+    ('UNREADABLE', 'Blurry or unreadable', 'Scan the document again in good light, flat and in focus, so every word is readable.', '{}', FALSE, 10),
+    ('CROPPED', 'Edges cut off', 'Upload the full page with all four corners visible.', '{}', FALSE, 20),
+    ('MISSING_PAGES', 'Pages missing', 'Upload all pages of the document in a single PDF, including blank and back pages that carry stamps.', '{}', FALSE, 30),
+    ('WRONG_DOCUMENT', 'Wrong document uploaded', 'Check the document name in the portal and upload the matching document.', '{}', FALSE, 40),
+    ('NAME_MISMATCH', 'Name does not match passport', 'Your name must match your passport. Upload a corrected copy or an affidavit / gazette notification for the name change.', '{}', FALSE, 50),
+    ('EXPIRED', 'Document expired', 'Upload a currently valid document. Renew it first if needed.', '{}', FALSE, 60),
+    ('PASSWORD_PROTECTED', 'Password protected', 'Remove the password from the PDF (print to PDF) and upload it again.', '{}', FALSE, 70),
+    ('NOT_ATTESTED', 'Attestation / seal missing', 'Upload the copy carrying the institution''s seal and signature, or the attested copy.', '{}', FALSE, 80),
+    ('PASSPORT_VALIDITY', 'Passport validity too short', 'Your passport must be valid for the full course plus six months. Apply for a renewal and upload the new passport.', '{passport}', FALSE, 90),
+    ('PASSPORT_PAGES', 'Passport front / back page missing', 'Upload the first and last pages of the passport together in one file.', '{passport}', FALSE, 91),
+    ('STATEMENT_OUTDATED', 'Statement too old', 'Upload a statement issued within the last 30 days.', '{bank_statement}', FALSE, 100),
+    ('STATEMENT_NOT_STAMPED', 'Statement not stamped / signed by the bank', 'Get the statement stamped and signed by the bank, or download the digitally signed e-statement.', '{bank_statement}', FALSE, 101),
+    ('INSUFFICIENT_BALANCE', 'Balance below the required amount', 'The balance must cover the required funds. Your counsellor will share the amount and the options.', '{bank_statement}', FALSE, 102),
+    ('SCORE_NOT_VERIFIABLE', 'Test score not verifiable', 'Upload the official score report (TRF) showing the reference number.', '{ielts,toefl,pte,gre,gmat,duolingo}', FALSE, 110),
+    ('OTHER', 'Other', 'See the verifier''s remarks.', '{}', TRUE, 999)
+ON CONFLICT (code) DO NOTHING;
+
+-- 3. Version history (one row per upload)
+CREATE TABLE IF NOT EXISTS student_document_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    document_id UUID NOT NULL REFERENCES student_documents(id) ON DELETE CASCADE,
+    registration_id UUID REFERENCES registrations(id) ON DELETE CASCADE,
+    doc_id TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    file_path TEXT NOT NULL,
+    file_name TEXT NOT NULL,
+    file_size INTEGER,
+    mime_type TEXT,
+    content_hash TEXT,
+    issue_date DATE,
+    expiry_date DATE,
+    document_number TEXT,
+    uploaded_by UUID REFERENCES employees(id) ON DELETE SET NULL, -- NULL when the student uploaded
+    uploaded_by_role TEXT,                 -- STUDENT, STAFF
+    uploaded_at TIMESTAMPTZ DEFAULT NOW(),
+    -- Verification outcome of this version (latest action)
+    status TEXT DEFAULT 'UPLOADED' CHECK (status IN ('UPLOADED', 'VERIFIED', 'REJECTED')),
+    rejection_reasons JSONB DEFAULT '[]'::jsonb,
+    remarks TEXT,
+    verified_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    verified_role TEXT,                    -- COUNSELLOR, ADMISSION
+    verified_at TIMESTAMPTZ,
+    UNIQUE (document_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_student_document_versions_document ON student_document_versions(document_id, version DESC);
+
+-- Existing documents become version 1
+INSERT INTO student_document_versions (document_id, registration_id, doc_id, version, file_path, file_name, uploaded_by_role, uploaded_at, status, remarks, verified_by, verified_role, verified_at)
+SELECT d.id, d.registration_id, d.doc_id, 1, d.file_path, d.file_name, NULL, COALESCE(d.uploaded_at, NOW()),
+       CASE WHEN d.status IN ('VERIFIED', 'REJECTED') THEN d.status ELSE 'UPLOADED' END,
+       d.remarks, d.action_by, d.action_role, d.action_at
+FROM student_documents d
+WHERE NOT EXISTS (SELECT 1 FROM student_document_versions v WHERE v.document_id = d.id);
+
+-- 4. Expiry alerts sent (unique per document + expiry date + lead time)
+CREATE TABLE IF NOT EXISTS document_expiry_alerts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    document_id UUID NOT NULL REFERENCES student_documents(id) ON DELETE CASCADE,
+    registration_id UUID REFERENCES registrations(id) ON DELETE CASCADE,
+    expiry_date DATE NOT NULL,
+    days_before INTEGER NOT NULL,
+    recipient_id UUID REFERENCES employees(id) ON DELETE SET NULL,
+    sent_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (document_id, expiry_date, days_before)
+);
+
+ALTER TABLE document_rejection_reasons DISABLE ROW LEVEL SECURITY;
+ALTER TABLE student_document_versions DISABLE ROW LEVEL SECURITY;
+ALTER TABLE document_expiry_alerts DISABLE ROW LEVEL SECURITY;
+
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,24 @@
+-- ============================================================================
+-- DOCUMENT INSPECTION ON UPLOAD
+-- ============================================================================
+-- Result of the automatic checks run on every student document upload
+-- (src/services/documentInspection.service.js):
+--   { outcome, checks: [{ code, status: PASS|WARN|FAIL, message, value }], details, inspectedAt }
+-- FAILED uploads (corrupt / password-protected PDF, blank file) are refused
+-- unless staff override, so stored rows are normally PASSED or WARNING.
+
+ALTER TABLE student_documents
+ADD COLUMN IF NOT EXISTS inspection JSONB,
+ADD COLUMN IF NOT EXISTS inspection_status TEXT CHECK (inspection_status IN ('PASSED', 'WARNING', 'FAILED', 'UNCHECKED')),
+ADD COLUMN IF NOT EXISTS page_count INTEGER;
+
+ALTER TABLE student_document_versions
+ADD COLUMN IF NOT EXISTS inspection JSONB,
+ADD COLUMN IF NOT EXISTS inspection_status TEXT CHECK (inspection_status IN ('PASSED', 'WARNING', 'FAILED', 'UNCHECKED')),
+ADD COLUMN IF NOT EXISTS page_count INTEGER;
+
+-- Verifier queue: uploads whose checks need a look
+CREATE INDEX IF NOT EXISTS idx_student_documents_inspection ON student_documents(inspection_status)
+    WHERE inspection_status IN ('WARNING', 'FAILED');
+
+NOTIFY pgrst, 'reload schema';
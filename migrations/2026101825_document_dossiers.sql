@@ -0,0 +1,34 @@
+-- ============================================================================
+-- DOCUMENT DOSSIERS
+-- ============================================================================
+-- One merged PDF of a registration's verified documents (all, or a chosen
+-- subset) for universities and lenders: an index page, every document as
+-- pages (images converted) and a bookmark per document type. Files live in a
+-- private bucket and are shared as signed links.
+
+-- 1. Private bucket (no public read policy on purpose)
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('document-dossiers', 'document-dossiers', false)
+ON CONFLICT (id) DO UPDATE SET public = false;
+
+-- 2. One row per generated dossier
+CREATE TABLE IF NOT EXISTS document_dossiers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    registration_id UUID NOT NULL REFERENCES registrations(id) ON DELETE CASCADE,
+    file_path TEXT NOT NULL,
+    file_name TEXT NOT NULL,
+    file_size BIGINT,
+    page_count INTEGER DEFAULT 0,
+    document_count INTEGER DEFAULT 0,
+    document_ids UUID[] DEFAULT '{}',          -- student_documents merged, in dossier order
+    selected BOOLEAN DEFAULT FALSE,            -- built from a chosen subset instead of every verified document
+    contents JSONB NOT NULL DEFAULT '{}'::jsonb, -- index entries (page ranges) and documents left out
+    generated_by UUID REFERENCES employees(id) ON DELETE SET NULL,
+    generated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_dossiers_registration ON document_dossiers(registration_id, generated_at DESC);
+
+ALTER TABLE document_dossiers DISABLE ROW LEVEL SECURITY;
+
+NOTIFY pgrst, 'reload schema';
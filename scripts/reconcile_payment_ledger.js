@@ -0,0 +1,95 @@
+require('dotenv').config();
+const supabase = require('../src/config/supabaseClient');
+const ledgerService = require('../src/services/ledger.service');
+
+/**
+ * Compare the cached payment numbers (registrations.payment_details / payment_status,
+ * loan_applications.total_paid) with the payment ledger and report differences.
+ *
+ *   node scripts/reconcile_payment_ledger.js          # report only
+ *   node scripts/reconcile_payment_ledger.js --fix    # rewrite caches from the ledger
+ *
+ * The ledger is only written for registrations whose opening entries could not be
+ * posted at registration (payment_details.ledgerBackfill, or cached amounts with an
+ * empty ledger): --fix posts them from the cache first. Posting is idempotent.
+ */
+const FIX = process.argv.includes('--fix');
+const PAGE_SIZE = 500;
+
+const differs = (a, b) => Math.abs((Number(a) || 0) - (Number(b) || 0)) > 0.009;
+
+async function reconcile() {
+    console.log(`🔄 Reconciling payment caches against the ledger${FIX ? ' (fix mode)' : ''}...`);
+
+    let from = 0;
+    let checked = 0;
+    const mismatches = [];
+
+    while (true) {
+        const { data: registrations, error } = await supabase
+            .from('registrations')
+            .select('id, student_id, name, payment_status, payment_details, loan:loan_applications(id, total_paid)')
+            .order('created_at', { ascending: true })
+            .range(from, from + PAGE_SIZE - 1);
+
+        if (error) {
+            console.error('Error fetching registrations:', error.message);
+            process.exit(1);
+        }
+
+        for (const reg of registrations) {
+            checked++;
+            const summary = await ledgerService.getSummary(reg.id);
+            const regFee = ledgerService.feeSummary(summary, 'REGISTRATION_FEE');
+            const loanFee = summary.fees.find(f => f.feeType === 'LOAN_PROCESSING_FEE');
+            const cached = reg.payment_details || {};
+            const loan = Array.isArray(reg.loan) ? reg.loan[0] : reg.loan;
+
+            // Opening entries never reached the ledger: the cache is the only record
+            const needsBackfill = !!cached.ledgerBackfill
+                || (summary.entries.length === 0 && (Number(cached.totalAmount) > 0 || Number(cached.paidAmount) > 0));
+
+            if (needsBackfill) {
+                mismatches.push(reg.id);
+                console.log(`⚠️  ${reg.student_id || reg.id} (${reg.name}): ledger missing opening entries (cache: total ${cached.totalAmount}, paid ${cached.paidAmount})`);
+                if (FIX) {
+                    const pending = cached.ledgerBackfill || {};
+                    await ledgerService.postOpeningEntries({
+                        registrationId: reg.id,
+                        total: Number(cached.totalAmount) || 0,
+                        paid: Number(cached.paidAmount) || 0,
+                        method: pending.method || (cached.installments || [])[0]?.method || null,
+                        reference: pending.reference || null,
+                        schedule: pending.schedule || null,
+                        createdBy: pending.createdBy || null
+                    });
+                    await ledgerService.refreshCaches(reg.id);
+                    console.log('   ✔ opening entries posted from cache');
+                }
+                continue;
+            }
+
+            const problems = [];
+            if (differs(cached.totalAmount, regFee.charged)) problems.push(`totalAmount ${cached.totalAmount} ≠ ledger ${regFee.charged}`);
+            if (differs(cached.paidAmount, regFee.netPaid)) problems.push(`paidAmount ${cached.paidAmount} ≠ ledger ${regFee.netPaid}`);
+            if ((reg.payment_status || 'Pending') !== regFee.status) problems.push(`payment_status ${reg.payment_status} ≠ ledger ${regFee.status}`);
+            if (loan && loanFee && differs(loan.total_paid, loanFee.netPaid)) problems.push(`loan total_paid ${loan.total_paid} ≠ ledger ${loanFee.netPaid}`);
+
+            if (problems.length > 0) {
+                mismatches.push(reg.id);
+                console.log(`⚠️  ${reg.student_id || reg.id} (${reg.name}): ${problems.join('; ')}`);
+                if (FIX) {
+                    await ledgerService.refreshCaches(reg.id);
+                    console.log('   ✔ caches rewritten from ledger');
+                }
+            }
+        }
+
+        if (registrations.length < PAGE_SIZE) break;
+        from += PAGE_SIZE;
+    }
+
+    console.log(`✅ Checked ${checked} registration(s), ${mismatches.length} mismatch(es)${FIX ? ' fixed' : ''}.`);
+}
+
+reconcile().then(() => process.exit(0));
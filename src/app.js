@@ -182,6 +182,7 @@ const studyMaterialsRoutes = require('./routes/studyMaterials.routes');
 const successRoutes = require('./routes/success.routes');
 const trashRoutes = require('./routes/trash.routes');
 const documentRoutes = require('./routes/document.routes');
+const paymentsRoutes = require('./routes/payments.routes');
 
 const auth = require('./middleware/auth');
 const notificationsRoutes = require('./routes/notifications.routes');
@@ -204,8 +205,10 @@ app.use('/api/study-materials', studyMaterialsRoutes);
 app.use('/api/success', successRoutes);
 app.use('/api/trash', auth, trashRoutes);
 app.use('/api/documents', documentRoutes);
+app.use('/api/payments', auth, paymentsRoutes);
 app.use('/api/queries', require('./routes/queries.routes'));
 app.use('/api/emp-queries', require('./routes/empQueries.routes'));
+app.use('/api/realtime', require('./routes/realtime.routes'));
 
 // Health Check Endpoint
 app.get('/api/health', (req, res) => {
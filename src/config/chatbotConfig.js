@@ -27,7 +27,9 @@ const chatbotConfig = {
         {
             label: "Country List",
             patterns: ["countries", "which country", "destinations", "where do you provide", "list of countries"],
+            // Fallback only: the reply is built from the active catalog countries (see chatConversation)
             response: "We provide admissions for 12+ countries: USA, UK, Canada, Australia, Germany, Ireland, New Zealand, France, Sweden, Spain, Singapore, and UAE. Each country has different PR rules and costs. Which one would you like to know about?",
+            catalog: "countries",
             suggestions: ["Tell me about USA", "Tell me about UK", "Canada PR rules"]
         },
         {
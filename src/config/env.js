@@ -106,11 +106,46 @@ module.exports = {
   supportPhone: process.env.SUPPORT_PHONE || '+91 8712275590',
   companyAddress: process.env.COMPANY_ADDRESS || 'Medara Bazar, Chilakaluripet, AP',
 
+  // Billing (receipts & invoices). Ledger amounts are GST-inclusive; tax is backed out on documents.
+  companyGstin: process.env.COMPANY_GSTIN || '',
+  gstRate: parseFloat(process.env.GST_RATE || '18'),
+  gstSacCode: process.env.GST_SAC_CODE || '999293', // Education support services
+  receiptPrefix: process.env.RECEIPT_PREFIX || 'RCPT',
+  invoicePrefix: process.env.INVOICE_PREFIX || 'PI',
+
+  // Payment reminders: days relative to an installment's due date (negative = before)
+  dunningOffsets: (process.env.DUNNING_OFFSETS || '-3,0,7').split(',').map(d => parseInt(d.trim(), 10)).filter(Number.isInteger),
+  // ...then every DUNNING_REPEAT_DAYS after the last offset (0 = never), until DUNNING_MAX_OVERDUE_DAYS
+  dunningRepeatDays: parseInt(process.env.DUNNING_REPEAT_DAYS || '7', 10),
+  dunningMaxOverdueDays: parseInt(process.env.DUNNING_MAX_OVERDUE_DAYS || '60', 10),
+
+  // Admission applications: alert the owner this many days before a deadline
+  applicationDeadlineAlertDays: (process.env.APPLICATION_DEADLINE_ALERT_DAYS || '14,7,3,1').split(',').map(d => parseInt(d.trim(), 10)).filter(d => Number.isInteger(d) && d >= 0),
+
+  // Offer letters: remind student and owner this many days before the acceptance / deposit deadline
+  offerReminderDays: (process.env.OFFER_REMINDER_DAYS || '7,3,1,0').split(',').map(d => parseInt(d.trim(), 10)).filter(d => Number.isInteger(d) && d >= 0),
+
+  // Pre-departure checklists: nudge the student about overdue items at most once every N days until the intake starts
+  departureNudgeIntervalDays: Math.max(parseInt(process.env.DEPARTURE_NUDGE_INTERVAL_DAYS || '3', 10) || 3, 1),
+
+  // Student documents: alert the student and counsellor this many days before a document expires
+  documentExpiryAlertDays: (process.env.DOCUMENT_EXPIRY_ALERT_DAYS || '60,30,7,0').split(',').map(d => parseInt(d.trim(), 10)).filter(d => Number.isInteger(d) && d >= 0),
+
+  // Lender handoff packages: lifetime of the signed ZIP download link
+  handoffLinkTtlHours: parseInt(process.env.HANDOFF_LINK_TTL_HOURS || '72', 10),
+
+  // Document dossiers: lifetime of the signed PDF download link
+  dossierLinkTtlHours: parseInt(process.env.DOSSIER_LINK_TTL_HOURS || '72', 10),
+
   // Cloudinary
   cloudinaryCloudName: process.env.CLOUDINARY_CLOUD_NAME,
   cloudinaryApiKey: process.env.CLOUDINARY_API_KEY,
   cloudinaryApiSecret: process.env.CLOUDINARY_API_SECRET,
 
+  // Background Job Scheduler
+  schedulerEnabled: process.env.SCHEDULER_ENABLED !== 'false',
+  schedulerTimezone: process.env.SCHEDULER_TIMEZONE || 'Asia/Kolkata',
+
   // Testing/Development Bypasses
   // PRODUCTION SECURITY: OTP bypass is NEVER allowed in production
   skipOtp: isProduction ? false : (process.env.SKIP_OTP === 'true')
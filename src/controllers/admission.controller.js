@@ -2,6 +2,16 @@ const supabase = require('../config/supabaseClient');
 const logger = require('../utils/logger');
 const auditService = require('../services/audit.service');
 const workflowService = require('../services/workflow.service');
+const ledgerService = require('../services/ledger.service');
+const paymentDocumentService = require('../services/paymentDocument.service');
+const loanLifecycleService = require('../services/loanLifecycle.service');
+const loanCalculatorService = require('../services/loanCalculator.service');
+const loanChecklistService = require('../services/loanChecklist.service');
+const applicationPipelineService = require('../services/applicationPipeline.service');
+const applicationDeadlineService = require('../services/applicationDeadline.service');
+const catalogService = require('../services/catalog.service');
+const offerLetterService = require('../services/offerLetter.service');
+const visaCaseService = require('../services/visaCase.service');
 
 // ============================================================================
 // DASHBOARD & REGISTRATIONS
@@ -177,21 +187,114 @@ exports.claimRegistration = async (req, res) => {
 // ADMISSION APPLICATIONS
 // ============================================================================
 
+const isDate = (value) => !Number.isNaN(Date.parse(value));
+
+/**
+ * Map deadline / fee / portal / decision fields from the request body onto
+ * admission_applications columns. Only keys present in the body are returned.
+ * @returns {{fields: object, error: string|null}}
+ */
+const mapApplicationTracking = (body) => {
+    const fields = {};
+    const dateKeys = {
+        applicationDeadline: 'application_deadline',
+        submittedAt: 'submitted_at',
+        applicationFeePaidAt: 'application_fee_paid_at',
+        decisionDate: 'decision_date',
+        decisionExpectedBy: 'decision_expected_by'
+    };
+
+    for (const [key, column] of Object.entries(dateKeys)) {
+        if (body[key] === undefined) continue;
+        if (body[key] && !isDate(body[key])) return { fields, error: `${key} must be a valid date` };
+        fields[column] = body[key] || null;
+    }
+
+    if (body.applicationFeeAmount !== undefined) {
+        const amount = body.applicationFeeAmount === null || body.applicationFeeAmount === '' ? null : Number(body.applicationFeeAmount);
+        if (amount !== null && (Number.isNaN(amount) || amount < 0)) return { fields, error: 'Application fee must be a positive number' };
+        fields.application_fee_amount = amount;
+    }
+    if (body.applicationFeeCurrency !== undefined) fields.application_fee_currency = body.applicationFeeCurrency || null;
+    if (body.applicationFeePaid !== undefined) {
+        fields.application_fee_paid = !!body.applicationFeePaid;
+        if (fields.application_fee_paid && fields.application_fee_paid_at === undefined) {
+            fields.application_fee_paid_at = new Date().toISOString().slice(0, 10);
+        }
+    }
+    if (body.portalUrl !== undefined) fields.portal_url = body.portalUrl || null;
+    if (body.portalLoginId !== undefined) fields.portal_login_id = body.portalLoginId || null;
+    if (body.portalApplicationRef !== undefined) fields.portal_application_ref = body.portalApplicationRef || null;
+
+    if (body.requiredItems !== undefined) {
+        if (!Array.isArray(body.requiredItems)) return { fields, error: 'requiredItems must be an array' };
+        const items = [];
+        for (const item of body.requiredItems) {
+            const name = item && String(item.name || '').trim();
+            if (!name) return { fields, error: 'Every required item needs a name' };
+            if (item.dueDate && !isDate(item.dueDate)) return { fields, error: `Due date for "${name}" must be a valid date` };
+            items.push({
+                name,
+                dueDate: item.dueDate || null,
+                received: !!item.received,
+                receivedAt: item.received ? (item.receivedAt || new Date().toISOString().slice(0, 10)) : null
+            });
+        }
+        fields.required_items = items;
+    }
+
+    if (body.decision !== undefined) {
+        const decision = String(body.decision || 'PENDING').toUpperCase();
+        if (!applicationPipelineService.DECISIONS.includes(decision)) {
+            return { fields, error: `Decision must be one of ${applicationPipelineService.DECISIONS.join(', ')}` };
+        }
+        fields.decision = decision;
+        if (decision !== 'PENDING' && fields.decision_date === undefined) {
+            fields.decision_date = new Date().toISOString().slice(0, 10);
+        }
+    }
+    if (body.decisionNotes !== undefined) fields.decision_notes = body.decisionNotes || null;
+
+    return { fields, error: null };
+};
+
 // @route   POST api/admission/applications
 exports.createApplication = async (req, res) => {
     try {
         const { registrationId, university, course, intake, fees } = req.body;
 
+        const tracking = mapApplicationTracking(req.body);
+        if (tracking.error) return res.status(400).json({ msg: tracking.error });
+
+        const catalogRefs = catalogService.pickRefs(req.body);
+        const catalog = catalogRefs ? await catalogService.resolveRefs(catalogRefs) : null;
+        if (!university && !catalog?.labels.university) {
+            return res.status(400).json({ msg: 'University is required' });
+        }
+
+        // Defaults from the catalog program; anything sent explicitly wins
+        const programDefaults = {};
+        if (catalog?.program) {
+            const { program } = catalog;
+            if (program.application_fee !== null) {
+                programDefaults.application_fee_amount = program.application_fee;
+                programDefaults.application_fee_currency = program.application_fee_currency;
+            }
+            const deadline = intake && (program.application_deadlines || [])
+                .find(d => String(d.intake).toLowerCase() === String(intake).toLowerCase());
+            if (deadline) programDefaults.application_deadline = deadline.deadline;
+        }
+
         const { data: application, error } = await supabase
             .from('admission_applications')
             .insert({
                 registration_id: registrationId,
-                university,
-                course,
+                university: university || catalog.labels.university,
+                course: course || catalog?.labels.program,
                 intake,
                 fees: fees || { applicationFee: 0, tuitionFee: 0, currency: 'USD' },
                 // New Fields
-                program_name: req.body.programName,
+                program_name: req.body.programName || catalog?.labels.program,
                 course_duration: req.body.courseDuration,
                 tuition_fee: req.body.tuitionFee,
                 tuition_fee_currency: req.body.tuitionFeeCurrency || 'USD',
@@ -201,6 +304,12 @@ exports.createApplication = async (req, res) => {
                 campus_name: req.body.campusName,
                 campus_address: req.body.campusAddress,
                 admission_notes: req.body.admissionNotes,
+                ...(catalog ? catalog.ids : {}),
+                ...programDefaults,
+                ...tracking.fields,
+                ...(tracking.fields.decision && applicationPipelineService.DECISION_STATUS[tracking.fields.decision]
+                    ? { status: applicationPipelineService.DECISION_STATUS[tracking.fields.decision] }
+                    : {}),
                 assigned_to: req.user.id
             })
             .select()
@@ -218,6 +327,7 @@ exports.createApplication = async (req, res) => {
 
         res.json(application);
     } catch (err) {
+        if (err.status === 400) return res.status(400).json({ msg: err.message });
         logger.error(`createApplication Error: ${err.message}`);
         logger.error(`createApplication Full Error:`, err);
         res.status(500).json({ msg: 'Server Error', error: err.message, details: err.hint || err.details });
@@ -259,58 +369,314 @@ exports.updateApplicationStatus = async (req, res) => {
     }
 };
 
+// @route   GET api/admission/applications/pipeline
+// @desc    All applications across registrations grouped by status, with deadline flags
+//          (filter with ?intake=&university=&assignedTo=&dueWithin=&includeClosed=false)
+exports.getApplicationPipeline = async (req, res) => {
+    try {
+        if (req.user.role?.toUpperCase() === 'STUDENT') return res.status(403).json({ msg: 'Access denied: staff only' });
+
+        const dueWithin = req.query.dueWithin !== undefined ? parseInt(req.query.dueWithin, 10) : undefined;
+        if (dueWithin !== undefined && (Number.isNaN(dueWithin) || dueWithin < 0)) {
+            return res.status(400).json({ msg: 'dueWithin must be a non-negative number of days' });
+        }
+
+        const pipeline = await applicationPipelineService.getPipeline({
+            intake: req.query.intake,
+            university: req.query.university,
+            assignedTo: req.query.assignedTo === 'me' ? req.user.id : req.query.assignedTo,
+            dueWithin,
+            includeClosed: req.query.includeClosed !== 'false'
+        });
+
+        res.json(pipeline);
+    } catch (err) {
+        logger.error(`getApplicationPipeline Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   GET api/admission/applications/:id/deadline-alerts
+// @desc    Deadline alerts already sent for an application
+exports.getApplicationDeadlineAlerts = async (req, res) => {
+    try {
+        if (req.user.role?.toUpperCase() === 'STUDENT') return res.status(403).json({ msg: 'Access denied: staff only' });
+
+        const alerts = await applicationDeadlineService.getAlerts(req.params.id);
+        res.json(alerts);
+    } catch (err) {
+        logger.error(`getApplicationDeadlineAlerts Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
 // ============================================================================
 // OFFER LETTERS
 // ============================================================================
 
+/**
+ * Map offer terms from the request body onto offer_letters columns.
+ * Only keys present in the body are returned, so it works for partial updates.
+ * Conditions may be a list or pasted text (one per line); the deposit may be
+ * sent as text such as "GBP 5,000".
+ * @returns {{fields: object, error: string|null}}
+ */
+const mapOfferTerms = (body) => {
+    const fields = {};
+
+    if (body.offerType !== undefined) {
+        const offerType = String(body.offerType || '').toUpperCase();
+        if (!offerLetterService.OFFER_TYPES.includes(offerType)) {
+            return { fields, error: `Offer type must be one of ${offerLetterService.OFFER_TYPES.join(', ')}` };
+        }
+        fields.offer_type = offerType;
+        fields.status = offerLetterService.statusLabel(offerType);
+    }
+    if (body.conditions !== undefined) fields.conditions = offerLetterService.parseConditions(body.conditions);
+    if (body.programName !== undefined) fields.program_name = body.programName || null;
+    if (body.intake !== undefined) fields.intake = body.intake || null;
+
+    const dateKeys = {
+        issuedAt: 'issued_at',
+        acceptanceDeadline: 'acceptance_deadline',
+        depositDeadline: 'deposit_deadline',
+        depositPaidAt: 'deposit_paid_at',
+        casIssuedAt: 'cas_issued_at'
+    };
+    for (const [key, column] of Object.entries(dateKeys)) {
+        if (body[key] === undefined) continue;
+        if (body[key] && !isDate(body[key])) return { fields, error: `${key} must be a valid date` };
+        fields[column] = body[key] || null;
+    }
+
+    if (body.depositAmount !== undefined) {
+        const { amount, currency } = offerLetterService.parseMoney(body.depositAmount, body.depositCurrency || null);
+        if (body.depositAmount !== null && body.depositAmount !== '' && (amount === null || amount < 0)) {
+            return { fields, error: 'Deposit amount must be a positive number' };
+        }
+        fields.deposit_amount = amount;
+        if (currency) fields.deposit_currency = String(currency).toUpperCase();
+    }
+    if (body.depositCurrency !== undefined && fields.deposit_currency === undefined) {
+        fields.deposit_currency = body.depositCurrency ? String(body.depositCurrency).toUpperCase() : null;
+    }
+    if (body.depositPaid !== undefined) {
+        if (!body.depositPaid) fields.deposit_paid_at = null;
+        else if (!fields.deposit_paid_at) fields.deposit_paid_at = new Date().toISOString().slice(0, 10);
+    }
+    if (body.depositReference !== undefined) fields.deposit_reference = body.depositReference || null;
+
+    if (body.casStatus !== undefined) {
+        const casStatus = String(body.casStatus || '').toUpperCase();
+        if (!offerLetterService.CAS_STATUSES.includes(casStatus)) {
+            return { fields, error: `CAS / I-20 status must be one of ${offerLetterService.CAS_STATUSES.join(', ')}` };
+        }
+        fields.cas_status = casStatus;
+        if (casStatus === 'ISSUED' && fields.cas_issued_at === undefined) fields.cas_issued_at = new Date().toISOString().slice(0, 10);
+    }
+    if (body.casNumber !== undefined) fields.cas_number = body.casNumber || null;
+
+    return { fields, error: null };
+};
+
 // @route   POST api/admission/offer-letters
+// @desc    Upload an offer letter for an application, with its terms
+//          Body: { registrationId, applicationId, university, filePath, fileName, offerType?, conditions?,
+//                  acceptanceDeadline?, depositAmount?, depositCurrency?, depositDeadline?, casStatus?, ... }
 exports.uploadOfferLetter = async (req, res) => {
     try {
         const { registrationId, applicationId, university, status, filePath, fileName } = req.body;
 
+        if (!applicationId || !filePath) {
+            return res.status(400).json({ msg: 'Application and offer letter file are required' });
+        }
+
+        // Older screens send status 'Conditional' / 'Confirmed' instead of offerType
+        const terms = { ...req.body };
+        if (terms.offerType === undefined) terms.offerType = status === 'Confirmed' ? 'UNCONDITIONAL' : 'CONDITIONAL';
+
+        const { fields, error: termsError } = mapOfferTerms(terms);
+        if (termsError) return res.status(400).json({ msg: termsError });
+
+        const { data: current, error: currentError } = await supabase
+            .from('admission_applications')
+            .select('id, decision, program_name, course, intake')
+            .eq('id', applicationId)
+            .maybeSingle();
+
+        if (currentError) throw currentError;
+        if (!current) return res.status(404).json({ msg: 'Application not found' });
+
         // Update the application record directly with the offer letter URL
+        const applicationUpdate = {
+            offer_letter_url: filePath,
+            status: 'Approved',
+            updated_at: new Date().toISOString()
+        };
+        if (!current.decision || current.decision === 'PENDING') {
+            applicationUpdate.decision = fields.offer_type === 'UNCONDITIONAL' ? 'UNCONDITIONAL_OFFER' : 'CONDITIONAL_OFFER';
+            applicationUpdate.decision_date = fields.issued_at || new Date().toISOString().slice(0, 10);
+        }
+
         const { data: app, error } = await supabase
             .from('admission_applications')
-            .update({
-                offer_letter_url: filePath,
-                status: 'Approved', // Auto-set status if needed, or keep as passed
-                updated_at: new Date().toISOString()
-            })
+            .update(applicationUpdate)
             .eq('id', applicationId)
             .select()
             .single();
 
         if (error) throw error;
 
-        // Also keep the track in offer_letters table if we want a history, 
-        // but requirements emphasize "Offer Letter Upload (only visible if status = Approved)" linked to the app.
-        // Let's Insert into offer_letters as well for audit/history
-        await supabase
+        // Offer letters keep the terms and the acceptance decision per offer
+        const { data: offerLetter, error: offerError } = await supabase
             .from('offer_letters')
             .insert({
                 registration_id: registrationId,
                 application_id: applicationId,
-                university,
-                status: status || 'Approved',
+                university: university || app.university,
                 file_path: filePath,
-                file_name: fileName
-            });
+                file_name: fileName || filePath.split('/').pop(),
+                program_name: current.program_name || current.course || null,
+                intake: current.intake || null,
+                ...fields,
+                created_by: req.user.id
+            })
+            .select()
+            .single();
+
+        if (offerError) throw offerError;
 
         await auditService.logAction({
             employeeId: req.user.id,
             action: 'OFFER_LETTER_UPLOADED',
-            metadata: { registrationId, applicationId, university },
+            metadata: { registrationId, applicationId, university, offerLetterId: offerLetter.id, offerType: offerLetter.offer_type },
             ip: req.ip,
             userAgent: req.headers['user-agent']
         });
 
-        res.json(app);
+        res.json({ ...app, offerLetter: offerLetterService.decorate(offerLetter) });
     } catch (err) {
         logger.error(`uploadOfferLetter Error: ${err.message}`);
         res.status(500).json({ msg: 'Server Error', error: err.message });
     }
 };
 
+// @route   PATCH api/admission/offer-letters/:id
+// @desc    Update offer terms: conditions met, deposit paid, CAS / I-20 status, deadlines
+exports.updateOfferLetter = async (req, res) => {
+    try {
+        if (req.user.role?.toUpperCase() === 'STUDENT') return res.status(403).json({ msg: 'Access denied: staff only' });
+
+        const { fields, error: termsError } = mapOfferTerms(req.body);
+        if (termsError) return res.status(400).json({ msg: termsError });
+        if (Object.keys(fields).length === 0) return res.status(400).json({ msg: 'Nothing to update' });
+
+        const offer = await offerLetterService.getOffer(req.params.id);
+        if (!offer) return res.status(404).json({ msg: 'Offer letter not found' });
+
+        const { data: updated, error } = await supabase
+            .from('offer_letters')
+            .update({ ...fields, updated_at: new Date().toISOString() })
+            .eq('id', offer.id)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        // Deposit recorded as paid: close the task opened on acceptance
+        if (fields.deposit_paid_at && !offer.deposit_paid_at && offer.next_steps?.deposit?.taskId) {
+            await supabase
+                .from('admission_tasks')
+                .update({ status: 'COMPLETED', completed_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+                .eq('id', offer.next_steps.deposit.taskId)
+                .neq('status', 'COMPLETED');
+        }
+
+        const changes = [];
+        if (fields.offer_type && fields.offer_type !== offer.offer_type) changes.push(`offer now ${fields.offer_type.toLowerCase()}`);
+        if (fields.deposit_paid_at && !offer.deposit_paid_at) changes.push('deposit paid');
+        if (fields.cas_status && fields.cas_status !== offer.cas_status) changes.push(`CAS / I-20 ${fields.cas_status.toLowerCase().replace('_', ' ')}`);
+        if (fields.conditions) {
+            const met = fields.conditions.filter(c => c.met).length;
+            changes.push(`${met}/${fields.conditions.length} conditions met`);
+        }
+
+        if (changes.length > 0) {
+            await supabase.rpc('append_activity', {
+                registration_id: offer.registration_id,
+                new_activity: {
+                    user: req.user.name,
+                    action: 'Offer letter updated',
+                    notes: `${offer.university}: ${changes.join(', ')}`,
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: 'OFFER_LETTER_UPDATED',
+            metadata: { offerLetterId: offer.id, registrationId: offer.registration_id, fields: Object.keys(fields) },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.json(offerLetterService.decorate(updated));
+    } catch (err) {
+        logger.error(`updateOfferLetter Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   POST api/admission/offer-letters/:id/decision
+// @desc    Record the student's accept / decline decision (staff on behalf of the student).
+//          Acceptance opens the deposit task, loan application and visa case.
+//          Body: { decision: ACCEPTED|DECLINED, reason?, loanRequired?, loanAmount? }
+exports.decideOfferLetter = async (req, res) => {
+    try {
+        if (req.user.role?.toUpperCase() === 'STUDENT') return res.status(403).json({ msg: 'Access denied: staff only' });
+
+        const offer = await offerLetterService.getOffer(req.params.id);
+        if (!offer) return res.status(404).json({ msg: 'Offer letter not found' });
+
+        const decision = String(req.body.decision || '').toUpperCase();
+        const result = await offerLetterService.decide(offer, {
+            decision,
+            reason: req.body.reason || null,
+            loanRequired: req.body.loanRequired,
+            loanAmount: req.body.loanAmount,
+            user: req.user
+        });
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: decision === 'ACCEPTED' ? 'OFFER_ACCEPTED' : 'OFFER_DECLINED',
+            metadata: { offerLetterId: offer.id, registrationId: offer.registration_id, nextSteps: result.next_steps },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.json(result);
+    } catch (err) {
+        if (err.status === 400 || err.status === 409) return res.status(err.status).json({ msg: err.message });
+        logger.error(`decideOfferLetter Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   GET api/admission/offer-letters/:id/reminders
+// @desc    Acceptance / deposit reminders already sent for an offer
+exports.getOfferLetterReminders = async (req, res) => {
+    try {
+        if (req.user.role?.toUpperCase() === 'STUDENT') return res.status(403).json({ msg: 'Access denied: staff only' });
+
+        res.json(await offerLetterService.getReminders(req.params.id));
+    } catch (err) {
+        logger.error(`getOfferLetterReminders Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
 // @route   PATCH api/admission/applications/:id/details
 exports.updateApplicationDetails = async (req, res) => {
     try {
@@ -321,10 +687,22 @@ exports.updateApplicationDetails = async (req, res) => {
             status, rejectionReason, notes
         } = req.body;
 
+        const tracking = mapApplicationTracking(req.body);
+        if (tracking.error) return res.status(400).json({ msg: tracking.error });
+
         const updateData = {
+            ...tracking.fields,
             updated_at: new Date().toISOString()
         };
 
+        const catalogRefs = catalogService.pickRefs(req.body);
+        if (catalogRefs) {
+            const catalog = await catalogService.resolveRefs(catalogRefs);
+            Object.assign(updateData, catalog.ids);
+            if (catalog.labels.university) updateData.university = catalog.labels.university;
+            if (catalog.labels.program) updateData.program_name = catalog.labels.program;
+        }
+
         if (university) updateData.university = university;
         if (course) updateData.course = course;
         if (intake) updateData.intake = intake;
@@ -346,6 +724,10 @@ exports.updateApplicationDetails = async (req, res) => {
                 // Given "Mandatory notes field", we should enforce it if reason passed.
             }
             if (rejectionReason) updateData.rejection_reason = rejectionReason;
+        } else if (updateData.decision && applicationPipelineService.DECISION_STATUS[updateData.decision]) {
+            // A recorded decision moves the card to the matching pipeline column
+            updateData.status = applicationPipelineService.DECISION_STATUS[updateData.decision];
+            if (rejectionReason) updateData.rejection_reason = rejectionReason;
         }
 
         const { data: application, error } = await supabase
@@ -367,6 +749,7 @@ exports.updateApplicationDetails = async (req, res) => {
 
         res.json(application);
     } catch (err) {
+        if (err.status === 400) return res.status(400).json({ msg: err.message });
         logger.error(`updateApplicationDetails Error: ${err.message}`);
         res.status(500).json({ msg: 'Server Error', error: err.message });
     }
@@ -376,6 +759,16 @@ exports.updateApplicationDetails = async (req, res) => {
 // LOAN APPLICATIONS
 // ============================================================================
 
+const validateChecklistKeys = ({ coApplicantType, securityType }) => {
+    if (coApplicantType && !loanChecklistService.CO_APPLICANT_TYPES.includes(String(coApplicantType).toUpperCase())) {
+        return `Co-applicant type must be one of ${loanChecklistService.CO_APPLICANT_TYPES.join(', ')}`;
+    }
+    if (securityType && !loanChecklistService.SECURITY_TYPES.includes(String(securityType).toUpperCase())) {
+        return `Security type must be one of ${loanChecklistService.SECURITY_TYPES.join(', ')}`;
+    }
+    return null;
+};
+
 exports.getLoanApplication = async (req, res) => {
     try {
         const { data: loan, error } = await supabase
@@ -394,6 +787,8 @@ exports.getLoanApplication = async (req, res) => {
             loan.processing_fee = loan.processing_fee || 57000.00;
             loan.paid_amount = loan.paid_amount || loan.total_paid || 0;
             loan.remaining_amount = Math.max(0, loan.processing_fee - loan.paid_amount);
+            loan.status_label = loanLifecycleService.STATUS_LABELS[loan.status] || loan.status;
+            loan.allowed_transitions = loanLifecycleService.allowedTransitions(loan.status);
         }
 
         res.json(loan || null);
@@ -419,7 +814,10 @@ exports.upsertLoanApplication = async (req, res) => {
             coApplicantEmail,
             coApplicantPhone,
             relationship,
-            remarks
+            coApplicantType,
+            securityType,
+            remarks,
+            submit
         } = req.body;
 
         const { data: existing, error: fetchError } = await supabase
@@ -443,6 +841,12 @@ exports.upsertLoanApplication = async (req, res) => {
             updated_at: new Date().toISOString()
         };
 
+        // Checklist keys (see loanChecklist.service)
+        const checklistError = validateChecklistKeys({ coApplicantType, securityType });
+        if (checklistError) return res.status(400).json({ msg: checklistError });
+        if (coApplicantType !== undefined) loanData.co_applicant_type = coApplicantType ? String(coApplicantType).toUpperCase() : null;
+        if (securityType !== undefined) loanData.security_type = securityType ? String(securityType).toUpperCase() : null;
+
         let loan, error;
 
         if (existing) {
@@ -460,16 +864,24 @@ exports.upsertLoanApplication = async (req, res) => {
                 .insert({
                     registration_id: registrationId,
                     ...loanData,
+                    status: 'DRAFT',
+                    status_changed_at: new Date().toISOString(),
                     agent_id: req.user.role !== 'STUDENT' ? req.user.id : null
                 })
                 .select()
                 .single();
             loan = data;
             error = err;
+            if (!err) await loanLifecycleService.recordCreated(loan, req.user);
         }
 
         if (error) throw error;
 
+        // Saving the form never changes status, except the explicit Draft -> Submitted step
+        if (submit && loanLifecycleService.normalizeStatus(loan.status) === 'DRAFT') {
+            ({ loan } = await loanLifecycleService.transition(loan, 'SUBMITTED', { user: req.user }));
+        }
+
         await auditService.logAction({
             employeeId: req.user.role !== 'STUDENT' ? req.user.id : null,
             action: existing ? 'LOAN_APPLICATION_UPDATED' : 'LOAN_APPLICATION_SUBMITTED',
@@ -480,16 +892,20 @@ exports.upsertLoanApplication = async (req, res) => {
 
         res.json(loan);
     } catch (err) {
+        if (err.details) {
+            return res.status(err.status).json({ msg: err.message, ...err.details });
+        }
         logger.error(`upsertLoanApplication Error: ${err.message}`);
         res.status(500).json({ msg: 'Server Error', error: err.message });
     }
 };
 
 // @route   PATCH api/admission/loan/:id/status
-// @desc    Update loan status (Admission Dept Only)
+// @desc    Move a loan along its lifecycle (Admission Dept Only)
+//          Body: { status, reason, sanctionedAmount?, disbursedAmount?, disbursementDate? }
 exports.updateLoanStatus = async (req, res) => {
     try {
-        const { status, remarks } = req.body;
+        const { status, reason, remarks, sanctionedAmount, disbursedAmount, disbursementDate } = req.body;
 
         // Final Authority Check: Admission Dept / Admin Only
         const userRole = req.user.role;
@@ -500,7 +916,10 @@ exports.updateLoanStatus = async (req, res) => {
             return res.status(403).json({ msg: 'Forbidden: Only authorized staff can update loan status' });
         }
 
-        // Fetch current loan to validate transitions
+        if (!status) {
+            return res.status(400).json({ msg: 'Status is required' });
+        }
+
         const { data: currentLoan, error: fetchError } = await supabase
             .from('loan_applications')
             .select('*')
@@ -511,42 +930,67 @@ exports.updateLoanStatus = async (req, res) => {
             return res.status(404).json({ msg: 'Loan application not found' });
         }
 
-        // Rule 4: Co-Applicant mandatory when status >= Approved
-        const isApproving = ['Approved', 'Disbursed'].includes(status);
-        if (isApproving && !currentLoan.co_applicant_name) {
-            return res.status(400).json({ msg: 'Co-applicant details are mandatory before approving a loan' });
-        }
-
-        const updates = {
-            status,
-            remarks: remarks || currentLoan.remarks,
-            updated_at: new Date().toISOString()
-        };
-
-        const { data: loan, error } = await supabase
-            .from('loan_applications')
-            .update(updates)
-            .eq('id', req.params.id)
-            .select()
-            .single();
-
-        if (error) throw error;
+        // Amounts/dates the target state needs can be sent with the move itself
+        const updates = {};
+        if (sanctionedAmount !== undefined) updates.sanctioned_amount = sanctionedAmount;
+        if (disbursedAmount !== undefined) updates.disbursed_amount = disbursedAmount;
+        if (disbursementDate !== undefined) updates.loan_disbursement_date = disbursementDate;
+        if (remarks !== undefined) updates.remarks = remarks;
+
+        const { loan, history } = await loanLifecycleService.transition(currentLoan, status, {
+            reason: reason || remarks || null,
+            updates,
+            user: req.user
+        });
 
         await auditService.logAction({
             employeeId: req.user.id,
             action: 'LOAN_STATUS_UPDATED',
-            metadata: { loanId: req.params.id, status },
+            metadata: { loanId: req.params.id, from: history?.from_status, to: loan.status, reason: reason || remarks || null },
             ip: req.ip,
             userAgent: req.headers['user-agent']
         });
 
         res.json(loan);
     } catch (err) {
+        if (err.details) {
+            return res.status(err.status).json({ msg: err.message, ...err.details });
+        }
         logger.error(`updateLoanStatus Error: ${err.message}`);
         res.status(500).send('Server Error');
     }
 };
 
+// @route   GET api/admission/loan/:id/history
+// @desc    Status history of a loan (who, when, why) with the moves allowed next
+exports.getLoanStatusHistory = async (req, res) => {
+    try {
+        const { data: loan, error } = await supabase
+            .from('loan_applications')
+            .select('id, registration_id, status')
+            .eq('id', req.params.id)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!loan) return res.status(404).json({ msg: 'Loan application not found' });
+
+        if (req.user.role?.toUpperCase() === 'STUDENT' && loan.registration_id !== req.user.id) {
+            return res.status(403).json({ msg: 'Access denied' });
+        }
+
+        const history = await loanLifecycleService.getHistory(loan.id);
+
+        res.json({
+            status: loan.status,
+            allowedTransitions: loanLifecycleService.allowedTransitions(loan.status),
+            history
+        });
+    } catch (err) {
+        logger.error(`getLoanStatusHistory Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
 // @route   POST api/admission/loan/payment
 // @desc    Record a new loan payment
 exports.recordPayment = async (req, res) => {
@@ -575,30 +1019,69 @@ exports.recordPayment = async (req, res) => {
         // 2. Fetch current state to calculate totals
         const { data: loan, error: fetchError } = await supabase
             .from('loan_applications')
-            .select('total_paid, paid_amount, processing_fee')
+            .select('registration_id, total_paid, paid_amount, processing_fee')
             .eq('id', loanId)
             .single();
 
         if (fetchError) throw fetchError;
 
-        // Calculate new totals (Handle mismatch between legacy total_paid and new paid_amount)
-        const currentPaid = Math.max(Number(loan.total_paid) || 0, Number(loan.paid_amount) || 0);
-        const newTotal = currentPaid + Number(amount);
+        const processingFee = Number(loan.processing_fee) || 57000.00;
+        let newTotal;
+        let receipt = null;
+
+        if (loan.registration_id) {
+            // 3. Post to the ledger; loan_applications.total_paid is refreshed from it
+            await ledgerService.ensureCharge({
+                registrationId: loan.registration_id,
+                loanId,
+                feeType: 'LOAN_PROCESSING_FEE',
+                amount: processingFee,
+                notes: 'Loan processing fee',
+                createdBy: req.user.id
+            });
+            const entry = await ledgerService.postEntry({
+                registrationId: loan.registration_id,
+                loanId,
+                entryType: 'PAYMENT',
+                feeType: 'LOAN_PROCESSING_FEE',
+                amount,
+                method: req.body.method || null,
+                reference: req.body.reference || null,
+                notes,
+                entryDate: payment.payment_date,
+                source: 'loan_payment',
+                sourceRef: String(payment.id),
+                createdBy: req.user.id
+            });
 
-        // 3. Update BOTH columns to ensure consistency
-        const { error: updateError } = await supabase
-            .from('loan_applications')
-            .update({
-                total_paid: newTotal,
-                paid_amount: newTotal,
-                updated_at: new Date().toISOString()
-            })
-            .eq('id', loanId);
+            const summary = await ledgerService.refreshCaches(loan.registration_id);
+            const loanFee = summary && summary.fees.find(f => f.feeType === 'LOAN_PROCESSING_FEE');
+            newTotal = loanFee ? loanFee.netPaid : Number(amount);
 
-        if (updateError) throw updateError;
+            try {
+                receipt = await paymentDocumentService.issueReceipt(entry, { issuedBy: req.user.id });
+            } catch (receiptErr) {
+                logger.error(`Receipt generation failed for loan payment ${payment.id}: ${receiptErr.message}`);
+            }
+        } else {
+            // Calculate new totals (Handle mismatch between legacy total_paid and new paid_amount)
+            const currentPaid = Math.max(Number(loan.total_paid) || 0, Number(loan.paid_amount) || 0);
+            newTotal = currentPaid + Number(amount);
+
+            // 3. Update BOTH columns to ensure consistency
+            const { error: updateError } = await supabase
+                .from('loan_applications')
+                .update({
+                    total_paid: newTotal,
+                    paid_amount: newTotal,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', loanId);
+
+            if (updateError) throw updateError;
+        }
 
         // Calculate Remaining
-        const processingFee = loan.processing_fee || 57000.00;
         const remainingAmount = Math.max(0, processingFee - newTotal);
 
         // 4. Log Audit
@@ -614,7 +1097,8 @@ exports.recordPayment = async (req, res) => {
             success: true,
             payment,
             newTotalPaid: newTotal,
-            remainingAmount
+            remainingAmount,
+            receipt
         });
     } catch (err) {
         logger.error(`recordPayment Error: ${err.message}`);
@@ -639,13 +1123,16 @@ exports.updateLoanDetails = async (req, res) => {
             coApplicantName,
             coApplicantEmail,
             coApplicantPhone,
-            relationship
+            relationship,
+            coApplicantType,
+            securityType,
+            repaymentPlan
         } = req.body;
 
         // Fetch current loan for validation
         const { data: currentLoan } = await supabase
             .from('loan_applications')
-            .select('loan_amount')
+            .select('*')
             .eq('id', req.params.id)
             .single();
 
@@ -674,6 +1161,32 @@ exports.updateLoanDetails = async (req, res) => {
         if (coApplicantPhone !== undefined) updateData.co_applicant_phone = coApplicantPhone;
         if (relationship !== undefined) updateData.relationship = relationship;
 
+        // Checklist keys (see loanChecklist.service)
+        const checklistError = validateChecklistKeys({ coApplicantType, securityType });
+        if (checklistError) return res.status(400).json({ msg: checklistError });
+        if (coApplicantType !== undefined) updateData.co_applicant_type = coApplicantType ? String(coApplicantType).toUpperCase() : null;
+        if (securityType !== undefined) updateData.security_type = securityType ? String(securityType).toUpperCase() : null;
+
+        // Repayment plan (moratorium, disbursements) and EMI from the calculator
+        if (repaymentPlan !== undefined) updateData.repayment_plan = repaymentPlan || {};
+
+        // Recompute only when the terms change, so a partial update (e.g. a co-applicant phone)
+        // keeps the lender's EMI or the one set when an offer was accepted
+        const termsChanged = [interestRate, loanTenure, sanctionedAmount, repaymentPlan].some(v => v !== undefined);
+
+        if (emiAmount === undefined && termsChanged && currentLoan) {
+            try {
+                const result = loanCalculatorService.calculate(loanCalculatorService.inputFromLoan({ ...currentLoan, ...updateData }));
+                updateData.emi_amount = result.emi;
+            } catch (calcError) {
+                // Incomplete terms just leave the EMI as is; an invalid plan is the caller's error
+                if (repaymentPlan !== undefined && calcError.details) {
+                    return res.status(400).json({ msg: `Repayment plan: ${calcError.message}`, ...calcError.details });
+                }
+                if (!calcError.details) throw calcError;
+            }
+        }
+
         const { data: loan, error } = await supabase
             .from('loan_applications')
             .update(updateData)
@@ -698,15 +1211,11 @@ exports.updateLoanDetails = async (req, res) => {
     }
 };
 
-// @route   GET api/crm/admission/registrations
+// @route   GET api/admission/offer-letters/registration/:registrationId
+// @desc    Offer letters for a registration with deadline / deposit tracking
 exports.getOfferLetters = async (req, res) => {
     try {
-        const { data: offers, error } = await supabase
-            .from('offer_letters')
-            .select('*')
-            .eq('registration_id', req.params.registrationId);
-
-        if (error) throw error;
+        const offers = await offerLetterService.listForRegistration(req.params.registrationId);
         res.json(offers);
     } catch (err) {
         logger.error(`getOfferLetters Error: ${err.message}`);
@@ -969,6 +1478,12 @@ exports.updateAdmissionStatus = async (req, res) => {
 
         if (error) throw error;
 
+        // Admission secured: open the visa case (no-op if it already exists)
+        if (status === 'SUCCESS' || status === 'Approved') {
+            await visaCaseService.ensureCase(req.params.id, { user: req.user, reason: 'Admission approved' })
+                .catch(err => logger.error(`Visa case for ${req.params.id} failed: ${err.message}`));
+        }
+
         // Append activity log
         await supabase.rpc('append_activity', {
             registration_id: req.params.id,
@@ -1387,6 +1902,11 @@ exports.markAdmissionCompleted = async (req, res) => {
 
         if (error) throw error;
 
+        if (completed) {
+            await visaCaseService.ensureCase(req.params.id, { user: req.user, reason: 'Admission completed' })
+                .catch(err => logger.error(`Visa case for ${req.params.id} failed: ${err.message}`));
+        }
+
         await auditService.logAction({
             employeeId: req.user.id,
             action: completed ? 'ADMISSION_COMPLETED' : 'ADMISSION_COMPLETION_REVERSED',
@@ -1449,15 +1969,24 @@ exports.getSuccessRegistry = async (req, res) => {
 
         if (error) throw error;
 
-        const flattened = registrations.map(r => ({
+        const visas = await visaCaseService.summariesFor(registrations.map(r => r.id));
+
+        let flattened = registrations.map(r => ({
             ...r,
             fullName: r.name,
             full_name: r.name,
             loanOpted: r.workflow?.loanOpted,
             preferredCountry: r.workflow?.preferredCountry,
-            dob: r.workflow?.dob
+            dob: r.workflow?.dob,
+            visa: visas.get(r.id) || null
         }));
 
+        // ?visaStatus=GRANTED,REFUSED or ?visaStatus=NONE (no case yet)
+        if (req.query.visaStatus) {
+            const wanted = String(req.query.visaStatus).toUpperCase().split(',');
+            flattened = flattened.filter(r => wanted.includes(r.visa ? r.visa.status : 'NONE'));
+        }
+
         res.json(flattened);
     } catch (err) {
         logger.error(`getSuccessRegistry Error: ${err.message}`);
@@ -0,0 +1,228 @@
+const supabase = require('../config/supabaseClient');
+const logger = require('../utils/logger');
+const auditService = require('../services/audit.service');
+const leadService = require('../services/lead.service');
+
+const toArray = (value) => {
+    if (value === undefined || value === null || value === '') return [];
+    return Array.isArray(value) ? value.filter(v => v !== '' && v !== null) : [value];
+};
+
+/**
+ * Map the camelCase request body onto lead_assignment_rules columns.
+ * Only keys present in the body are returned, so it works for partial updates.
+ */
+const mapRuleBody = (body) => {
+    const fields = {
+        name: body.name,
+        description: body.description,
+        priority: body.priority !== undefined ? parseInt(body.priority) : undefined,
+        is_active: body.isActive,
+        match_service_types: body.serviceTypes !== undefined ? toArray(body.serviceTypes) : undefined,
+        match_countries: body.countries !== undefined ? toArray(body.countries) : undefined,
+        match_sources: body.sources !== undefined ? toArray(body.sources) : undefined,
+        match_department_ids: body.departmentIds !== undefined ? toArray(body.departmentIds) : undefined,
+        target_department_id: body.targetDepartmentId !== undefined ? (body.targetDepartmentId || null) : undefined,
+        target_employee_ids: body.targetEmployeeIds !== undefined ? toArray(body.targetEmployeeIds) : undefined,
+        eligible_roles: body.eligibleRoles !== undefined ? toArray(body.eligibleRoles) : undefined,
+        max_active_leads: body.maxActiveLeads !== undefined ? parseInt(body.maxActiveLeads) : undefined,
+        capacity_overrides: body.capacityOverrides,
+        preferred_skills: body.preferredSkills !== undefined ? toArray(body.preferredSkills) : undefined,
+        preferred_languages: body.preferredLanguages !== undefined ? toArray(body.preferredLanguages) : undefined,
+        skill_weight: body.skillWeight !== undefined ? parseInt(body.skillWeight) : undefined,
+        language_weight: body.languageWeight !== undefined ? parseInt(body.languageWeight) : undefined
+    };
+
+    Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+    return fields;
+};
+
+const validateRule = (rule) => {
+    if (rule.priority !== undefined && Number.isNaN(rule.priority)) return 'Priority must be a number';
+    if (rule.max_active_leads !== undefined && (Number.isNaN(rule.max_active_leads) || rule.max_active_leads < 0)) {
+        return 'Max active leads must be a non-negative number';
+    }
+    if (rule.capacity_overrides !== undefined) {
+        if (typeof rule.capacity_overrides !== 'object' || Array.isArray(rule.capacity_overrides)) {
+            return 'Capacity overrides must be an object keyed by employee id';
+        }
+        const invalid = Object.values(rule.capacity_overrides).some(v => Number.isNaN(parseInt(v)) || parseInt(v) < 0);
+        if (invalid) return 'Capacity overrides must be non-negative numbers';
+    }
+    return null;
+};
+
+// @route   GET api/admin/assignment-rules
+// @desc    List all lead assignment rules in evaluation order
+exports.getRules = async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('lead_assignment_rules')
+            .select(`
+                *,
+                target_department:departments(id, name),
+                creator:employees!lead_assignment_rules_created_by_fkey(name)
+            `)
+            .order('priority', { ascending: true })
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+        res.json(data);
+    } catch (err) {
+        logger.error(`getRules Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   POST api/admin/assignment-rules
+// @desc    Create a lead assignment rule
+exports.createRule = async (req, res) => {
+    try {
+        const rule = mapRuleBody(req.body);
+
+        if (!rule.name) {
+            return res.status(400).json({ msg: 'Rule name is required' });
+        }
+
+        const validationError = validateRule(rule);
+        if (validationError) return res.status(400).json({ msg: validationError });
+
+        const { data, error } = await supabase
+            .from('lead_assignment_rules')
+            .insert([{ ...rule, created_by: req.user.id, updated_by: req.user.id }])
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: 'ASSIGNMENT_RULE_CREATED',
+            metadata: { ruleId: data.id, name: data.name, priority: data.priority },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.status(201).json(data);
+    } catch (err) {
+        logger.error(`createRule Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   PUT api/admin/assignment-rules/:id
+// @desc    Update a lead assignment rule (partial)
+exports.updateRule = async (req, res) => {
+    try {
+        const updates = mapRuleBody(req.body);
+
+        const validationError = validateRule(updates);
+        if (validationError) return res.status(400).json({ msg: validationError });
+
+        const { data: oldRule } = await supabase
+            .from('lead_assignment_rules')
+            .select('*')
+            .eq('id', req.params.id)
+            .single();
+
+        if (!oldRule) return res.status(404).json({ msg: 'Rule not found' });
+
+        const { data, error } = await supabase
+            .from('lead_assignment_rules')
+            .update({ ...updates, updated_by: req.user.id, updated_at: new Date().toISOString() })
+            .eq('id', req.params.id)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: 'ASSIGNMENT_RULE_UPDATED',
+            metadata: { ruleId: data.id, changes: updates, previous: oldRule },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.json(data);
+    } catch (err) {
+        logger.error(`updateRule Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   DELETE api/admin/assignment-rules/:id
+// @desc    Delete a lead assignment rule
+exports.deleteRule = async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('lead_assignment_rules')
+            .delete()
+            .eq('id', req.params.id)
+            .select()
+            .single();
+
+        if (error || !data) return res.status(404).json({ msg: 'Rule not found' });
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: 'ASSIGNMENT_RULE_DELETED',
+            metadata: { ruleId: data.id, name: data.name },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.json({ msg: 'Rule deleted', id: data.id });
+    } catch (err) {
+        logger.error(`deleteRule Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   POST api/admin/assignment-rules/dry-run
+// @desc    Explain which employee would receive a lead, without assigning it.
+//          Accepts an existing leadId or ad-hoc lead attributes.
+exports.dryRun = async (req, res) => {
+    try {
+        const { leadId, serviceType, preferredCountry, source, departmentId } = req.body;
+
+        let lead;
+        if (leadId) {
+            const { data, error } = await supabase
+                .from('leads')
+                .select('*')
+                .eq('id', leadId)
+                .single();
+
+            if (error || !data) return res.status(404).json({ msg: 'Lead not found' });
+            lead = data;
+        } else {
+            lead = {
+                service_type: serviceType,
+                preferred_country: preferredCountry,
+                source,
+                department_id: departmentId
+            };
+        }
+
+        const result = await leadService.evaluateAssignment(lead, departmentId || null);
+
+        res.json({
+            lead: {
+                id: lead.id || null,
+                service_type: lead.service_type || null,
+                preferred_country: lead.preferred_country || null,
+                source: lead.source || lead.source_type || null,
+                department_id: departmentId || lead.department_id || null,
+                already_assigned: !!lead.is_assigned
+            },
+            selected: result.selected,
+            rule: result.rule,
+            explanation: result.explanation,
+            trace: result.trace
+        });
+    } catch (err) {
+        logger.error(`dryRun Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
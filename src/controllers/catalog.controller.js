@@ -0,0 +1,356 @@
+const supabase = require('../config/supabaseClient');
+const logger = require('../utils/logger');
+const auditService = require('../services/audit.service');
+const catalogService = require('../services/catalog.service');
+
+const isDate = (value) => !Number.isNaN(Date.parse(value));
+const optionalNumber = (value) => (value === null || value === '' ? null : Number(value));
+const optionalText = (value) => (value ? String(value).trim() : null);
+
+/**
+ * Per-entity table, body mapping (camelCase -> columns, only keys present) and validation.
+ */
+const ENTITIES = {
+    country: {
+        table: 'catalog_countries',
+        label: 'Country',
+        map: (body) => ({
+            code: body.code !== undefined ? String(body.code || '').trim().toUpperCase() : undefined,
+            name: body.name !== undefined ? String(body.name || '').trim() : undefined,
+            currency: body.currency !== undefined ? optionalText(body.currency)?.toUpperCase() || null : undefined,
+            description: body.description,
+            sort_order: body.sortOrder !== undefined ? parseInt(body.sortOrder, 10) : undefined,
+            is_active: body.isActive
+        }),
+        validate: (row, isCreate) => {
+            if (isCreate && (!row.code || !row.name)) return 'Country code and name are required';
+            if (row.code !== undefined && !/^[A-Z]{2}$/.test(row.code)) return 'Country code must be a 2-letter ISO code';
+            if (row.name !== undefined && !row.name) return 'Country name cannot be empty';
+            if (row.sort_order !== undefined && Number.isNaN(row.sort_order)) return 'Sort order must be a number';
+            return null;
+        }
+    },
+    university: {
+        table: 'catalog_universities',
+        label: 'University',
+        map: (body) => ({
+            country_id: body.countryId,
+            name: body.name !== undefined ? String(body.name || '').trim() : undefined,
+            city: body.city !== undefined ? optionalText(body.city) : undefined,
+            website: body.website !== undefined ? optionalText(body.website) : undefined,
+            world_ranking: body.worldRanking !== undefined ? optionalNumber(body.worldRanking) : undefined,
+            logo_url: body.logoUrl !== undefined ? optionalText(body.logoUrl) : undefined,
+            description: body.description,
+            is_active: body.isActive
+        }),
+        validate: (row, isCreate) => {
+            if (isCreate && (!row.country_id || !row.name)) return 'Country and university name are required';
+            if (row.name !== undefined && !row.name) return 'University name cannot be empty';
+            if (row.world_ranking !== undefined && row.world_ranking !== null && (!Number.isInteger(row.world_ranking) || row.world_ranking < 1)) {
+                return 'World ranking must be a positive whole number';
+            }
+            return null;
+        }
+    },
+    program: {
+        table: 'catalog_programs',
+        label: 'Program',
+        map: (body) => ({
+            university_id: body.universityId,
+            name: body.name !== undefined ? String(body.name || '').trim() : undefined,
+            level: body.level !== undefined ? String(body.level || '').toUpperCase() : undefined,
+            discipline: body.discipline !== undefined ? optionalText(body.discipline) : undefined,
+            duration_months: body.durationMonths !== undefined ? optionalNumber(body.durationMonths) : undefined,
+            intake_months: body.intakeMonths !== undefined
+                ? (Array.isArray(body.intakeMonths) ? [...new Set(body.intakeMonths.map(Number))].sort((a, b) => a - b) : body.intakeMonths)
+                : undefined,
+            tuition_fee: body.tuitionFee !== undefined ? optionalNumber(body.tuitionFee) : undefined,
+            tuition_currency: body.tuitionCurrency !== undefined ? optionalText(body.tuitionCurrency)?.toUpperCase() || null : undefined,
+            application_fee: body.applicationFee !== undefined ? optionalNumber(body.applicationFee) : undefined,
+            application_fee_currency: body.applicationFeeCurrency !== undefined ? optionalText(body.applicationFeeCurrency)?.toUpperCase() || null : undefined,
+            min_gpa: body.minGpa !== undefined ? optionalNumber(body.minGpa) : undefined,
+            gpa_scale: body.gpaScale !== undefined ? optionalNumber(body.gpaScale) : undefined,
+            min_ielts: body.minIelts !== undefined ? optionalNumber(body.minIelts) : undefined,
+            min_toefl: body.minToefl !== undefined ? optionalNumber(body.minToefl) : undefined,
+            min_pte: body.minPte !== undefined ? optionalNumber(body.minPte) : undefined,
+            min_gre: body.minGre !== undefined ? optionalNumber(body.minGre) : undefined,
+            min_gmat: body.minGmat !== undefined ? optionalNumber(body.minGmat) : undefined,
+            other_requirements: body.otherRequirements,
+            application_deadlines: body.applicationDeadlines,
+            program_url: body.programUrl !== undefined ? optionalText(body.programUrl) : undefined,
+            is_active: body.isActive
+        }),
+        validate: (row, isCreate) => {
+            if (isCreate && (!row.university_id || !row.name)) return 'University and program name are required';
+            if (row.name !== undefined && !row.name) return 'Program name cannot be empty';
+            if (row.level !== undefined && !catalogService.PROGRAM_LEVELS.includes(row.level)) {
+                return `Level must be one of ${catalogService.PROGRAM_LEVELS.join(', ')}`;
+            }
+            if (row.intake_months !== undefined
+                && (!Array.isArray(row.intake_months) || row.intake_months.some(m => !Number.isInteger(m) || m < 1 || m > 12))) {
+                return 'Intake months must be a list of month numbers (1-12)';
+            }
+            const numeric = ['duration_months', 'tuition_fee', 'application_fee', 'min_gpa', 'gpa_scale', 'min_ielts', 'min_toefl', 'min_pte', 'min_gre', 'min_gmat'];
+            const invalid = numeric.find(key => row[key] !== undefined && row[key] !== null && (Number.isNaN(row[key]) || row[key] < 0));
+            if (invalid) return `${invalid} must be a positive number`;
+            if (row.min_ielts !== undefined && row.min_ielts !== null && row.min_ielts > 9) return 'IELTS band cannot exceed 9';
+            if (row.min_gpa != null && row.gpa_scale != null && row.min_gpa > row.gpa_scale) return 'Minimum GPA cannot exceed the GPA scale';
+            if (row.application_deadlines !== undefined) {
+                if (!Array.isArray(row.application_deadlines)) return 'Application deadlines must be a list';
+                const bad = row.application_deadlines.find(d => !d || !d.intake || !d.deadline || !isDate(d.deadline));
+                if (bad) return 'Each application deadline needs an intake and a valid deadline date';
+            }
+            return null;
+        }
+    }
+};
+
+const clean = (row) => {
+    Object.keys(row).forEach(key => row[key] === undefined && delete row[key]);
+    return row;
+};
+
+const createEntity = async (type, req, res) => {
+    const entity = ENTITIES[type];
+    try {
+        const row = clean(entity.map(req.body));
+        const validationError = entity.validate(row, true);
+        if (validationError) return res.status(400).json({ msg: validationError });
+
+        const { data, error } = await supabase
+            .from(entity.table)
+            .insert([{ ...row, created_by: req.user.id, updated_by: req.user.id }])
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') return res.status(409).json({ msg: `${entity.label} already exists in the catalog` });
+            if (error.code === '23503') return res.status(400).json({ msg: `Parent record for this ${entity.label.toLowerCase()} was not found` });
+            throw error;
+        }
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: `CATALOG_${type.toUpperCase()}_CREATED`,
+            metadata: { id: data.id, name: data.name },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.status(201).json(data);
+    } catch (err) {
+        logger.error(`create catalog ${type} Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+const updateEntity = async (type, req, res) => {
+    const entity = ENTITIES[type];
+    try {
+        const updates = clean(entity.map(req.body));
+        const validationError = entity.validate(updates, false);
+        if (validationError) return res.status(400).json({ msg: validationError });
+
+        const { data, error } = await supabase
+            .from(entity.table)
+            .update({ ...updates, updated_by: req.user.id, updated_at: new Date().toISOString() })
+            .eq('id', req.params.id)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            if (error.code === '23505') return res.status(409).json({ msg: `${entity.label} already exists in the catalog` });
+            if (error.code === '23503') return res.status(400).json({ msg: `Parent record for this ${entity.label.toLowerCase()} was not found` });
+            throw error;
+        }
+        if (!data) return res.status(404).json({ msg: `${entity.label} not found` });
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: `CATALOG_${type.toUpperCase()}_UPDATED`,
+            metadata: { id: data.id, changes: updates },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.json(data);
+    } catch (err) {
+        logger.error(`update catalog ${type} Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// Leads, registrations and applications keep pointing at catalog rows, so
+// "delete" only retires the entry from pickers and the public API.
+const deactivateEntity = async (type, req, res) => {
+    const entity = ENTITIES[type];
+    try {
+        const { data, error } = await supabase
+            .from(entity.table)
+            .update({ is_active: false, updated_by: req.user.id, updated_at: new Date().toISOString() })
+            .eq('id', req.params.id)
+            .select()
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) return res.status(404).json({ msg: `${entity.label} not found` });
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: `CATALOG_${type.toUpperCase()}_DEACTIVATED`,
+            metadata: { id: data.id, name: data.name },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.json({ msg: `${entity.label} deactivated`, [type]: data });
+    } catch (err) {
+        logger.error(`deactivate catalog ${type} Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+const programFilters = (query) => ({
+    universityId: query.universityId,
+    countryId: query.countryId,
+    level: query.level,
+    intakeMonth: query.intakeMonth ? parseInt(query.intakeMonth, 10) || undefined : undefined,
+    search: query.search
+});
+
+// ============================================================================
+// PUBLIC (WEBSITE) READ API
+// ============================================================================
+
+// @route   GET api/public/catalog/countries
+// @desc    Active destination countries
+exports.getPublicCountries = async (req, res) => {
+    try {
+        res.json(await catalogService.listCountries({ columns: catalogService.PUBLIC_COUNTRY_COLUMNS }));
+    } catch (err) {
+        logger.error(`getPublicCountries Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   GET api/public/catalog/universities
+// @desc    Active universities (?countryId=&search=)
+exports.getPublicUniversities = async (req, res) => {
+    try {
+        res.json(await catalogService.listUniversities({
+            countryId: req.query.countryId,
+            search: req.query.search,
+            columns: catalogService.PUBLIC_UNIVERSITY_COLUMNS
+        }));
+    } catch (err) {
+        logger.error(`getPublicUniversities Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   GET api/public/catalog/programs
+// @desc    Active programs (?universityId=&countryId=&level=&intakeMonth=&search=)
+exports.getPublicPrograms = async (req, res) => {
+    try {
+        res.json(await catalogService.listPrograms({ ...programFilters(req.query), columns: catalogService.PUBLIC_PROGRAM_COLUMNS }));
+    } catch (err) {
+        logger.error(`getPublicPrograms Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   GET api/public/catalog/programs/:id
+// @desc    Program detail with entry requirements, fees and deadlines
+exports.getPublicProgram = async (req, res) => {
+    try {
+        const program = await catalogService.getProgram(req.params.id, { columns: catalogService.PUBLIC_PROGRAM_COLUMNS });
+        if (!program) return res.status(404).json({ msg: 'Program not found' });
+        res.json(program);
+    } catch (err) {
+        logger.error(`getPublicProgram Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// ============================================================================
+// STAFF CATALOG MANAGEMENT
+// ============================================================================
+
+// @route   GET api/admission/catalog/countries
+// @desc    All countries, including inactive with ?includeInactive=true
+exports.getCountries = async (req, res) => {
+    try {
+        res.json(await catalogService.listCountries({ includeInactive: req.query.includeInactive === 'true' }));
+    } catch (err) {
+        logger.error(`getCountries Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   GET api/admission/catalog/universities
+exports.getUniversities = async (req, res) => {
+    try {
+        res.json(await catalogService.listUniversities({
+            countryId: req.query.countryId,
+            search: req.query.search,
+            includeInactive: req.query.includeInactive === 'true'
+        }));
+    } catch (err) {
+        logger.error(`getUniversities Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   GET api/admission/catalog/programs
+exports.getPrograms = async (req, res) => {
+    try {
+        res.json(await catalogService.listPrograms({ ...programFilters(req.query), includeInactive: req.query.includeInactive === 'true' }));
+    } catch (err) {
+        logger.error(`getPrograms Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   GET api/admission/catalog/programs/:id
+exports.getProgram = async (req, res) => {
+    try {
+        const program = await catalogService.getProgram(req.params.id, { includeInactive: true });
+        if (!program) return res.status(404).json({ msg: 'Program not found' });
+        res.json(program);
+    } catch (err) {
+        logger.error(`getProgram Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   POST/PUT/DELETE api/admission/catalog/countries(/:id)
+exports.createCountry = (req, res) => createEntity('country', req, res);
+exports.updateCountry = (req, res) => updateEntity('country', req, res);
+exports.deleteCountry = (req, res) => deactivateEntity('country', req, res);
+
+// @route   POST/PUT/DELETE api/admission/catalog/universities(/:id)
+exports.createUniversity = (req, res) => createEntity('university', req, res);
+exports.updateUniversity = (req, res) => updateEntity('university', req, res);
+exports.deleteUniversity = (req, res) => deactivateEntity('university', req, res);
+
+// @route   POST/PUT/DELETE api/admission/catalog/programs(/:id)
+exports.createProgram = (req, res) => createEntity('program', req, res);
+exports.updateProgram = (req, res) => updateEntity('program', req, res);
+exports.deleteProgram = (req, res) => deactivateEntity('program', req, res);
+
+// @route   GET api/admission/catalog/reports/conversions
+// @desc    Leads -> registrations -> applications -> offers per catalog university (?from=&to=)
+exports.getConversionReport = async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        if ((from && !isDate(from)) || (to && !isDate(to))) {
+            return res.status(400).json({ msg: 'from and to must be valid dates' });
+        }
+
+        const rows = await catalogService.conversionsByUniversity({ from, to });
+        res.json({ from: from || null, to: to || null, rows });
+    } catch (err) {
+        logger.error(`getConversionReport Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
@@ -1,15 +1,97 @@
 const supabase = require('../config/supabaseClient');
 const logger = require('../utils/logger');
+const realtime = require('../services/realtime.service');
+const { uploadToSupabase, uploadThumbnail, deleteFromSupabase, generateSignedUrl } = require('../middleware/storage.middleware');
+
+const ATTACHMENT_BUCKET = 'chat-attachments';
+const ATTACHMENT_URL_TTL = 15 * 60; // Signed links are short-lived; clients re-request when needed
+
+const MESSAGE_SELECT = `
+    *,
+    sender:employees(id, name, profile_photo_url),
+    reactions:team_message_reactions(emoji, employee_id)
+`;
+
+const normalizeMessage = (msg) => ({
+    ...msg,
+    sender: Array.isArray(msg.sender) ? msg.sender[0] : msg.sender
+});
+
+/**
+ * Department chat is visible to members of the department and to admins.
+ */
+const canAccessDepartment = (user, departmentId) => {
+    return user.is_admin === true || user.role === 'super_admin' || user.departmentId === departmentId;
+};
+
+/**
+ * Upload a multipart chat file (compressed by the storage middleware) and build
+ * the metadata stored on the message row. Files never leave the private bucket
+ * except as signed URLs from the attachment endpoints.
+ */
+const storeAttachment = async (file) => {
+    const uploaded = await uploadToSupabase(file, ATTACHMENT_BUCKET);
+    const thumbnailPath = await uploadThumbnail(file, ATTACHMENT_BUCKET);
+
+    return {
+        path: uploaded.path,
+        thumbnail_path: thumbnailPath,
+        name: uploaded.fileName,
+        size: uploaded.size,
+        mime: file.mimetype,
+        extension: uploaded.extension,
+        bucket: ATTACHMENT_BUCKET
+    };
+};
+
+const removeAttachment = async (attachment) => {
+    if (!attachment) return;
+    await deleteFromSupabase(attachment.path, attachment.bucket || ATTACHMENT_BUCKET);
+    if (attachment.thumbnail_path) await deleteFromSupabase(attachment.thumbnail_path, attachment.bucket || ATTACHMENT_BUCKET);
+};
+
+/**
+ * Signed URLs for an attachment. Callers must have checked membership first.
+ */
+const signAttachment = async (attachment) => {
+    const bucket = attachment.bucket || ATTACHMENT_BUCKET;
+    return {
+        name: attachment.name,
+        size: attachment.size,
+        mime: attachment.mime,
+        extension: attachment.extension,
+        url: await generateSignedUrl(attachment.path, bucket, ATTACHMENT_URL_TTL),
+        thumbnail_url: attachment.thumbnail_path ? await generateSignedUrl(attachment.thumbnail_path, bucket, ATTACHMENT_URL_TTL) : null,
+        expires_in: ATTACHMENT_URL_TTL
+    };
+};
+
+/**
+ * Keep the parent's reply_count / last_reply_at in sync after a reply is added or removed.
+ */
+const refreshThreadStats = async (parentId) => {
+    const { data: replies, count } = await supabase
+        .from('team_messages')
+        .select('created_at', { count: 'exact' })
+        .eq('parent_id', parentId)
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+    const stats = { reply_count: count || 0, last_reply_at: replies?.[0]?.created_at || null };
+    await supabase.from('team_messages').update(stats).eq('id', parentId);
+    return stats;
+};
 
 // @route   POST api/chat/send
-// @desc    Send a message to department chat
+// @desc    Send a message to department chat (parent_id makes it a thread reply).
+//          Multipart: optional `file` field is uploaded as a private attachment.
 exports.sendMessage = async (req, res) => {
-    const { content, department_id, attachment_url } = req.body;
+    const { content, department_id, parent_id } = req.body;
 
     // Detailed logging for debugging 500 error
     logger.info(`[CHAT] Attempting to send message. User: ${JSON.stringify(req.user)}, Body: ${JSON.stringify(req.body)}`);
 
-    if (!content && !attachment_url) {
+    if (!content && !req.file) {
         return res.status(400).json({ msg: 'Message content or attachment required' });
     }
 
@@ -19,32 +101,55 @@ exports.sendMessage = async (req, res) => {
             return res.status(401).json({ msg: 'Unauthorized: User ID missing' });
         }
 
+        let targetDept = department_id || req.user.departmentId || req.user.department_id;
+        let threadRootId = null;
+
+        if (parent_id) {
+            const { data: parent } = await supabase
+                .from('team_messages')
+                .select('id, department_id, parent_id')
+                .eq('id', parent_id)
+                .maybeSingle();
+
+            if (!parent) return res.status(404).json({ msg: 'Parent message not found' });
+
+            // Threads are one level deep: replying to a reply attaches to the root
+            threadRootId = parent.parent_id || parent.id;
+            targetDept = parent.department_id;
+        }
+
+        const attachment = req.file ? await storeAttachment(req.file) : null;
+
         const { data, error } = await supabase
             .from('team_messages')
             .insert([
                 {
-                    content,
-                    department_id: department_id || req.user.department_id,
+                    content: content || '',
+                    department_id: targetDept,
                     sender_id: req.user.id,
-                    attachment_url
+                    attachment,
+                    parent_id: threadRootId
                 }
             ])
-            .select(`
-                *,
-                sender:employees(id, name, profile_photo_url)
-            `)
+            .select(MESSAGE_SELECT)
             .single();
 
         if (error) {
             logger.error(`[CHAT] Supabase Insert Error: ${JSON.stringify(error)}`);
+            await removeAttachment(attachment);
             throw error;
         }
 
         // Normalize response so frontend sees a clean sender object
-        const normalizedData = {
-            ...data,
-            sender: Array.isArray(data.sender) ? data.sender[0] : data.sender
-        };
+        const normalizedData = normalizeMessage(data);
+
+        // Live delivery to everyone connected in the department (including sender's other sessions)
+        realtime.emitToDepartment(normalizedData.department_id, 'chat:message', normalizedData);
+
+        if (threadRootId) {
+            const stats = await refreshThreadStats(threadRootId);
+            realtime.emitToDepartment(normalizedData.department_id, 'chat:thread_updated', { id: threadRootId, ...stats });
+        }
 
         res.json(normalizedData);
     } catch (err) {
@@ -54,29 +159,32 @@ exports.sendMessage = async (req, res) => {
 };
 
 // @route   GET api/chat/:deptId
-// @desc    Get chat history for a department
+// @desc    Get chat history for a department (top-level messages; ?includeReplies=true for all)
 exports.getMessages = async (req, res) => {
     const { deptId } = req.params;
-    const { limit = 50, offset = 0 } = req.query;
+    const { limit = 50, offset = 0, includeReplies } = req.query;
 
     try {
-        const { data, error } = await supabase
+        let query = supabase
             .from('team_messages')
             .select(`
-                *,
-                sender:employees(id, name, profile_photo_url)
+                ${MESSAGE_SELECT},
+                reads:team_message_reads(employee_id, read_at)
             `)
-            .eq('department_id', deptId)
+            .eq('department_id', deptId);
+
+        if (includeReplies !== 'true') {
+            query = query.is('parent_id', null);
+        }
+
+        const { data, error } = await query
             .order('created_at', { ascending: false })
             .range(offset, offset + limit - 1);
 
         if (error) throw error;
 
         // Normalize sender objects for all messages
-        const normalizedMessages = data.map(msg => ({
-            ...msg,
-            sender: Array.isArray(msg.sender) ? msg.sender[0] : msg.sender
-        }));
+        const normalizedMessages = data.map(normalizeMessage);
 
         res.json(normalizedMessages.reverse()); // Return in chronological order
     } catch (err) {
@@ -91,14 +199,36 @@ exports.deleteMessage = async (req, res) => {
     const { messageId } = req.params;
 
     try {
-        const { error } = await supabase
+        // Replies cascade with a thread root; collect their files before the rows are gone
+        const { data: replies, error: repliesError } = await supabase
+            .from('team_messages')
+            .select('attachment')
+            .eq('parent_id', messageId)
+            .not('attachment', 'is', null);
+
+        if (repliesError) throw repliesError;
+
+        const { data: deleted, error } = await supabase
             .from('team_messages')
             .delete()
             .eq('id', messageId)
-            .eq('sender_id', req.user.id);
+            .eq('sender_id', req.user.id)
+            .select('id, department_id, parent_id, attachment');
 
         if (error) throw error;
 
+        for (const msg of deleted || []) {
+            await removeAttachment(msg.attachment);
+            if (!msg.parent_id) {
+                for (const reply of replies || []) await removeAttachment(reply.attachment);
+            }
+            realtime.emitToDepartment(msg.department_id, 'chat:message_deleted', { id: msg.id, department_id: msg.department_id, parent_id: msg.parent_id });
+            if (msg.parent_id) {
+                const stats = await refreshThreadStats(msg.parent_id);
+                realtime.emitToDepartment(msg.department_id, 'chat:thread_updated', { id: msg.parent_id, ...stats });
+            }
+        }
+
         res.json({ msg: 'Message deleted' });
     } catch (err) {
         logger.error(`Delete Message Error: ${err.message}`);
@@ -106,6 +236,250 @@ exports.deleteMessage = async (req, res) => {
     }
 };
 
+// @route   PATCH api/chat/messages/:messageId
+// @desc    Edit a department message (Author only). Previous content is kept in team_message_edits.
+exports.editMessage = async (req, res) => {
+    const { messageId } = req.params;
+    const { content } = req.body;
+
+    if (!content || !content.trim()) {
+        return res.status(400).json({ msg: 'Message content required' });
+    }
+
+    try {
+        const { data: existing } = await supabase
+            .from('team_messages')
+            .select('id, content, sender_id')
+            .eq('id', messageId)
+            .maybeSingle();
+
+        if (!existing) return res.status(404).json({ msg: 'Message not found' });
+        if (existing.sender_id !== req.user.id) return res.status(403).json({ msg: 'You can only edit your own messages' });
+        if (existing.content === content) return res.status(400).json({ msg: 'No changes to save' });
+
+        const editedAt = new Date().toISOString();
+
+        const { error: historyError } = await supabase
+            .from('team_message_edits')
+            .insert([{
+                message_id: messageId,
+                previous_content: existing.content,
+                new_content: content,
+                edited_by: req.user.id,
+                edited_at: editedAt
+            }]);
+
+        if (historyError) throw historyError;
+
+        const { data, error } = await supabase
+            .from('team_messages')
+            .update({ content, is_edited: true, edited_at: editedAt })
+            .eq('id', messageId)
+            .select(MESSAGE_SELECT)
+            .single();
+
+        if (error) throw error;
+
+        const normalized = normalizeMessage(data);
+        realtime.emitToDepartment(normalized.department_id, 'chat:message_updated', normalized);
+
+        res.json(normalized);
+    } catch (err) {
+        logger.error(`Edit Message Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
+// @route   GET api/chat/messages/:messageId/history
+// @desc    Edit history of a department message (oldest first)
+exports.getEditHistory = async (req, res) => {
+    const { messageId } = req.params;
+
+    try {
+        const { data: message } = await supabase
+            .from('team_messages')
+            .select('id, department_id')
+            .eq('id', messageId)
+            .maybeSingle();
+
+        if (!message) return res.status(404).json({ msg: 'Message not found' });
+        if (!canAccessDepartment(req.user, message.department_id)) return res.status(403).json({ msg: 'Access denied' });
+
+        const { data, error } = await supabase
+            .from('team_message_edits')
+            .select('*, editor:employees(id, name)')
+            .eq('message_id', messageId)
+            .order('edited_at', { ascending: true });
+
+        if (error) throw error;
+
+        res.json(data);
+    } catch (err) {
+        logger.error(`Get Edit History Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
+// @route   GET api/chat/messages/:messageId/thread
+// @desc    Parent message with its replies in chronological order
+exports.getThread = async (req, res) => {
+    const { messageId } = req.params;
+
+    try {
+        const { data: parent, error: parentError } = await supabase
+            .from('team_messages')
+            .select(MESSAGE_SELECT)
+            .eq('id', messageId)
+            .maybeSingle();
+
+        if (parentError) throw parentError;
+        if (!parent) return res.status(404).json({ msg: 'Message not found' });
+        if (!canAccessDepartment(req.user, parent.department_id)) return res.status(403).json({ msg: 'Access denied' });
+
+        const { data: replies, error } = await supabase
+            .from('team_messages')
+            .select(MESSAGE_SELECT)
+            .eq('parent_id', parent.parent_id || parent.id)
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+
+        res.json({ parent: normalizeMessage(parent), replies: replies.map(normalizeMessage) });
+    } catch (err) {
+        logger.error(`Get Thread Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
+// @route   POST api/chat/messages/:messageId/react
+// @desc    Toggle an emoji reaction on a department message
+exports.toggleReaction = async (req, res) => {
+    const { messageId } = req.params;
+    const { emoji } = req.body;
+    const employee_id = req.user.id;
+
+    if (!emoji) return res.status(400).json({ msg: 'Emoji required' });
+
+    try {
+        const { data: message } = await supabase
+            .from('team_messages')
+            .select('id, department_id')
+            .eq('id', messageId)
+            .maybeSingle();
+
+        if (!message) return res.status(404).json({ msg: 'Message not found' });
+        if (!canAccessDepartment(req.user, message.department_id)) return res.status(403).json({ msg: 'Access denied' });
+
+        // Check if reaction exists
+        const { data: existing } = await supabase
+            .from('team_message_reactions')
+            .select('id')
+            .eq('message_id', messageId)
+            .eq('employee_id', employee_id)
+            .eq('emoji', emoji)
+            .maybeSingle();
+
+        let active;
+        if (existing) {
+            // Remove
+            const { error } = await supabase.from('team_message_reactions').delete().eq('id', existing.id);
+            if (error) throw error;
+            active = false;
+        } else {
+            // Add
+            const { error } = await supabase
+                .from('team_message_reactions')
+                .insert([{ message_id: messageId, employee_id, emoji }]);
+            if (error) throw error;
+            active = true;
+        }
+
+        realtime.emitToDepartment(message.department_id, 'chat:reaction', { messageId, emoji, userId: employee_id, active });
+
+        res.json({ msg: active ? 'Reaction added' : 'Reaction removed', active });
+    } catch (err) {
+        logger.error(`Toggle Chat Reaction Error: ${err.message}`);
+        res.status(500).json({ msg: 'Reaction failed' });
+    }
+};
+
+// @route   GET api/chat/search
+// @desc    Full-text search across the caller's department chat(s) and DMs.
+//          Query: q (required), scope (all|department|direct), department_id, sender_id, from, to, limit
+exports.searchMessages = async (req, res) => {
+    const { q, scope = 'all', department_id, sender_id, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 30, 100);
+    const userId = req.user.id;
+
+    if (!q || q.trim().length < 2) {
+        return res.status(400).json({ msg: 'Search query must be at least 2 characters' });
+    }
+
+    try {
+        const isAdmin = req.user.is_admin === true || req.user.role === 'super_admin';
+        const results = { department: [], direct: [] };
+
+        const applyFilters = (query) => {
+            query = query.textSearch('content', q.trim(), { type: 'websearch', config: 'simple' });
+            if (sender_id) query = query.eq('sender_id', sender_id);
+            if (from) query = query.gte('created_at', from);
+            if (to) query = query.lte('created_at', to);
+            return query.order('created_at', { ascending: false }).limit(limit);
+        };
+
+        if (scope === 'all' || scope === 'department') {
+            if (department_id && !canAccessDepartment(req.user, department_id)) {
+                return res.status(403).json({ msg: 'Access denied to that department' });
+            }
+
+            // Non-admins only search their own department; admins may search all
+            const deptFilter = department_id || (isAdmin ? null : req.user.departmentId);
+
+            if (deptFilter || isAdmin) {
+                let query = supabase
+                    .from('team_messages')
+                    .select('id, content, created_at, department_id, parent_id, sender:employees(id, name, profile_photo_url), department:departments(id, name)');
+
+                if (deptFilter) query = query.eq('department_id', deptFilter);
+
+                const { data, error } = await applyFilters(query);
+                if (error) throw error;
+                results.department = data.map(normalizeMessage);
+            }
+        }
+
+        if (scope === 'all' || scope === 'direct') {
+            const { data: convs, error: convError } = await supabase
+                .from('conversations')
+                .select('id')
+                .or(`participant_one.eq.${userId},participant_two.eq.${userId}`);
+
+            if (convError) throw convError;
+
+            const convIds = (convs || []).map(c => c.id);
+            if (convIds.length > 0) {
+                const { data, error } = await applyFilters(
+                    supabase
+                        .from('direct_messages')
+                        .select('id, content, created_at, conversation_id, sender_id, receiver_id, sender:employees(id, name, profile_photo_url)')
+                        .in('conversation_id', convIds)
+                );
+                if (error) throw error;
+                results.direct = data.map(normalizeMessage);
+            }
+        }
+
+        res.json({
+            query: q,
+            total: results.department.length + results.direct.length,
+            ...results
+        });
+    } catch (err) {
+        logger.error(`Search Messages Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
 // ==========================================
 // DIRECT MESSAGING (1-to-1)
 // ==========================================
@@ -129,15 +503,30 @@ exports.getConversations = async (req, res) => {
 
         if (error) throw error;
 
+        // Unread counts per conversation (messages to me without a read receipt)
+        const { data: unreadRows, error: unreadError } = await supabase
+            .from('direct_messages')
+            .select('conversation_id')
+            .eq('receiver_id', userId)
+            .is('read_at', null);
+
+        if (unreadError) throw unreadError;
+
+        const unreadMap = {};
+        (unreadRows || []).forEach(row => {
+            unreadMap[row.conversation_id] = (unreadMap[row.conversation_id] || 0) + 1;
+        });
+
         // Clean up participants to show "the other person"
         const formatted = data.map(conv => {
             const otherUser = conv.participant_one === userId ? conv.p2 : conv.p1;
             return {
                 id: conv.id,
-                otherUser,
+                otherUser: otherUser ? { ...otherUser, presence: realtime.getPresence(otherUser.id) } : otherUser,
                 last_message: conv.last_message,
                 last_message_at: conv.last_message_at,
-                updated_at: conv.updated_at
+                updated_at: conv.updated_at,
+                unread_count: unreadMap[conv.id] || 0
             };
         });
 
@@ -177,13 +566,20 @@ exports.getDirectMessages = async (req, res) => {
 // @route   POST api/chat/direct/send
 // @desc    Send a direct message
 exports.sendDirectMessage = async (req, res) => {
-    const { receiver_id, content, attachment_url } = req.body;
+    const { receiver_id, content } = req.body;
     const sender_id = req.user.id;
 
-    if (!content && !attachment_url) {
+    if (!content && !req.file) {
         return res.status(400).json({ msg: 'Content or attachment required' });
     }
 
+    if (!receiver_id) {
+        return res.status(400).json({ msg: 'Receiver required' });
+    }
+
+    // Conversation preview text; attachments without a caption show the file name
+    const preview = (content || `📎 ${req.file.originalname}`).substring(0, 100);
+
     try {
         // 1. Find or Create Conversation
         // Ensure participants are always sorted to maintain unique constraint (p1 < p2)
@@ -204,7 +600,7 @@ exports.sendDirectMessage = async (req, res) => {
                 .insert({
                     participant_one: participants[0],
                     participant_two: participants[1],
-                    last_message: content.substring(0, 100),
+                    last_message: preview,
                     last_message_at: new Date()
                 })
                 .select()
@@ -214,15 +610,19 @@ exports.sendDirectMessage = async (req, res) => {
             conv = newConv;
         }
 
-        // 2. Insert Message
+        // 2. Insert Message (delivered immediately if the receiver has a live session)
+        const attachment = req.file ? await storeAttachment(req.file) : null;
+        const receiverOnline = realtime.isOnline(receiver_id);
         const { data: message, error: msgError } = await supabase
             .from('direct_messages')
             .insert({
                 conversation_id: conv.id,
                 sender_id,
                 receiver_id,
-                content,
-                attachment_url
+                content: content || '',
+                attachment,
+                status: receiverOnline ? 'delivered' : 'sent',
+                delivered_at: receiverOnline ? new Date().toISOString() : null
             })
             .select(`
                 *,
@@ -230,21 +630,253 @@ exports.sendDirectMessage = async (req, res) => {
             `)
             .single();
 
-        if (msgError) throw msgError;
+        if (msgError) {
+            await removeAttachment(attachment);
+            throw msgError;
+        }
 
         // 3. Update Conversation Last Message
         await supabase
             .from('conversations')
             .update({
-                last_message: content.substring(0, 100),
+                last_message: preview,
                 last_message_at: new Date(),
                 updated_at: new Date()
             })
             .eq('id', conv.id);
 
+        realtime.emitToUsers([sender_id, receiver_id], 'dm:message', message);
+
         res.json(message);
     } catch (err) {
         logger.error(`Send Direct Message Error: ${err.message}`);
         res.status(500).send('Server Error');
     }
 };
+
+// ==========================================
+// LIVE SIGNALS (typing, presence, read receipts)
+// ==========================================
+
+/**
+ * Resolve a DM conversation and make sure the caller is a participant.
+ * @returns {Promise<object|null>} conversation row, or null if not found / not a member
+ */
+const getConversationForUser = async (conversationId, userId) => {
+    const { data: conv } = await supabase
+        .from('conversations')
+        .select('id, participant_one, participant_two')
+        .eq('id', conversationId)
+        .maybeSingle();
+
+    if (!conv || (conv.participant_one !== userId && conv.participant_two !== userId)) return null;
+    return conv;
+};
+
+// @route   POST api/chat/typing
+// @desc    Broadcast a typing indicator. Body: { department_id } or { conversation_id }, isTyping
+exports.sendTyping = async (req, res) => {
+    const { department_id, conversation_id, isTyping = true } = req.body;
+    const payload = { userId: req.user.id, name: req.user.name, isTyping: !!isTyping };
+
+    try {
+        if (conversation_id) {
+            const conv = await getConversationForUser(conversation_id, req.user.id);
+            if (!conv) return res.status(404).json({ msg: 'Conversation not found' });
+
+            const otherId = conv.participant_one === req.user.id ? conv.participant_two : conv.participant_one;
+            realtime.emitToUser(otherId, 'dm:typing', { ...payload, conversation_id });
+        } else {
+            const deptId = department_id || req.user.departmentId;
+            if (!deptId) return res.status(400).json({ msg: 'department_id or conversation_id required' });
+            if (!canAccessDepartment(req.user, deptId)) return res.status(403).json({ msg: 'Access denied' });
+
+            realtime.emitToDepartment(deptId, 'chat:typing', { ...payload, department_id: deptId }, { excludeUserId: req.user.id });
+        }
+
+        res.json({ ok: true });
+    } catch (err) {
+        logger.error(`Send Typing Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
+// @route   GET api/chat/presence
+// @desc    Presence of all employees (online/away from live sessions, offline with last seen)
+exports.getPresence = async (req, res) => {
+    try {
+        const { data: employees, error } = await supabase
+            .from('employees')
+            .select('id, name, department_id, last_seen_at')
+            .eq('status', 'ACTIVE');
+
+        if (error) throw error;
+
+        res.json(employees.map(emp => ({
+            userId: emp.id,
+            name: emp.name,
+            department_id: emp.department_id,
+            status: realtime.getPresence(emp.id),
+            lastSeenAt: emp.last_seen_at
+        })));
+    } catch (err) {
+        logger.error(`Get Presence Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
+// @route   POST api/chat/presence
+// @desc    Set own presence (online/away). Body: { status, clientId? } - clientId limits it to one session
+exports.updatePresence = async (req, res) => {
+    const { status, clientId } = req.body;
+
+    if (!['online', 'away'].includes(status)) {
+        return res.status(400).json({ msg: "Status must be 'online' or 'away'" });
+    }
+
+    try {
+        const before = realtime.getPresence(req.user.id);
+        const after = realtime.setStatus(req.user.id, status, clientId || null);
+
+        if (before !== after) {
+            realtime.broadcast('presence', { userId: req.user.id, status: after });
+        }
+
+        res.json({ userId: req.user.id, status: after });
+    } catch (err) {
+        logger.error(`Update Presence Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
+// @route   POST api/chat/:deptId/read
+// @desc    Record read receipts for department messages. Body: { messageIds: [] }
+exports.markTeamMessagesRead = async (req, res) => {
+    const { deptId } = req.params;
+    const { messageIds } = req.body;
+
+    if (!Array.isArray(messageIds) || messageIds.length === 0) {
+        return res.status(400).json({ msg: 'messageIds array required' });
+    }
+
+    if (!canAccessDepartment(req.user, deptId)) return res.status(403).json({ msg: 'Access denied' });
+
+    try {
+        // Only messages from this department, and never a receipt for your own message
+        const { data: messages, error } = await supabase
+            .from('team_messages')
+            .select('id')
+            .eq('department_id', deptId)
+            .neq('sender_id', req.user.id)
+            .in('id', messageIds.slice(0, 200));
+
+        if (error) throw error;
+        if (!messages || messages.length === 0) return res.json({ read: [] });
+
+        const readAt = new Date().toISOString();
+        const { error: insertError } = await supabase
+            .from('team_message_reads')
+            .upsert(
+                messages.map(m => ({ message_id: m.id, employee_id: req.user.id, read_at: readAt })),
+                { onConflict: 'message_id,employee_id', ignoreDuplicates: true }
+            );
+
+        if (insertError) throw insertError;
+
+        const ids = messages.map(m => m.id);
+        realtime.emitToDepartment(deptId, 'chat:read', { department_id: deptId, userId: req.user.id, messageIds: ids, read_at: readAt });
+
+        res.json({ read: ids, read_at: readAt });
+    } catch (err) {
+        logger.error(`Mark Team Read Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
+// @route   POST api/chat/direct/:conversationId/read
+// @desc    Mark all unread messages to me in a conversation as read and notify the sender
+exports.markDirectMessagesRead = async (req, res) => {
+    const { conversationId } = req.params;
+    const userId = req.user.id;
+
+    try {
+        const conv = await getConversationForUser(conversationId, userId);
+        if (!conv) return res.status(404).json({ msg: 'Conversation not found' });
+
+        const readAt = new Date().toISOString();
+        const { data: updated, error } = await supabase
+            .from('direct_messages')
+            .update({ read_at: readAt, is_read: true, status: 'read' })
+            .eq('conversation_id', conversationId)
+            .eq('receiver_id', userId)
+            .is('read_at', null)
+            .select('id, sender_id');
+
+        if (error) throw error;
+
+        const ids = (updated || []).map(m => m.id);
+        if (ids.length > 0) {
+            const otherId = conv.participant_one === userId ? conv.participant_two : conv.participant_one;
+            realtime.emitToUsers([otherId, userId], 'dm:read', { conversation_id: conversationId, readerId: userId, messageIds: ids, read_at: readAt });
+        }
+
+        res.json({ read: ids, read_at: readAt, unread_count: 0 });
+    } catch (err) {
+        logger.error(`Mark Direct Read Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
+// ==========================================
+// ATTACHMENTS (signed access for members only)
+// ==========================================
+
+// @route   GET api/chat/messages/:messageId/attachment
+// @desc    Signed URL (and thumbnail) for a department message attachment
+exports.getMessageAttachment = async (req, res) => {
+    try {
+        const { data: message } = await supabase
+            .from('team_messages')
+            .select('id, department_id, attachment')
+            .eq('id', req.params.messageId)
+            .maybeSingle();
+
+        if (!message) return res.status(404).json({ msg: 'Message not found' });
+        if (!canAccessDepartment(req.user, message.department_id)) return res.status(403).json({ msg: 'Access denied' });
+        if (!message.attachment) return res.status(404).json({ msg: 'Message has no attachment' });
+
+        const signed = await signAttachment(message.attachment);
+        if (!signed.url) return res.status(502).json({ msg: 'Could not generate file link' });
+
+        res.json(signed);
+    } catch (err) {
+        logger.error(`Get Message Attachment Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
+// @route   GET api/chat/direct/messages/:messageId/attachment
+// @desc    Signed URL (and thumbnail) for a DM attachment (conversation participants only)
+exports.getDirectMessageAttachment = async (req, res) => {
+    try {
+        const { data: message } = await supabase
+            .from('direct_messages')
+            .select('id, conversation_id, attachment')
+            .eq('id', req.params.messageId)
+            .maybeSingle();
+
+        if (!message) return res.status(404).json({ msg: 'Message not found' });
+
+        const conv = await getConversationForUser(message.conversation_id, req.user.id);
+        if (!conv) return res.status(403).json({ msg: 'Access denied' });
+        if (!message.attachment) return res.status(404).json({ msg: 'Message has no attachment' });
+
+        const signed = await signAttachment(message.attachment);
+        if (!signed.url) return res.status(502).json({ msg: 'Could not generate file link' });
+
+        res.json(signed);
+    } catch (err) {
+        logger.error(`Get Direct Attachment Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
@@ -5,6 +5,11 @@ const emailService = require('../services/email.service');
 const pdfService = require('../services/pdf.service');
 const validationService = require('../services/validation.service');
 const workflowService = require('../services/workflow.service');
+const leadService = require('../services/lead.service');
+const leadImportService = require('../services/leadImport.service');
+const ledgerService = require('../services/ledger.service');
+const paymentDocumentService = require('../services/paymentDocument.service');
+const catalogService = require('../services/catalog.service');
 const { generateStudentId } = require('../utils/generators');
 const bcrypt = require('bcryptjs');
 
@@ -40,6 +45,9 @@ exports.createLead = async (req, res) => {
             return res.status(400).json({ error: 'Validation Failed', details: 'Pincode must be exactly 6 digits' });
         }
 
+        const catalogRefs = catalogService.pickRefs(req.body);
+        const catalog = catalogRefs ? await catalogService.resolveRefs(catalogRefs) : null;
+
         // Counsellor logic: Auto-assign to self
         const isCounsellor = req.user.role === 'counsellor';
 
@@ -60,6 +68,12 @@ exports.createLead = async (req, res) => {
             status: 'ACTIVE'
         };
 
+        if (catalog) {
+            Object.assign(insertData, catalog.ids);
+            if (catalog.labels.university) insertData.university = catalog.labels.university;
+            if (catalog.labels.country) insertData.preferred_country = catalog.labels.country;
+        }
+
         // If added by counsellor, auto-assign
         if (isCounsellor) {
             insertData.assigned_to = req.user.id;
@@ -96,6 +110,7 @@ exports.createLead = async (req, res) => {
 
         res.json(lead);
     } catch (err) {
+        if (err.status === 400) return res.status(400).json({ error: 'Validation Failed', details: err.message });
         logger.error(`createLead Error: ${err.message}`);
         res.status(500).json({ error: 'Server Error', details: err.message });
     }
@@ -131,6 +146,14 @@ exports.updateLead = async (req, res) => {
             updated_at: new Date().toISOString()
         };
 
+        const catalogRefs = catalogService.pickRefs(req.body);
+        if (catalogRefs) {
+            const catalog = await catalogService.resolveRefs(catalogRefs);
+            Object.assign(updateData, catalog.ids);
+            if (catalog.labels.university) updateData.university = catalog.labels.university;
+            if (catalog.labels.country) updateData.preferred_country = catalog.labels.country;
+        }
+
         const { data: updatedLead, error } = await supabase
             .from('leads')
             .update(updateData)
@@ -151,6 +174,7 @@ exports.updateLead = async (req, res) => {
 
         res.json(updatedLead);
     } catch (err) {
+        if (err.status === 400) return res.status(400).json({ msg: err.message });
         logger.error(`updateLead Error: ${err.message}`);
         res.status(500).send('Server Error');
     }
@@ -252,6 +276,139 @@ exports.bulkUploadLeads = async (req, res) => {
     }
 };
 
+// @route   POST api/crm/leads/import
+// @desc    Import leads from a CSV/XLSX upload with a per-row validation report.
+//          Multipart fields: file, mapping (JSON { leadField: header }), autoAssign ('true'), sourceType
+exports.importLeads = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ msg: 'Please upload a CSV or XLSX file' });
+        }
+
+        let overrides = {};
+        if (req.body.mapping) {
+            try {
+                overrides = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+            } catch (e) {
+                return res.status(400).json({ msg: 'Column mapping must be valid JSON' });
+            }
+        }
+        const autoAssign = req.body.autoAssign === true || req.body.autoAssign === 'true';
+
+        let parsed;
+        try {
+            parsed = leadImportService.parseFile(req.file.buffer);
+        } catch (parseErr) {
+            return res.status(400).json({ msg: 'Could not read the uploaded file', details: parseErr.message });
+        }
+
+        if (parsed.rows.length === 0) {
+            return res.status(400).json({ msg: 'The uploaded file has no data rows' });
+        }
+
+        const { mapping, unmapped } = leadImportService.buildColumnMapping(parsed.headers, overrides);
+        if (!mapping.name || !mapping.phone) {
+            return res.status(400).json({
+                msg: 'Could not find Name and Phone columns. Rename the headers or send a column mapping.',
+                headers: parsed.headers,
+                mapping
+            });
+        }
+
+        let prepared;
+        try {
+            prepared = await leadImportService.prepareRows(parsed.rows, mapping);
+        } catch (prepErr) {
+            return res.status(400).json({ msg: prepErr.message });
+        }
+
+        const report = prepared.report;
+        const created = [];
+
+        const toInsert = ({ lead }) => ({
+            ...lead,
+            source_type: lead.source_type || req.body.sourceType || 'Bulk Import',
+            added_by: req.user.id,
+            department_id: req.user.departmentId,
+            status: 'ACTIVE',
+            is_assigned: false
+        });
+
+        // Insert in batches; if a batch fails, retry row by row so the report pinpoints the bad rows
+        for (let i = 0; i < prepared.toCreate.length; i += 500) {
+            const batch = prepared.toCreate.slice(i, i + 500);
+            const { data, error } = await supabase.from('leads').insert(batch.map(toInsert)).select();
+
+            if (!error) {
+                data.forEach((lead, idx) => created.push({ row: batch[idx].rowNumber, lead }));
+                continue;
+            }
+
+            logger.warn(`importLeads batch insert failed, retrying row by row: ${error.message}`);
+            for (const item of batch) {
+                const { data: lead, error: rowError } = await supabase.from('leads').insert(toInsert(item)).select().single();
+                if (rowError) {
+                    report.push({ row: item.rowNumber, status: 'REJECTED', reasons: [`Database error: ${rowError.message}`], name: item.lead.name });
+                } else {
+                    created.push({ row: item.rowNumber, lead });
+                }
+            }
+        }
+
+        // Same per-lead audit trail as a manual add
+        for (let i = 0; i < created.length; i += 500) {
+            const { error: auditError } = await supabase.from('lead_audit_logs').insert(
+                created.slice(i, i + 500).map(({ lead }) => ({
+                    lead_id: lead.id,
+                    action: 'ADD',
+                    performed_by: req.user.id,
+                    new_values: lead
+                }))
+            );
+            if (auditError) logger.warn(`importLeads audit log insert failed: ${auditError.message}`);
+        }
+
+        for (const { row, lead } of created) {
+            const entry = { row, status: 'CREATED', leadId: lead.id, name: lead.name, reasons: [] };
+            if (autoAssign) {
+                const assignee = await leadService.assignLead(lead.id);
+                entry.assignedTo = assignee ? { id: assignee.id, name: assignee.name } : null;
+                if (!assignee) entry.reasons.push('No eligible employee available - left in General Pool');
+            }
+            report.push(entry);
+        }
+
+        report.sort((a, b) => a.row - b.row);
+
+        const summary = {
+            totalRows: parsed.rows.length,
+            created: report.filter(r => r.status === 'CREATED').length,
+            skipped: report.filter(r => r.status === 'SKIPPED').length,
+            rejected: report.filter(r => r.status === 'REJECTED').length,
+            assigned: report.filter(r => r.assignedTo).length
+        };
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: 'BULK_LEAD_IMPORT',
+            metadata: { fileName: req.file.originalname, autoAssign, ...summary },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.json({
+            msg: `Imported ${summary.created} of ${summary.totalRows} rows`,
+            summary,
+            mapping,
+            unmappedColumns: unmapped,
+            report
+        });
+    } catch (err) {
+        logger.error(`importLeads Error: ${err.message}`);
+        res.status(500).json({ error: 'Lead Import Failed', details: err.message });
+    }
+};
+
 // @route   GET api/crm/leads/:id/audit
 exports.getLeadAuditLogs = async (req, res) => {
     try {
@@ -720,9 +877,9 @@ exports.registerStudent = async (req, res) => {
         const paymentMethod = req.body.paymentMethod || req.body.paymentMode || 'Cash';
         const loanOpted = req.body.loanOpted || false;
         const intake = req.body.intake;
-        const course = req.body.course;
-        const country = req.body.country;
         const paymentStatus = req.body.paymentStatus;
+        // Optional: [{ amount, dueDate, label }] adding up to the total fee
+        const installmentSchedule = req.body.installmentSchedule;
 
         const firstName = req.body.firstName;
         const lastName = req.body.lastName;
@@ -744,6 +901,15 @@ exports.registerStudent = async (req, res) => {
             return res.status(404).json({ error: 'Lead Not Found' });
         }
 
+        // Catalog selection made at conversion wins over the one captured on the lead
+        const catalog = await catalogService.resolveRefs(catalogService.pickRefs(req.body) || {
+            countryId: lead.country_id,
+            universityId: lead.university_id,
+            programId: lead.program_id
+        });
+        const course = req.body.course || catalog.labels.program;
+        const country = req.body.country || catalog.labels.country;
+
         const targetEmail = validationService.normalizeEmail(email || lead.email);
         const alreadyRegistered = await validationService.isEmailRegistered(targetEmail, req);
 
@@ -760,9 +926,18 @@ exports.registerStudent = async (req, res) => {
         const salt = await bcrypt.genSalt(10);
         const passwordHash = await bcrypt.hash(plainPassword, salt);
 
-        const total = amount || 0;
-        const paid = paidAmount || 0;
+        const total = Number(amount) || 0;
+        const paid = Number(paidAmount) || 0;
         const balance = total - paid;
+
+        if (installmentSchedule !== undefined) {
+            const scheduled = Array.isArray(installmentSchedule)
+                ? installmentSchedule.reduce((sum, i) => sum + (Number(i.amount) || 0), 0)
+                : NaN;
+            if (Math.abs(scheduled - total) > 0.01) {
+                return res.status(400).json({ error: 'INVALID_INSTALLMENT_SCHEDULE', details: `Installments must add up to ${total}` });
+            }
+        }
         const finalPaymentStatus = paymentStatus || (balance > 0 ? (paid > 0 ? 'Partial' : 'Pending') : 'Paid');
 
         const installments = [];
@@ -785,6 +960,7 @@ exports.registerStudent = async (req, res) => {
             phone: phone || lead.phone,
             course: course || lead.course || lead.university || lead.service_type || 'Unknown',
             intake: intake || 'Not Specified',
+            ...catalog.ids,
             status: 'Registered',
             payment_status: finalPaymentStatus,
             payment_details: { totalAmount: total, paidAmount: paid, balance: balance, installments: installments },
@@ -820,6 +996,49 @@ exports.registerStudent = async (req, res) => {
 
         await supabase.from('leads').update({ status: 'CONVERTED' }).eq('id', lead.id);
 
+        // Opening ledger entries (payment_details above is only the initial cache)
+        let paymentEntry = null;
+        try {
+            paymentEntry = await ledgerService.postOpeningEntries({
+                registrationId: registration.id,
+                total,
+                paid,
+                method: paymentMethod,
+                reference: req.body.paymentReference || null,
+                schedule: installmentSchedule || null,
+                createdBy: req.user.id
+            });
+            await ledgerService.refreshCaches(registration.id);
+        } catch (ledgerErr) {
+            // Keep the cached amounts and flag them, so the reconcile script posts them to the
+            // ledger instead of overwriting the cache with an empty ledger's zeros
+            logger.error(`Ledger posting failed for registration ${registration.id}: ${ledgerErr.message}`);
+            await supabase
+                .from('registrations')
+                .update({
+                    payment_details: {
+                        ...registrationData.payment_details,
+                        ledgerBackfill: {
+                            method: paymentMethod,
+                            reference: req.body.paymentReference || null,
+                            schedule: installmentSchedule || null,
+                            createdBy: req.user.id,
+                            error: ledgerErr.message,
+                            failedAt: new Date().toISOString()
+                        }
+                    }
+                })
+                .eq('id', registration.id);
+        }
+
+        if (paymentEntry) {
+            try {
+                await paymentDocumentService.issueReceipt(paymentEntry, { issuedBy: req.user.id });
+            } catch (receiptErr) {
+                logger.error(`Receipt generation failed for registration ${registration.id}: ${receiptErr.message}`);
+            }
+        }
+
         let pdfBuffer = null;
         try {
             pdfBuffer = await pdfService.generateRegistrationPDF({
@@ -862,6 +1081,7 @@ exports.registerStudent = async (req, res) => {
 
         res.json(registration);
     } catch (err) {
+        if (err.status === 400) return res.status(400).json({ error: 'Validation Failed', details: err.message });
         logger.error(`registerStudent Error: ${err.message}`);
         res.status(500).json({ error: 'Registration Failed', details: err.message });
     }
@@ -0,0 +1,348 @@
+const supabase = require('../config/supabaseClient');
+const logger = require('../utils/logger');
+const auditService = require('../services/audit.service');
+const departureChecklistService = require('../services/departureChecklist.service');
+
+const isStudent = (user) => user.role?.toUpperCase() === 'STUDENT';
+const isDate = (value) => !Number.isNaN(Date.parse(value));
+
+/**
+ * Map the camelCase request body onto departure_checklist_templates columns.
+ * Only keys present in the body are returned, so it works for partial updates.
+ */
+const mapTemplateBody = (body) => {
+    const upper = (v) => (v ? String(v).trim().toUpperCase() : null);
+    const fields = {
+        country: body.country !== undefined ? (body.country ? String(body.country).trim() : null) : undefined,
+        item_key: body.itemKey !== undefined ? String(body.itemKey).trim() : undefined,
+        label: body.label,
+        description: body.description,
+        category: body.category !== undefined ? upper(body.category) : undefined,
+        phase: body.phase !== undefined ? upper(body.phase) : undefined,
+        requirement: body.requirement !== undefined ? upper(body.requirement) : undefined,
+        due_offset_days: body.dueOffsetDays !== undefined
+            ? (body.dueOffsetDays === null || body.dueOffsetDays === '' ? null : parseInt(body.dueOffsetDays))
+            : undefined,
+        sort_order: body.sortOrder !== undefined ? parseInt(body.sortOrder) : undefined,
+        is_active: body.isActive
+    };
+
+    Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+    return fields;
+};
+
+const validateTemplate = (template) => {
+    if (template.category && !departureChecklistService.CATEGORIES.includes(template.category)) {
+        return `Category must be one of ${departureChecklistService.CATEGORIES.join(', ')}`;
+    }
+    if (template.phase && !departureChecklistService.PHASES.includes(template.phase)) {
+        return `Phase must be one of ${departureChecklistService.PHASES.join(', ')}`;
+    }
+    if (template.requirement && !departureChecklistService.REQUIREMENTS.includes(template.requirement)) {
+        return `Requirement must be one of ${departureChecklistService.REQUIREMENTS.join(', ')}`;
+    }
+    if (template.due_offset_days !== undefined && template.due_offset_days !== null && Number.isNaN(template.due_offset_days)) {
+        return 'Due offset must be a number of days (negative = before the intake starts)';
+    }
+    if (template.sort_order !== undefined && Number.isNaN(template.sort_order)) return 'Sort order must be a number';
+    return null;
+};
+
+// @route   GET api/admin/departure-checklists
+// @desc    All checklist template rows (filter with ?country=&phase=; ?country=default for rows that apply everywhere)
+exports.getTemplates = async (req, res) => {
+    try {
+        let query = supabase
+            .from('departure_checklist_templates')
+            .select('*')
+            .order('country', { ascending: true, nullsFirst: true })
+            .order('sort_order', { ascending: true });
+
+        if (req.query.country === 'default') query = query.is('country', null);
+        else if (req.query.country) query = query.ilike('country', req.query.country);
+        if (req.query.phase) query = query.eq('phase', String(req.query.phase).toUpperCase());
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        res.json(data);
+    } catch (err) {
+        logger.error(`getTemplates Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   POST api/admin/departure-checklists
+// @desc    Add a checklist template item (country omitted = every destination)
+exports.createTemplate = async (req, res) => {
+    try {
+        const template = mapTemplateBody(req.body);
+
+        if (!template.item_key || !template.label) {
+            return res.status(400).json({ msg: 'Item key and label are required' });
+        }
+
+        const validationError = validateTemplate(template);
+        if (validationError) return res.status(400).json({ msg: validationError });
+
+        const { data, error } = await supabase
+            .from('departure_checklist_templates')
+            .insert([{ ...template, created_by: req.user.id, updated_by: req.user.id }])
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({ msg: 'An item with this key already exists for the same country' });
+            }
+            throw error;
+        }
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: 'DEPARTURE_CHECKLIST_TEMPLATE_CREATED',
+            metadata: { templateId: data.id, itemKey: data.item_key, country: data.country },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.status(201).json(data);
+    } catch (err) {
+        logger.error(`createTemplate Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   PUT api/admin/departure-checklists/:id
+// @desc    Update a checklist template item (partial). Existing student checklists keep their copy.
+exports.updateTemplate = async (req, res) => {
+    try {
+        const updates = mapTemplateBody(req.body);
+
+        const validationError = validateTemplate(updates);
+        if (validationError) return res.status(400).json({ msg: validationError });
+
+        const { data, error } = await supabase
+            .from('departure_checklist_templates')
+            .update({ ...updates, updated_by: req.user.id, updated_at: new Date().toISOString() })
+            .eq('id', req.params.id)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({ msg: 'An item with this key already exists for the same country' });
+            }
+            throw error;
+        }
+        if (!data) return res.status(404).json({ msg: 'Template item not found' });
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: 'DEPARTURE_CHECKLIST_TEMPLATE_UPDATED',
+            metadata: { templateId: data.id, changes: updates },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.json(data);
+    } catch (err) {
+        logger.error(`updateTemplate Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   DELETE api/admin/departure-checklists/:id
+// @desc    Remove a checklist template item
+exports.deleteTemplate = async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('departure_checklist_templates')
+            .delete()
+            .eq('id', req.params.id)
+            .select()
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) return res.status(404).json({ msg: 'Template item not found' });
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: 'DEPARTURE_CHECKLIST_TEMPLATE_DELETED',
+            metadata: { templateId: data.id, itemKey: data.item_key, country: data.country },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.json({ msg: 'Template item deleted' });
+    } catch (err) {
+        logger.error(`deleteTemplate Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   GET api/admission/departure-checklists
+// @desc    Progress of every student's checklist, soonest intake first
+//          (filter with ?country=&search=&mine=true&overdueOnly=true&includeStarted=false)
+exports.getChecklists = async (req, res) => {
+    try {
+        if (isStudent(req.user)) return res.status(403).json({ msg: 'Access denied: staff only' });
+
+        let query = supabase
+            .from('departure_checklists')
+            .select('*, registration:registrations!inner(id, name, student_id, email, phone, is_deleted), visa_case:visa_cases(id, status, owner_id, owner:employees!owner_id(id, name)), items:departure_checklist_items(id, label, requirement, status, due_date, phase)')
+            .eq('registration.is_deleted', false)
+            .order('intake_start_date', { ascending: true, nullsFirst: false });
+
+        if (req.query.country) query = query.ilike('destination_country', `%${req.query.country}%`);
+        if (req.query.search) query = query.ilike('registration.name', `%${req.query.search}%`);
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        const today = departureChecklistService.today();
+        let checklists = (data || []).map(({ items, ...checklist }) => ({
+            ...checklist,
+            summary: departureChecklistService.summarize(items || [], today),
+            intakeStarted: !!checklist.intake_start_date && checklist.intake_start_date <= today
+        }));
+
+        if (req.query.mine === 'true') checklists = checklists.filter(c => c.visa_case?.owner_id === req.user.id);
+        if (req.query.overdueOnly === 'true') checklists = checklists.filter(c => c.summary.overdue > 0);
+        if (req.query.includeStarted === 'false') checklists = checklists.filter(c => !c.intakeStarted);
+
+        res.json({
+            total: checklists.length,
+            summary: {
+                complete: checklists.filter(c => c.summary.isComplete).length,
+                withOverdue: checklists.filter(c => c.summary.overdue > 0).length,
+                missingIntakeDate: checklists.filter(c => !c.intake_start_date).length
+            },
+            checklists
+        });
+    } catch (err) {
+        logger.error(`getChecklists Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   GET api/admission/registrations/:id/departure-checklist
+// @desc    A registration's checklist with items, progress and nudge history
+exports.getRegistrationChecklist = async (req, res) => {
+    try {
+        if (isStudent(req.user)) return res.status(403).json({ msg: 'Access denied: staff only' });
+
+        const checklist = await departureChecklistService.getChecklist(req.params.id);
+        if (!checklist) return res.status(404).json({ msg: 'No pre-departure checklist yet. It is created when the visa is granted.' });
+
+        const nudges = await departureChecklistService.getNudges(checklist.id);
+        res.json({ ...departureChecklistService.decorate(checklist), nudges });
+    } catch (err) {
+        logger.error(`getRegistrationChecklist Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   POST api/admission/registrations/:id/departure-checklist
+// @desc    Create the checklist without waiting for the visa grant. Body: { intakeStartDate? }
+exports.createRegistrationChecklist = async (req, res) => {
+    try {
+        if (isStudent(req.user)) return res.status(403).json({ msg: 'Access denied: staff only' });
+
+        const { intakeStartDate } = req.body;
+        if (intakeStartDate && !isDate(intakeStartDate)) return res.status(400).json({ msg: 'intakeStartDate must be a valid date' });
+
+        const { checklist, created } = await departureChecklistService.ensureChecklist(req.params.id, {
+            intakeStartDate: intakeStartDate || null,
+            user: req.user
+        });
+
+        if (created) {
+            await auditService.logAction({
+                employeeId: req.user.id,
+                action: 'DEPARTURE_CHECKLIST_CREATED',
+                metadata: { checklistId: checklist.id, registrationId: req.params.id },
+                ip: req.ip,
+                userAgent: req.headers['user-agent']
+            });
+        }
+
+        res.status(created ? 201 : 200).json(departureChecklistService.decorate(checklist));
+    } catch (err) {
+        if (err.status === 404) return res.status(404).json({ msg: err.message });
+        logger.error(`createRegistrationChecklist Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   PATCH api/admission/registrations/:id/departure-checklist
+// @desc    Correct the intake start date; due dates follow it. Body: { intakeStartDate }
+exports.updateRegistrationChecklist = async (req, res) => {
+    try {
+        if (isStudent(req.user)) return res.status(403).json({ msg: 'Access denied: staff only' });
+
+        const { intakeStartDate } = req.body;
+        if (!intakeStartDate || !isDate(intakeStartDate)) return res.status(400).json({ msg: 'A valid intakeStartDate is required' });
+
+        const checklist = await departureChecklistService.getChecklist(req.params.id);
+        if (!checklist) return res.status(404).json({ msg: 'Checklist not found' });
+
+        const date = new Date(intakeStartDate).toISOString().slice(0, 10);
+        await departureChecklistService.setIntakeStartDate(checklist, date);
+
+        await supabase.rpc('append_activity', {
+            registration_id: req.params.id,
+            new_activity: {
+                user: req.user.name,
+                action: 'Pre-departure checklist intake date updated',
+                notes: `${checklist.intake_start_date || 'Not set'} → ${date}`,
+                timestamp: new Date().toISOString()
+            }
+        });
+
+        res.json(departureChecklistService.decorate(await departureChecklistService.getChecklist(req.params.id)));
+    } catch (err) {
+        logger.error(`updateRegistrationChecklist Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   PATCH api/admission/departure-checklist-items/:itemId
+// @desc    Update an item for the student. Body: { status?: PENDING|DONE|NOT_APPLICABLE, notes?, dueDate? }
+exports.updateChecklistItem = async (req, res) => {
+    try {
+        if (isStudent(req.user)) return res.status(403).json({ msg: 'Access denied: staff only' });
+
+        const { status, notes, dueDate } = req.body;
+        if (dueDate && !isDate(dueDate)) return res.status(400).json({ msg: 'dueDate must be a valid date' });
+        if (status && !departureChecklistService.ITEM_STATUSES.includes(String(status).toUpperCase())) {
+            return res.status(400).json({ msg: `Status must be one of ${departureChecklistService.ITEM_STATUSES.join(', ')}` });
+        }
+
+        const { data: item, error } = await supabase
+            .from('departure_checklist_items')
+            .select('*')
+            .eq('id', req.params.itemId)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!item) return res.status(404).json({ msg: 'Checklist item not found' });
+
+        // A hand-set due date no longer follows the intake date
+        if (dueDate !== undefined) {
+            const { error: dueError } = await supabase
+                .from('departure_checklist_items')
+                .update({ due_date: dueDate || null, due_offset_days: null, updated_at: new Date().toISOString() })
+                .eq('id', item.id);
+
+            if (dueError) throw dueError;
+        }
+
+        const updated = await departureChecklistService.setItemStatus(item, status, { user: req.user, notes });
+        res.json(updated);
+    } catch (err) {
+        if (err.status === 400) return res.status(400).json({ msg: err.message });
+        logger.error(`updateChecklistItem Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
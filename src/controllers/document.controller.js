@@ -3,6 +3,9 @@ const supabase = require('../config/supabaseClient');
 const logger = require('../utils/logger');
 const auditService = require('../services/audit.service');
 const emailService = require('../services/email.service');
+const studentDocumentService = require('../services/studentDocument.service');
+const documentInspectionService = require('../services/documentInspection.service');
+const documentDossierService = require('../services/documentDossier.service');
 
 // @route   POST api/documents/upload
 // @desc    Upload a student document
@@ -16,13 +19,43 @@ exports.uploadDocument = async (req, res) => {
             return res.status(400).json({ msg: 'Please provide registrationId, docId and a file' });
         }
 
+        // Optional dates printed on the document (expiry derived from the issue date for test scores / statements)
+        const { dates, error: dateError } = studentDocumentService.resolveDates(docId, {
+            issueDate: req.body.issueDate || null,
+            expiryDate: req.body.expiryDate || null
+        });
+        if (dateError) return res.status(400).json({ msg: dateError });
+
+        // Inspect the original file (before compression). Unreadable files are refused here
+        // instead of being rejected by a verifier days later; staff may store them anyway.
+        const inspection = await documentInspectionService.inspect(file);
+        const isStaff = req.user && req.user.role?.toUpperCase() !== 'STUDENT';
+        const overrideChecks = isStaff && String(req.body.acceptFailedChecks) === 'true';
+
+        if (inspection.outcome === 'FAILED' && !overrideChecks) {
+            return res.status(422).json({
+                msg: documentInspectionService.failureMessage(inspection),
+                inspection
+            });
+        }
+
+        const fileDetails = {
+            ...dates,
+            document_number: req.body.documentNumber ? String(req.body.documentNumber).trim() : null,
+            mime_type: file.mimetype,
+            content_hash: studentDocumentService.hashFile(file.buffer),
+            inspection,
+            inspection_status: inspection.outcome,
+            page_count: inspection.details.pageCount || null
+        };
+
         // Upload to Supabase Storage in 'study-materials' bucket
         const uploadResult = await uploadToSupabase(file, 'study-materials');
 
         // Check if document exists first to avoid ON CONFLICT error (missing unique constraint)
         const { data: existingDoc, error: checkError } = await supabase
             .from('student_documents')
-            .select('id')
+            .select('id, version')
             .eq('registration_id', registrationId)
             .eq('doc_id', docId)
             .maybeSingle(); // Use maybeSingle to avoid 406 error if multiple found (though unlikely), or just to handle 0 results cleanly
@@ -36,14 +69,22 @@ exports.uploadDocument = async (req, res) => {
         let dbError;
 
         if (existingDoc) {
-            // Update existing
+            // Re-upload: becomes the next version. Earlier files and their outcomes stay in student_document_versions.
             const { data: updated, error: updateError } = await supabase
                 .from('student_documents')
                 .update({
                     file_path: uploadResult.path,
                     file_name: uploadResult.fileName,
+                    file_size: uploadResult.size,
+                    ...fileDetails,
+                    version: (existingDoc.version || 1) + 1,
                     status: 'UPLOADED', // Reset status on re-upload
                     remarks: null,      // Clear rejection remarks
+                    rejection_reasons: [],
+                    c_status: 'PENDING',
+                    c_remarks: null,
+                    a_status: 'PENDING',
+                    a_remarks: null,
                     uploaded_at: new Date().toISOString(),
                     updated_at: new Date().toISOString()
                 })
@@ -62,6 +103,9 @@ exports.uploadDocument = async (req, res) => {
                     doc_id: docId,
                     file_path: uploadResult.path,
                     file_name: uploadResult.fileName,
+                    file_size: uploadResult.size,
+                    ...fileDetails,
+                    version: 1,
                     status: 'UPLOADED',
                     uploaded_at: new Date().toISOString(),
                     updated_at: new Date().toISOString()
@@ -87,12 +131,26 @@ exports.uploadDocument = async (req, res) => {
             throw dbError;
         }
 
+        try {
+            await studentDocumentService.recordVersion(document, req.user);
+        } catch (versionErr) {
+            logger.error(`[VERSION_ERROR] recordVersion failed for ${document.id}: ${versionErr.message}`);
+        }
+
         // Log audit action
         try {
             await auditService.logAction({
                 employeeId: req.user?.id || null,
                 action: 'DOCUMENT_UPLOADED',
-                metadata: { registrationId, docId, documentId: document.id, by: req.user?.role || 'STUDENT' },
+                metadata: {
+                    registrationId,
+                    docId,
+                    documentId: document.id,
+                    version: document.version,
+                    by: req.user?.role || 'STUDENT',
+                    inspection: inspection.outcome,
+                    checksOverridden: inspection.outcome === 'FAILED'
+                },
                 ip: req.ip,
                 userAgent: req.headers['user-agent']
             });
@@ -101,10 +159,14 @@ exports.uploadDocument = async (req, res) => {
             // Don't throw here, the upload was successful
         }
 
+        const warnings = documentInspectionService.flags(inspection);
         res.json({
             success: true,
-            msg: 'Document uploaded successfully',
-            document
+            msg: warnings.length
+                ? `Document uploaded, but please check: ${warnings.map(w => w.message).join(' ')}`
+                : 'Document uploaded successfully',
+            document,
+            warnings
         });
     } catch (err) {
         logger.error(`[UPLOAD_FATAL_ERROR] ${err.message}`);
@@ -123,19 +185,57 @@ exports.uploadDocument = async (req, res) => {
 // @access  Employee (Internal)
 exports.verifyDocument = async (req, res) => {
     try {
-        const { status, remarks } = req.body;
+        const { status, reasonCodes, reasonCode, documentNumber } = req.body;
+        let { remarks } = req.body;
         const { id } = req.params;
 
         if (!['VERIFIED', 'REJECTED'].includes(status)) {
             return res.status(400).json({ msg: 'Invalid status. Use VERIFIED or REJECTED' });
         }
 
+        // Fetch current doc to calculate combined status
+        const { data: currentDoc, error: fetchError } = await supabase
+            .from('student_documents')
+            .select('id, doc_id, version, c_status, a_status, issue_date, expiry_date, document_number')
+            .eq('id', id)
+            .maybeSingle();
+
+        if (fetchError) throw fetchError;
+        if (!currentDoc) return res.status(404).json({ msg: 'Document not found' });
+
+        // Verifiers may record or correct the dates printed on the document
+        const { dates, error: dateError } = studentDocumentService.resolveDates(currentDoc.doc_id, {
+            issueDate: req.body.issueDate,
+            expiryDate: req.body.expiryDate
+        });
+        if (dateError) return res.status(400).json({ msg: dateError });
+
+        // Rejections use the standard reason catalog so students get consistent guidance
+        let reasons = [];
+        if (status === 'REJECTED') {
+            const resolved = await studentDocumentService.resolveRejectionReasons(reasonCodes ?? reasonCode, currentDoc.doc_id, remarks);
+            if (resolved.error) return res.status(400).json({ msg: resolved.error });
+            reasons = resolved.reasons;
+            if (!remarks) remarks = reasons.map(r => r.label).join('; ');
+        } else {
+            const rule = studentDocumentService.expiryRuleFor(currentDoc.doc_id);
+            const expiryDate = dates.expiry_date !== undefined ? dates.expiry_date : currentDoc.expiry_date;
+            if (rule?.expiryRequired && !expiryDate) {
+                return res.status(400).json({ msg: `Record the ${rule.label.toLowerCase()} expiry date before verifying it` });
+            }
+            if (expiryDate && expiryDate < studentDocumentService.today()) {
+                return res.status(400).json({ msg: `This document expired on ${expiryDate}. Reject it with the EXPIRED reason instead.` });
+            }
+        }
+
         // Determine action role based on user department or role
         const actionRole = req.user.dept?.toUpperCase() === 'ADMISSION' ? 'ADMISSION' : 'COUNSELLOR';
 
         const updateData = {
+            ...dates,
             updated_at: new Date().toISOString()
         };
+        if (documentNumber !== undefined) updateData.document_number = documentNumber ? String(documentNumber).trim() : null;
 
         if (actionRole === 'ADMISSION') {
             updateData.a_status = status;
@@ -149,13 +249,6 @@ exports.verifyDocument = async (req, res) => {
             updateData.c_at = new Date().toISOString();
         }
 
-        // Fetch current doc to calculate combined status
-        const { data: currentDoc } = await supabase
-            .from('student_documents')
-            .select('c_status, a_status')
-            .eq('id', id)
-            .single();
-
         // Calculate final status
         // Rules: 
         // 1. If either is REJECTED -> status = REJECTED
@@ -176,6 +269,10 @@ exports.verifyDocument = async (req, res) => {
             updateData.status = 'UPLOADED';
         }
 
+        // Keep the reasons of a standing rejection when the other reviewer verifies
+        if (status === 'REJECTED') updateData.rejection_reasons = reasons.map(r => r.code);
+        else if (updateData.status !== 'REJECTED') updateData.rejection_reasons = [];
+
         // Compatibility for old fields
         updateData.remarks = remarks;
         updateData.action_by = req.user.id;
@@ -191,18 +288,32 @@ exports.verifyDocument = async (req, res) => {
 
         if (error) throw error;
 
+        await studentDocumentService.recordOutcome(document, {
+            status: updateData.status,
+            reasons: updateData.rejection_reasons,
+            remarks,
+            user: req.user,
+            role: actionRole
+        });
+
         // If rejected, send email notification to student
         if (status === 'REJECTED') {
             try {
                 const student = document.registrations;
                 if (student && student.email) {
+                    const reasonList = reasons
+                        .map(r => `<li><strong>${r.label}</strong> — ${r.guidance}</li>`)
+                        .join('');
+                    const extraRemarks = req.body.remarks ? `<p><strong>Verifier's remarks:</strong> ${req.body.remarks}</p>` : '';
+
                     await emailService.sendEmail(
                         student.email,
                         `Action Required: Document Rejected - ${document.doc_id}`,
                         `<h2>Document Rejection Notice</h2>
                          <p>Dear ${student.name},</p>
                          <p>Your document "<strong>${document.doc_id}</strong>" has been rejected because:</p>
-                         <p style="color: red; background: #fff5f5; padding: 10px; border-radius: 4px;">${remarks || 'No reason specified'}</p>
+                         <ul style="color: #b91c1c; background: #fff5f5; padding: 10px 10px 10px 28px; border-radius: 4px;">${reasonList}</ul>
+                         ${extraRemarks}
                          <p>Please log in to your Student Portal to re-upload the correct document.</p>
                          <p>Thank you,<br/>Team JV Overseas</p>`
                     );
@@ -220,7 +331,9 @@ exports.verifyDocument = async (req, res) => {
                 documentId: id,
                 registrationId: document.registration_id,
                 role: actionRole,
-                doc_id: document.doc_id
+                doc_id: document.doc_id,
+                version: document.version,
+                reasons: updateData.rejection_reasons
             },
             ip: req.ip,
             userAgent: req.headers['user-agent']
@@ -252,10 +365,19 @@ exports.getStudentDocuments = async (req, res) => {
 
         if (error) throw error;
 
+        const catalog = await studentDocumentService.getRejectionReasons(null, { includeInactive: true });
+        const today = studentDocumentService.today();
+
         // Generate signed URLs for each document
         const documentsWithUrls = await Promise.all(documents.map(async (doc) => {
             const signedUrl = await generateSignedUrl(doc.file_path, 'study-materials');
-            return { ...doc, file_url: signedUrl };
+            return {
+                ...doc,
+                file_url: signedUrl,
+                expiry: studentDocumentService.expiryStatus(doc, today),
+                inspectionFlags: documentInspectionService.flags(doc.inspection),
+                rejectionReasonDetails: studentDocumentService.describeReasons(doc.rejection_reasons, catalog)
+            };
         }));
 
         res.json(documentsWithUrls);
@@ -264,6 +386,291 @@ exports.getStudentDocuments = async (req, res) => {
         res.status(500).json({ msg: 'Server Error', error: err.message });
     }
 };
+
+/**
+ * Load a document for the version endpoints. Students only see their own.
+ */
+const loadDocumentFor = async (req) => {
+    const { data: doc, error } = await supabase
+        .from('student_documents')
+        .select('id, registration_id, doc_id, version, file_name')
+        .eq('id', req.params.id)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!doc) return null;
+    if (req.user.role?.toUpperCase() === 'STUDENT' && doc.registration_id !== req.user.id) return null;
+    return doc;
+};
+
+const withSignedUrl = async (version) => {
+    try {
+        return { ...version, file_url: await generateSignedUrl(version.file_path, 'study-materials') };
+    } catch (urlErr) {
+        logger.error(`Error generating signed URL for document version ${version.id}: ${urlErr.message}`);
+        return { ...version, file_url: null };
+    }
+};
+
+// @route   GET api/documents/:id/versions
+// @desc    Every upload of a document, newest first, with what changed from the version before
+// @access  Authenticated
+exports.getDocumentVersions = async (req, res) => {
+    try {
+        const doc = await loadDocumentFor(req);
+        if (!doc) return res.status(404).json({ msg: 'Document not found' });
+
+        const versions = await studentDocumentService.getVersions(doc.id);
+        const catalog = await studentDocumentService.getRejectionReasons(null, { includeInactive: true });
+
+        const result = await Promise.all(versions.map(async (version, i) => {
+            const previous = versions[i + 1];
+            return {
+                ...(await withSignedUrl(version)),
+                rejectionReasonDetails: studentDocumentService.describeReasons(version.rejection_reasons, catalog),
+                inspectionFlags: documentInspectionService.flags(version.inspection),
+                changesFromPrevious: previous ? studentDocumentService.diffVersions(previous, version) : null
+            };
+        }));
+
+        res.json({ document: doc, currentVersion: doc.version, versions: result });
+    } catch (err) {
+        logger.error(`getDocumentVersions Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error', error: err.message });
+    }
+};
+
+// @route   GET api/documents/:id/versions/compare?from=&to=
+// @desc    Two versions side by side with the fields that differ (defaults: previous vs current)
+// @access  Authenticated
+exports.compareDocumentVersions = async (req, res) => {
+    try {
+        const doc = await loadDocumentFor(req);
+        if (!doc) return res.status(404).json({ msg: 'Document not found' });
+
+        const versions = await studentDocumentService.getVersions(doc.id);
+        if (versions.length < 2 && !req.query.from) {
+            return res.status(400).json({ msg: 'This document has only one version' });
+        }
+
+        const toNumber = req.query.to ? parseInt(req.query.to, 10) : versions[0]?.version;
+        const fromNumber = req.query.from ? parseInt(req.query.from, 10) : toNumber - 1;
+
+        const to = versions.find(v => v.version === toNumber);
+        const from = versions.find(v => v.version === fromNumber);
+        if (!to || !from) return res.status(404).json({ msg: 'Version not found' });
+
+        res.json({
+            document: doc,
+            from: await withSignedUrl(from),
+            to: await withSignedUrl(to),
+            ...studentDocumentService.diffVersions(from, to)
+        });
+    } catch (err) {
+        logger.error(`compareDocumentVersions Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error', error: err.message });
+    }
+};
+
+// @route   GET api/documents/rejection-reasons?docId=
+// @route   GET api/admin/document-rejection-reasons
+// @desc    Standard rejection reasons (only those that apply to docId when given; ?includeInactive=true for retired ones)
+// @access  Authenticated
+exports.getRejectionReasons = async (req, res) => {
+    try {
+        const reasons = await studentDocumentService.getRejectionReasons(req.query.docId || null, {
+            includeInactive: req.query.includeInactive === 'true'
+        });
+        res.json(reasons);
+    } catch (err) {
+        logger.error(`getRejectionReasons Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error', error: err.message });
+    }
+};
+
+/**
+ * Map the camelCase request body onto document_rejection_reasons columns.
+ * Only keys present in the body are returned, so it works for partial updates.
+ */
+const mapReasonBody = (body) => {
+    const fields = {
+        label: body.label !== undefined ? String(body.label).trim() : undefined,
+        guidance: body.guidance !== undefined ? String(body.guidance).trim() : undefined,
+        applies_to: body.appliesTo !== undefined
+            ? (Array.isArray(body.appliesTo) ? body.appliesTo.map(d => String(d).trim()).filter(Boolean) : null)
+            : undefined,
+        requires_remarks: body.requiresRemarks !== undefined ? !!body.requiresRemarks : undefined,
+        sort_order: body.sortOrder !== undefined ? parseInt(body.sortOrder) : undefined,
+        is_active: body.isActive
+    };
+
+    Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+    return fields;
+};
+
+const validateReason = (reason) => {
+    if (reason.applies_to === null) return 'appliesTo must be a list of document ids';
+    if (reason.sort_order !== undefined && Number.isNaN(reason.sort_order)) return 'Sort order must be a number';
+    return null;
+};
+
+// @route   POST api/admin/document-rejection-reasons
+// @desc    Add a rejection reason to the catalog. Body: { code, label, guidance, appliesTo?, requiresRemarks? }
+exports.createRejectionReason = async (req, res) => {
+    try {
+        const code = req.body.code ? String(req.body.code).trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_') : null;
+        const reason = mapReasonBody(req.body);
+
+        if (!code || !reason.label || !reason.guidance) {
+            return res.status(400).json({ msg: 'Code, label and guidance are required' });
+        }
+
+        const validationError = validateReason(reason);
+        if (validationError) return res.status(400).json({ msg: validationError });
+
+        const { data, error } = await supabase
+            .from('document_rejection_reasons')
+            .insert([{ code, ...reason }])
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') return res.status(409).json({ msg: `Rejection reason ${code} already exists` });
+            throw error;
+        }
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: 'DOCUMENT_REJECTION_REASON_CREATED',
+            metadata: { code },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.status(201).json(data);
+    } catch (err) {
+        logger.error(`createRejectionReason Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   PUT api/admin/document-rejection-reasons/:code
+// @desc    Update a rejection reason (partial). Retire one with { isActive: false }; past rejections keep the code.
+exports.updateRejectionReason = async (req, res) => {
+    try {
+        const updates = mapReasonBody(req.body);
+
+        const validationError = validateReason(updates);
+        if (validationError) return res.status(400).json({ msg: validationError });
+
+        const { data, error } = await supabase
+            .from('document_rejection_reasons')
+            .update({ ...updates, updated_at: new Date().toISOString() })
+            .eq('code', String(req.params.code).toUpperCase())
+            .select()
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) return res.status(404).json({ msg: 'Rejection reason not found' });
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: 'DOCUMENT_REJECTION_REASON_UPDATED',
+            metadata: { code: data.code, changes: updates },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.json(data);
+    } catch (err) {
+        logger.error(`updateRejectionReason Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+const dossierSummary = (record) => ({
+    id: record.id,
+    fileName: record.file_name,
+    fileSize: record.file_size,
+    pageCount: record.page_count,
+    documentCount: record.document_count,
+    selected: record.selected,
+    generatedAt: record.generated_at,
+    contents: record.contents
+});
+
+// @route   POST api/documents/registration/:registrationId/dossier
+// @desc    Merge verified documents into one PDF with an index page and bookmarks. Body: { documentIds? } (all verified when omitted)
+// @access  Internal (Employee)
+exports.generateDossier = async (req, res) => {
+    try {
+        if (req.user.role?.toUpperCase() === 'STUDENT') {
+            return res.status(403).json({ msg: 'Only staff can generate document dossiers' });
+        }
+
+        const { documentIds } = req.body;
+        if (documentIds !== undefined && (!Array.isArray(documentIds) || documentIds.length === 0)) {
+            return res.status(400).json({ msg: 'documentIds must be a non-empty array when given' });
+        }
+
+        const { dossier, downloadUrl, expiresAt } = await documentDossierService.generate(req.params.registrationId, {
+            user: req.user,
+            documentIds: documentIds ? [...new Set(documentIds)] : null
+        });
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: 'DOCUMENT_DOSSIER_GENERATED',
+            metadata: {
+                registrationId: req.params.registrationId,
+                dossierId: dossier.id,
+                documents: dossier.document_count,
+                pages: dossier.page_count,
+                skipped: dossier.contents.skipped.length
+            },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.status(201).json({ ...dossierSummary(dossier), downloadUrl, expiresAt });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ msg: err.message, ...err.details });
+        }
+        logger.error(`generateDossier Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error', error: err.message });
+    }
+};
+
+// @route   GET api/documents/registration/:registrationId/dossier
+// @desc    Latest dossier with a fresh signed download link
+// @access  Internal (Employee)
+exports.getDossier = async (req, res) => {
+    try {
+        if (req.user.role?.toUpperCase() === 'STUDENT') {
+            return res.status(403).json({ msg: 'Only staff can download document dossiers' });
+        }
+
+        const record = await documentDossierService.getLatest(req.params.registrationId);
+        if (!record) return res.status(404).json({ msg: 'No dossier has been generated for this registration' });
+
+        const link = await documentDossierService.signedLink(record);
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: 'DOCUMENT_DOSSIER_LINK_ISSUED',
+            metadata: { registrationId: req.params.registrationId, dossierId: record.id },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.json({ ...dossierSummary(record), ...link });
+    } catch (err) {
+        logger.error(`getDossier Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error', error: err.message });
+    }
+};
+
 // @route   DELETE api/documents/:id
 // @desc    Delete a student document
 // @access  Internal (Employee)
@@ -282,9 +689,11 @@ exports.deleteDocument = async (req, res) => {
             return res.status(404).json({ msg: 'Document not found' });
         }
 
-        // 1. Delete from storage if path exists
-        if (doc.file_path) {
-            await deleteFromSupabase(doc.file_path, 'study-materials');
+        // 1. Delete every version's file from storage
+        const versions = await studentDocumentService.getVersions(id);
+        const paths = [...new Set([doc.file_path, ...versions.map(v => v.file_path)].filter(Boolean))];
+        for (const filePath of paths) {
+            await deleteFromSupabase(filePath, 'study-materials');
         }
 
         // 2. Delete from DB
@@ -1,6 +1,8 @@
 const supabase = require('../config/supabaseClient');
 const logger = require('../utils/logger');
 const auditService = require('../services/audit.service');
+const workflowService = require('../services/workflow.service');
+const lenderHandoffService = require('../services/lenderHandoff.service');
 
 // ============================================================================
 // DASHBOARD & REGISTRATIONS
@@ -175,21 +177,59 @@ exports.updateDocumentStatus = async (req, res) => {
 };
 
 // @route   POST api/field-agent/registrations/:id/transfer-veda
+// @desc    Hand the case to the lender. Requires a complete loan document checklist,
+//          unless an admin overrides with { override: true, overrideReason }
 exports.transferToVeda = async (req, res) => {
     try {
-        // 1. Check if all mandatory docs are verified (Simplified for now)
-        const { data: unverifiedDocs, error: checkError } = await supabase
-            .from('loan_documents')
-            .select('id')
-            .eq('registration_id', req.params.id)
-            .neq('status', 'VERIFIED');
+        const { override, overrideReason } = req.body || {};
+
+        // 1. Lender checklist: every mandatory document verified
+        const completeness = await workflowService.checkLoanDocumentChecklist(req.params.id);
+        let overrideRecord = null;
+
+        if (!completeness.isComplete) {
+            const { checklist } = completeness;
+
+            if (!override) {
+                return res.status(400).json({
+                    msg: checklist.missingContext.includes('loanApplication')
+                        ? 'Create the loan application before transferring to Veda Loans'
+                        : checklist.missingContext.length > 0
+                            ? 'Set the loan security type and co-applicant type before transferring'
+                            : 'Please verify all mandatory loan documents before transferring to Veda Loans',
+                    missingContext: checklist.missingContext,
+                    outstanding: checklist.outstanding,
+                    progress: completeness.progress
+                });
+            }
+
+            const isAdmin = req.user.is_admin === true || req.user.role === 'super_admin';
+            if (!isAdmin) {
+                return res.status(403).json({ msg: 'Only an admin can transfer a case with an incomplete checklist' });
+            }
+            if (!overrideReason || !String(overrideReason).trim()) {
+                return res.status(400).json({ msg: 'A reason is required to override the document checklist' });
+            }
+
+            overrideRecord = {
+                by: req.user.id,
+                reason: String(overrideReason).trim(),
+                at: new Date().toISOString(),
+                missing: checklist.outstanding.map(i => i.documentType),
+                missingContext: checklist.missingContext
+            };
+        }
 
-        if (checkError) throw checkError;
+        // 2. Handoff package for the lender (built first so a failed build leaves the case untransferred)
+        const handoff = await lenderHandoffService.generate(req.params.id, { user: req.user, override: overrideRecord });
 
-        // This is a business rule check
-        // if (unverifiedDocs.length > 0) {
-        //     return res.status(400).json({ msg: 'Please verify all documents before transferring to Veda Loans' });
-        // }
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: 'LENDER_HANDOFF_PACKAGE_GENERATED',
+            metadata: { regId: req.params.id, packageId: handoff.package.id, documents: handoff.package.document_count, override: !!overrideRecord },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
 
         const { data: registration, error: regError } = await supabase
             .from('registrations')
@@ -197,6 +237,7 @@ exports.transferToVeda = async (req, res) => {
                 is_transferred_to_veda: true,
                 transferred_to_veda_at: new Date().toISOString(),
                 loan_status: 'VERIFIED',
+                veda_transfer_override: overrideRecord,
                 updated_at: new Date().toISOString()
             })
             .eq('id', req.params.id)
@@ -207,19 +248,115 @@ exports.transferToVeda = async (req, res) => {
 
         await auditService.logAction({
             employeeId: req.user.id,
-            action: 'CASE_TRANSFERRED_TO_VEDA',
-            metadata: { regId: req.params.id },
+            action: overrideRecord ? 'CASE_TRANSFERRED_TO_VEDA_OVERRIDE' : 'CASE_TRANSFERRED_TO_VEDA',
+            metadata: { regId: req.params.id, override: overrideRecord },
             ip: req.ip,
             userAgent: req.headers['user-agent']
         });
 
-        res.json({ msg: 'Case successfully transferred to Veda Loans', registration });
+        if (overrideRecord) {
+            await supabase.rpc('append_activity', {
+                registration_id: req.params.id,
+                new_activity: {
+                    user: req.user.name || 'Admin',
+                    action: 'Transferred to Veda Loans with incomplete document checklist (admin override)',
+                    notes: `${overrideRecord.reason}. Outstanding: ${overrideRecord.missing.join(', ') || 'checklist keys not set'}`,
+                    timestamp: overrideRecord.at
+                }
+            });
+        }
+
+        res.json({
+            msg: 'Case successfully transferred to Veda Loans',
+            registration,
+            handoffPackage: {
+                id: handoff.package.id,
+                fileName: handoff.package.file_name,
+                documentCount: handoff.package.document_count,
+                unavailable: handoff.package.manifest.unavailable,
+                downloadUrl: handoff.downloadUrl,
+                expiresAt: handoff.expiresAt
+            }
+        });
     } catch (err) {
         logger.error(`transferToVeda Error: ${err.message}`);
         res.status(500).send('Server Error');
     }
 };
 
+// @route   GET api/field-agent/registrations/:id/handoff-package
+// @desc    Latest lender handoff package with a fresh signed download link
+exports.getHandoffPackage = async (req, res) => {
+    try {
+        const record = await lenderHandoffService.getLatest(req.params.id);
+        if (!record) return res.status(404).json({ msg: 'No handoff package has been generated for this case' });
+
+        const link = await lenderHandoffService.signedLink(record);
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: 'LENDER_HANDOFF_LINK_ISSUED',
+            metadata: { regId: req.params.id, packageId: record.id },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.json({
+            id: record.id,
+            fileName: record.file_name,
+            fileSize: record.file_size,
+            documentCount: record.document_count,
+            lender: record.lender_name,
+            generatedAt: record.generated_at,
+            checklistOverride: record.checklist_override,
+            manifest: record.manifest,
+            ...link
+        });
+    } catch (err) {
+        logger.error(`getHandoffPackage Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
+// @route   POST api/field-agent/registrations/:id/handoff-package
+// @desc    Rebuild the handoff package for an already transferred case (e.g. after re-verifying a document)
+exports.regenerateHandoffPackage = async (req, res) => {
+    try {
+        const { data: registration, error } = await supabase
+            .from('registrations')
+            .select('id, is_transferred_to_veda, veda_transfer_override')
+            .eq('id', req.params.id)
+            .single();
+
+        if (error || !registration) return res.status(404).json({ msg: 'Registration not found' });
+        if (!registration.is_transferred_to_veda) {
+            return res.status(400).json({ msg: 'Case has not been transferred yet; use transfer-veda' });
+        }
+
+        const handoff = await lenderHandoffService.generate(req.params.id, { user: req.user, override: registration.veda_transfer_override || null });
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: 'LENDER_HANDOFF_PACKAGE_GENERATED',
+            metadata: { regId: req.params.id, packageId: handoff.package.id, documents: handoff.package.document_count, regenerated: true },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.status(201).json({
+            id: handoff.package.id,
+            fileName: handoff.package.file_name,
+            documentCount: handoff.package.document_count,
+            unavailable: handoff.package.manifest.unavailable,
+            downloadUrl: handoff.downloadUrl,
+            expiresAt: handoff.expiresAt
+        });
+    } catch (err) {
+        logger.error(`regenerateHandoffPackage Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error', error: err.message });
+    }
+};
+
 // ============================================================================
 // TASK MANAGEMENT
 // ============================================================================
@@ -0,0 +1,121 @@
+const supabase = require('../config/supabaseClient');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const loanCalculatorService = require('../services/loanCalculator.service');
+const pdfService = require('../services/pdf.service');
+
+const isStudent = (user) => user.role?.toUpperCase() === 'STUDENT';
+
+const sendPdf = async (res, result, { student, lender } = {}) => {
+    const buffer = await pdfService.generateRepaymentSchedulePDF({
+        result,
+        student,
+        lender,
+        companyName: config.companyName
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="repayment-schedule${student?.studentId ? `-${student.studentId}` : ''}.pdf"`);
+    res.send(buffer);
+};
+
+const handleError = (res, err, name) => {
+    if (err.details) {
+        return res.status(err.status).json({ msg: err.message, ...err.details });
+    }
+    logger.error(`${name} Error: ${err.message}`);
+    res.status(500).send('Server Error');
+};
+
+/**
+ * Schedule for a stored loan; query params override the saved plan (what-if).
+ */
+const scheduleForLoan = async (loanQuery, query = {}) => {
+    const { data: loan, error } = await loanQuery;
+    if (error) throw error;
+    if (!loan) return { loan: null };
+
+    const overrides = {};
+    ['annualRate', 'tenureMonths', 'courseMonths', 'graceMonths', 'principal'].forEach(key => {
+        if (query[key] !== undefined) overrides[key] = Number(query[key]);
+    });
+    if (query.moratoriumInterest) overrides.moratoriumInterest = query.moratoriumInterest;
+
+    const result = loanCalculatorService.calculate(loanCalculatorService.inputFromLoan(loan, overrides));
+    return { loan, result };
+};
+
+const LOAN_SELECT = '*, registration:registrations(name, student_id)';
+
+// @route   POST api/admission/loan/calculator
+// @desc    EMI and amortization schedule for arbitrary inputs
+//          Body: { principal | disbursements[], annualRate, tenureMonths, courseMonths?, graceMonths?, moratoriumInterest?, startDate? }
+exports.calculate = async (req, res) => {
+    try {
+        res.json(loanCalculatorService.calculate(req.body));
+    } catch (err) {
+        handleError(res, err, 'calculate');
+    }
+};
+
+// @route   POST api/admission/loan/calculator/pdf
+// @desc    Same as /calculator, rendered as a PDF
+exports.calculatePdf = async (req, res) => {
+    try {
+        const result = loanCalculatorService.calculate(req.body);
+        await sendPdf(res, result, { student: req.body.studentName ? { name: req.body.studentName } : undefined, lender: req.body.lender });
+    } catch (err) {
+        handleError(res, err, 'calculatePdf');
+    }
+};
+
+// @route   GET api/admission/loan/:id/schedule
+// @desc    Repayment schedule of a stored loan (sanctioned amount, rate, tenure, repayment plan)
+exports.getLoanSchedule = async (req, res) => {
+    try {
+        const { loan, result } = await scheduleForLoan(
+            supabase.from('loan_applications').select(LOAN_SELECT).eq('id', req.params.id).maybeSingle(),
+            req.query
+        );
+
+        if (!loan) return res.status(404).json({ msg: 'Loan application not found' });
+        if (isStudent(req.user) && loan.registration_id !== req.user.id) {
+            return res.status(403).json({ msg: 'Access denied' });
+        }
+
+        if (req.query.format === 'pdf') {
+            return sendPdf(res, result, {
+                student: { name: loan.registration?.name, studentId: loan.registration?.student_id },
+                lender: loan.bank_name
+            });
+        }
+
+        res.json({ loanId: loan.id, lender: loan.bank_name, ...result });
+    } catch (err) {
+        handleError(res, err, 'getLoanSchedule');
+    }
+};
+
+// @route   GET api/student/loan/schedule
+// @desc    Student portal: repayment schedule of the student's own loan (?format=pdf for PDF)
+exports.getMyLoanSchedule = async (req, res) => {
+    try {
+        const { loan, result } = await scheduleForLoan(
+            supabase.from('loan_applications').select(LOAN_SELECT).eq('registration_id', req.user.id).maybeSingle(),
+            req.query
+        );
+
+        if (!loan) return res.status(404).json({ msg: 'No loan application found' });
+
+        if (req.query.format === 'pdf') {
+            return sendPdf(res, result, {
+                student: { name: loan.registration?.name, studentId: loan.registration?.student_id },
+                lender: loan.bank_name
+            });
+        }
+
+        res.json({ loanId: loan.id, lender: loan.bank_name, ...result });
+    } catch (err) {
+        handleError(res, err, 'getMyLoanSchedule');
+    }
+};
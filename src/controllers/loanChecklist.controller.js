@@ -0,0 +1,190 @@
+const supabase = require('../config/supabaseClient');
+const logger = require('../utils/logger');
+const auditService = require('../services/audit.service');
+const loanChecklistService = require('../services/loanChecklist.service');
+
+/**
+ * Map the camelCase request body onto loan_document_requirements columns.
+ * Only keys present in the body are returned, so it works for partial updates.
+ */
+const mapRequirementBody = (body) => {
+    const upper = (v) => (v ? String(v).trim().toUpperCase() : null);
+    const fields = {
+        lender_name: body.lenderName !== undefined ? (body.lenderName ? String(body.lenderName).trim() : null) : undefined,
+        security_type: body.securityType !== undefined ? upper(body.securityType) : undefined,
+        co_applicant_type: body.coApplicantType !== undefined ? upper(body.coApplicantType) : undefined,
+        document_type: body.documentType !== undefined ? String(body.documentType).trim() : undefined,
+        label: body.label,
+        description: body.description,
+        source: body.source !== undefined ? upper(body.source) : undefined,
+        requirement: body.requirement !== undefined ? upper(body.requirement) : undefined,
+        sort_order: body.sortOrder !== undefined ? parseInt(body.sortOrder) : undefined,
+        is_active: body.isActive
+    };
+
+    Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+    return fields;
+};
+
+const validateRequirement = (rule) => {
+    if (rule.security_type && !loanChecklistService.SECURITY_TYPES.includes(rule.security_type)) {
+        return `Security type must be one of ${loanChecklistService.SECURITY_TYPES.join(', ')}`;
+    }
+    if (rule.co_applicant_type && !loanChecklistService.CO_APPLICANT_TYPES.includes(rule.co_applicant_type)) {
+        return `Co-applicant type must be one of ${loanChecklistService.CO_APPLICANT_TYPES.join(', ')}`;
+    }
+    if (rule.source && !loanChecklistService.SOURCES.includes(rule.source)) {
+        return `Source must be one of ${loanChecklistService.SOURCES.join(', ')}`;
+    }
+    if (rule.requirement && !loanChecklistService.REQUIREMENTS.includes(rule.requirement)) {
+        return `Requirement must be one of ${loanChecklistService.REQUIREMENTS.join(', ')}`;
+    }
+    if (rule.sort_order !== undefined && Number.isNaN(rule.sort_order)) return 'Sort order must be a number';
+    return null;
+};
+
+// @route   GET api/field-agent/registrations/:id/checklist
+// @route   GET api/admission/registrations/:id/loan-checklist
+// @desc    Lender document checklist for the registration's loan, with status per item
+exports.getChecklist = async (req, res) => {
+    try {
+        const checklist = await loanChecklistService.getChecklist(req.params.id);
+        res.json(checklist);
+    } catch (err) {
+        logger.error(`getChecklist Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
+// @route   GET api/admin/loan-checklists
+// @desc    All checklist requirement rows (filter with ?lender=&securityType=&coApplicantType=)
+exports.getRequirements = async (req, res) => {
+    try {
+        let query = supabase
+            .from('loan_document_requirements')
+            .select('*')
+            .order('lender_name', { ascending: true, nullsFirst: true })
+            .order('sort_order', { ascending: true });
+
+        if (req.query.lender) query = query.ilike('lender_name', req.query.lender);
+        if (req.query.securityType) query = query.eq('security_type', String(req.query.securityType).toUpperCase());
+        if (req.query.coApplicantType) query = query.eq('co_applicant_type', String(req.query.coApplicantType).toUpperCase());
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        res.json(data);
+    } catch (err) {
+        logger.error(`getRequirements Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   POST api/admin/loan-checklists
+// @desc    Add a checklist requirement
+exports.createRequirement = async (req, res) => {
+    try {
+        const rule = mapRequirementBody(req.body);
+
+        if (!rule.document_type || !rule.label) {
+            return res.status(400).json({ msg: 'Document type and label are required' });
+        }
+
+        const validationError = validateRequirement(rule);
+        if (validationError) return res.status(400).json({ msg: validationError });
+
+        const { data, error } = await supabase
+            .from('loan_document_requirements')
+            .insert([{ ...rule, created_by: req.user.id, updated_by: req.user.id }])
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({ msg: 'A requirement for this document already exists for the same lender / security / co-applicant scope' });
+            }
+            throw error;
+        }
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: 'LOAN_CHECKLIST_REQUIREMENT_CREATED',
+            metadata: { requirementId: data.id, documentType: data.document_type, lender: data.lender_name },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.status(201).json(data);
+    } catch (err) {
+        logger.error(`createRequirement Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   PUT api/admin/loan-checklists/:id
+// @desc    Update a checklist requirement (partial)
+exports.updateRequirement = async (req, res) => {
+    try {
+        const updates = mapRequirementBody(req.body);
+
+        const validationError = validateRequirement(updates);
+        if (validationError) return res.status(400).json({ msg: validationError });
+
+        const { data, error } = await supabase
+            .from('loan_document_requirements')
+            .update({ ...updates, updated_by: req.user.id, updated_at: new Date().toISOString() })
+            .eq('id', req.params.id)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({ msg: 'A requirement for this document already exists for the same lender / security / co-applicant scope' });
+            }
+            throw error;
+        }
+        if (!data) return res.status(404).json({ msg: 'Requirement not found' });
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: 'LOAN_CHECKLIST_REQUIREMENT_UPDATED',
+            metadata: { requirementId: data.id, changes: updates },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.json(data);
+    } catch (err) {
+        logger.error(`updateRequirement Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   DELETE api/admin/loan-checklists/:id
+// @desc    Remove a checklist requirement
+exports.deleteRequirement = async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('loan_document_requirements')
+            .delete()
+            .eq('id', req.params.id)
+            .select()
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) return res.status(404).json({ msg: 'Requirement not found' });
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: 'LOAN_CHECKLIST_REQUIREMENT_DELETED',
+            metadata: { requirementId: data.id, documentType: data.document_type, lender: data.lender_name },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.json({ msg: 'Requirement deleted' });
+    } catch (err) {
+        logger.error(`deleteRequirement Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
@@ -0,0 +1,77 @@
+const supabase = require('../config/supabaseClient');
+const logger = require('../utils/logger');
+const auditService = require('../services/audit.service');
+const loanEligibilityService = require('../services/loanEligibility.service');
+
+// @route   GET api/admin/loan-eligibility/rules
+// @desc    Active scoring rules (built-in defaults when none saved) and the defaults for reference
+exports.getRules = async (req, res) => {
+    try {
+        const active = await loanEligibilityService.getRules();
+        res.json({ ...active, defaults: loanEligibilityService.DEFAULT_RULES });
+    } catch (err) {
+        logger.error(`getLoanEligibilityRules Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   PUT api/admin/loan-eligibility/rules
+// @desc    Save a new rule version. Body: { rules: {...partial or full}, notes? }
+//          Keys left out fall back to the built-in defaults.
+exports.updateRules = async (req, res) => {
+    try {
+        const { rules, notes } = req.body;
+
+        const validationError = loanEligibilityService.validateRules(rules);
+        if (validationError) return res.status(400).json({ msg: validationError });
+
+        const saved = await loanEligibilityService.saveRules(rules, { userId: req.user.id, notes: notes || null });
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: 'LOAN_ELIGIBILITY_RULES_UPDATED',
+            metadata: { version: saved.version, notes: saved.notes },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.json(saved);
+    } catch (err) {
+        if (err.code === '23505') return res.status(409).json({ msg: 'Rules were changed by someone else, reload and try again' });
+        logger.error(`updateLoanEligibilityRules Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   POST api/admin/loan-eligibility/preview
+// @desc    Score a profile without storing anything. Accepts an existing eligibilityRecordId
+//          or ad-hoc sections: { coApplicant, collateral, loanRequirement, courseDetails }
+exports.preview = async (req, res) => {
+    try {
+        const { eligibilityRecordId } = req.body;
+
+        let sections = req.body;
+        if (eligibilityRecordId) {
+            const { data, error } = await supabase
+                .from('eligibility_records')
+                .select('co_applicant, collateral, loan_requirement, course_details')
+                .eq('id', eligibilityRecordId)
+                .maybeSingle();
+
+            if (error) throw error;
+            if (!data) return res.status(404).json({ msg: 'Eligibility record not found' });
+            sections = {
+                coApplicant: data.co_applicant || {},
+                collateral: data.collateral || {},
+                loanRequirement: data.loan_requirement || {},
+                courseDetails: data.course_details || {}
+            };
+        }
+
+        const analysis = await loanEligibilityService.assess(sections);
+        res.json({ ...analysis, estimatedRangeLabel: loanEligibilityService.formatRange(analysis) });
+    } catch (err) {
+        logger.error(`previewLoanEligibility Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
@@ -0,0 +1,223 @@
+const supabase = require('../config/supabaseClient');
+const logger = require('../utils/logger');
+const auditService = require('../services/audit.service');
+const loanOfferService = require('../services/loanOffer.service');
+
+const LENDER_TYPES = ['BANK', 'NBFC', 'INTERNATIONAL', 'OTHER'];
+
+const isStudent = (user) => user.role?.toUpperCase() === 'STUDENT';
+
+// Same authority as updateLoanStatus: accepting an offer sanctions the loan
+const canSanction = (user) =>
+    ['super_admin', 'admission_admin', 'counselling_admin', 'wfh_admin'].includes(user.role) || user.dept?.toUpperCase() === 'ADMISSION';
+
+const fetchLoan = async (loanId) => {
+    const { data, error } = await supabase
+        .from('loan_applications')
+        .select('*')
+        .eq('id', loanId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+};
+
+/**
+ * Map request body (camelCase) to loan_offers columns and validate.
+ * @returns {{fields: object, errors: string[]}}
+ */
+const readOfferBody = (body, { partial = false } = {}) => {
+    const fields = {};
+    const errors = [];
+
+    const map = {
+        lenderName: 'lender_name',
+        lenderType: 'lender_type',
+        branchName: 'branch_name',
+        sanctionedAmount: 'sanctioned_amount',
+        interestRate: 'interest_rate',
+        rateType: 'rate_type',
+        tenureMonths: 'tenure_months',
+        processingFee: 'processing_fee',
+        collateralRequired: 'collateral_required',
+        collateralDetails: 'collateral_details',
+        offeredOn: 'offered_on',
+        expiresOn: 'expires_on',
+        notes: 'notes'
+    };
+
+    for (const [key, column] of Object.entries(map)) {
+        if (body[key] !== undefined) fields[column] = body[key];
+    }
+
+    if (!partial) {
+        if (!fields.lender_name) errors.push('Lender name is required');
+        if (fields.sanctioned_amount === undefined) errors.push('Sanctioned amount is required');
+        if (fields.interest_rate === undefined) errors.push('Interest rate is required');
+        if (fields.tenure_months === undefined) errors.push('Tenure (months) is required');
+    }
+
+    if (fields.sanctioned_amount !== undefined && !(Number(fields.sanctioned_amount) > 0)) errors.push('Sanctioned amount must be greater than zero');
+    if (fields.interest_rate !== undefined && !(Number(fields.interest_rate) >= 0 && Number(fields.interest_rate) < 100)) errors.push('Interest rate must be an annual percentage between 0 and 100');
+    if (fields.tenure_months !== undefined && !(Number.isInteger(Number(fields.tenure_months)) && Number(fields.tenure_months) > 0)) errors.push('Tenure must be a whole number of months');
+    if (fields.processing_fee !== undefined && Number(fields.processing_fee) < 0) errors.push('Processing fee cannot be negative');
+    if (fields.lender_type !== undefined) {
+        fields.lender_type = String(fields.lender_type).toUpperCase();
+        if (!LENDER_TYPES.includes(fields.lender_type)) errors.push(`Lender type must be one of ${LENDER_TYPES.join(', ')}`);
+    }
+    if (fields.rate_type !== undefined) {
+        fields.rate_type = String(fields.rate_type).toUpperCase();
+        if (!['FIXED', 'FLOATING'].includes(fields.rate_type)) errors.push('Rate type must be FIXED or FLOATING');
+    }
+    if (fields.collateral_required !== undefined) fields.collateral_required = Boolean(fields.collateral_required);
+
+    return { fields, errors };
+};
+
+// @route   GET api/admission/loan/:id/offers
+// @desc    All lender offers on a loan (staff, or the student who owns the loan)
+exports.getOffers = async (req, res) => {
+    try {
+        const loan = await fetchLoan(req.params.id);
+        if (!loan) return res.status(404).json({ msg: 'Loan application not found' });
+        if (isStudent(req.user) && loan.registration_id !== req.user.id) {
+            return res.status(403).json({ msg: 'Access denied' });
+        }
+
+        const offers = await loanOfferService.listOffers(loan.id);
+        res.json({ acceptedOfferId: loan.accepted_offer_id || null, offers });
+    } catch (err) {
+        logger.error(`getOffers Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
+// @route   GET api/admission/loan/:id/offers/compare
+// @desc    Live offers ranked by total cost of borrowing (interest + processing fee)
+exports.compareOffers = async (req, res) => {
+    try {
+        const loan = await fetchLoan(req.params.id);
+        if (!loan) return res.status(404).json({ msg: 'Loan application not found' });
+        if (isStudent(req.user) && loan.registration_id !== req.user.id) {
+            return res.status(403).json({ msg: 'Access denied' });
+        }
+
+        const comparison = await loanOfferService.compare(loan.id);
+        res.json({ loanId: loan.id, requestedAmount: loan.loan_amount, acceptedOfferId: loan.accepted_offer_id || null, ...comparison });
+    } catch (err) {
+        logger.error(`compareOffers Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
+// @route   POST api/admission/loan/:id/offers
+// @desc    Record an offer from a lender
+exports.createOffer = async (req, res) => {
+    try {
+        if (isStudent(req.user)) return res.status(403).json({ msg: 'Access denied: staff only' });
+
+        const { fields, errors } = readOfferBody(req.body);
+        if (errors.length > 0) return res.status(400).json({ msg: errors[0], errors });
+
+        const loan = await fetchLoan(req.params.id);
+        if (!loan) return res.status(404).json({ msg: 'Loan application not found' });
+
+        const offer = await loanOfferService.createOffer(loan, fields, req.user);
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: 'LOAN_OFFER_ADDED',
+            metadata: { loanId: loan.id, offerId: offer.id, lender: offer.lender_name },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.status(201).json(offer);
+    } catch (err) {
+        logger.error(`createOffer Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error', error: err.message });
+    }
+};
+
+// @route   PATCH api/admission/loan/:id/offers/:offerId
+// @desc    Edit an offer's terms, or mark it DECLINED / WITHDRAWN
+exports.updateOffer = async (req, res) => {
+    try {
+        if (isStudent(req.user)) return res.status(403).json({ msg: 'Access denied: staff only' });
+
+        const { fields, errors } = readOfferBody(req.body, { partial: true });
+        if (req.body.status !== undefined) {
+            const status = String(req.body.status).toUpperCase();
+            if (!['OFFERED', 'DECLINED', 'WITHDRAWN'].includes(status)) {
+                errors.push('Status can only be set to OFFERED, DECLINED or WITHDRAWN here; use the accept action to accept an offer');
+            }
+            fields.status = status;
+        }
+        if (errors.length > 0) return res.status(400).json({ msg: errors[0], errors });
+
+        const offer = await loanOfferService.getOffer(req.params.offerId);
+        if (!offer || offer.loan_id !== req.params.id) return res.status(404).json({ msg: 'Offer not found' });
+
+        const updated = await loanOfferService.updateOffer(offer, fields);
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: 'LOAN_OFFER_UPDATED',
+            metadata: { loanId: offer.loan_id, offerId: offer.id, changes: fields },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.json(updated);
+    } catch (err) {
+        if (err.details) {
+            return res.status(err.status).json({ msg: err.message, ...err.details });
+        }
+        logger.error(`updateOffer Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error', error: err.message });
+    }
+};
+
+// @route   POST api/admission/loan/:id/offers/:offerId/accept
+// @desc    Accept an offer: its terms become the loan's and the loan is sanctioned
+exports.acceptOffer = async (req, res) => {
+    try {
+        if (!canSanction(req.user)) {
+            return res.status(403).json({ msg: 'Forbidden: Only authorized staff can accept a loan offer' });
+        }
+
+        const loan = await fetchLoan(req.params.id);
+        if (!loan) return res.status(404).json({ msg: 'Loan application not found' });
+
+        const offer = await loanOfferService.getOffer(req.params.offerId);
+        if (!offer || offer.loan_id !== loan.id) return res.status(404).json({ msg: 'Offer not found' });
+
+        const result = await loanOfferService.acceptOffer(loan, offer, req.user);
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: 'LOAN_OFFER_ACCEPTED',
+            metadata: { loanId: loan.id, offerId: offer.id, lender: offer.lender_name, sanctionedAmount: offer.sanctioned_amount },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        await supabase.rpc('append_activity', {
+            registration_id: loan.registration_id,
+            new_activity: {
+                user: req.user.name || 'Staff',
+                action: `Loan offer accepted: ${offer.lender_name}`,
+                notes: `₹${Number(offer.sanctioned_amount).toLocaleString('en-IN')} at ${offer.interest_rate}% for ${offer.tenure_months} months`,
+                timestamp: new Date().toISOString()
+            }
+        });
+
+        res.json(result);
+    } catch (err) {
+        if (err.details) {
+            return res.status(err.status).json({ msg: err.message, ...err.details });
+        }
+        logger.error(`acceptOffer Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error', error: err.message });
+    }
+};
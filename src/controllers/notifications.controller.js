@@ -1,5 +1,7 @@
 const supabase = require('../config/supabaseClient');
 const logger = require('../utils/logger');
+const notificationService = require('../services/notification.service');
+const realtime = require('../services/realtime.service');
 
 /**
  * 1. GET ALL NOTIFICATIONS FOR USER
@@ -51,6 +53,10 @@ exports.markAsRead = async (req, res) => {
 
         if (error) throw error;
 
+        // Sync other open sessions of the same user
+        realtime.emitToUser(employee_id, 'notifications_read', { ids: [id] });
+        await notificationService.publishUnreadCount(employee_id);
+
         res.json(data);
     } catch (err) {
         logger.error(`Mark Read Error: ${err.message}`);
@@ -73,9 +79,25 @@ exports.markAllAsRead = async (req, res) => {
 
         if (error) throw error;
 
+        realtime.emitToUser(employee_id, 'notifications_read', { all: true });
+        realtime.emitToUser(employee_id, 'unread_count', { count: 0 });
+
         res.json({ msg: 'All notifications cleared' });
     } catch (err) {
         logger.error(`Mark All Read Error: ${err.message}`);
         res.status(500).json({ msg: 'Action failed' });
     }
 };
+
+/**
+ * 4. UNREAD COUNT
+ */
+exports.getUnreadCount = async (req, res) => {
+    try {
+        const count = await notificationService.getUnreadCount(req.user.id);
+        res.json({ count });
+    } catch (err) {
+        logger.error(`Unread Count Error: ${err.message}`);
+        res.status(500).json({ msg: 'Failed to fetch unread count' });
+    }
+};
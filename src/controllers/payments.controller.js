@@ -0,0 +1,321 @@
+const supabase = require('../config/supabaseClient');
+const logger = require('../utils/logger');
+const auditService = require('../services/audit.service');
+const ledgerService = require('../services/ledger.service');
+const paymentDocumentService = require('../services/paymentDocument.service');
+const dunningService = require('../services/dunning.service');
+
+const AUDIT_ACTIONS = {
+    CHARGE: 'LEDGER_CHARGE_POSTED',
+    PAYMENT: 'LEDGER_PAYMENT_RECORDED',
+    REFUND: 'LEDGER_REFUND_RECORDED',
+    WAIVER: 'LEDGER_WAIVER_GRANTED'
+};
+
+const ACTIVITY_LABELS = {
+    CHARGE: 'Fee charged',
+    PAYMENT: 'Payment received',
+    REFUND: 'Refund issued',
+    WAIVER: 'Fee waived'
+};
+
+const getRegistration = async (id) => {
+    const { data } = await supabase
+        .from('registrations')
+        .select('id, name, student_id, email')
+        .eq('id', id)
+        .maybeSingle();
+    return data;
+};
+
+/**
+ * Validate the body, check the entry against the current balance, post it and refresh caches.
+ */
+const postLedgerEntry = async (req, res, entryType) => {
+    try {
+        const { amount, feeType = 'REGISTRATION_FEE', method, reference, notes, installmentId, entryDate, loanId } = req.body;
+        const value = Number(amount);
+
+        if (!(value > 0)) return res.status(400).json({ msg: 'Amount must be greater than zero' });
+        if (!ledgerService.FEE_TYPES.includes(feeType)) {
+            return res.status(400).json({ msg: `feeType must be one of ${ledgerService.FEE_TYPES.join(', ')}` });
+        }
+        if (entryType === 'PAYMENT' && !method) return res.status(400).json({ msg: 'Payment method is required' });
+        if (['REFUND', 'WAIVER'].includes(entryType) && !notes) return res.status(400).json({ msg: 'A reason (notes) is required' });
+
+        const registration = await getRegistration(req.params.id);
+        if (!registration) return res.status(404).json({ msg: 'Registration not found' });
+
+        const before = await ledgerService.getSummary(registration.id);
+        const fee = before.fees.find(f => f.feeType === feeType) || { netPaid: 0, balance: 0 };
+
+        if (entryType === 'REFUND' && value > fee.netPaid) {
+            return res.status(400).json({ msg: `Refund exceeds amount paid towards this fee (${fee.netPaid})` });
+        }
+        if (entryType === 'WAIVER' && value > fee.balance) {
+            return res.status(400).json({ msg: `Waiver exceeds outstanding balance for this fee (${fee.balance})` });
+        }
+        if (installmentId && !before.installments.some(i => i.id === installmentId)) {
+            return res.status(400).json({ msg: 'Installment does not belong to this registration' });
+        }
+
+        const entry = await ledgerService.postEntry({
+            registrationId: registration.id,
+            loanId: loanId || null,
+            entryType,
+            feeType,
+            amount: value,
+            method: method || null,
+            reference: reference || null,
+            notes: notes || null,
+            installmentId: installmentId || null,
+            entryDate: entryDate || null,
+            createdBy: req.user.id
+        });
+
+        const summary = await ledgerService.refreshCaches(registration.id);
+
+        await supabase.rpc('append_activity', {
+            registration_id: registration.id,
+            new_activity: {
+                user: req.user.name,
+                action: `${ACTIVITY_LABELS[entryType]}: ₹${value.toLocaleString('en-IN')} (${ledgerService.FEE_LABELS[feeType]})`,
+                notes: notes || reference || null,
+                timestamp: new Date().toISOString()
+            }
+        });
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: AUDIT_ACTIONS[entryType],
+            metadata: { registrationId: registration.id, entryId: entry.id, feeType, amount: value, method, reference },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        // Receipt is emailed to the student; a failure here must not undo the posting
+        let receipt = null;
+        if (entryType === 'PAYMENT') {
+            try {
+                receipt = await paymentDocumentService.issueReceipt(entry, { issuedBy: req.user.id });
+            } catch (receiptErr) {
+                logger.error(`Receipt generation failed for entry ${entry.id}: ${receiptErr.message}`);
+            }
+        }
+
+        res.status(201).json({ entry, summary, receipt });
+    } catch (err) {
+        logger.error(`postLedgerEntry (${entryType}) Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error', error: err.message });
+    }
+};
+
+// @route   GET api/payments/registrations/:id/ledger
+// @desc    Ledger entries, per-fee balances and installment schedule for a registration
+exports.getLedger = async (req, res) => {
+    try {
+        const registration = await getRegistration(req.params.id);
+        if (!registration) return res.status(404).json({ msg: 'Registration not found' });
+
+        const summary = await ledgerService.getSummary(registration.id);
+        res.json({ registration, ...summary });
+    } catch (err) {
+        logger.error(`getLedger Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
+// @route   POST api/payments/registrations/:id/charges
+// @desc    Charge a fee. Body: { amount, feeType, notes, loanId }
+exports.postCharge = (req, res) => postLedgerEntry(req, res, 'CHARGE');
+
+// @route   POST api/payments/registrations/:id/payments
+// @desc    Record a payment received. Body: { amount, feeType, method, reference, notes, installmentId, entryDate }
+exports.recordPayment = (req, res) => postLedgerEntry(req, res, 'PAYMENT');
+
+// @route   POST api/payments/registrations/:id/refunds
+// @desc    Record a refund (Admin). Body: { amount, feeType, method, reference, notes }
+exports.recordRefund = (req, res) => postLedgerEntry(req, res, 'REFUND');
+
+// @route   POST api/payments/registrations/:id/waivers
+// @desc    Waive part of a fee (Admin). Body: { amount, feeType, notes }
+exports.recordWaiver = (req, res) => postLedgerEntry(req, res, 'WAIVER');
+
+// @route   PUT api/payments/registrations/:id/installments
+// @desc    Replace the installment schedule for a fee. Body: { feeType, installments: [{ amount, dueDate, label }] }
+exports.setInstallments = async (req, res) => {
+    try {
+        const { feeType = 'REGISTRATION_FEE', installments } = req.body;
+
+        const registration = await getRegistration(req.params.id);
+        if (!registration) return res.status(404).json({ msg: 'Registration not found' });
+
+        const current = await ledgerService.getSummary(registration.id);
+        const fee = current.fees.find(f => f.feeType === feeType);
+        if (!fee || fee.charged <= 0) return res.status(400).json({ msg: 'Charge the fee before scheduling installments' });
+
+        // Waivers are settled against installments like payments, so the schedule covers the full charge
+        const scheduled = (installments || []).reduce((sum, i) => sum + (Number(i.amount) || 0), 0);
+        if (Math.abs(scheduled - fee.charged) > 0.01) {
+            return res.status(400).json({ msg: `Installments must add up to the amount charged (${fee.charged}); got ${scheduled}` });
+        }
+
+        try {
+            await ledgerService.setSchedule(registration.id, feeType, installments, req.user.id);
+        } catch (validationErr) {
+            return res.status(400).json({ msg: validationErr.message });
+        }
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: 'INSTALLMENT_SCHEDULE_SET',
+            metadata: { registrationId: registration.id, feeType, count: installments.length, total: scheduled },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        const summary = await ledgerService.getSummary(registration.id);
+        res.json(summary);
+    } catch (err) {
+        logger.error(`setInstallments Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
+// @route   POST api/payments/entries/:entryId/reverse
+// @desc    Reverse a ledger entry (Admin). Body: { reason }
+exports.reverseEntry = async (req, res) => {
+    try {
+        const { reason } = req.body;
+        if (!reason) return res.status(400).json({ msg: 'Reason is required to reverse an entry' });
+
+        let reversal;
+        try {
+            reversal = await ledgerService.reverseEntry(req.params.entryId, { reason, createdBy: req.user.id });
+        } catch (reverseErr) {
+            const status = reverseErr.message === 'Ledger entry not found' ? 404 : 400;
+            return res.status(status).json({ msg: reverseErr.message });
+        }
+
+        const summary = await ledgerService.refreshCaches(reversal.registration_id);
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: 'LEDGER_ENTRY_REVERSED',
+            metadata: { registrationId: reversal.registration_id, entryId: req.params.entryId, reversalId: reversal.id, reason },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.status(201).json({ entry: reversal, summary });
+    } catch (err) {
+        logger.error(`reverseEntry Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
+// @route   GET api/payments/registrations/:id/documents
+// @desc    Receipts and proforma invoices issued for a registration
+exports.getDocuments = async (req, res) => {
+    try {
+        const documents = await paymentDocumentService.listDocuments(req.params.id);
+        res.json(documents);
+    } catch (err) {
+        logger.error(`getDocuments Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
+// @route   POST api/payments/registrations/:id/proforma
+// @desc    Issue a proforma invoice for the outstanding fee. Body: { feeType, email }
+exports.issueProforma = async (req, res) => {
+    try {
+        const { feeType = 'REGISTRATION_FEE', email = true } = req.body;
+
+        const registration = await getRegistration(req.params.id);
+        if (!registration) return res.status(404).json({ msg: 'Registration not found' });
+
+        const document = await paymentDocumentService.issueProforma(registration.id, { feeType, issuedBy: req.user.id, email });
+        if (!document) return res.status(400).json({ msg: 'Nothing is outstanding for this fee' });
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: 'PROFORMA_ISSUED',
+            metadata: { registrationId: registration.id, documentId: document.id, docNumber: document.doc_number },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.status(201).json(document);
+    } catch (err) {
+        logger.error(`issueProforma Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
+// @route   POST api/payments/entries/:entryId/receipt
+// @desc    Issue the receipt for a payment entry (e.g. if generation failed when it was recorded)
+exports.issueReceipt = async (req, res) => {
+    try {
+        const { data: entry } = await supabase
+            .from('payment_ledger')
+            .select('*')
+            .eq('id', req.params.entryId)
+            .maybeSingle();
+
+        if (!entry) return res.status(404).json({ msg: 'Ledger entry not found' });
+
+        const receipt = await paymentDocumentService.issueReceipt(entry, { issuedBy: req.user.id });
+        if (!receipt) return res.status(400).json({ msg: 'Receipts are only issued for payments' });
+
+        res.status(201).json(receipt);
+    } catch (err) {
+        logger.error(`issueReceipt Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
+// @route   GET api/payments/documents/:documentId/download
+// @desc    Download a receipt / proforma PDF
+exports.downloadDocument = async (req, res) => {
+    try {
+        const document = await paymentDocumentService.getDocument(req.params.documentId);
+        if (!document) return res.status(404).json({ msg: 'Document not found' });
+
+        const buffer = await paymentDocumentService.downloadFile(document);
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${document.doc_number.replace(/\//g, '-')}.pdf"`);
+        res.send(buffer);
+    } catch (err) {
+        logger.error(`downloadDocument Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
+// @route   POST api/payments/documents/:documentId/resend
+// @desc    Email a receipt / proforma to the student again
+exports.resendDocument = async (req, res) => {
+    try {
+        const document = await paymentDocumentService.getDocument(req.params.documentId);
+        if (!document) return res.status(404).json({ msg: 'Document not found' });
+
+        const updated = await paymentDocumentService.resend(document);
+        res.json(updated);
+    } catch (err) {
+        logger.error(`resendDocument Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
+// @route   GET api/payments/registrations/:id/reminders
+// @desc    Payment reminders sent for a registration (most recent first)
+exports.getReminders = async (req, res) => {
+    try {
+        const reminders = await dunningService.getReminders(req.params.id);
+        res.json(reminders);
+    } catch (err) {
+        logger.error(`getReminders Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
@@ -5,6 +5,9 @@ const emailService = require('../services/email.service');
 const chatbotConfig = require('../config/chatbotConfig');
 const validationService = require('../services/validation.service');
 const leadService = require('../services/lead.service');
+const catalogService = require('../services/catalog.service');
+const programMatchingService = require('../services/programMatching.service');
+const loanEligibilityService = require('../services/loanEligibility.service');
 
 // @route   POST api/public/intake
 // @desc    Submit new lead from website form
@@ -18,8 +21,15 @@ exports.intake = async (req, res) => {
     const { name, phone, email, serviceType, details } = req.body;
 
     try {
-        const university = details?.university;
-        const preferredCountry = details?.preferredCountry || details?.country;
+        // Website forms send catalog IDs; free text is still accepted from older forms.
+        // A stale or malformed ID is dropped rather than losing the enquiry.
+        const catalogRefs = catalogService.pickRefs(details);
+        const catalog = catalogRefs ? await catalogService.resolveRefsLenient(catalogRefs) : null;
+        if (catalog?.dropped.length) {
+            logger.warn(`Enquiry from ${email}: ignored catalog reference(s) ${catalog.dropped.join(', ')}`);
+        }
+        const university = details?.university || catalog?.labels.university;
+        const preferredCountry = details?.preferredCountry || details?.country || catalog?.labels.country;
 
         logger.info(`Processing new enquiry from ${email} - Type: ${serviceType}`);
 
@@ -36,7 +46,8 @@ exports.intake = async (req, res) => {
                     status: 'ENQUIRY_RECEIVED',
                     details, // JSONB
                     university,
-                    preferred_country: preferredCountry
+                    preferred_country: preferredCountry,
+                    ...(catalog ? catalog.ids : {})
                 }
             ])
             .select()
@@ -57,7 +68,7 @@ exports.intake = async (req, res) => {
         const emailDetails = {};
         if (university) emailDetails.university = university;
         if (preferredCountry) emailDetails.preferredCountry = preferredCountry;
-        if (details?.course) emailDetails.course = details.course;
+        if (details?.course || catalog?.labels.program) emailDetails.course = details?.course || catalog.labels.program;
         if (details?.intakeMonth && details?.intakeYear) {
             emailDetails.intake = `${details.intakeMonth} ${details.intakeYear}`;
         }
@@ -76,6 +87,9 @@ exports.intake = async (req, res) => {
             data: lead
         });
     } catch (err) {
+        if (err.status === 400) {
+            return res.status(400).json({ success: false, message: err.message });
+        }
         logger.error(`❌ DATABASE SAVE FAILED for ${email}: ${err.message}`);
         res.status(500).json({
             success: false,
@@ -142,19 +156,11 @@ exports.comprehensiveEligibility = async (req, res) => {
             if (!updateError) lead = updatedLead;
         }
 
-        // 2. Pre-screening Logic & Analysis
-        let isEligible = false;
-        let recommendedLoanType = loanRequirement.preferredType || "Unsecured";
-        let suggestedBanks = ["Punjab National Bank (PNB)", "Avanse", "Credila", "Auxilo", "InCred", "Tata Capital", "Prodigy Finance"];
-
-        // Qualification criteria: Stable income + Docs OR Collateral
-        const hasCoApp = coApplicant.hasCoApplicant === 'Yes';
-        const hasIncome = coApplicant.hasStableIncome === 'Yes' && coApplicant.incomeDocsAvailable === 'Yes';
-        const hasProperty = collateral.hasCollateral === 'Yes';
-
-        if ((hasCoApp && hasIncome) || hasProperty) {
-            isEligible = true;
-        }
+        // 2. Pre-screening: rule-based score and estimated loan ranges
+        const suggestedBanks = ["Punjab National Bank (PNB)", "Avanse", "Credila", "Auxilo", "InCred", "Tata Capital", "Prodigy Finance"];
+        const assessment = await loanEligibilityService.assess({ coApplicant, collateral, loanRequirement, courseDetails });
+        const { isEligible, recommendedLoanType } = assessment;
+        const estimatedRangeLabel = loanEligibilityService.formatRange(assessment);
 
         // 3. Create Eligibility Record (JSONB storage handles the new schema naturally)
         const { error: recordError } = await supabase
@@ -170,34 +176,47 @@ exports.comprehensiveEligibility = async (req, res) => {
                 collateral: collateral,
                 additional_info: additionalInfo,
                 analysis: {
-                    isEligible,
-                    preScreeningStatus: isEligible ? 'QUALIFIED' : 'REVIEW_NEEDED',
-                    recommendedLoanType,
+                    ...assessment,
+                    estimatedRangeLabel,
                     suggestedBanks: isEligible ? suggestedBanks : [],
                     status: 'PENDING',
-                    remarks: "Pre-screening based on document availability and co-applicant status."
+                    remarks: `Rule-based pre-screening (rules v${assessment.rulesVersion}), score ${assessment.score}/100.`
                 }
             }]);
 
         if (recordError) throw recordError;
 
-        // 4. Send Email
+        // 4. Program matches for the submitted profile (best effort: never blocks the enquiry)
+        let programMatches = null;
+        try {
+            const profile = programMatchingService.buildProfile([{ academics, testScores, courseDetails }]);
+            const { shortlist, counts } = await programMatchingService.match(profile, { limit: 3 });
+            programMatches = { counts, shortlist };
+        } catch (matchErr) {
+            logger.warn(`Program matching failed for lead ${lead.id}: ${matchErr.message}`);
+        }
+
+        // 5. Send Email
         try {
             await emailService.sendEligibilityConfirmation(
                 emailId,
                 fullName,
                 isEligible,
-                isEligible ? "High (Based on Profile)" : "Pending Review"
+                estimatedRangeLabel
             );
         } catch (e) { logger.error(`Email failed: ${e.message}`); }
 
         res.json({
             success: true,
             isEligible,
+            score: assessment.score,
             recommendedLoanType,
+            estimatedRange: assessment.estimatedRange,
+            estimatedRangeLabel,
             suggestedBanks: isEligible ? suggestedBanks : [],
+            programMatches,
             message: isEligible
-                ? `Great news! Based on your profile and document availability, you are qualified for an initial loan review. Our expert will contact you to discuss specific amounts.`
+                ? `Great news! Based on your profile you are qualified for an initial loan review. Estimated eligibility: ${estimatedRangeLabel}. Our expert will contact you to confirm the final amount.`
                 : "Thank you for sharing your details. Our advisor will review your profile and contact you shortly."
         });
 
@@ -210,6 +229,8 @@ exports.comprehensiveEligibility = async (req, res) => {
 // @route   POST api/public/eligibility-check (Simple)
 exports.checkEligibility = async (req, res) => {
     const { name, phone, email, hasStableIncome, serviceType } = req.body;
+    // Optional extras from the short form; they sharpen the estimate when present
+    const { annualIncome, incomeDocsAvailable, hasCollateral, collateralValue, country, countryId, universityId, loanAmount } = req.body;
 
     try {
         // Find or Create Lead
@@ -240,24 +261,37 @@ exports.checkEligibility = async (req, res) => {
             leadService.assignLead(lead.id).catch(err => logger.error(`Auto-assign failed: ${err.message}`));
         }
 
-        let isEligible = (hasStableIncome === 'Yes' || hasStableIncome === true);
+        const sections = {
+            coApplicant: { hasStableIncome, annualIncome, incomeDocsAvailable },
+            collateral: { hasCollateral, collateralValue },
+            loanRequirement: { loanAmount },
+            courseDetails: { country, countryId, universityId }
+        };
+        const assessment = await loanEligibilityService.assess(sections);
+        const { isEligible } = assessment;
+        const estimatedRangeLabel = loanEligibilityService.formatRange(assessment);
 
         await supabase.from('eligibility_records').insert([{
             lead_id: lead.id,
             student_details: { fullName: name, mobileNumber: phone, emailId: email },
+            co_applicant: sections.coApplicant,
+            collateral: sections.collateral,
+            loan_requirement: sections.loanRequirement,
+            course_details: sections.courseDetails,
             analysis: {
-                isEligible,
+                ...assessment,
+                estimatedRangeLabel,
                 preScreening: true,
                 status: 'PENDING'
             }
         }]);
 
         try {
-            await emailService.sendEligibilityConfirmation(email, name, isEligible, "Profile-based");
+            await emailService.sendEligibilityConfirmation(email, name, isEligible, estimatedRangeLabel);
         } catch (e) { }
 
         if (isEligible) {
-            res.json({ eligible: true, message: "Based on your initial profile, you are qualified for an expert consultation." });
+            res.json({ eligible: true, estimatedRange: assessment.estimatedRange, estimatedRangeLabel, message: "Based on your initial profile, you are qualified for an expert consultation." });
         } else {
             res.json({ eligible: false, message: "We need more info to determine your eligibility. Our agent will contact you." });
         }
@@ -318,6 +352,20 @@ exports.chatConversation = async (req, res) => {
                 ? bestMatch.response[Math.floor(Math.random() * bestMatch.response.length)]
                 : bestMatch.response;
             suggestions = bestMatch.suggestions || [];
+
+            if (bestMatch.catalog === 'countries') {
+                try {
+                    const countries = await catalogService.listCountries({ columns: 'name' });
+                    if (countries.length > 0) {
+                        const names = countries.map(c => c.name);
+                        const list = names.length > 1 ? `${names.slice(0, -1).join(', ')}, and ${names[names.length - 1]}` : names[0];
+                        reply = `We provide admissions for ${names.length} countries: ${list}. Each country has different PR rules and costs. Which one would you like to know about?`;
+                        suggestions = names.slice(0, 3).map(name => `Tell me about ${name}`);
+                    }
+                } catch (catalogErr) {
+                    logger.warn(`Chatbot catalog lookup failed, using static reply: ${catalogErr.message}`);
+                }
+            }
         }
 
         res.json({ reply, matchFound: maxScore > 0, suggestions });
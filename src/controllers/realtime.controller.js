@@ -0,0 +1,55 @@
+const jwt = require('jsonwebtoken');
+const supabase = require('../config/supabaseClient');
+const logger = require('../utils/logger');
+const realtime = require('../services/realtime.service');
+const notificationService = require('../services/notification.service');
+
+// @route   GET api/realtime/stream
+// @desc    Server-Sent Events stream for the logged-in employee.
+//          Events: connected, notification, unread_count, notifications_read, presence,
+//          chat:* and dm:* (see chat.controller)
+exports.stream = async (req, res) => {
+    try {
+        const wasOnline = realtime.isOnline(req.user.id);
+        const client = realtime.addClient(req.user, res);
+
+        realtime.write(client, 'connected', { userId: req.user.id, clientId: client.id, connectedAt: client.connectedAt });
+        realtime.write(client, 'presence_snapshot', realtime.getPresenceList());
+
+        if (!wasOnline) {
+            realtime.broadcast('presence', { userId: req.user.id, status: 'online' }, { excludeUserId: req.user.id });
+        }
+
+        try {
+            const count = await notificationService.getUnreadCount(req.user.id);
+            realtime.write(client, 'unread_count', { count });
+        } catch (countErr) {
+            logger.warn(`[REALTIME] Initial unread count failed: ${countErr.message}`);
+        }
+
+        // Close when the access token expires so the client reconnects with a fresh one
+        const token = req.header('x-auth-token') || (req.header('Authorization') || '').replace('Bearer ', '');
+        const exp = jwt.decode(token)?.exp;
+        let expiryTimer = null;
+        if (exp) {
+            expiryTimer = setTimeout(() => {
+                realtime.write(client, 'token_expired', {});
+                res.end();
+            }, Math.max(exp * 1000 - Date.now(), 0));
+        }
+
+        req.on('close', async () => {
+            if (expiryTimer) clearTimeout(expiryTimer);
+            const wentOffline = realtime.removeClient(client);
+            if (!wentOffline) return;
+
+            const lastSeenAt = new Date().toISOString();
+            realtime.broadcast('presence', { userId: req.user.id, status: 'offline', lastSeenAt });
+            const { error } = await supabase.from('employees').update({ last_seen_at: lastSeenAt }).eq('id', req.user.id);
+            if (error) logger.warn(`[REALTIME] last_seen_at update failed: ${error.message}`);
+        });
+    } catch (err) {
+        logger.error(`Realtime Stream Error: ${err.message}`);
+        if (!res.headersSent) res.status(500).json({ msg: 'Failed to open stream' });
+    }
+};
@@ -0,0 +1,124 @@
+const supabase = require('../config/supabaseClient');
+const logger = require('../utils/logger');
+const auditService = require('../services/audit.service');
+const scheduler = require('../services/scheduler.service');
+
+// @route   GET api/admin/jobs
+// @desc    List background jobs with pause state, last run and next run
+exports.getJobs = async (req, res) => {
+    try {
+        const { data: states, error } = await supabase
+            .from('scheduled_jobs')
+            .select('*')
+            .order('name', { ascending: true });
+
+        if (error) throw error;
+
+        const stateMap = new Map((states || []).map(s => [s.name, s]));
+        const jobs = scheduler.describeJobs().map(job => {
+            const state = stateMap.get(job.name) || {};
+            return {
+                ...job,
+                isPaused: !!state.is_paused,
+                pausedAt: state.paused_at || null,
+                lastRunAt: state.last_run_at || null,
+                lastStatus: state.last_status || null,
+                lastDurationMs: state.last_duration_ms ?? null
+            };
+        });
+
+        res.json(jobs);
+    } catch (err) {
+        logger.error(`getJobs Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   GET api/admin/jobs/:name/runs
+// @desc    Run history for a job (most recent first)
+exports.getJobRuns = async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+        const { data, error } = await supabase
+            .from('scheduled_job_runs')
+            .select('*, triggered_by_info:employees(name)')
+            .eq('job_name', req.params.name)
+            .order('started_at', { ascending: false })
+            .limit(limit);
+
+        if (error) throw error;
+        res.json(data);
+    } catch (err) {
+        logger.error(`getJobRuns Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   PATCH api/admin/jobs/:name/pause
+// @desc    Pause or resume a job. Body: { paused: boolean }
+exports.setJobPaused = async (req, res) => {
+    try {
+        const { name } = req.params;
+        const paused = req.body.paused !== false;
+
+        if (!scheduler.getJob(name)) return res.status(404).json({ msg: 'Job not found' });
+
+        const { data, error } = await supabase
+            .from('scheduled_jobs')
+            .update({
+                is_paused: paused,
+                paused_by: paused ? req.user.id : null,
+                paused_at: paused ? new Date().toISOString() : null
+            })
+            .eq('name', name)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: paused ? 'JOB_PAUSED' : 'JOB_RESUMED',
+            metadata: { job: name },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.json(data);
+    } catch (err) {
+        logger.error(`setJobPaused Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   POST api/admin/jobs/:name/run
+// @desc    Trigger a job immediately and return the recorded run
+exports.triggerJob = async (req, res) => {
+    try {
+        const { name } = req.params;
+        if (!scheduler.getJob(name)) return res.status(404).json({ msg: 'Job not found' });
+
+        let run;
+        try {
+            run = await scheduler.trigger(name, req.user.id);
+        } catch (triggerErr) {
+            return res.status(409).json({ msg: triggerErr.message });
+        }
+
+        if (!run) return res.status(409).json({ msg: 'Job run could not be claimed. Try again.' });
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: 'JOB_TRIGGERED',
+            metadata: { job: name, runId: run.id, status: run.status },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.json(run);
+    } catch (err) {
+        logger.error(`triggerJob Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
@@ -0,0 +1,254 @@
+const supabase = require('../config/supabaseClient');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const auditService = require('../services/audit.service');
+const catalogService = require('../services/catalog.service');
+const pdfService = require('../services/pdf.service');
+const programMatchingService = require('../services/programMatching.service');
+
+const MAX_SHORTLIST_ITEMS = 30;
+const REGISTRATION_SELECT = 'id, name, student_id, lead_id, country_id, workflow, shortlist, shortlist_updated_at';
+
+const isStudent = (user) => user.role?.toUpperCase() === 'STUDENT';
+
+const parseLimit = (value) => Math.min(Math.max(parseInt(value, 10) || 5, 1), 25);
+
+const programSnapshot = (program) => ({
+    name: program.name,
+    level: program.level,
+    university: program.university?.name,
+    universityId: program.university_id,
+    country: program.university?.country?.name,
+    worldRanking: program.university?.world_ranking || null,
+    intakes: program.intake_label,
+    tuitionFee: program.tuition_fee,
+    tuitionCurrency: program.tuition_currency,
+    applicationFee: program.application_fee,
+    applicationFeeCurrency: program.application_fee_currency,
+    applicationDeadlines: program.application_deadlines || []
+});
+
+/**
+ * Label / value rows describing the profile used, for the PDF.
+ */
+const profileRows = (profile = {}) => {
+    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const rows = [];
+    if (profile.percentage !== null && profile.percentage !== undefined) rows.push(['Academics', `${profile.percentage}%`]);
+    else if (profile.gpa !== null && profile.gpa !== undefined) rows.push(['Academics', `${profile.gpa} / ${profile.gpaScale || 10}`]);
+    ['ielts', 'toefl', 'pte', 'gre', 'gmat'].forEach(test => {
+        if (profile[test] !== null && profile[test] !== undefined) rows.push([test.toUpperCase(), String(profile[test])]);
+    });
+    if (profile.level) rows.push(['Level', profile.level]);
+    if (profile.countries?.length) rows.push(['Countries', profile.countries.join(', ')]);
+    if (profile.discipline) rows.push(['Field', profile.discipline]);
+    if (profile.intakeMonth) rows.push(['Intake', months[profile.intakeMonth - 1]]);
+    if (profile.budget !== null && profile.budget !== undefined) rows.push(['Budget / year', `${profile.budgetCurrency || ''} ${Number(profile.budget).toLocaleString('en-IN')}`]);
+    return rows;
+};
+
+const sendShortlistPdf = async (res, registration) => {
+    const shortlist = registration.shortlist;
+    const buffer = await pdfService.generateShortlistPDF({
+        companyName: config.companyName,
+        student: { name: registration.name, studentId: registration.student_id },
+        counsellorName: shortlist.savedByName,
+        savedAt: shortlist.savedAt,
+        profileRows: profileRows(shortlist.profile),
+        items: shortlist.items || []
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="shortlist${registration.student_id ? `-${registration.student_id}` : ''}.pdf"`);
+    res.send(buffer);
+};
+
+const loadRegistration = async (id) => {
+    const { data, error } = await supabase
+        .from('registrations')
+        .select(REGISTRATION_SELECT)
+        .eq('id', id)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+};
+
+// @route   POST api/crm/leads/:id/matches
+// @desc    Ambitious / Moderate / Safe program matches for a lead
+//          Body: { profile?: {...overrides}, limit? }
+exports.getLeadMatches = async (req, res) => {
+    try {
+        if (isStudent(req.user)) return res.status(403).json({ msg: 'Access denied: staff only' });
+
+        const { data: lead, error } = await supabase
+            .from('leads')
+            .select('id, details, country_id, preferred_country')
+            .eq('id', req.params.id)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!lead) return res.status(404).json({ msg: 'Lead not found' });
+
+        const profile = await programMatchingService.profileForLead(lead, req.body.profile);
+        res.json(await programMatchingService.match(profile, { limit: parseLimit(req.body.limit) }));
+    } catch (err) {
+        logger.error(`getLeadMatches Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   POST api/crm/registrations/:id/matches
+// @desc    Program matches for a registration (profile from its lead, overridable in the body)
+exports.getRegistrationMatches = async (req, res) => {
+    try {
+        if (isStudent(req.user)) return res.status(403).json({ msg: 'Access denied: staff only' });
+
+        const registration = await loadRegistration(req.params.id);
+        if (!registration) return res.status(404).json({ msg: 'Registration not found' });
+
+        const profile = await programMatchingService.profileForRegistration(registration, req.body.profile);
+        res.json(await programMatchingService.match(profile, { limit: parseLimit(req.body.limit) }));
+    } catch (err) {
+        logger.error(`getRegistrationMatches Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   GET api/crm/registrations/:id/shortlist
+// @desc    Saved shortlist (?format=pdf for the shareable PDF)
+exports.getShortlist = async (req, res) => {
+    try {
+        if (isStudent(req.user)) return res.status(403).json({ msg: 'Access denied: staff only' });
+
+        const registration = await loadRegistration(req.params.id);
+        if (!registration) return res.status(404).json({ msg: 'Registration not found' });
+        if (!registration.shortlist) return res.status(404).json({ msg: 'No shortlist saved for this registration' });
+
+        if (req.query.format === 'pdf') return sendShortlistPdf(res, registration);
+        res.json(registration.shortlist);
+    } catch (err) {
+        logger.error(`getShortlist Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   PUT api/crm/registrations/:id/shortlist
+// @desc    Save the shortlist on the registration. Each item is re-scored against the profile;
+//          a counsellor may still place a program in a different category.
+//          Body: { items: [{ programId, category?, note? }], profile?: {...overrides} }
+exports.saveShortlist = async (req, res) => {
+    try {
+        if (isStudent(req.user)) return res.status(403).json({ msg: 'Access denied: staff only' });
+
+        const { items, profile: profileOverrides } = req.body;
+
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({ msg: 'Select at least one program for the shortlist' });
+        }
+        if (items.length > MAX_SHORTLIST_ITEMS) {
+            return res.status(400).json({ msg: `A shortlist can hold at most ${MAX_SHORTLIST_ITEMS} programs` });
+        }
+        const badCategory = items.find(i => i.category && !programMatchingService.CATEGORIES.includes(String(i.category).toUpperCase()));
+        if (badCategory) {
+            return res.status(400).json({ msg: `Category must be one of ${programMatchingService.CATEGORIES.join(', ')}` });
+        }
+
+        const registration = await loadRegistration(req.params.id);
+        if (!registration) return res.status(404).json({ msg: 'Registration not found' });
+
+        const overrides = profileOverrides || registration.shortlist?.profileOverrides || {};
+        const profile = await programMatchingService.profileForRegistration({ ...registration, shortlist: null }, overrides);
+
+        const saved = [];
+        const seen = new Set();
+        for (const item of items) {
+            if (!item.programId || seen.has(item.programId)) continue;
+            seen.add(item.programId);
+
+            const program = await catalogService.getProgram(item.programId, { includeInactive: true });
+            if (!program) return res.status(400).json({ msg: `Unknown catalog program ${item.programId}` });
+
+            const result = programMatchingService.evaluate(profile, program);
+            const chosen = item.category ? String(item.category).toUpperCase() : null;
+            const category = chosen || result.category || 'AMBITIOUS';
+
+            saved.push({
+                programId: program.id,
+                category,
+                suggestedCategory: result.category,
+                categoryOverridden: !!chosen && chosen !== result.category,
+                score: result.score,
+                reasons: result.eligible ? result.reasons : [...result.reasons, 'Below the published minimum requirements'],
+                missing: result.missing,
+                note: item.note ? String(item.note).trim() : null,
+                program: programSnapshot(program)
+            });
+        }
+
+        const shortlist = {
+            profile,
+            profileOverrides: overrides,
+            items: saved,
+            savedBy: req.user.id,
+            savedByName: req.user.name || null,
+            savedAt: new Date().toISOString()
+        };
+
+        const { data, error } = await supabase
+            .from('registrations')
+            .update({ shortlist, shortlist_updated_at: shortlist.savedAt })
+            .eq('id', registration.id)
+            .select('shortlist')
+            .single();
+
+        if (error) throw error;
+
+        const counts = programMatchingService.CATEGORIES.map(c => `${saved.filter(i => i.category === c).length} ${c.toLowerCase()}`).join(', ');
+        await supabase.rpc('append_activity', {
+            registration_id: registration.id,
+            new_activity: {
+                user: req.user.name,
+                action: 'University shortlist saved',
+                notes: `${saved.length} programs (${counts})`,
+                timestamp: new Date().toISOString()
+            }
+        });
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: 'SHORTLIST_SAVED',
+            metadata: { registrationId: registration.id, programIds: saved.map(i => i.programId) },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.json(data.shortlist);
+    } catch (err) {
+        logger.error(`saveShortlist Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   GET api/student/shortlist
+// @desc    Student portal: the shortlist prepared by the counsellor (?format=pdf)
+exports.getMyShortlist = async (req, res) => {
+    try {
+        if (!isStudent(req.user)) return res.status(403).json({ msg: 'Access denied' });
+
+        const registration = await loadRegistration(req.user.id);
+        if (!registration?.shortlist) return res.status(404).json({ msg: 'No shortlist has been shared yet' });
+
+        if (req.query.format === 'pdf') return sendShortlistPdf(res, registration);
+
+        // Internal scoring details stay with the counsellor
+        const { profileOverrides, ...shortlist } = registration.shortlist;
+        res.json({
+            ...shortlist,
+            items: shortlist.items.map(({ suggestedCategory, categoryOverridden, score, ...item }) => item)
+        });
+    } catch (err) {
+        logger.error(`getMyShortlist Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
@@ -1,30 +1,39 @@
 const supabase = require('../config/supabaseClient');
 const logger = require('../utils/logger');
+const ledgerService = require('../services/ledger.service');
+const paymentDocumentService = require('../services/paymentDocument.service');
 
 // @route   GET api/student/payments/overview
-// @desc    Get student payment overview
+// @desc    Get student payment overview (derived from the payment ledger). Top-level amounts are the
+//          registration fee; loan processing and other charges are listed under otherFees.
 const getPaymentOverview = async (req, res) => {
     try {
         const { data: student, error } = await supabase
             .from('registrations')
-            .select('payment_details, payment_status, status')
+            .select('status')
             .eq('id', req.user.id)
             .single();
 
         if (error) throw error;
 
-        const paymentDetails = student.payment_details || {};
-        const totalAmount = parseFloat(paymentDetails.totalAmount) || 0;
-        const paidAmount = parseFloat(paymentDetails.paidAmount) || 0;
-        const balance = totalAmount - paidAmount;
+        const summary = await ledgerService.getSummary(req.user.id);
+        const registrationFee = ledgerService.feeSummary(summary, 'REGISTRATION_FEE');
 
         res.json({
-            totalAmount,
-            paidAmount,
-            balance,
-            paymentStatus: student.payment_status || 'Pending',
+            totalAmount: registrationFee.charged,
+            paidAmount: registrationFee.netPaid,
+            waivedAmount: registrationFee.waived,
+            refundedAmount: registrationFee.refunded,
+            balance: registrationFee.balance,
+            overdueAmount: summary.overdueAmount,
+            paymentStatus: registrationFee.status,
             registrationStatus: student.status,
-            installmentsCount: (paymentDetails.installments || []).length
+            fees: summary.fees,
+            otherFees: summary.fees.filter(f => f.feeType !== 'REGISTRATION_FEE'),
+            totalOutstanding: summary.balance,
+            installments: summary.installments,
+            nextDue: summary.nextDue,
+            installmentsCount: summary.installments.length
         });
 
     } catch (err) {
@@ -34,27 +43,30 @@ const getPaymentOverview = async (req, res) => {
 };
 
 // @route   GET api/student/payments/history
-// @desc    Get student payment history (installments)
+// @desc    Get student payment history (ledger entries, most recent first)
 const getPaymentHistory = async (req, res) => {
     try {
-        const { data: student, error } = await supabase
-            .from('registrations')
-            .select('payment_details')
-            .eq('id', req.user.id)
-            .single();
-
-        if (error) throw error;
-
-        const installments = student.payment_details?.installments || [];
-
-        // Sort by date descending (most recent first)
-        const sortedInstallments = installments.sort((a, b) => 
-            new Date(b.date) - new Date(a.date)
-        );
+        const entries = await ledgerService.getEntries(req.user.id);
+        const reversed = new Set(entries.filter(e => e.reversal_of).map(e => e.reversal_of));
+
+        const payments = entries
+            .filter(e => e.entry_type !== 'CHARGE')
+            .map(e => ({
+                id: e.id,
+                entryType: e.entry_type,
+                amount: Number(e.amount),
+                type: ledgerService.FEE_LABELS[e.fee_type] || e.fee_type,
+                method: e.method,
+                reference: e.reference,
+                notes: e.notes,
+                status: e.reversal_of ? 'Reversal' : (reversed.has(e.id) ? 'Reversed' : 'Success'),
+                date: e.entry_date
+            }))
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
 
         res.json({
-            payments: sortedInstallments,
-            total: installments.length
+            payments,
+            total: payments.length
         });
 
     } catch (err) {
@@ -64,22 +76,19 @@ const getPaymentHistory = async (req, res) => {
 };
 
 // @route   GET api/student/payments/access-flags
-// @desc    Get feature access flags based on payment status
+// @desc    Get feature access flags based on the registration fee (other fee types do not gate the portal)
 const getAccessFlags = async (req, res) => {
     try {
         const { data: student, error } = await supabase
             .from('registrations')
-            .select('payment_details, payment_status, workflow')
+            .select('workflow')
             .eq('id', req.user.id)
             .single();
 
         if (error) throw error;
 
-        const paymentDetails = student.payment_details || {};
-        const totalAmount = parseFloat(paymentDetails.totalAmount) || 0;
-        const paidAmount = parseFloat(paymentDetails.paidAmount) || 0;
-        const balance = totalAmount - paidAmount;
-        const paymentStatus = student.payment_status || 'Pending';
+        const summary = await ledgerService.getSummary(req.user.id);
+        const { charged: totalAmount, netPaid: paidAmount, balance, status: paymentStatus } = ledgerService.feeSummary(summary, 'REGISTRATION_FEE');
 
         // Determine access based on payment
         const isPaidPartially = paidAmount > 0 && balance > 0;
@@ -91,7 +100,8 @@ const getAccessFlags = async (req, res) => {
             canAccessFullPortal: isPaidFull,
             canApplyForLoan: hasLoanOpted,
             paymentStatus,
-            requiresPayment: balance > 0
+            requiresPayment: balance > 0,
+            hasOverdue: summary.overdueAmount > 0
         });
 
     } catch (err) {
@@ -100,8 +110,75 @@ const getAccessFlags = async (req, res) => {
     }
 };
 
+// @route   GET api/student/payments/documents
+// @desc    Receipts and proforma invoices issued to the student
+const getPaymentDocuments = async (req, res) => {
+    try {
+        const documents = await paymentDocumentService.listDocuments(req.user.id);
+
+        res.json(documents.map(d => ({
+            id: d.id,
+            type: d.doc_type,
+            number: d.doc_number,
+            feeType: d.fee_type,
+            amount: Number(d.amount),
+            paymentMode: d.payment_mode,
+            issuedAt: d.issued_at
+        })));
+
+    } catch (err) {
+        logger.error(`Payment Documents Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
+// @route   GET api/student/payments/documents/:documentId/download
+// @desc    Download one of the student's own receipts / invoices
+const downloadPaymentDocument = async (req, res) => {
+    try {
+        const document = await paymentDocumentService.getDocument(req.params.documentId);
+        if (!document || document.registration_id !== req.user.id) {
+            return res.status(404).json({ msg: 'Document not found' });
+        }
+
+        const buffer = await paymentDocumentService.downloadFile(document);
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${document.doc_number.replace(/\//g, '-')}.pdf"`);
+        res.send(buffer);
+
+    } catch (err) {
+        logger.error(`Download Payment Document Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
+// @route   POST api/student/payments/proforma
+// @desc    Get a proforma invoice for the outstanding registration fee
+const requestProformaInvoice = async (req, res) => {
+    try {
+        const document = await paymentDocumentService.issueProforma(req.user.id, { feeType: 'REGISTRATION_FEE' });
+        if (!document) return res.status(400).json({ msg: 'No outstanding registration fee' });
+
+        res.status(201).json({
+            id: document.id,
+            type: document.doc_type,
+            number: document.doc_number,
+            amount: Number(document.amount),
+            issuedAt: document.issued_at
+        });
+
+    } catch (err) {
+        logger.error(`Proforma Invoice Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
 module.exports = {
     getPaymentOverview,
     getPaymentHistory,
-    getAccessFlags
+    getAccessFlags,
+    getPaymentDocuments,
+    downloadPaymentDocument,
+    requestProformaInvoice
 };
@@ -5,6 +5,8 @@ const config = require('../config/env');
 const logger = require('../utils/logger');
 const otpService = require('../services/otp.service');
 const emailService = require('../services/email.service');
+const offerLetterService = require('../services/offerLetter.service');
+const departureChecklistService = require('../services/departureChecklist.service');
 const { generateSignedUrl } = require('../middleware/storage.middleware');
 const { getCookieSecurityOptions } = require('../utils/cookieOptions');
 
@@ -313,6 +315,146 @@ exports.getMyApplications = async (req, res) => {
     }
 };
 
+// @route   GET api/student/offers
+// @desc    Current student's offer letters with terms, deadlines and signed file links
+exports.getMyOffers = async (req, res) => {
+    try {
+        if (req.user.role?.toUpperCase() !== 'STUDENT') return res.status(403).json({ msg: 'Access denied' });
+
+        const offers = await offerLetterService.listForRegistration(req.user.id);
+
+        const offersWithUrls = await Promise.all(offers.map(async ({ acceptance_decided_by, created_by, ...offer }) => {
+            try {
+                return { ...offer, file_url: await generateSignedUrl(offer.file_path, 'study-materials') };
+            } catch (urlErr) {
+                logger.error(`Error generating signed URL for offer ${offer.id}: ${urlErr.message}`);
+                return { ...offer, file_url: null };
+            }
+        }));
+
+        res.json(offersWithUrls);
+    } catch (err) {
+        logger.error(`getMyOffers Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
+// @route   POST api/student/offers/:id/decision
+// @desc    Accept or decline an offer. Body: { decision: ACCEPTED|DECLINED, reason?, loanRequired? }
+exports.decideMyOffer = async (req, res) => {
+    try {
+        if (req.user.role?.toUpperCase() !== 'STUDENT') return res.status(403).json({ msg: 'Access denied' });
+
+        const offer = await offerLetterService.getOffer(req.params.id);
+        if (!offer || offer.registration_id !== req.user.id) return res.status(404).json({ msg: 'Offer not found' });
+
+        const { acceptance_decided_by, created_by, ...result } = await offerLetterService.decide(offer, {
+            decision: String(req.body.decision || '').toUpperCase(),
+            reason: req.body.reason || null,
+            loanRequired: req.body.loanRequired,
+            user: req.user
+        });
+
+        res.json(result);
+    } catch (err) {
+        if (err.status === 400 || err.status === 409) return res.status(err.status).json({ msg: err.message });
+        logger.error(`decideMyOffer Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
+// @route   GET api/student/departure-checklist
+// @desc    My pre-departure / post-arrival checklist (available once the visa is granted)
+exports.getMyDepartureChecklist = async (req, res) => {
+    try {
+        if (req.user.role?.toUpperCase() !== 'STUDENT') return res.status(403).json({ msg: 'Access denied' });
+
+        const checklist = await departureChecklistService.getChecklist(req.user.id);
+        if (!checklist) return res.json({ available: false, items: [] });
+
+        const { created_by, items, ...rest } = departureChecklistService.decorate(checklist);
+        res.json({
+            available: true,
+            ...rest,
+            items: items.map(({ completed_by, staff_notes, template_id, ...item }) => item)
+        });
+    } catch (err) {
+        logger.error(`getMyDepartureChecklist Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
+// @route   PATCH api/student/departure-checklist/items/:itemId
+// @desc    Tick an item off or reopen it. Body: { status: DONE|PENDING|NOT_APPLICABLE (optional items only), notes? }
+exports.updateMyDepartureChecklistItem = async (req, res) => {
+    try {
+        if (req.user.role?.toUpperCase() !== 'STUDENT') return res.status(403).json({ msg: 'Access denied' });
+
+        const { data: item, error } = await supabase
+            .from('departure_checklist_items')
+            .select('*')
+            .eq('id', req.params.itemId)
+            .eq('registration_id', req.user.id)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!item) return res.status(404).json({ msg: 'Checklist item not found' });
+
+        const { completed_by, staff_notes, template_id, ...updated } = await departureChecklistService.setItemStatus(item, req.body.status, {
+            user: req.user,
+            notes: req.body.notes
+        });
+
+        res.json(updated);
+    } catch (err) {
+        if (err.status === 400) return res.status(400).json({ msg: err.message });
+        logger.error(`updateMyDepartureChecklistItem Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
+// @route   GET api/student/notifications
+// @desc    Student portal notifications (payment reminders etc.), newest first
+exports.getNotifications = async (req, res) => {
+    try {
+        const { data, error } = await supabase
+            .from('student_notifications')
+            .select('*')
+            .eq('registration_id', req.user.id)
+            .order('created_at', { ascending: false })
+            .limit(50);
+
+        if (error) throw error;
+
+        res.json({ notifications: data, unread: data.filter(n => !n.is_read).length });
+    } catch (err) {
+        logger.error(`getNotifications (Student) Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
+// @route   PATCH api/student/notifications/read
+// @desc    Mark notifications as read. Body: { ids } (omit to mark all)
+exports.markNotificationsRead = async (req, res) => {
+    try {
+        let query = supabase
+            .from('student_notifications')
+            .update({ is_read: true })
+            .eq('registration_id', req.user.id)
+            .eq('is_read', false);
+
+        if (Array.isArray(req.body.ids) && req.body.ids.length > 0) query = query.in('id', req.body.ids);
+
+        const { error } = await query;
+        if (error) throw error;
+
+        res.json({ msg: 'Notifications marked as read' });
+    } catch (err) {
+        logger.error(`markNotificationsRead (Student) Error: ${err.message}`);
+        res.status(500).send('Server Error');
+    }
+};
+
 /**
  * REFRESH TOKEN (STUDENT)
  */
@@ -0,0 +1,460 @@
+const XLSX = require('xlsx');
+const supabase = require('../config/supabaseClient');
+const logger = require('../utils/logger');
+const auditService = require('../services/audit.service');
+const notificationService = require('../services/notification.service');
+const visaCaseService = require('../services/visaCase.service');
+const departureChecklistService = require('../services/departureChecklist.service');
+
+const CASE_SELECT = '*, registration:registrations(id, name, student_id, email, phone), owner:employees!owner_id(id, name)';
+
+const isStudent = (user) => user.role?.toUpperCase() === 'STUDENT';
+const isDate = (value) => !Number.isNaN(Date.parse(value));
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Map the camelCase request body onto visa_cases columns.
+ * Only keys present in the body are returned, so it works for partial updates.
+ * Status and decision only change through the transition endpoint.
+ * @returns {{fields: object, error: string|null}}
+ */
+const mapVisaBody = (body) => {
+    const fields = {};
+
+    if (body.visaType !== undefined) fields.visa_type = body.visaType || null;
+    if (body.destinationCountry !== undefined) fields.destination_country = body.destinationCountry || null;
+    if (body.applicationRef !== undefined) fields.application_ref = body.applicationRef || null;
+    if (body.biometricsLocation !== undefined) fields.biometrics_location = body.biometricsLocation || null;
+    if (body.interviewLocation !== undefined) fields.interview_location = body.interviewLocation || null;
+    if (body.notes !== undefined) fields.notes = body.notes || null;
+
+    const dateKeys = {
+        biometricsAt: 'biometrics_at',
+        biometricsCompletedAt: 'biometrics_completed_at',
+        interviewAt: 'interview_at',
+        interviewCompletedAt: 'interview_completed_at',
+        submittedAt: 'submitted_at',
+        visaValidFrom: 'visa_valid_from',
+        visaValidUntil: 'visa_valid_until',
+        passportSubmittedAt: 'passport_submitted_at',
+        passportReturnedAt: 'passport_returned_at'
+    };
+    for (const [key, column] of Object.entries(dateKeys)) {
+        if (body[key] === undefined) continue;
+        if (body[key] && !isDate(body[key])) return { fields, error: `${key} must be a valid date` };
+        fields[column] = body[key] || null;
+    }
+
+    if (body.biometricsCompleted !== undefined && fields.biometrics_completed_at === undefined) {
+        fields.biometrics_completed_at = body.biometricsCompleted ? new Date().toISOString() : null;
+    }
+    if (body.interviewCompleted !== undefined && fields.interview_completed_at === undefined) {
+        fields.interview_completed_at = body.interviewCompleted ? new Date().toISOString() : null;
+    }
+
+    if (body.checklist !== undefined) {
+        if (!Array.isArray(body.checklist)) return { fields, error: 'checklist must be an array' };
+        const items = [];
+        for (const item of body.checklist) {
+            const label = item && String(item.label || '').trim();
+            if (!label) return { fields, error: 'Every checklist item needs a label' };
+            items.push({
+                key: item.key || label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, ''),
+                label,
+                required: item.required !== false,
+                received: !!item.received,
+                receivedAt: item.received ? (item.receivedAt || today()) : null,
+                notes: item.notes || null
+            });
+        }
+        fields.checklist = items;
+    }
+
+    if (body.fees !== undefined) {
+        if (!Array.isArray(body.fees)) return { fields, error: 'fees must be an array' };
+        const fees = [];
+        for (const fee of body.fees) {
+            const type = String(fee?.type || 'OTHER').toUpperCase();
+            if (!visaCaseService.FEE_TYPES.includes(type)) {
+                return { fields, error: `Fee type must be one of ${visaCaseService.FEE_TYPES.join(', ')}` };
+            }
+            const amount = Number(fee.amount);
+            if (Number.isNaN(amount) || amount < 0) return { fields, error: 'Fee amounts must be positive numbers' };
+            if (fee.paidAt && !isDate(fee.paidAt)) return { fields, error: 'Fee paidAt must be a valid date' };
+            fees.push({
+                type,
+                label: fee.label || type.replace(/_/g, ' ').toLowerCase().replace(/^\w/, c => c.toUpperCase()),
+                amount,
+                currency: fee.currency ? String(fee.currency).toUpperCase() : null,
+                paidAt: fee.paidAt || (fee.paid ? today() : null),
+                reference: fee.reference || null
+            });
+        }
+        fields.fees = fees;
+    }
+
+    if (body.passportStatus !== undefined) {
+        const passportStatus = String(body.passportStatus || '').toUpperCase();
+        if (!visaCaseService.PASSPORT_STATUSES.includes(passportStatus)) {
+            return { fields, error: `Passport status must be one of ${visaCaseService.PASSPORT_STATUSES.join(', ')}` };
+        }
+        fields.passport_status = passportStatus;
+        if (passportStatus === 'SUBMITTED' && fields.passport_submitted_at === undefined) fields.passport_submitted_at = today();
+        if (passportStatus === 'RETURNED' && fields.passport_returned_at === undefined) fields.passport_returned_at = today();
+    }
+
+    return { fields, error: null };
+};
+
+const loadCase = async (id) => {
+    const { data, error } = await supabase
+        .from('visa_cases')
+        .select(CASE_SELECT)
+        .eq('id', id)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+};
+
+const sendVisaSheet = (res, cases) => {
+    const rows = cases.map(c => ({
+        'Student': c.registration?.name || '',
+        'Student ID': c.registration?.student_id || '',
+        'Country': c.destination_country || '',
+        'University': c.university || '',
+        'Intake': c.intake || '',
+        'Visa Type': c.visa_type || '',
+        'Status': c.statusLabel,
+        'Owner': c.owner?.name || '',
+        'Documents': `${c.progress.documentsReceived}/${c.progress.documentsRequired}`,
+        'Missing Documents': c.progress.missingDocuments.join(', '),
+        'Fees Paid': `${c.progress.feesPaid}/${c.progress.feesTotal}`,
+        'Biometrics': c.biometrics_at || '',
+        'Interview': c.interview_at || '',
+        'Application Ref': c.application_ref || '',
+        'Submitted': c.submitted_at || '',
+        'Decision': c.decision || '',
+        'Decision Date': c.decision_date || '',
+        'Valid Until': c.visa_valid_until || '',
+        'Passport': c.passport_status || ''
+    }));
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), 'Visa Cases');
+    const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="visa-cases-${today()}.xlsx"`);
+    res.send(buffer);
+};
+
+// @route   GET api/admission/visa-cases
+// @desc    Visa team board. Filters: status, ownerId, mine=true, country, search (student name).
+//          ?format=xlsx downloads the same list as a spreadsheet.
+exports.getVisaCases = async (req, res) => {
+    try {
+        if (isStudent(req.user)) return res.status(403).json({ msg: 'Access denied: staff only' });
+
+        const { status, ownerId, mine, country, search, format } = req.query;
+
+        let query = supabase
+            .from('visa_cases')
+            .select(`*, registration:registrations!inner(id, name, student_id, email, phone, is_deleted), owner:employees!owner_id(id, name)`)
+            .eq('registration.is_deleted', false)
+            .order('updated_at', { ascending: false });
+
+        if (status) {
+            const statuses = String(status).split(',').map(s => visaCaseService.normalizeStatus(s)).filter(Boolean);
+            if (statuses.length) query = query.in('status', statuses);
+        }
+        if (mine === 'true') query = query.eq('owner_id', req.user.id);
+        else if (ownerId === 'unassigned') query = query.is('owner_id', null);
+        else if (ownerId) query = query.eq('owner_id', ownerId);
+        if (country) query = query.ilike('destination_country', country);
+        if (search) query = query.ilike('registration.name', `%${search}%`);
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        const cases = (data || []).map(c => visaCaseService.decorate(c));
+        if (format === 'xlsx') return sendVisaSheet(res, cases);
+
+        const summary = Object.fromEntries(visaCaseService.VISA_STATUSES.map(s => [s, cases.filter(c => c.status === s).length]));
+        res.json({ total: cases.length, summary, cases });
+    } catch (err) {
+        logger.error(`getVisaCases Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   POST api/admission/visa-cases
+// @desc    Open a visa case for a registration (returns the existing one if already open)
+//          Body: { registrationId, visaType?, destinationCountry?, ownerId? }
+exports.createVisaCase = async (req, res) => {
+    try {
+        if (isStudent(req.user)) return res.status(403).json({ msg: 'Access denied: staff only' });
+
+        const { registrationId, visaType, destinationCountry, ownerId } = req.body;
+        if (!registrationId) return res.status(400).json({ msg: 'Registration is required' });
+
+        const { data: registration, error: regError } = await supabase
+            .from('registrations')
+            .select('id')
+            .eq('id', registrationId)
+            .eq('is_deleted', false)
+            .maybeSingle();
+
+        if (regError) throw regError;
+        if (!registration) return res.status(404).json({ msg: 'Registration not found' });
+
+        const { visaCase, created } = await visaCaseService.ensureCase(registrationId, {
+            visaType, destinationCountry, ownerId, user: req.user
+        });
+
+        if (created) {
+            await auditService.logAction({
+                employeeId: req.user.id,
+                action: 'VISA_CASE_OPENED',
+                metadata: { visaCaseId: visaCase.id, registrationId },
+                ip: req.ip,
+                userAgent: req.headers['user-agent']
+            });
+        }
+
+        res.status(created ? 201 : 200).json({ created, visaCase: visaCaseService.decorate(await loadCase(visaCase.id)) });
+    } catch (err) {
+        logger.error(`createVisaCase Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   GET api/admission/visa-cases/registration/:registrationId
+exports.getVisaCaseByRegistration = async (req, res) => {
+    try {
+        if (isStudent(req.user)) return res.status(403).json({ msg: 'Access denied: staff only' });
+
+        const { data, error } = await supabase
+            .from('visa_cases')
+            .select('id')
+            .eq('registration_id', req.params.registrationId)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) return res.status(404).json({ msg: 'No visa case for this registration' });
+
+        res.json(visaCaseService.decorate(await loadCase(data.id)));
+    } catch (err) {
+        logger.error(`getVisaCaseByRegistration Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   GET api/admission/visa-cases/:id
+// @desc    Visa case with its status history
+exports.getVisaCase = async (req, res) => {
+    try {
+        if (isStudent(req.user)) return res.status(403).json({ msg: 'Access denied: staff only' });
+
+        const visaCase = await loadCase(req.params.id);
+        if (!visaCase) return res.status(404).json({ msg: 'Visa case not found' });
+
+        const history = await visaCaseService.getHistory(visaCase.id);
+        res.json({ ...visaCaseService.decorate(visaCase), history });
+    } catch (err) {
+        logger.error(`getVisaCase Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   PATCH api/admission/visa-cases/:id
+// @desc    Update case details: visa type, checklist, appointments, fees, reference, validity, passport
+exports.updateVisaCase = async (req, res) => {
+    try {
+        if (isStudent(req.user)) return res.status(403).json({ msg: 'Access denied: staff only' });
+
+        const { fields, error: mapError } = mapVisaBody(req.body);
+        if (mapError) return res.status(400).json({ msg: mapError });
+        if (Object.keys(fields).length === 0) return res.status(400).json({ msg: 'Nothing to update' });
+
+        const visaCase = await loadCase(req.params.id);
+        if (!visaCase) return res.status(404).json({ msg: 'Visa case not found' });
+
+        const { error } = await supabase
+            .from('visa_cases')
+            .update({ ...fields, updated_at: new Date().toISOString() })
+            .eq('id', visaCase.id);
+
+        if (error) throw error;
+
+        const changes = [];
+        if (fields.biometrics_at && fields.biometrics_at !== visaCase.biometrics_at) changes.push(`biometrics booked for ${fields.biometrics_at}`);
+        if (fields.interview_at && fields.interview_at !== visaCase.interview_at) changes.push(`interview booked for ${fields.interview_at}`);
+        if (fields.passport_status && fields.passport_status !== visaCase.passport_status) changes.push(`passport ${fields.passport_status.toLowerCase().replace('_', ' ')}`);
+        if (fields.checklist) {
+            const required = fields.checklist.filter(i => i.required);
+            changes.push(`${required.filter(i => i.received).length}/${required.length} documents received`);
+        }
+
+        if (changes.length > 0) {
+            await supabase.rpc('append_activity', {
+                registration_id: visaCase.registration_id,
+                new_activity: {
+                    user: req.user.name,
+                    action: 'Visa case updated',
+                    notes: changes.join(', '),
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: 'VISA_CASE_UPDATED',
+            metadata: { visaCaseId: visaCase.id, registrationId: visaCase.registration_id, fields: Object.keys(fields) },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.json(visaCaseService.decorate(await loadCase(visaCase.id)));
+    } catch (err) {
+        logger.error(`updateVisaCase Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   POST api/admission/visa-cases/:id/transition
+// @desc    Move a visa case along its lifecycle. Body: { status, reason?, ...detail fields saved with the move }
+exports.transitionVisaCase = async (req, res) => {
+    try {
+        if (isStudent(req.user)) return res.status(403).json({ msg: 'Access denied: staff only' });
+
+        const { status, reason } = req.body;
+        if (!status) return res.status(400).json({ msg: 'Status is required' });
+
+        const { fields, error: mapError } = mapVisaBody(req.body);
+        if (mapError) return res.status(400).json({ msg: mapError });
+
+        const visaCase = await loadCase(req.params.id);
+        if (!visaCase) return res.status(404).json({ msg: 'Visa case not found' });
+
+        const { registration, owner, ...row } = visaCase;
+        const { visaCase: updated } = await visaCaseService.transition(row, status, { reason, updates: fields, user: req.user });
+        const label = visaCaseService.STATUS_LABELS[updated.status];
+
+        await supabase.rpc('append_activity', {
+            registration_id: updated.registration_id,
+            new_activity: {
+                user: req.user.name,
+                action: `Visa case moved to ${label}`,
+                notes: reason || '',
+                timestamp: new Date().toISOString()
+            }
+        });
+
+        // Visa granted: the student moves on to the pre-departure checklist
+        let checklist = null;
+        if (updated.status === 'GRANTED') {
+            try {
+                ({ checklist } = await departureChecklistService.ensureChecklist(updated.registration_id, { visaCase: updated, user: req.user }));
+            } catch (checklistErr) {
+                logger.error(`Pre-departure checklist for ${updated.registration_id} failed: ${checklistErr.message}`);
+            }
+        }
+
+        if (['GRANTED', 'REFUSED'].includes(updated.status)) {
+            await notificationService.sendToStudent({
+                registration_id: updated.registration_id,
+                title: updated.status === 'GRANTED' ? 'Your visa has been granted' : 'Visa decision received',
+                message: updated.status === 'GRANTED'
+                    ? `Congratulations! Your ${updated.visa_type || 'visa'} for ${updated.destination_country || 'your destination'} has been granted.${checklist ? ' Your pre-departure checklist is now available in the portal.' : ''}`
+                    : 'Your visa application was not successful. Your counsellor will contact you about next steps.',
+                type: 'VISA',
+                priority: 'HIGH',
+                link: '/visa'
+            });
+        }
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: 'VISA_CASE_STATUS_CHANGED',
+            metadata: { visaCaseId: updated.id, registrationId: updated.registration_id, from: visaCase.status, to: updated.status, reason },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.json(visaCaseService.decorate(await loadCase(updated.id)));
+    } catch (err) {
+        if (err.details) {
+            return res.status(err.status).json({ msg: err.message, ...err.details });
+        }
+        logger.error(`transitionVisaCase Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
+
+// @route   PATCH api/admission/visa-cases/:id/owner
+// @desc    Assign the visa case owner. Body: { ownerId } (null to unassign)
+exports.assignVisaOwner = async (req, res) => {
+    try {
+        const { ownerId } = req.body;
+
+        const visaCase = await loadCase(req.params.id);
+        if (!visaCase) return res.status(404).json({ msg: 'Visa case not found' });
+
+        let owner = null;
+        if (ownerId) {
+            const { data, error } = await supabase
+                .from('employees')
+                .select('id, name, status')
+                .eq('id', ownerId)
+                .maybeSingle();
+
+            if (error) throw error;
+            if (!data || data.status !== 'ACTIVE') return res.status(400).json({ msg: 'Owner must be an active employee' });
+            owner = data;
+        }
+
+        const { error } = await supabase
+            .from('visa_cases')
+            .update({ owner_id: owner?.id || null, owner_assigned_at: owner ? new Date().toISOString() : null, updated_at: new Date().toISOString() })
+            .eq('id', visaCase.id);
+
+        if (error) throw error;
+
+        if (owner && owner.id !== req.user.id) {
+            await notificationService.send({
+                recipient_id: owner.id,
+                sender_id: req.user.id,
+                title: 'Visa case assigned to you',
+                message: `${visaCase.registration?.name} — ${visaCase.visa_type || 'visa'}${visaCase.destination_country ? ` for ${visaCase.destination_country}` : ''}.`,
+                type: 'VISA',
+                priority: 'NORMAL',
+                link: `/registrations/${visaCase.registration_id}`
+            });
+        }
+
+        await supabase.rpc('append_activity', {
+            registration_id: visaCase.registration_id,
+            new_activity: {
+                user: req.user.name,
+                action: owner ? `Visa case assigned to ${owner.name}` : 'Visa case unassigned',
+                notes: '',
+                timestamp: new Date().toISOString()
+            }
+        });
+
+        await auditService.logAction({
+            employeeId: req.user.id,
+            action: 'VISA_CASE_OWNER_ASSIGNED',
+            metadata: { visaCaseId: visaCase.id, registrationId: visaCase.registration_id, from: visaCase.owner_id, to: owner?.id || null },
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        res.json(visaCaseService.decorate(await loadCase(visaCase.id)));
+    } catch (err) {
+        logger.error(`assignVisaOwner Error: ${err.message}`);
+        res.status(500).json({ msg: 'Server Error' });
+    }
+};
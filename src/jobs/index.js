@@ -0,0 +1,70 @@
+const scheduler = require('../services/scheduler.service');
+const attendanceController = require('../controllers/attendance.controller');
+const dunningService = require('../services/dunning.service');
+const applicationDeadlineService = require('../services/applicationDeadline.service');
+const offerLetterService = require('../services/offerLetter.service');
+const departureChecklistService = require('../services/departureChecklist.service');
+const studentDocumentService = require('../services/studentDocument.service');
+
+/**
+ * Background job registry.
+ * Cron expressions are evaluated in config.schedulerTimezone (Asia/Kolkata by default).
+ * Add new periodic jobs here; the scheduler handles locking and run history.
+ */
+const registerJobs = () => {
+    // PRODUCTION ATTENDANCE INTEGRITY
+    // Finalizes any orphaned logs (never checked out) at 4:00 AM daily.
+    scheduler.register({
+        name: 'attendance-auto-checkout',
+        cron: '0 4 * * *',
+        description: 'Auto-checkout orphaned attendance logs from previous days',
+        handler: () => attendanceController.performAutoCheckout()
+    });
+
+    // PAYMENT DUNNING
+    // Reminders for unpaid installments at config.dunningOffsets (default -3, 0, +7 days).
+    scheduler.register({
+        name: 'payment-dunning',
+        cron: '0 10 * * *',
+        description: 'Email and in-app reminders for upcoming, due and overdue installments',
+        handler: () => dunningService.run()
+    });
+
+    // ADMISSION APPLICATION DEADLINES
+    // Alerts the application owner at config.applicationDeadlineAlertDays (default 14, 7, 3, 1 days before).
+    scheduler.register({
+        name: 'application-deadline-alerts',
+        cron: '0 9 * * *',
+        description: 'In-app alerts for upcoming university application and required-item deadlines',
+        handler: () => applicationDeadlineService.run()
+    });
+
+    // OFFER LETTER DEADLINES
+    // Expires unanswered offers and reminds at config.offerReminderDays (default 7, 3, 1, 0 days before).
+    scheduler.register({
+        name: 'offer-letter-reminders',
+        cron: '30 9 * * *',
+        description: 'Offer acceptance and tuition deposit deadline reminders; expires unanswered offers',
+        handler: () => offerLetterService.run()
+    });
+
+    // PRE-DEPARTURE CHECKLISTS
+    // Nudges students about overdue items every config.departureNudgeIntervalDays until the intake starts.
+    scheduler.register({
+        name: 'departure-checklist-nudges',
+        cron: '0 11 * * *',
+        description: 'In-app nudges for overdue pre-departure checklist items before the intake date',
+        handler: () => departureChecklistService.run()
+    });
+
+    // STUDENT DOCUMENT EXPIRY
+    // Alerts the student and counsellor at config.documentExpiryAlertDays (default 60, 30, 7, 0 days before).
+    scheduler.register({
+        name: 'document-expiry-alerts',
+        cron: '15 9 * * *',
+        description: 'In-app alerts before passports, test scores and bank statements expire',
+        handler: () => studentDocumentService.run()
+    });
+};
+
+module.exports = { registerJobs };
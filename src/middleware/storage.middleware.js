@@ -42,6 +42,27 @@ const upload = multer({
 exports.studyUpload = upload;
 console.log('[DEBUG] Storage Middleware: studyUpload exported.');
 
+// Spreadsheet uploads (lead imports) - parsed in memory, never stored
+const spreadsheetMimes = [
+    'text/csv',
+    'application/csv',
+    'application/vnd.ms-excel', // CSV from some browsers / XLS
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' // XLSX
+];
+
+exports.spreadsheetUpload = multer({
+    storage,
+    limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+    fileFilter: (req, file, cb) => {
+        const ext = path.extname(file.originalname || '').toLowerCase();
+        if (spreadsheetMimes.includes(file.mimetype) || ['.csv', '.xlsx', '.xls'].includes(ext)) {
+            cb(null, true);
+        } else {
+            cb(new Error(`File type ${file.mimetype} is not supported. Upload a CSV or XLSX file.`), false);
+        }
+    }
+});
+
 // COMPRESSION HELPERS
 const compressImage = async (buffer, mimetype) => {
     try {
@@ -124,10 +145,37 @@ const uploadToSupabase = async (file, bucket = 'study-materials') => {
     return {
         path: filePath,
         fileName: file.originalname,
-        extension: extension
+        extension: extension,
+        size: fileBuffer.length
     };
 };
 
+/**
+ * Small WebP preview for image uploads (chat attachments).
+ * @returns {Promise<string|null>} storage path of the thumbnail, or null if not an image / failed
+ */
+const uploadThumbnail = async (file, bucket = 'study-materials', size = 320) => {
+    if (!file.mimetype.startsWith('image/') || file.mimetype === 'image/svg+xml') return null;
+
+    try {
+        const thumbBuffer = await sharp(file.buffer)
+            .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+            .webp({ quality: 60 })
+            .toBuffer();
+
+        const thumbPath = `thumbnails/${uuidv4()}.webp`;
+        const { error } = await supabase.storage
+            .from(bucket)
+            .upload(thumbPath, thumbBuffer, { contentType: 'image/webp', upsert: false });
+
+        if (error) throw error;
+        return thumbPath;
+    } catch (err) {
+        logger.error(`Thumbnail generation failed: ${err.message}`);
+        return null;
+    }
+};
+
 // 3. SECURE ACCESS & CLEANUP
 const deleteFromSupabase = async (filePath, bucket = 'study-materials') => {
     if (!filePath) return;
@@ -155,6 +203,7 @@ const generateSignedUrl = async (filePath, bucket = 'study-materials', expiresIn
 };
 
 exports.uploadToSupabase = uploadToSupabase;
+exports.uploadThumbnail = uploadThumbnail;
 exports.deleteFromSupabase = deleteFromSupabase;
 exports.generateSignedUrl = generateSignedUrl;
 
@@ -0,0 +1,30 @@
+const auth = require('./auth');
+
+/**
+ * URL without the `token` query parameter.
+ */
+const withoutToken = (url) => {
+    const [path, query = ''] = url.split('?');
+    const params = new URLSearchParams(query);
+    params.delete('token');
+    const rest = params.toString();
+    return rest ? `${path}?${rest}` : path;
+};
+
+/**
+ * Auth for EventSource streams.
+ * Browsers cannot set headers on EventSource, so the access token may be passed
+ * as ?token=. It is moved into x-auth-token and verified by the standard auth middleware.
+ * The token is removed from the request URL so access and error logs never record it.
+ */
+module.exports = function (req, res, next) {
+    if (req.query.token) {
+        if (!req.header('x-auth-token') && !req.header('Authorization')) {
+            req.headers['x-auth-token'] = req.query.token;
+        }
+        delete req.query.token;
+        req.url = withoutToken(req.url);
+        req.originalUrl = withoutToken(req.originalUrl);
+    }
+    return auth(req, res, next);
+};
@@ -68,6 +68,53 @@ router.patch('/employees/:id/status', [auth, isAdmin], adminController.toggleEmp
 router.post('/employees/:id/reset-password', [auth, isAdmin], adminController.resetEmployeePassword);
 router.delete('/employees/:id', [auth, isAdmin], adminController.deleteEmployee);
 
+// Lead Assignment Rules
+const assignmentRulesController = require('../controllers/assignmentRules.controller');
+
+router.get('/assignment-rules', [auth, isAdmin], assignmentRulesController.getRules);
+router.post('/assignment-rules', [auth, isAdmin], assignmentRulesController.createRule);
+router.post('/assignment-rules/dry-run', [auth, isAdmin], assignmentRulesController.dryRun);
+router.put('/assignment-rules/:id', [auth, isAdmin], assignmentRulesController.updateRule);
+router.delete('/assignment-rules/:id', [auth, isAdmin], assignmentRulesController.deleteRule);
+
+// Background Jobs
+const schedulerController = require('../controllers/scheduler.controller');
+
+router.get('/jobs', [auth, isAdmin], schedulerController.getJobs);
+router.get('/jobs/:name/runs', [auth, isAdmin], schedulerController.getJobRuns);
+router.patch('/jobs/:name/pause', [auth, isAdmin], schedulerController.setJobPaused);
+router.post('/jobs/:name/run', [auth, isAdmin], schedulerController.triggerJob);
+
+// Loan Document Checklists
+const loanChecklistController = require('../controllers/loanChecklist.controller');
+
+router.get('/loan-checklists', [auth, isAdmin], loanChecklistController.getRequirements);
+router.post('/loan-checklists', [auth, isAdmin], loanChecklistController.createRequirement);
+router.put('/loan-checklists/:id', [auth, isAdmin], loanChecklistController.updateRequirement);
+router.delete('/loan-checklists/:id', [auth, isAdmin], loanChecklistController.deleteRequirement);
+
+// Loan Eligibility Scoring
+const loanEligibilityController = require('../controllers/loanEligibility.controller');
+
+router.get('/loan-eligibility/rules', [auth, isAdmin], loanEligibilityController.getRules);
+router.put('/loan-eligibility/rules', [auth, isAdmin], loanEligibilityController.updateRules);
+router.post('/loan-eligibility/preview', [auth, isAdmin], loanEligibilityController.preview);
+
+// Pre-departure Checklist Templates
+const departureChecklistController = require('../controllers/departureChecklist.controller');
+
+router.get('/departure-checklists', [auth, isAdmin], departureChecklistController.getTemplates);
+router.post('/departure-checklists', [auth, isAdmin], departureChecklistController.createTemplate);
+router.put('/departure-checklists/:id', [auth, isAdmin], departureChecklistController.updateTemplate);
+router.delete('/departure-checklists/:id', [auth, isAdmin], departureChecklistController.deleteTemplate);
+
+// Document Rejection Reasons
+const documentController = require('../controllers/document.controller');
+
+router.get('/document-rejection-reasons', [auth, isAdmin], documentController.getRejectionReasons);
+router.post('/document-rejection-reasons', [auth, isAdmin], documentController.createRejectionReason);
+router.put('/document-rejection-reasons/:code', [auth, isAdmin], documentController.updateRejectionReason);
+
 // Registration Management
 router.delete('/registrations/:id/test', [auth, isAdmin], adminController.deleteTestRegistration);
 
@@ -1,8 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const admissionController = require('../controllers/admission.controller');
+const loanOffersController = require('../controllers/loanOffers.controller');
+const loanCalculatorController = require('../controllers/loanCalculator.controller');
+const loanChecklistController = require('../controllers/loanChecklist.controller');
+const catalogController = require('../controllers/catalog.controller');
+const visaController = require('../controllers/visa.controller');
+const departureChecklistController = require('../controllers/departureChecklist.controller');
 const auth = require('../middleware/auth');
 const ownershipGuard = require('../middleware/ownershipGuard');
+const checkRole = require('../middleware/checkRole');
+
+const catalogAdmin = checkRole(['super_admin', 'admission_admin']);
+const visaAdmin = checkRole(['super_admin', 'admission_admin']);
 
 // Dashboard
 router.get('/stats', auth, admissionController.getDashboardStats);
@@ -17,6 +27,7 @@ router.patch('/registrations/:id/toggle-loan', [auth, ownershipGuard], admission
 router.patch('/registrations/:id/complete-admission', [auth, ownershipGuard], admissionController.markAdmissionCompleted); // NEW
 router.patch('/registrations/:id/complete-loan', [auth, ownershipGuard], admissionController.markLoanCompleted); // NEW
 router.patch('/registrations/:id/loan-requirement', auth, admissionController.updateLoanRequirement); // NEW
+router.get('/registrations/:id/loan-checklist', auth, loanChecklistController.getChecklist);
 router.delete('/registrations/:id', [auth, ownershipGuard], admissionController.softDeleteRegistration);
 router.post('/registrations/:id/restore', auth, admissionController.restoreRegistration);
 router.post('/registrations/:id/cancel', [auth, ownershipGuard], admissionController.cancelAdmission);
@@ -24,23 +35,73 @@ router.post('/registrations/:id/defer', [auth, ownershipGuard], admissionControl
 router.get('/intake-deferrals', auth, admissionController.getIntakeDeferrals);
 
 // Admission Applications (Page 1)
+router.get('/applications/pipeline', auth, admissionController.getApplicationPipeline);
 router.post('/applications', [auth, ownershipGuard], admissionController.createApplication);
 router.get('/applications/registration/:registrationId', auth, admissionController.getApplicationsByRegistration);
 router.patch('/applications/:id/status', [auth, ownershipGuard], admissionController.updateApplicationStatus);
 router.patch('/applications/:id/details', [auth, ownershipGuard], admissionController.updateApplicationDetails); // NEW
 router.patch('/applications/:id/details', [auth, ownershipGuard], admissionController.updateApplicationDetails); // NEW
+router.get('/applications/:id/deadline-alerts', auth, admissionController.getApplicationDeadlineAlerts);
 
 // Offer Letters (Page 2)
 router.post('/offer-letters', [auth, ownershipGuard], admissionController.uploadOfferLetter);
 router.get('/offer-letters/registration/:registrationId', auth, admissionController.getOfferLetters);
+router.patch('/offer-letters/:id', auth, admissionController.updateOfferLetter);
+router.post('/offer-letters/:id/decision', auth, admissionController.decideOfferLetter);
+router.get('/offer-letters/:id/reminders', auth, admissionController.getOfferLetterReminders);
+
+// Visa Cases
+router.get('/visa-cases', auth, visaController.getVisaCases);
+router.post('/visa-cases', auth, visaController.createVisaCase);
+router.get('/visa-cases/registration/:registrationId', auth, visaController.getVisaCaseByRegistration);
+router.get('/visa-cases/:id', auth, visaController.getVisaCase);
+router.patch('/visa-cases/:id', auth, visaController.updateVisaCase);
+router.post('/visa-cases/:id/transition', auth, visaController.transitionVisaCase);
+router.patch('/visa-cases/:id/owner', [auth, visaAdmin], visaController.assignVisaOwner);
+
+// Pre-departure Checklists
+router.get('/departure-checklists', auth, departureChecklistController.getChecklists);
+router.get('/registrations/:id/departure-checklist', auth, departureChecklistController.getRegistrationChecklist);
+router.post('/registrations/:id/departure-checklist', auth, departureChecklistController.createRegistrationChecklist);
+router.patch('/registrations/:id/departure-checklist', auth, departureChecklistController.updateRegistrationChecklist);
+router.patch('/departure-checklist-items/:itemId', auth, departureChecklistController.updateChecklistItem);
 
 // Loan Applications (Page 3 & 4)
 router.get('/loan/registration/:registrationId', auth, admissionController.getLoanApplication);
 router.post('/loan', auth, admissionController.upsertLoanApplication);
 router.patch('/loan/:id/status', auth, admissionController.updateLoanStatus);
+router.get('/loan/:id/history', auth, admissionController.getLoanStatusHistory);
 router.post('/loan/payment', auth, admissionController.recordPayment); // NEW
 router.patch('/loan/:id/details', auth, admissionController.updateLoanDetails); // NEW
 
+// Loan Calculator (EMI & repayment schedule)
+router.post('/loan/calculator', auth, loanCalculatorController.calculate);
+router.post('/loan/calculator/pdf', auth, loanCalculatorController.calculatePdf);
+router.get('/loan/:id/schedule', auth, loanCalculatorController.getLoanSchedule);
+
+// Loan Offers (multiple lenders per loan)
+router.get('/loan/:id/offers', auth, loanOffersController.getOffers);
+router.get('/loan/:id/offers/compare', auth, loanOffersController.compareOffers);
+router.post('/loan/:id/offers', auth, loanOffersController.createOffer);
+router.patch('/loan/:id/offers/:offerId', auth, loanOffersController.updateOffer);
+router.post('/loan/:id/offers/:offerId/accept', auth, loanOffersController.acceptOffer);
+
+// University & Course Catalog (read: all staff, write: admission admins)
+router.get('/catalog/countries', auth, catalogController.getCountries);
+router.post('/catalog/countries', [auth, catalogAdmin], catalogController.createCountry);
+router.put('/catalog/countries/:id', [auth, catalogAdmin], catalogController.updateCountry);
+router.delete('/catalog/countries/:id', [auth, catalogAdmin], catalogController.deleteCountry);
+router.get('/catalog/universities', auth, catalogController.getUniversities);
+router.post('/catalog/universities', [auth, catalogAdmin], catalogController.createUniversity);
+router.put('/catalog/universities/:id', [auth, catalogAdmin], catalogController.updateUniversity);
+router.delete('/catalog/universities/:id', [auth, catalogAdmin], catalogController.deleteUniversity);
+router.get('/catalog/programs', auth, catalogController.getPrograms);
+router.get('/catalog/programs/:id', auth, catalogController.getProgram);
+router.post('/catalog/programs', [auth, catalogAdmin], catalogController.createProgram);
+router.put('/catalog/programs/:id', [auth, catalogAdmin], catalogController.updateProgram);
+router.delete('/catalog/programs/:id', [auth, catalogAdmin], catalogController.deleteProgram);
+router.get('/catalog/reports/conversions', auth, catalogController.getConversionReport);
+
 // Tasks
 router.get('/tasks', auth, admissionController.getTasks);
 router.post('/tasks', auth, admissionController.createTask);
@@ -2,15 +2,33 @@ const express = require('express');
 const router = express.Router();
 const chatController = require('../controllers/chat.controller');
 const auth = require('../middleware/auth');
+const { studyUpload } = require('../middleware/storage.middleware');
 
 // All chat routes are protected
-router.post('/send', auth, chatController.sendMessage);
+router.post('/send', auth, studyUpload.single('file'), chatController.sendMessage);
+
+// --- Live signals (must be above /:deptId) ---
+router.post('/typing', auth, chatController.sendTyping);
+router.get('/presence', auth, chatController.getPresence);
+router.post('/presence', auth, chatController.updatePresence);
+router.get('/search', auth, chatController.searchMessages);
+
+// --- Editing, threads & reactions ---
+router.patch('/messages/:messageId', auth, chatController.editMessage);
+router.get('/messages/:messageId/history', auth, chatController.getEditHistory);
+router.get('/messages/:messageId/thread', auth, chatController.getThread);
+router.post('/messages/:messageId/react', auth, chatController.toggleReaction);
+router.get('/messages/:messageId/attachment', auth, chatController.getMessageAttachment);
+
 router.get('/:deptId', auth, chatController.getMessages);
+router.post('/:deptId/read', auth, chatController.markTeamMessagesRead);
 router.delete('/:messageId', auth, chatController.deleteMessage);
 
 // --- Direct Messaging (1-to-1) ---
 router.get('/direct/conversations', auth, chatController.getConversations);
 router.get('/direct/:conversationId', auth, chatController.getDirectMessages);
-router.post('/direct/send', auth, chatController.sendDirectMessage);
+router.post('/direct/send', auth, studyUpload.single('file'), chatController.sendDirectMessage);
+router.get('/direct/messages/:messageId/attachment', auth, chatController.getDirectMessageAttachment);
+router.post('/direct/:conversationId/read', auth, chatController.markDirectMessagesRead);
 
 module.exports = router;
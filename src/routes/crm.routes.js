@@ -1,11 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const counsellorController = require('../controllers/counsellor.controller');
+const shortlistController = require('../controllers/shortlist.controller');
 const auth = require('../middleware/auth');
 const ownershipGuard = require('../middleware/ownershipGuard');
+const isAdmin = require('../middleware/isAdmin');
+const { spreadsheetUpload } = require('../middleware/storage.middleware');
 
 // Lead Management
 router.post('/leads', auth, counsellorController.createLead);
+router.post('/leads/import', [auth, isAdmin, spreadsheetUpload.single('file')], counsellorController.importLeads);
 router.get('/leads/general', auth, counsellorController.getGeneralLeads);
 router.get('/leads/my-leads', auth, counsellorController.getMyLeads);
 router.get('/leads/my-follow-ups', auth, counsellorController.getMyFollowUps);
@@ -26,6 +30,12 @@ router.patch('/registrations/:id/complete-task', [auth, ownershipGuard], counsel
 router.post('/registrations/:id/close', auth, counsellorController.closeRegistration);
 router.get('/registrations/my', auth, counsellorController.getMyRegistrations);
 
+// Program Matching & Shortlists
+router.post('/leads/:id/matches', auth, shortlistController.getLeadMatches);
+router.post('/registrations/:id/matches', auth, shortlistController.getRegistrationMatches);
+router.get('/registrations/:id/shortlist', auth, shortlistController.getShortlist);
+router.put('/registrations/:id/shortlist', auth, shortlistController.saveShortlist);
+
 // Trash Leads (Admin Only)
 router.get('/trash-leads', counsellorController.getTrashLeads);
 router.post('/trash-leads/:id/restore', counsellorController.restoreRejectedLead);
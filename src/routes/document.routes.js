@@ -7,12 +7,27 @@ const { studyUpload } = require('../middleware/storage.middleware');
 // @route   POST api/documents/upload
 router.post('/upload', auth, studyUpload.single('file'), documentController.uploadDocument);
 
+// @route   GET api/documents/rejection-reasons
+router.get('/rejection-reasons', auth, documentController.getRejectionReasons);
+
 // @route   PATCH api/documents/:id/verify
 router.patch('/:id/verify', auth, documentController.verifyDocument);
 
 // @route   GET api/documents/registration/:registrationId
 router.get('/registration/:registrationId', auth, documentController.getStudentDocuments);
 
+// @route   POST api/documents/registration/:registrationId/dossier
+router.post('/registration/:registrationId/dossier', auth, documentController.generateDossier);
+
+// @route   GET api/documents/registration/:registrationId/dossier
+router.get('/registration/:registrationId/dossier', auth, documentController.getDossier);
+
+// @route   GET api/documents/:id/versions
+router.get('/:id/versions', auth, documentController.getDocumentVersions);
+
+// @route   GET api/documents/:id/versions/compare
+router.get('/:id/versions/compare', auth, documentController.compareDocumentVersions);
+
 // @route   DELETE api/documents/:id
 router.delete('/:id', auth, documentController.deleteDocument);
 
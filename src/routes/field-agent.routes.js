@@ -1,7 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const fieldAgentController = require('../controllers/field-agent.controller');
+const loanChecklistController = require('../controllers/loanChecklist.controller');
 const auth = require('../middleware/auth');
+const checkRole = require('../middleware/checkRole');
+
+// Handoff packages hold the full loan file (co-applicant KYC, bank statements, property papers);
+// transfer-veda builds one and returns its download link
+const loanTeam = checkRole(['super_admin', 'field_agent']);
 
 // Dashboard
 router.get('/dashboard', auth, fieldAgentController.getDashboardStats);
@@ -10,7 +16,10 @@ router.get('/dashboard', auth, fieldAgentController.getDashboardStats);
 router.get('/registrations', auth, fieldAgentController.getRegistrations);
 router.get('/registrations/:id/documents', auth, fieldAgentController.getLoanDocuments);
 router.post('/registrations/:id/documents', auth, fieldAgentController.uploadLoanDocument);
-router.post('/registrations/:id/transfer-veda', auth, fieldAgentController.transferToVeda);
+router.get('/registrations/:id/checklist', auth, loanChecklistController.getChecklist);
+router.post('/registrations/:id/transfer-veda', [auth, loanTeam], fieldAgentController.transferToVeda);
+router.get('/registrations/:id/handoff-package', [auth, loanTeam], fieldAgentController.getHandoffPackage);
+router.post('/registrations/:id/handoff-package', [auth, loanTeam], fieldAgentController.regenerateHandoffPackage);
 
 // Documents
 router.patch('/documents/:docId/status', auth, fieldAgentController.updateDocumentStatus);
@@ -6,6 +6,7 @@ const auth = require('../middleware/auth');
 router.use(auth); // All notification routes require authentication
 
 router.get('/', notificationsController.getMyNotifications);
+router.get('/unread-count', notificationsController.getUnreadCount);
 router.patch('/:id/read', notificationsController.markAsRead);
 router.patch('/read-all', notificationsController.markAllAsRead);
 
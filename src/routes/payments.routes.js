@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const paymentsController = require('../controllers/payments.controller');
+const isAdmin = require('../middleware/isAdmin');
+
+// Mounted behind auth in app.js. Student portal tokens read their own ledger via /api/student/payments.
+router.use((req, res, next) => {
+    if (req.user.role === 'student') return res.status(403).json({ msg: 'Access denied: staff only' });
+    next();
+});
+
+// Ledger
+router.get('/registrations/:id/ledger', paymentsController.getLedger);
+router.post('/registrations/:id/payments', paymentsController.recordPayment);
+router.put('/registrations/:id/installments', paymentsController.setInstallments);
+router.get('/registrations/:id/reminders', paymentsController.getReminders);
+
+// Receipts & Proforma Invoices
+router.get('/registrations/:id/documents', paymentsController.getDocuments);
+router.post('/registrations/:id/proforma', paymentsController.issueProforma);
+router.post('/entries/:entryId/receipt', paymentsController.issueReceipt);
+router.get('/documents/:documentId/download', paymentsController.downloadDocument);
+router.post('/documents/:documentId/resend', paymentsController.resendDocument);
+
+// Adjustments (Admin Only)
+router.post('/registrations/:id/charges', isAdmin, paymentsController.postCharge);
+router.post('/registrations/:id/refunds', isAdmin, paymentsController.recordRefund);
+router.post('/registrations/:id/waivers', isAdmin, paymentsController.recordWaiver);
+router.post('/entries/:entryId/reverse', isAdmin, paymentsController.reverseEntry);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const publicController = require('../controllers/public.controller');
+const catalogController = require('../controllers/catalog.controller');
 const { check } = require('express-validator');
 
 // Validation
@@ -23,4 +24,10 @@ router.post('/chat-message', publicController.chatMessage);
 router.post('/chat-conversation', publicController.chatConversation);
 router.get('/content', publicController.getContent);
 
+// University & course catalog (website)
+router.get('/catalog/countries', catalogController.getPublicCountries);
+router.get('/catalog/universities', catalogController.getPublicUniversities);
+router.get('/catalog/programs', catalogController.getPublicPrograms);
+router.get('/catalog/programs/:id', catalogController.getPublicProgram);
+
 module.exports = router;
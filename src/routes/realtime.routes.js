@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const realtimeController = require('../controllers/realtime.controller');
+const streamAuth = require('../middleware/streamAuth');
+
+// EventSource connection (token via header or ?token=)
+router.get('/stream', streamAuth, realtimeController.stream);
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const studentController = require('../controllers/student.controller');
 const studentPaymentController = require('../controllers/student-payment.controller');
+const loanCalculatorController = require('../controllers/loanCalculator.controller');
+const shortlistController = require('../controllers/shortlist.controller');
 const authMiddleware = require('../middleware/auth');
 
 // Authentication
@@ -16,11 +18,28 @@ router.get('/me', authMiddleware, studentController.getDashboard);
 router.get('/payments/overview', authMiddleware, studentPaymentController.getPaymentOverview);
 router.get('/payments/history', authMiddleware, studentPaymentController.getPaymentHistory);
 router.get('/payments/access-flags', authMiddleware, studentPaymentController.getAccessFlags);
+router.get('/payments/documents', authMiddleware, studentPaymentController.getPaymentDocuments);
+router.get('/payments/documents/:documentId/download', authMiddleware, studentPaymentController.downloadPaymentDocument);
+router.post('/payments/proforma', authMiddleware, studentPaymentController.requestProformaInvoice);
+
+// Loan Repayment
+router.get('/loan/schedule', authMiddleware, loanCalculatorController.getMyLoanSchedule);
+router.post('/loan/calculator', authMiddleware, loanCalculatorController.calculate);
+router.post('/loan/calculator/pdf', authMiddleware, loanCalculatorController.calculatePdf);
+
+// University Shortlist
+router.get('/shortlist', authMiddleware, shortlistController.getMyShortlist);
 
 // Profile & Auth
 router.post('/request-reset', studentController.requestPasswordReset);
 router.post('/reset-password', studentController.resetPassword);
 router.put('/profile', authMiddleware, studentController.updateProfile);
 router.get('/my-applications', authMiddleware, studentController.getMyApplications);
+router.get('/offers', authMiddleware, studentController.getMyOffers);
+router.post('/offers/:id/decision', authMiddleware, studentController.decideMyOffer);
+router.get('/departure-checklist', authMiddleware, studentController.getMyDepartureChecklist);
+router.patch('/departure-checklist/items/:itemId', authMiddleware, studentController.updateMyDepartureChecklistItem);
+router.get('/notifications', authMiddleware, studentController.getNotifications);
+router.patch('/notifications/read', authMiddleware, studentController.markNotificationsRead);
 
 module.exports = router;
@@ -3,29 +3,28 @@ const config = require('./config/env');
 const logger = require('./utils/logger');
 const emailService = require('./services/email.service');
 const attendanceController = require('./controllers/attendance.controller');
+const scheduler = require('./services/scheduler.service');
+const { registerJobs } = require('./jobs');
 const axios = require('axios');
 
 const PORT = process.env.PORT || config.port || 5001;
 
 /**
- * PRODUCTION ATTENDANCE INTEGRITY
- * Decouples Attendance Logs from Session Auth.
- * Finalizes any orphaned logs at 4:00 AM daily.
+ * BACKGROUND JOBS
+ * Registers periodic jobs (see src/jobs) with the persistent scheduler.
+ * Cron slots are locked in the database, so running several instances is safe.
  */
 function initBackgroundJobs() {
-    logger.info('[SYSTEM] Initializing background check for Attendance Integrity...');
+    // Always register so the admin API can list and trigger jobs
+    registerJobs();
 
-    // Check every hour
-    setInterval(() => {
-        const now = new Date();
-        const currentHour = now.getHours();
+    if (!config.schedulerEnabled) {
+        logger.info('[SYSTEM] Job scheduler disabled (SCHEDULER_ENABLED=false).');
+        return;
+    }
 
-        // Trigger at 4:00 AM
-        if (currentHour === 4) {
-            logger.info('[SYSTEM] 4:00 AM reached. Triggering Auto-Checkout for orphaned logs...');
-            attendanceController.performAutoCheckout();
-        }
-    }, 1000 * 60 * 60);
+    logger.info('[SYSTEM] Initializing job scheduler...');
+    scheduler.start().catch(err => logger.error(`[SYSTEM] Scheduler failed to start: ${err.message}`));
 
     // Run once on startup in Dev/Debug mode to verify
     if (config.nodeEnv === 'development') {
@@ -0,0 +1,146 @@
+const dayjs = require('dayjs');
+const supabase = require('../config/supabaseClient');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const notificationService = require('./notification.service');
+const applicationPipelineService = require('./applicationPipeline.service');
+
+/**
+ * Application Deadline Alerts
+ * Daily pass over open admission applications. For each configured lead time
+ * (config.applicationDeadlineAlertDays, e.g. 14, 7, 3, 1 days) the owner of an
+ * unsubmitted application, or of a required item still outstanding, gets one
+ * in-app alert and the registration gets an activity entry.
+ * application_deadline_alerts (unique per deadline + lead time) guarantees an
+ * alert is never sent twice.
+ */
+class ApplicationDeadlineService {
+    /**
+     * @param {Date} now
+     * @returns {Promise<{date:string, candidates:number, sent:number, skipped:number, failed:number}>}
+     */
+    async run(now = new Date()) {
+        const today = applicationPipelineService.today(now);
+        const leadTimes = [...new Set(config.applicationDeadlineAlertDays)];
+        const result = { date: today, candidates: 0, sent: 0, skipped: 0, failed: 0 };
+        if (leadTimes.length === 0) return result;
+
+        const horizon = dayjs(today).add(Math.max(...leadTimes), 'day').format('YYYY-MM-DD');
+
+        // Anything with an upcoming application deadline or at least one required item
+        const { data: applications, error } = await supabase
+            .from('admission_applications')
+            .select('id, registration_id, university, program_name, course, status, decision, assigned_to, application_deadline, submitted_at, required_items, registration:registrations!inner(id, name, is_deleted, workflow)')
+            .eq('registration.is_deleted', false)
+            .not('status', 'in', `(${applicationPipelineService.CLOSED_STATUSES.map(s => `"${s}"`).join(',')})`)
+            .or(`and(application_deadline.gte.${today},application_deadline.lte.${horizon}),required_items.neq.[]`);
+
+        if (error) throw error;
+
+        for (const application of applications || []) {
+            if (!applicationPipelineService.isOpen(application)) continue;
+
+            const deadlines = [];
+
+            if (!application.submitted_at && application.application_deadline) {
+                deadlines.push({ type: 'APPLICATION', key: '', date: application.application_deadline, label: 'Application deadline' });
+            }
+
+            for (const item of Array.isArray(application.required_items) ? application.required_items : []) {
+                if (!item.received && item.dueDate && item.name) {
+                    deadlines.push({ type: 'REQUIRED_ITEM', key: item.name, date: item.dueDate, label: item.name });
+                }
+            }
+
+            for (const deadline of deadlines) {
+                const daysBefore = dayjs(deadline.date).diff(dayjs(today), 'day');
+                if (!leadTimes.includes(daysBefore)) continue;
+
+                result.candidates++;
+                try {
+                    const sent = await this.sendAlert(application, deadline, daysBefore);
+                    if (sent) result.sent++;
+                    else result.skipped++;
+                } catch (err) {
+                    result.failed++;
+                    logger.error(`[APPLICATION-DEADLINES] Application ${application.id} failed: ${err.message}`);
+                }
+            }
+        }
+
+        logger.info(`[APPLICATION-DEADLINES] ${today}: ${result.sent} sent, ${result.skipped} skipped, ${result.failed} failed`);
+        return result;
+    }
+
+    /**
+     * Claim the (deadline, lead time) slot, then notify the application owner.
+     * @returns {Promise<boolean>} false if another run already sent this alert
+     */
+    async sendAlert(application, deadline, daysBefore) {
+        const registration = application.registration;
+        const recipientId = application.assigned_to || registration.workflow?.originCounsellor || null;
+
+        const { error: claimError } = await supabase
+            .from('application_deadline_alerts')
+            .insert([{
+                application_id: application.id,
+                registration_id: application.registration_id,
+                deadline_type: deadline.type,
+                deadline_key: deadline.key,
+                deadline_date: deadline.date,
+                days_before: daysBefore,
+                recipient_id: recipientId
+            }]);
+
+        if (claimError) {
+            // 23505 = unique violation: alert already sent for this slot
+            if (claimError.code === '23505') return false;
+            throw claimError;
+        }
+
+        const program = application.program_name || application.course;
+        const target = `${application.university}${program ? ` (${program})` : ''}`;
+        const dueOn = dayjs(deadline.date).format('DD MMM YYYY');
+        const when = daysBefore === 0 ? 'today' : `in ${daysBefore} day(s), ${dueOn}`;
+        const headline = `${deadline.label} for ${target} is due ${when}`;
+
+        if (recipientId) {
+            await notificationService.send({
+                recipient_id: recipientId,
+                sender_id: null,
+                title: deadline.type === 'APPLICATION' ? 'Application deadline approaching' : 'Application document due',
+                message: `${registration.name} — ${headline}.`,
+                type: 'APPLICATION',
+                priority: daysBefore <= 3 ? 'HIGH' : 'NORMAL',
+                link: `/registrations/${application.registration_id}`
+            });
+        } else {
+            logger.warn(`[APPLICATION-DEADLINES] Application ${application.id} has no owner to alert`);
+        }
+
+        await supabase.rpc('append_activity', {
+            registration_id: application.registration_id,
+            new_activity: {
+                user: 'System',
+                action: 'Application deadline alert sent',
+                notes: headline,
+                timestamp: new Date().toISOString()
+            }
+        });
+
+        return true;
+    }
+
+    async getAlerts(applicationId) {
+        const { data, error } = await supabase
+            .from('application_deadline_alerts')
+            .select('*')
+            .eq('application_id', applicationId)
+            .order('sent_at', { ascending: false });
+
+        if (error) throw error;
+        return data || [];
+    }
+}
+
+module.exports = new ApplicationDeadlineService();
@@ -0,0 +1,144 @@
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const supabase = require('../config/supabaseClient');
+const config = require('../config/env');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Pipeline columns, in board order. Rows with any other status land in 'Other'.
+const STATUSES = ['Applied', 'Under Review', 'Approved', 'Rejected', 'Withdrawn'];
+const CLOSED_STATUSES = ['Rejected', 'Withdrawn'];
+
+const DECISIONS = ['PENDING', 'CONDITIONAL_OFFER', 'UNCONDITIONAL_OFFER', 'WAITLISTED', 'REJECTED', 'WITHDRAWN'];
+
+// Recording a decision moves the application to the matching status
+const DECISION_STATUS = {
+    CONDITIONAL_OFFER: 'Approved',
+    UNCONDITIONAL_OFFER: 'Approved',
+    WAITLISTED: 'Under Review',
+    REJECTED: 'Rejected',
+    WITHDRAWN: 'Withdrawn'
+};
+
+const DEFAULT_DUE_SOON_DAYS = 14;
+
+/**
+ * Admission Application Pipeline
+ * Board of university applications across all registrations, grouped by
+ * status, with deadline / fee / required-item flags on every card.
+ */
+class ApplicationPipelineService {
+    today(now = new Date()) {
+        return dayjs(now).tz(config.schedulerTimezone).format('YYYY-MM-DD');
+    }
+
+    isOpen(application) {
+        return !CLOSED_STATUSES.includes(application.status)
+            && ['PENDING', 'WAITLISTED', undefined, null].includes(application.decision);
+    }
+
+    /**
+     * Deadline and checklist flags for one application.
+     */
+    decorate(application, today, dueSoonDays = DEFAULT_DUE_SOON_DAYS) {
+        const items = Array.isArray(application.required_items) ? application.required_items : [];
+        const pendingItems = items.filter(i => !i.received);
+        const submitted = !!application.submitted_at;
+
+        let daysToDeadline = null;
+        let deadlineState = 'NONE';
+        if (application.application_deadline) {
+            daysToDeadline = dayjs(application.application_deadline).diff(dayjs(today), 'day');
+            if (submitted || !this.isOpen(application)) deadlineState = 'MET';
+            else if (daysToDeadline < 0) deadlineState = 'MISSED';
+            else if (daysToDeadline <= dueSoonDays) deadlineState = 'DUE_SOON';
+            else deadlineState = 'ON_TRACK';
+        }
+
+        const overdueItems = pendingItems.filter(i => i.dueDate && i.dueDate < today);
+
+        return {
+            ...application,
+            tracking: {
+                submitted,
+                daysToDeadline,
+                deadlineState,
+                feePaid: !!application.application_fee_paid,
+                requiredItems: items.length,
+                pendingItems: pendingItems.length,
+                overdueItems: overdueItems.length,
+                needsAttention: ['DUE_SOON', 'MISSED'].includes(deadlineState) || overdueItems.length > 0
+            }
+        };
+    }
+
+    /**
+     * @param {object} filters
+     * @param {string} [filters.intake]
+     * @param {string} [filters.university] - partial match
+     * @param {string} [filters.assignedTo] - employee id
+     * @param {number} [filters.dueWithin] - only applications with a deadline in the next N days
+     * @param {boolean} [filters.includeClosed=true]
+     */
+    async getPipeline({ intake, university, assignedTo, dueWithin, includeClosed = true } = {}) {
+        const today = this.today();
+
+        let query = supabase
+            .from('admission_applications')
+            .select(`
+                *,
+                registration:registrations!inner(id, name, student_id, email, phone, is_deleted),
+                assignee:employees!assigned_to(id, name)
+            `)
+            .eq('registration.is_deleted', false)
+            .order('application_deadline', { ascending: true, nullsFirst: false });
+
+        if (intake) query = query.eq('intake', intake);
+        if (university) query = query.ilike('university', `%${university}%`);
+        if (assignedTo) query = query.eq('assigned_to', assignedTo);
+        if (!includeClosed) query = query.not('status', 'in', `(${CLOSED_STATUSES.map(s => `"${s}"`).join(',')})`);
+        if (dueWithin !== undefined) {
+            query = query
+                .gte('application_deadline', today)
+                .lte('application_deadline', dayjs(today).add(dueWithin, 'day').format('YYYY-MM-DD'));
+        }
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        const dueSoonDays = dueWithin !== undefined ? dueWithin : DEFAULT_DUE_SOON_DAYS;
+        const applications = (data || []).map(a => this.decorate(a, today, dueSoonDays));
+
+        const stages = [...STATUSES, 'Other'].map(status => {
+            const rows = applications.filter(a => (status === 'Other' ? !STATUSES.includes(a.status) : a.status === status));
+            return {
+                status,
+                count: rows.length,
+                needsAttention: rows.filter(a => a.tracking.needsAttention).length,
+                applications: rows
+            };
+        }).filter(stage => stage.status !== 'Other' || stage.count > 0);
+
+        return {
+            asOf: today,
+            total: applications.length,
+            summary: {
+                dueSoon: applications.filter(a => a.tracking.deadlineState === 'DUE_SOON').length,
+                missed: applications.filter(a => a.tracking.deadlineState === 'MISSED').length,
+                feeUnpaid: applications.filter(a => this.isOpen(a) && !a.tracking.feePaid).length,
+                awaitingDecision: applications.filter(a => a.tracking.submitted && (a.decision || 'PENDING') === 'PENDING').length
+            },
+            stages
+        };
+    }
+}
+
+const applicationPipelineService = new ApplicationPipelineService();
+applicationPipelineService.STATUSES = STATUSES;
+applicationPipelineService.CLOSED_STATUSES = CLOSED_STATUSES;
+applicationPipelineService.DECISIONS = DECISIONS;
+applicationPipelineService.DECISION_STATUS = DECISION_STATUS;
+
+module.exports = applicationPipelineService;
@@ -0,0 +1,243 @@
+const supabase = require('../config/supabaseClient');
+
+const PROGRAM_LEVELS = ['FOUNDATION', 'DIPLOMA', 'UG', 'PG', 'PHD', 'CERTIFICATE'];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Columns exposed on the public (website) API
+const PUBLIC_COUNTRY_COLUMNS = 'id, code, name, currency, description';
+const PUBLIC_UNIVERSITY_COLUMNS = 'id, country_id, name, city, website, world_ranking, logo_url, description';
+const PUBLIC_PROGRAM_COLUMNS = `id, university_id, name, level, discipline, duration_months, intake_months,
+    tuition_fee, tuition_currency, application_fee, application_fee_currency,
+    min_gpa, gpa_scale, min_ielts, min_toefl, min_pte, min_gre, min_gmat,
+    other_requirements, application_deadlines, program_url`;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const badRequest = (message) => {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+};
+
+/**
+ * University & Course Catalog
+ * Countries -> universities -> programs. Besides listing, resolveRefs() turns
+ * catalog IDs from a request into consistent foreign keys plus the display
+ * labels still stored in the legacy text columns.
+ */
+class CatalogService {
+    intakeLabel(months = []) {
+        return (months || []).map(m => MONTHS[m - 1]).filter(Boolean).join(', ');
+    }
+
+    async listCountries({ includeInactive = false, columns = '*' } = {}) {
+        let query = supabase
+            .from('catalog_countries')
+            .select(columns)
+            .order('sort_order', { ascending: true })
+            .order('name', { ascending: true });
+
+        if (!includeInactive) query = query.eq('is_active', true);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data || [];
+    }
+
+    async listUniversities({ countryId, search, includeInactive = false, columns = '*' } = {}) {
+        let query = supabase
+            .from('catalog_universities')
+            .select(`${columns}, country:catalog_countries(id, code, name)`)
+            .order('world_ranking', { ascending: true, nullsFirst: false })
+            .order('name', { ascending: true });
+
+        if (countryId) query = query.eq('country_id', countryId);
+        if (search) query = query.ilike('name', `%${search}%`);
+        if (!includeInactive) query = query.eq('is_active', true);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * @param {object} filters
+     * @param {string} [filters.universityId]
+     * @param {string} [filters.countryId]
+     * @param {string} [filters.level] - one of PROGRAM_LEVELS
+     * @param {number} [filters.intakeMonth] - 1..12
+     * @param {string} [filters.search] - partial program name
+     */
+    async listPrograms({ universityId, countryId, level, intakeMonth, search, includeInactive = false, columns = '*' } = {}) {
+        let query = supabase
+            .from('catalog_programs')
+            .select(`${columns}, university:catalog_universities!inner(id, name, city, country_id, world_ranking, is_active, country:catalog_countries(id, code, name))`)
+            .order('name', { ascending: true });
+
+        if (universityId) query = query.eq('university_id', universityId);
+        if (countryId) query = query.eq('university.country_id', countryId);
+        if (level) query = query.eq('level', String(level).toUpperCase());
+        if (intakeMonth) query = query.contains('intake_months', [intakeMonth]);
+        if (search) query = query.ilike('name', `%${search}%`);
+        if (!includeInactive) query = query.eq('is_active', true).eq('university.is_active', true);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return (data || []).map(p => ({ ...p, intake_label: this.intakeLabel(p.intake_months) }));
+    }
+
+    async getProgram(id, { includeInactive = false, columns = '*' } = {}) {
+        let query = supabase
+            .from('catalog_programs')
+            .select(`${columns}, university:catalog_universities(id, name, city, website, world_ranking, country:catalog_countries(id, code, name, currency))`)
+            .eq('id', id);
+
+        if (!includeInactive) query = query.eq('is_active', true);
+
+        const { data, error } = await query.maybeSingle();
+        if (error) throw error;
+        return data ? { ...data, intake_label: this.intakeLabel(data.intake_months) } : null;
+    }
+
+    /**
+     * Catalog ID keys present in a request body, or null if it sends none.
+     */
+    pickRefs(source = {}) {
+        const keys = ['countryId', 'universityId', 'programId'];
+        if (!source || keys.every(k => source[k] === undefined)) return null;
+        return { countryId: source.countryId, universityId: source.universityId, programId: source.programId };
+    }
+
+    /**
+     * Validate catalog IDs and derive the missing parents.
+     * A program implies its university, a university implies its country; IDs
+     * that contradict each other are rejected.
+     * @param {object} refs - { countryId, universityId, programId } (any subset)
+     * @returns {Promise<{ids: {country_id, university_id, program_id}, labels: {country, university, program}, program: object|null}>}
+     * @throws {Error} err.status = 400 for unknown or inconsistent IDs
+     */
+    async resolveRefs({ countryId, universityId, programId } = {}) {
+        const ids = { country_id: countryId || null, university_id: universityId || null, program_id: programId || null };
+        const labels = { country: null, university: null, program: null };
+        let program = null;
+
+        if (ids.program_id) {
+            const { data, error } = await supabase
+                .from('catalog_programs')
+                .select('id, name, level, university_id, application_fee, application_fee_currency, application_deadlines')
+                .eq('id', ids.program_id)
+                .maybeSingle();
+            if (error) throw error;
+            if (!data) throw badRequest('Unknown catalog program');
+            if (ids.university_id && ids.university_id !== data.university_id) {
+                throw badRequest('Program does not belong to the selected university');
+            }
+            program = data;
+            ids.university_id = data.university_id;
+            labels.program = data.name;
+        }
+
+        if (ids.university_id) {
+            const { data, error } = await supabase
+                .from('catalog_universities')
+                .select('id, name, country_id')
+                .eq('id', ids.university_id)
+                .maybeSingle();
+            if (error) throw error;
+            if (!data) throw badRequest('Unknown catalog university');
+            if (ids.country_id && ids.country_id !== data.country_id) {
+                throw badRequest('University is not in the selected country');
+            }
+            ids.country_id = data.country_id;
+            labels.university = data.name;
+        }
+
+        if (ids.country_id) {
+            const { data, error } = await supabase
+                .from('catalog_countries')
+                .select('id, name')
+                .eq('id', ids.country_id)
+                .maybeSingle();
+            if (error) throw error;
+            if (!data) throw badRequest('Unknown catalog country');
+            labels.country = data.name;
+        }
+
+        return { ids, labels, program };
+    }
+
+    /**
+     * resolveRefs() for paths that must not fail on a bad reference (public website
+     * intake): malformed IDs are ignored, and unknown or contradicting IDs are dropped
+     * from the most specific one up (program, then university, then country).
+     * @returns {Promise<{ids: object, labels: object, program: object|null, dropped: string[]}|null>}
+     */
+    async resolveRefsLenient(refs = {}) {
+        const dropped = [];
+        const candidate = {};
+        for (const key of ['countryId', 'universityId', 'programId']) {
+            if (!refs[key]) continue;
+            if (UUID_PATTERN.test(String(refs[key]))) candidate[key] = refs[key];
+            else dropped.push(key);
+        }
+
+        for (const key of ['programId', 'universityId', 'countryId', null]) {
+            if (Object.keys(candidate).length === 0) break;
+            try {
+                return { ...(await this.resolveRefs(candidate)), dropped };
+            } catch (err) {
+                if (err.status !== 400) throw err;
+                if (key && candidate[key]) {
+                    delete candidate[key];
+                    dropped.push(key);
+                }
+            }
+        }
+
+        return dropped.length > 0 ? { ids: {}, labels: {}, program: null, dropped } : null;
+    }
+
+    /**
+     * Funnel counts per catalog university: leads -> registrations -> applications -> offers.
+     * Rows without a university_id are reported under "Unmapped".
+     * @param {object} range - { from, to } ISO dates on created_at (optional)
+     */
+    async conversionsByUniversity({ from, to } = {}) {
+        const { data, error } = await supabase.rpc('catalog_conversions_by_university', {
+            p_from: from || null,
+            p_to: to || null
+        });
+
+        if (error) throw error;
+
+        const pct = (n, d) => (d > 0 ? Math.round((n / d) * 1000) / 10 : null);
+
+        return (data || [])
+            .map(r => {
+                const counts = {
+                    leads: Number(r.lead_count),
+                    registrations: Number(r.registration_count),
+                    applications: Number(r.application_count),
+                    offers: Number(r.offer_count)
+                };
+                return {
+                    universityId: r.university_id || null,
+                    ...counts,
+                    university: r.university_id ? r.university_name || 'Unknown' : 'Unmapped',
+                    country: r.university_id ? r.country_name || null : null,
+                    leadToRegistrationPct: pct(counts.registrations, counts.leads),
+                    applicationToOfferPct: pct(counts.offers, counts.applications)
+                };
+            })
+            .sort((a, b) => (a.universityId === null) - (b.universityId === null) || b.registrations - a.registrations || b.leads - a.leads);
+    }
+}
+
+const catalogService = new CatalogService();
+catalogService.PROGRAM_LEVELS = PROGRAM_LEVELS;
+catalogService.PUBLIC_COUNTRY_COLUMNS = PUBLIC_COUNTRY_COLUMNS;
+catalogService.PUBLIC_UNIVERSITY_COLUMNS = PUBLIC_UNIVERSITY_COLUMNS;
+catalogService.PUBLIC_PROGRAM_COLUMNS = PUBLIC_PROGRAM_COLUMNS;
+
+module.exports = catalogService;
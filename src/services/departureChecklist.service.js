@@ -0,0 +1,468 @@
+const dayjs = require('dayjs');
+const supabase = require('../config/supabaseClient');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const notificationService = require('./notification.service');
+const applicationPipelineService = require('./applicationPipeline.service');
+const visaCaseService = require('./visaCase.service');
+
+const CATEGORIES = ['FINANCE', 'ACCOMMODATION', 'TRAVEL', 'INSURANCE', 'DOCUMENTS', 'CONNECTIVITY', 'REGISTRATION', 'OTHER'];
+const PHASES = ['PRE_DEPARTURE', 'POST_ARRIVAL'];
+const REQUIREMENTS = ['MANDATORY', 'OPTIONAL', 'NOT_REQUIRED'];
+const ITEM_STATUSES = ['PENDING', 'DONE', 'NOT_APPLICABLE'];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Month a season-named intake starts in. German semesters are checked first.
+const SEASON_MONTHS = [
+    { pattern: /winter\s*semester|\bws\b/, month: 10 },
+    { pattern: /summer\s*semester|\bss\b/, month: 4 },
+    { pattern: /fall|autumn/, month: 9 },
+    { pattern: /spring/, month: 1 },
+    { pattern: /summer/, month: 5 },
+    { pattern: /winter/, month: 1 }
+];
+
+const CHECKLIST_SELECT = '*, items:departure_checklist_items(*)';
+
+/**
+ * Pre-departure / Post-arrival Checklists
+ * Opened for a registration when its visa is granted. Items come from
+ * departure_checklist_templates (defaults plus the destination's own rows) and
+ * are due relative to the intake start date. Students tick items off in the
+ * portal; run() nudges them about overdue items until the intake starts.
+ */
+class DepartureChecklistService {
+    today(now = new Date()) {
+        return applicationPipelineService.today(now);
+    }
+
+    /**
+     * Best-effort start date for a free-text intake ("Sep 2026", "Fall 2026",
+     * "Winter Semester 2026", "2026-09-15").
+     * @returns {string|null} YYYY-MM-DD
+     */
+    parseIntakeDate(intake) {
+        if (!intake) return null;
+        const text = String(intake).trim().toLowerCase();
+
+        if (/^\d{4}-\d{2}-\d{2}$/.test(text) && dayjs(text).isValid()) return text;
+
+        const isoMonth = text.match(/^(\d{4})-(\d{2})$/);
+        if (isoMonth) return `${isoMonth[1]}-${isoMonth[2]}-01`;
+
+        const year = text.match(/\b(20\d{2})\b/);
+        if (!year) return null;
+
+        let month = null;
+        const monthName = text.match(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b/);
+        if (monthName) {
+            month = MONTHS.indexOf(monthName[1]) + 1;
+        } else {
+            const season = SEASON_MONTHS.find(s => s.pattern.test(text));
+            if (season) month = season.month;
+        }
+
+        return month ? `${year[1]}-${String(month).padStart(2, '0')}-01` : null;
+    }
+
+    dueDate(intakeStartDate, offsetDays) {
+        if (!intakeStartDate || offsetDays === null || offsetDays === undefined) return null;
+        return dayjs(intakeStartDate).add(offsetDays, 'day').format('YYYY-MM-DD');
+    }
+
+    /**
+     * Names a destination may be stored under (e.g. UK / United Kingdom),
+     * so template rows match whichever one the case uses.
+     */
+    countryKeys(country) {
+        const name = String(country || '').trim().toLowerCase();
+        if (!name) return [];
+        const template = visaCaseService.templateFor(name);
+        return template.countries ? template.countries : [name];
+    }
+
+    /**
+     * Pick the template rows for a destination. A country row replaces the
+     * default row with the same item_key; NOT_REQUIRED rows drop the item.
+     */
+    resolve(templates, country) {
+        const keys = this.countryKeys(country);
+        const chosen = new Map();
+
+        for (const template of templates) {
+            const isCountryRow = !!template.country;
+            if (isCountryRow && !keys.includes(template.country.trim().toLowerCase())) continue;
+
+            const current = chosen.get(template.item_key);
+            if (!current || (isCountryRow && !current.country)) chosen.set(template.item_key, template);
+        }
+
+        return [...chosen.values()]
+            .filter(t => t.requirement !== 'NOT_REQUIRED')
+            .sort((a, b) => (a.sort_order - b.sort_order) || a.label.localeCompare(b.label));
+    }
+
+    async getActiveTemplates() {
+        const { data, error } = await supabase
+            .from('departure_checklist_templates')
+            .select('*')
+            .eq('is_active', true);
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    isOverdue(item, today) {
+        return item.status === 'PENDING' && !!item.due_date && item.due_date < today;
+    }
+
+    /**
+     * Progress over the mandatory items; NOT_APPLICABLE counts as done.
+     */
+    summarize(items, today = this.today()) {
+        const mandatory = items.filter(i => i.requirement === 'MANDATORY');
+        const closed = (i) => i.status !== 'PENDING';
+        const pending = items.filter(i => i.status === 'PENDING' && i.due_date).sort((a, b) => a.due_date.localeCompare(b.due_date));
+        const mandatoryDone = mandatory.filter(closed).length;
+
+        return {
+            total: items.length,
+            done: items.filter(closed).length,
+            mandatory: mandatory.length,
+            mandatoryDone,
+            overdue: items.filter(i => this.isOverdue(i, today)).length,
+            progress: mandatory.length ? Math.round((mandatoryDone / mandatory.length) * 100) : 0,
+            nextDue: pending[0] ? { id: pending[0].id, label: pending[0].label, dueDate: pending[0].due_date } : null,
+            isComplete: mandatory.every(closed)
+        };
+    }
+
+    /**
+     * Sorts the items, flags overdue ones and adds `summary`.
+     */
+    decorate(checklist, today = this.today()) {
+        const items = (checklist.items || [])
+            .map(item => ({ ...item, isOverdue: this.isOverdue(item, today) }))
+            .sort((a, b) => (a.sort_order - b.sort_order) || a.label.localeCompare(b.label));
+
+        return {
+            ...checklist,
+            items,
+            summary: this.summarize(items, today),
+            intakeStarted: !!checklist.intake_start_date && checklist.intake_start_date <= today
+        };
+    }
+
+    async getChecklist(registrationId) {
+        const { data, error } = await supabase
+            .from('departure_checklists')
+            .select(CHECKLIST_SELECT)
+            .eq('registration_id', registrationId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Open the registration's checklist from the templates, or return the one it already has.
+     * Destination and intake come from the visa case, falling back to the registration
+     * (catalog country, then the free-text preferred country).
+     * @param {string} registrationId
+     * @param {object} options - { visaCase?, intakeStartDate?, user? }
+     * @returns {Promise<{checklist: object, created: boolean}>}
+     */
+    async ensureChecklist(registrationId, options = {}) {
+        const existing = await this.getChecklist(registrationId);
+        if (existing) return { checklist: existing, created: false };
+
+        let visaCase = options.visaCase || null;
+        if (!visaCase) {
+            const { data, error } = await supabase
+                .from('visa_cases')
+                .select('id, destination_country, intake')
+                .eq('registration_id', registrationId)
+                .maybeSingle();
+            if (error) throw error;
+            visaCase = data;
+        }
+
+        const { data: registration, error: regError } = await supabase
+            .from('registrations')
+            .select('id, intake, workflow, country:catalog_countries(name)')
+            .eq('id', registrationId)
+            .maybeSingle();
+
+        if (regError) throw regError;
+        if (!registration) {
+            const err = new Error('Registration not found');
+            err.status = 404;
+            throw err;
+        }
+
+        const country = visaCase?.destination_country || registration.country?.name || registration.workflow?.preferredCountry || null;
+        const intake = visaCase?.intake || registration.intake || null;
+        const intakeStartDate = options.intakeStartDate || this.parseIntakeDate(intake);
+        const user = options.user || null;
+
+        const { data: checklist, error } = await supabase
+            .from('departure_checklists')
+            .insert([{
+                registration_id: registrationId,
+                visa_case_id: visaCase?.id || null,
+                destination_country: country,
+                intake,
+                intake_start_date: intakeStartDate,
+                created_by: user && user.role?.toUpperCase() !== 'STUDENT' ? user.id : null
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            // 23505 = unique violation: opened concurrently
+            if (error.code === '23505') return { checklist: await this.getChecklist(registrationId), created: false };
+            throw error;
+        }
+
+        const templates = this.resolve(await this.getActiveTemplates(), country);
+        if (templates.length) {
+            const { error: itemsError } = await supabase
+                .from('departure_checklist_items')
+                .insert(templates.map(t => ({
+                    checklist_id: checklist.id,
+                    registration_id: registrationId,
+                    template_id: t.id,
+                    item_key: t.item_key,
+                    label: t.label,
+                    description: t.description,
+                    category: t.category,
+                    phase: t.phase,
+                    requirement: t.requirement,
+                    due_offset_days: t.due_offset_days,
+                    due_date: this.dueDate(intakeStartDate, t.due_offset_days),
+                    sort_order: t.sort_order
+                })));
+
+            if (itemsError) throw itemsError;
+        }
+
+        await supabase.rpc('append_activity', {
+            registration_id: registrationId,
+            new_activity: {
+                user: user ? user.name || 'Student' : 'System',
+                action: 'Pre-departure checklist created',
+                notes: `${templates.length} item(s)${country ? ` for ${country}` : ''}${intakeStartDate ? `, intake starts ${dayjs(intakeStartDate).format('DD MMM YYYY')}` : ''}`,
+                timestamp: new Date().toISOString()
+            }
+        });
+
+        return { checklist: await this.getChecklist(registrationId), created: true };
+    }
+
+    /**
+     * Change the intake start date and move the due dates of items that follow it.
+     */
+    async setIntakeStartDate(checklist, intakeStartDate) {
+        const now = new Date().toISOString();
+
+        const { error } = await supabase
+            .from('departure_checklists')
+            .update({ intake_start_date: intakeStartDate, updated_at: now })
+            .eq('id', checklist.id);
+
+        if (error) throw error;
+
+        for (const item of (checklist.items || []).filter(i => i.due_offset_days !== null && i.due_offset_days !== undefined)) {
+            const { error: itemError } = await supabase
+                .from('departure_checklist_items')
+                .update({ due_date: this.dueDate(intakeStartDate, item.due_offset_days), updated_at: now })
+                .eq('id', item.id);
+
+            if (itemError) throw itemError;
+        }
+    }
+
+    /**
+     * Tick an item off (or reopen it).
+     * @param {object} item - departure_checklist_items row
+     * @param {string} status - PENDING | DONE | NOT_APPLICABLE
+     * @param {object} options - { user, notes? }
+     * @throws {Error} with .status 400 for an unknown status or a student skipping a mandatory item
+     */
+    async setItemStatus(item, status, { user, notes } = {}) {
+        const isStudent = user?.role?.toUpperCase() === 'STUDENT';
+        const next = status ? String(status).trim().toUpperCase() : item.status;
+
+        if (!ITEM_STATUSES.includes(next)) {
+            const err = new Error(`Status must be one of ${ITEM_STATUSES.join(', ')}`);
+            err.status = 400;
+            throw err;
+        }
+        if (isStudent && next === 'NOT_APPLICABLE' && item.requirement === 'MANDATORY') {
+            const err = new Error('Mandatory items cannot be skipped. Ask your counsellor if this does not apply to you.');
+            err.status = 400;
+            throw err;
+        }
+
+        const changes = { updated_at: new Date().toISOString() };
+        if (next !== item.status) {
+            Object.assign(changes, next === 'PENDING'
+                ? { status: next, completed_at: null, completed_by: null, completed_by_role: null }
+                : { status: next, completed_at: changes.updated_at, completed_by: isStudent ? null : user?.id || null, completed_by_role: isStudent ? 'STUDENT' : 'STAFF' });
+        }
+        if (notes !== undefined) changes[isStudent ? 'student_notes' : 'staff_notes'] = notes || null;
+
+        const { data, error } = await supabase
+            .from('departure_checklist_items')
+            .update(changes)
+            .eq('id', item.id)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        if (changes.status) {
+            await supabase.rpc('append_activity', {
+                registration_id: item.registration_id,
+                new_activity: {
+                    user: isStudent ? 'Student' : user?.name || 'System',
+                    action: next === 'PENDING' ? `Checklist item reopened: ${item.label}` : `Checklist item ${next === 'DONE' ? 'completed' : 'marked not applicable'}: ${item.label}`,
+                    notes: notes || '',
+                    timestamp: changes.updated_at
+                }
+            });
+        }
+
+        return data;
+    }
+
+    /**
+     * Daily pass: students with overdue mandatory items get one in-app nudge
+     * every config.departureNudgeIntervalDays until their intake starts.
+     * @param {Date} now
+     * @returns {Promise<{date:string, candidates:number, sent:number, skipped:number, failed:number}>}
+     */
+    async run(now = new Date()) {
+        const today = this.today(now);
+        const interval = config.departureNudgeIntervalDays;
+        const result = { date: today, candidates: 0, sent: 0, skipped: 0, failed: 0 };
+
+        const { data: items, error } = await supabase
+            .from('departure_checklist_items')
+            .select('id, checklist_id, registration_id, label, due_date, checklist:departure_checklists!inner(id, intake_start_date, destination_country), registration:registrations!inner(id, name, is_deleted)')
+            .eq('status', 'PENDING')
+            .eq('requirement', 'MANDATORY')
+            .eq('registration.is_deleted', false)
+            .lt('due_date', today)
+            .gte('checklist.intake_start_date', today);
+
+        if (error) throw error;
+
+        const byChecklist = new Map();
+        for (const item of items || []) {
+            if (!byChecklist.has(item.checklist_id)) byChecklist.set(item.checklist_id, []);
+            byChecklist.get(item.checklist_id).push(item);
+        }
+        if (byChecklist.size === 0) return result;
+
+        // Checklists nudged within the interval are left alone this time
+        const since = dayjs(today).subtract(interval - 1, 'day').format('YYYY-MM-DD');
+        const { data: recent, error: recentError } = await supabase
+            .from('departure_checklist_nudges')
+            .select('checklist_id')
+            .in('checklist_id', [...byChecklist.keys()])
+            .gte('nudge_date', since);
+
+        if (recentError) throw recentError;
+        const recentlyNudged = new Set((recent || []).map(n => n.checklist_id));
+
+        for (const [checklistId, overdue] of byChecklist) {
+            result.candidates++;
+            if (recentlyNudged.has(checklistId)) {
+                result.skipped++;
+                continue;
+            }
+
+            try {
+                const sent = await this.sendNudge(overdue, today);
+                if (sent) result.sent++;
+                else result.skipped++;
+            } catch (err) {
+                result.failed++;
+                logger.error(`[DEPARTURE-CHECKLIST] Checklist ${checklistId} failed: ${err.message}`);
+            }
+        }
+
+        logger.info(`[DEPARTURE-CHECKLIST] ${today}: ${result.sent} sent, ${result.skipped} skipped, ${result.failed} failed`);
+        return result;
+    }
+
+    /**
+     * Claim today's nudge for the checklist, then notify the student.
+     * @returns {Promise<boolean>} false if another run already sent it
+     */
+    async sendNudge(overdue, today) {
+        const { checklist, registration } = overdue[0];
+        const sorted = [...overdue].sort((a, b) => a.due_date.localeCompare(b.due_date));
+
+        const { error: claimError } = await supabase
+            .from('departure_checklist_nudges')
+            .insert([{
+                checklist_id: checklist.id,
+                registration_id: registration.id,
+                nudge_date: today,
+                overdue_items: sorted.map(i => ({ itemId: i.id, label: i.label, dueDate: i.due_date }))
+            }]);
+
+        if (claimError) {
+            // 23505 = unique violation: already nudged today
+            if (claimError.code === '23505') return false;
+            throw claimError;
+        }
+
+        const daysToIntake = dayjs(checklist.intake_start_date).diff(dayjs(today), 'day');
+        const labels = sorted.slice(0, 3).map(i => i.label).join(', ') + (sorted.length > 3 ? ` and ${sorted.length - 3} more` : '');
+        const when = daysToIntake === 0 ? 'starts today' : `starts in ${daysToIntake} day(s)`;
+
+        await notificationService.sendToStudent({
+            registration_id: registration.id,
+            title: 'Pre-departure checklist: items overdue',
+            message: `Your intake ${when}. Still pending: ${labels}. Tick them off in your checklist once done.`,
+            type: 'DEPARTURE',
+            priority: daysToIntake <= 14 ? 'HIGH' : 'NORMAL',
+            link: '/pre-departure'
+        });
+
+        await supabase.rpc('append_activity', {
+            registration_id: registration.id,
+            new_activity: {
+                user: 'System',
+                action: 'Pre-departure checklist nudge sent',
+                notes: `${sorted.length} overdue item(s): ${labels}`,
+                timestamp: new Date().toISOString()
+            }
+        });
+
+        return true;
+    }
+
+    async getNudges(checklistId) {
+        const { data, error } = await supabase
+            .from('departure_checklist_nudges')
+            .select('*')
+            .eq('checklist_id', checklistId)
+            .order('nudge_date', { ascending: false });
+
+        if (error) throw error;
+        return data || [];
+    }
+}
+
+const departureChecklistService = new DepartureChecklistService();
+departureChecklistService.CATEGORIES = CATEGORIES;
+departureChecklistService.PHASES = PHASES;
+departureChecklistService.REQUIREMENTS = REQUIREMENTS;
+departureChecklistService.ITEM_STATUSES = ITEM_STATUSES;
+
+module.exports = departureChecklistService;
@@ -0,0 +1,363 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { PDFDocument, PDFHexString, PDFName } = require('pdf-lib');
+const supabase = require('../config/supabaseClient');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const pdfService = require('./pdf.service');
+const { generateSignedUrl } = require('../middleware/storage.middleware');
+
+const BUCKET = 'document-dossiers';
+const DOCUMENTS_BUCKET = 'study-materials';
+
+const A4 = [595.28, 841.89];
+const IMAGE_MARGIN = 24;      // pt around converted images
+const IMAGE_MAX_EDGE = 2000;  // px; keeps phone photos readable without bloating the file
+
+/**
+ * Dossier sections in order, matched against doc_id on whole underscore-separated parts.
+ * Each document type gets its own bookmark under its section.
+ */
+const SECTIONS = [
+    { key: 'IDENTITY', title: 'Identity', pattern: /(^|_)(passport|visa|brp|aadhaar|aadhar|pan|birth|photo|national_id)(_|$)/ },
+    { key: 'ACADEMIC', title: 'Academic records', pattern: /(^|_)(marksheet|marksheets|transcript|transcripts|degree|diploma|certificate|provisional|backlog|gap|school|intermediate|graduation|bachelor|bachelors|master|masters)(_|$)/ },
+    { key: 'TEST_SCORES', title: 'Test scores', pattern: /(^|_)(ielts|toefl|pte|duolingo|gre|gmat|sat|english_test|test_score)(_|$)/ },
+    { key: 'APPLICATION', title: 'Application', pattern: /(^|_)(sop|lor|resume|cv|offer|cas|i20|coe|portfolio|experience|employment)(_|$)/ },
+    { key: 'FINANCIAL', title: 'Financial', pattern: /(^|_)(bank|loan|sanction|itr|salary|income|sponsor|affidavit|fd|balance|ca|property|valuation)(_|$)/ },
+    { key: 'OTHER', title: 'Other documents', pattern: /.*/ }
+];
+
+const ACRONYMS = /^(sop|lor|cv|pan|itr|brp|cas|coe|i20|ielts|toefl|pte|gre|gmat|sat|trf|fd|ca|noc)$/i;
+
+// 'high_school_marksheet' -> 'High School Marksheet', 'ielts_trf' -> 'IELTS TRF'
+const humanize = (docId) => String(docId || 'Document')
+    .split(/[_\s]+/)
+    .filter(Boolean)
+    .map(part => (ACRONYMS.test(part) ? part.toUpperCase() : part.charAt(0).toUpperCase() + part.slice(1)))
+    .join(' ');
+
+// Upper-case, underscore-separated token safe for file names
+const token = (value, fallback = 'NA') => {
+    const cleaned = String(value || '').normalize('NFKD').replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '').toUpperCase();
+    return cleaned || fallback;
+};
+
+/**
+ * Document Dossiers
+ * Merges a registration's verified student documents into one PDF:
+ *   index page(s)      generated list of documents with page ranges
+ *   documents          PDFs copied page by page, images converted to A4 pages
+ *   bookmarks          section -> document type, pointing at the first page
+ * Files that cannot be merged (password-protected, damaged, Word files) are
+ * listed on the index instead of failing the whole dossier.
+ */
+class DocumentDossierService {
+    sectionFor(docId) {
+        const key = String(docId || '').toLowerCase();
+        return SECTIONS.find(s => s.pattern.test(key));
+    }
+
+    async fetchFile(filePath) {
+        const { data, error } = await supabase.storage.from(DOCUMENTS_BUCKET).download(filePath);
+        if (error) throw error;
+        return Buffer.from(await data.arrayBuffer());
+    }
+
+    /**
+     * Verified documents of a registration, in dossier order.
+     * @param {string} registrationId
+     * @param {string[]|null} documentIds - chosen subset; every id must be a verified document of this registration
+     */
+    async loadDocuments(registrationId, documentIds = null) {
+        let query = supabase
+            .from('student_documents')
+            .select('id, doc_id, version, file_path, file_name, mime_type, status, action_at')
+            .eq('registration_id', registrationId)
+            .eq('status', 'VERIFIED');
+
+        if (documentIds) query = query.in('id', documentIds);
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        const documents = data || [];
+        if (documentIds) {
+            const found = new Set(documents.map(d => d.id));
+            const missing = documentIds.filter(id => !found.has(id));
+            if (missing.length > 0) {
+                const err = new Error('Only verified documents of this registration can be added to a dossier');
+                err.status = 400;
+                err.details = { documentIds: missing };
+                throw err;
+            }
+        }
+
+        return documents
+            .map(d => ({ ...d, section: this.sectionFor(d.doc_id), label: humanize(d.doc_id) }))
+            .sort((a, b) => SECTIONS.indexOf(a.section) - SECTIONS.indexOf(b.section) || a.label.localeCompare(b.label));
+    }
+
+    /**
+     * Append a stored document to the dossier body.
+     * @returns {Promise<number>} pages added
+     */
+    async appendDocument(body, buffer) {
+        if (buffer.subarray(0, 1024).toString('latin1').includes('%PDF-')) {
+            let source;
+            try {
+                source = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false });
+            } catch (err) {
+                throw new Error('The PDF is damaged and cannot be opened');
+            }
+            if (source.isEncrypted) throw new Error('The PDF is password-protected');
+
+            const pages = await body.copyPages(source, source.getPageIndices());
+            if (pages.length === 0) throw new Error('The PDF has no pages');
+            pages.forEach(page => body.addPage(page));
+            return pages.length;
+        }
+
+        // Images (any format sharp reads) become one A4 page, turned to landscape for wide photos
+        let image;
+        try {
+            image = await sharp(buffer)
+                .rotate()
+                .flatten({ background: '#ffffff' })
+                .resize(IMAGE_MAX_EDGE, IMAGE_MAX_EDGE, { fit: 'inside', withoutEnlargement: true })
+                .jpeg({ quality: 85 })
+                .toBuffer({ resolveWithObject: true });
+        } catch (err) {
+            throw new Error('This file type cannot be merged into a PDF');
+        }
+
+        const embedded = await body.embedJpg(image.data);
+        const [width, height] = image.info.width > image.info.height ? [A4[1], A4[0]] : A4;
+        const scale = Math.min((width - 2 * IMAGE_MARGIN) / embedded.width, (height - 2 * IMAGE_MARGIN) / embedded.height);
+        const drawWidth = embedded.width * scale;
+        const drawHeight = embedded.height * scale;
+
+        const page = body.addPage([width, height]);
+        page.drawImage(embedded, {
+            x: (width - drawWidth) / 2,
+            y: (height - drawHeight) / 2,
+            width: drawWidth,
+            height: drawHeight
+        });
+        return 1;
+    }
+
+    /**
+     * Write the document outline (bookmarks). pdf-lib has no outline API,
+     * so the /Outlines tree is built from plain dictionaries.
+     * @param {PDFDocument} pdf
+     * @param {Array<{title: string, pageIndex: number, children?: object[]}>} entries
+     */
+    addOutline(pdf, entries) {
+        const { context } = pdf;
+        const pageRefs = pdf.getPages().map(p => p.ref);
+        const rootRef = context.nextRef();
+
+        // Every level is open, so Count is the number of visible descendants
+        const build = (nodes, parentRef) => {
+            const refs = nodes.map(() => context.nextRef());
+            let visible = 0;
+
+            nodes.forEach((node, i) => {
+                const item = {
+                    Title: PDFHexString.fromText(node.title),
+                    Parent: parentRef,
+                    Dest: [pageRefs[node.pageIndex], 'XYZ', null, null, null]
+                };
+                if (i > 0) item.Prev = refs[i - 1];
+                if (i < refs.length - 1) item.Next = refs[i + 1];
+
+                visible += 1;
+                if (node.children?.length) {
+                    const children = build(node.children, refs[i]);
+                    Object.assign(item, { First: children.first, Last: children.last, Count: children.visible });
+                    visible += children.visible;
+                }
+
+                context.assign(refs[i], context.obj(item));
+            });
+
+            return { first: refs[0], last: refs[refs.length - 1], visible };
+        };
+
+        const outline = build(entries, rootRef);
+        context.assign(rootRef, context.obj({ Type: 'Outlines', First: outline.first, Last: outline.last, Count: outline.visible }));
+        pdf.catalog.set(PDFName.of('Outlines'), rootRef);
+        pdf.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+    }
+
+    /**
+     * Build, store and record a dossier.
+     * @param {string} registrationId
+     * @param {object} options
+     * @param {object} options.user - req.user generating the dossier
+     * @param {string[]|null} [options.documentIds] - subset of verified student_documents; all when omitted
+     * @returns {Promise<{dossier: object, downloadUrl: string, expiresAt: string}>}
+     */
+    async generate(registrationId, { user, documentIds = null }) {
+        const { data: registration, error: regError } = await supabase
+            .from('registrations')
+            .select('id, name, student_id, course, workflow')
+            .eq('id', registrationId)
+            .maybeSingle();
+
+        if (regError) throw regError;
+        if (!registration) {
+            const err = new Error('Registration not found');
+            err.status = 404;
+            throw err;
+        }
+
+        const documents = await this.loadDocuments(registrationId, documentIds);
+        if (documents.length === 0) {
+            const err = new Error('This registration has no verified documents to merge');
+            err.status = 400;
+            throw err;
+        }
+
+        const dossierId = crypto.randomUUID();
+        const generatedAt = new Date();
+        const body = await PDFDocument.create();
+        const merged = [];
+        const skipped = [];
+
+        for (const document of documents) {
+            const startIndex = body.getPageCount();
+            try {
+                let buffer;
+                try {
+                    buffer = await this.fetchFile(document.file_path);
+                } catch (err) {
+                    logger.warn(`[DOSSIER] ${registrationId}: could not fetch document ${document.id}: ${err.message}`);
+                    throw new Error('The stored file could not be downloaded');
+                }
+                const pages = await this.appendDocument(body, buffer);
+                merged.push({ ...document, startIndex, pages });
+            } catch (err) {
+                skipped.push({ documentId: document.id, docId: document.doc_id, label: document.label, fileName: document.file_name, reason: err.message });
+            }
+        }
+
+        if (merged.length === 0) {
+            const err = new Error('None of the documents could be merged');
+            err.status = 422;
+            err.details = { skipped };
+            throw err;
+        }
+
+        // Page numbers on the index depend on how many pages the index itself takes
+        const sectionsFor = (offset) => SECTIONS
+            .map(section => ({
+                title: section.title,
+                documents: merged.filter(d => d.section === section).map(d => ({
+                    documentId: d.id,
+                    docId: d.doc_id,
+                    label: d.label,
+                    fileName: d.file_name,
+                    version: d.version,
+                    verifiedAt: d.action_at,
+                    startPage: offset + d.startIndex + 1,
+                    endPage: offset + d.startIndex + d.pages
+                }))
+            }))
+            .filter(section => section.documents.length > 0);
+
+        const renderIndex = async (offset) => PDFDocument.load(await pdfService.generateDossierIndexPDF({
+            dossierId,
+            generatedAt,
+            companyName: config.companyName,
+            student: {
+                name: registration.name,
+                studentId: registration.student_id,
+                course: registration.course,
+                country: registration.workflow?.preferredCountry
+            },
+            sections: sectionsFor(offset),
+            skipped
+        }));
+
+        let index = await renderIndex(1);
+        if (index.getPageCount() !== 1) index = await renderIndex(index.getPageCount());
+        const offset = index.getPageCount();
+
+        const indexPages = await body.copyPages(index, index.getPageIndices());
+        indexPages.forEach((page, i) => body.insertPage(i, page));
+
+        const sections = sectionsFor(offset);
+        this.addOutline(body, [
+            { title: 'Index', pageIndex: 0 },
+            ...sections.map(section => ({
+                title: section.title,
+                pageIndex: section.documents[0].startPage - 1,
+                children: section.documents.map(d => ({ title: d.label, pageIndex: d.startPage - 1 }))
+            }))
+        ]);
+
+        body.setTitle(`Document Dossier - ${registration.name || ''}`);
+        body.setAuthor('JV Overseas CRM');
+        body.setSubject('Verified Student Documents');
+        body.setCreationDate(generatedAt);
+
+        const file = Buffer.from(await body.save());
+        const prefix = token(registration.student_id || registration.name, 'STUDENT');
+        const fileName = `${prefix}_DOSSIER_${generatedAt.toISOString().slice(0, 10).replace(/-/g, '')}.pdf`;
+        const storagePath = `${registrationId}/${dossierId}.pdf`;
+
+        const { error: uploadError } = await supabase.storage
+            .from(BUCKET)
+            .upload(storagePath, file, { contentType: 'application/pdf', upsert: false });
+
+        if (uploadError) throw uploadError;
+
+        const { data: record, error } = await supabase
+            .from('document_dossiers')
+            .insert([{
+                id: dossierId,
+                registration_id: registrationId,
+                file_path: storagePath,
+                file_name: fileName,
+                file_size: file.length,
+                page_count: body.getPageCount(),
+                document_count: merged.length,
+                document_ids: merged.map(d => d.id),
+                selected: !!documentIds,
+                contents: { sections, skipped },
+                generated_by: user.id,
+                generated_at: generatedAt.toISOString()
+            }])
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        logger.info(`[DOSSIER] ${dossierId} for ${registrationId}: ${merged.length} documents, ${body.getPageCount()} pages, ${skipped.length} skipped`);
+        return { dossier: record, ...(await this.signedLink(record)) };
+    }
+
+    async getLatest(registrationId) {
+        const { data, error } = await supabase
+            .from('document_dossiers')
+            .select('*')
+            .eq('registration_id', registrationId)
+            .order('generated_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+
+    async signedLink(record) {
+        const ttlSeconds = config.dossierLinkTtlHours * 3600;
+        const downloadUrl = await generateSignedUrl(record.file_path, BUCKET, ttlSeconds);
+        if (!downloadUrl) throw new Error('Could not create a download link for the dossier');
+
+        return { downloadUrl, expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString() };
+    }
+}
+
+module.exports = new DocumentDossierService();
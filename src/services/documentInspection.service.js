@@ -0,0 +1,269 @@
+const sharp = require('sharp');
+const { PDFDocument, PDFArray, PDFDict, PDFName, PDFRawStream } = require('pdf-lib');
+const logger = require('../utils/logger');
+
+const THRESHOLDS = {
+    minFileBytes: 200,           // anything smaller cannot hold a readable page
+    minShortEdge: 600,           // px; phone photos below this are hard to read
+    blurVariance: 100,           // Laplacian variance at 1000px; sharp text scores several hundred
+    blankUniformRatio: 0.998,    // share of pixels within ±16 of the median grey
+    blankPageBytes: 60,          // PDF page content stream size (no XObjects) treated as blank
+    blankPageShare: 0.5,         // more than this share of blank pages = mostly blank
+    maxPagesScanned: 50          // PDF pages checked for blankness / embedded scans
+};
+
+const LAPLACIAN = { width: 3, height: 3, kernel: [0, 1, 0, 1, -4, 1, 0, 1, 0], offset: 128 };
+
+const check = (code, status, message, value = null) => ({ code, status, message, value });
+
+/**
+ * Document Inspection
+ * Runs on the original upload (before compression) and reports what a
+ * verifier would otherwise find by opening the file: unreadable or
+ * password-protected PDFs, page count, blank pages, low-resolution or
+ * blurry photos. Each check is PASS, WARN or FAIL; any FAIL makes the
+ * outcome FAILED and the upload is refused.
+ */
+class DocumentInspectionService {
+    /**
+     * @param {{buffer: Buffer, mimetype: string, originalname?: string}} file - multer file
+     * @returns {Promise<{outcome: string, checks: object[], details: object, inspectedAt: string}>}
+     */
+    async inspect(file) {
+        const details = { kind: 'OTHER', sizeBytes: file.buffer ? file.buffer.length : 0 };
+        const checks = [];
+
+        try {
+            if (!details.sizeBytes) {
+                checks.push(check('FILE_SIZE', 'FAIL', 'The file is empty'));
+            } else if (details.sizeBytes < THRESHOLDS.minFileBytes) {
+                checks.push(check('FILE_SIZE', 'FAIL', 'The file is too small to be a readable document', details.sizeBytes));
+            } else {
+                checks.push(check('FILE_SIZE', 'PASS', `${(details.sizeBytes / 1024).toFixed(0)} KB`, details.sizeBytes));
+
+                if (file.mimetype === 'application/pdf') {
+                    details.kind = 'PDF';
+                    await this.inspectPdf(file.buffer, checks, details);
+                } else if (file.mimetype.startsWith('image/') && file.mimetype !== 'image/svg+xml') {
+                    details.kind = 'IMAGE';
+                    await this.inspectImage(file.buffer, checks, details, { blankCheck: true });
+                }
+            }
+        } catch (err) {
+            // Inspection is advisory when it breaks: never block an upload on our own failure
+            logger.error(`[INSPECTION] ${file.originalname || 'upload'} could not be inspected: ${err.message}`);
+            return { outcome: 'UNCHECKED', checks, details, error: err.message, inspectedAt: new Date().toISOString() };
+        }
+
+        const outcome = checks.some(c => c.status === 'FAIL') ? 'FAILED'
+            : checks.some(c => c.status === 'WARN') ? 'WARNING'
+                : 'PASSED';
+
+        return { outcome, checks, details, inspectedAt: new Date().toISOString() };
+    }
+
+    async inspectPdf(buffer, checks, details) {
+        if (!buffer.subarray(0, 1024).toString('latin1').includes('%PDF-')) {
+            checks.push(check('PDF_STRUCTURE', 'FAIL', 'The file is not a valid PDF'));
+            return;
+        }
+
+        let pdf;
+        try {
+            pdf = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false });
+        } catch (err) {
+            checks.push(check('PDF_STRUCTURE', 'FAIL', 'The PDF is damaged and cannot be opened. Export or scan it again.'));
+            details.error = err.message;
+            return;
+        }
+
+        if (pdf.isEncrypted) {
+            details.encrypted = true;
+            checks.push(check('PASSWORD_PROTECTED', 'FAIL', 'The PDF is password-protected. Remove the password (e.g. print it to a new PDF) and upload again.'));
+            return;
+        }
+        checks.push(check('PDF_STRUCTURE', 'PASS', 'PDF opens normally'));
+
+        const pages = pdf.getPages();
+        details.pageCount = pages.length;
+        if (pages.length === 0) {
+            checks.push(check('PAGE_COUNT', 'FAIL', 'The PDF has no pages'));
+            return;
+        }
+        checks.push(check('PAGE_COUNT', 'PASS', `${pages.length} page(s)`, pages.length));
+
+        const scanned = pages.slice(0, THRESHOLDS.maxPagesScanned);
+        const blankPages = [];
+        let largestScan = null;
+
+        scanned.forEach((page, index) => {
+            const images = this.pageImages(page);
+            if (!this.hasXObjects(page) && this.contentSize(page) < THRESHOLDS.blankPageBytes) blankPages.push(index + 1);
+
+            for (const image of images.filter(i => i.contents.length > 0)) {
+                if (!largestScan || image.contents.length > largestScan.contents.length) largestScan = image;
+            }
+        });
+
+        // Refuse only when no scanned page has any drawing at all; a size-based guess on some pages just warns
+        details.blankPages = blankPages;
+        if (blankPages.length === scanned.length) {
+            checks.push(check('BLANK', 'FAIL', 'The PDF has only blank pages', blankPages));
+        } else if (blankPages.length / scanned.length > THRESHOLDS.blankPageShare) {
+            checks.push(check('BLANK', 'WARN', 'The PDF looks mostly blank. Check the right file was uploaded.', blankPages));
+        } else if (blankPages.length > 0) {
+            checks.push(check('BLANK', 'WARN', `Blank page(s): ${blankPages.join(', ')}`, blankPages));
+        } else {
+            checks.push(check('BLANK', 'PASS', 'No blank pages'));
+        }
+
+        // Scans and phone photos saved as PDF: check the largest embedded JPEG like an image upload
+        if (largestScan) {
+            details.scannedImage = {};
+            await this.inspectImage(Buffer.from(largestScan.contents), checks, details.scannedImage, { blankCheck: false, label: 'Scanned page' });
+        }
+    }
+
+    /**
+     * Bytes of drawing instructions on a page (text and vector graphics).
+     */
+    contentSize(page) {
+        const contents = page.node.Contents();
+        if (!contents) return 0;
+        const streams = contents instanceof PDFArray
+            ? contents.asArray().map(ref => page.doc.context.lookup(ref))
+            : [contents];
+        return streams.reduce((sum, stream) => sum + (stream && typeof stream.getContentsSize === 'function' ? stream.getContentsSize() : 0), 0);
+    }
+
+    /**
+     * Whether the page has any XObjects (images or Form XObjects, e.g. pages
+     * imported from another PDF). A one-line `/X0 Do` stream is still content.
+     */
+    hasXObjects(page) {
+        const resources = page.node.Resources();
+        const xObjects = resources && resources.lookupMaybe(PDFName.of('XObject'), PDFDict);
+        return !!xObjects && xObjects.entries().length > 0;
+    }
+
+    /**
+     * Image XObjects drawn on a page. Only JPEG (DCTDecode) streams carry
+     * bytes sharp can read directly; other images still make the page non-blank.
+     * @returns {{contents: Uint8Array}[]}
+     */
+    pageImages(page) {
+        const resources = page.node.Resources();
+        const xObjects = resources && resources.lookupMaybe(PDFName.of('XObject'), PDFDict);
+        if (!xObjects) return [];
+
+        const images = [];
+        for (const [, ref] of xObjects.entries()) {
+            const stream = page.doc.context.lookup(ref);
+            if (!(stream instanceof PDFRawStream)) continue;
+            if (stream.dict.get(PDFName.of('Subtype')) !== PDFName.of('Image')) continue;
+
+            const filter = stream.dict.get(PDFName.of('Filter'));
+            const isJpeg = filter === PDFName.of('DCTDecode')
+                || (filter instanceof PDFArray && filter.asArray().includes(PDFName.of('DCTDecode')) && filter.size() === 1);
+            images.push({ contents: isJpeg ? stream.contents : new Uint8Array(0) });
+        }
+        return images;
+    }
+
+    async inspectImage(buffer, checks, details, { blankCheck, label = 'Image' }) {
+        let metadata;
+        try {
+            metadata = await sharp(buffer).metadata();
+        } catch (err) {
+            checks.push(check('IMAGE_STRUCTURE', blankCheck ? 'FAIL' : 'WARN', `${label} could not be read`));
+            details.error = err.message;
+            return;
+        }
+
+        details.width = metadata.width;
+        details.height = metadata.height;
+        const shortEdge = Math.min(metadata.width, metadata.height);
+
+        if (shortEdge < THRESHOLDS.minShortEdge) {
+            checks.push(check('RESOLUTION', 'WARN', `${label} is low resolution (${metadata.width}×${metadata.height}px)`, shortEdge));
+        } else {
+            checks.push(check('RESOLUTION', 'PASS', `${metadata.width}×${metadata.height}px`, shortEdge));
+        }
+
+        const grey = sharp(buffer).rotate().flatten({ background: '#ffffff' }).greyscale();
+
+        if (blankCheck) {
+            details.uniformRatio = await this.uniformRatio(grey.clone());
+            if (details.uniformRatio >= THRESHOLDS.blankUniformRatio) {
+                checks.push(check('BLANK', 'FAIL', `${label} is blank or almost blank`, details.uniformRatio));
+                return;
+            }
+            checks.push(check('BLANK', 'PASS', 'Content detected', details.uniformRatio));
+        }
+
+        details.sharpness = await this.laplacianVariance(grey.clone());
+        if (details.sharpness < THRESHOLDS.blurVariance) {
+            checks.push(check('SHARPNESS', 'WARN', `${label} looks blurry. Text may be unreadable — retake the photo in good light, holding the phone steady.`, details.sharpness));
+        } else {
+            checks.push(check('SHARPNESS', 'PASS', 'Sharp enough to read', details.sharpness));
+        }
+    }
+
+    /**
+     * Variance of the Laplacian: edges (text) give high values, blur flattens them.
+     * Measured at a fixed 1000px so the score does not depend on the camera.
+     */
+    async laplacianVariance(pipeline) {
+        const { data, info } = await pipeline
+            .resize(1000, 1000, { fit: 'inside', withoutEnlargement: true })
+            .convolve(LAPLACIAN)
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+
+        const { channels } = await sharp(data, { raw: info }).stats();
+        return Math.round(channels[0].stdev ** 2);
+    }
+
+    /**
+     * Share of pixels close to the median grey. A page with any real content
+     * (text, photo, stamp) stays well below 1.
+     */
+    async uniformRatio(pipeline) {
+        const { data } = await pipeline
+            .resize(256, 256, { fit: 'inside' })
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+
+        const histogram = new Array(256).fill(0);
+        for (const value of data) histogram[value]++;
+
+        let median = 0;
+        for (let seen = 0; median < 256; median++) {
+            seen += histogram[median];
+            if (seen >= data.length / 2) break;
+        }
+
+        let near = 0;
+        for (let v = Math.max(0, median - 16); v <= Math.min(255, median + 16); v++) near += histogram[v];
+        return Number((near / data.length).toFixed(4));
+    }
+
+    /**
+     * Checks a verifier should look at (anything that did not pass).
+     */
+    flags(inspection) {
+        return (inspection?.checks || []).filter(c => c.status !== 'PASS');
+    }
+
+    /**
+     * One line for the student when an upload is refused.
+     */
+    failureMessage(inspection) {
+        return (inspection?.checks || []).filter(c => c.status === 'FAIL').map(c => c.message).join(' ');
+    }
+}
+
+const documentInspectionService = new DocumentInspectionService();
+documentInspectionService.THRESHOLDS = THRESHOLDS;
+
+module.exports = documentInspectionService;
@@ -0,0 +1,235 @@
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const supabase = require('../config/supabaseClient');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const ledgerService = require('./ledger.service');
+const emailService = require('./email.service');
+const notificationService = require('./notification.service');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const CLOSED_STATUSES = ['Closed', 'CLOSED', 'Cancelled', 'CANCELLED'];
+
+const stageFor = (offset) => (offset < 0 ? 'UPCOMING' : offset === 0 ? 'DUE' : 'OVERDUE');
+
+const formatINR = (n) => `₹${Number(n).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+
+/**
+ * Reminder slot an installment has reached: the latest configured offset that is
+ * not after today, then every repeatDays past the last offset. null before the
+ * first offset or once the installment is more than maxOverdueDays late.
+ * @param {number} daysFromDue - today minus due date (negative = not yet due)
+ */
+const slotFor = (daysFromDue, offsets, { repeatDays, maxOverdueDays }) => {
+    if (daysFromDue > maxOverdueDays) return null;
+
+    const last = offsets[offsets.length - 1];
+    if (daysFromDue >= last && repeatDays > 0) {
+        return last + Math.floor((daysFromDue - last) / repeatDays) * repeatDays;
+    }
+
+    const reached = offsets.filter(o => o <= daysFromDue);
+    return reached.length > 0 ? reached[reached.length - 1] : null;
+};
+
+/**
+ * Payment Dunning
+ * Daily pass over installment schedules. Reminders are due at the configured
+ * offsets (config.dunningOffsets, e.g. -3, 0, 7 days from the due date) and
+ * then every config.dunningRepeatDays while the installment stays unpaid. Each
+ * run sends the latest slot reached that was not sent yet, so a missed run or
+ * a schedule entered late still produces a reminder (earlier slots are
+ * superseded, not sent in bulk). A reminder is email + portal notification to
+ * the student, a notification to the owning counsellor and an entry in the
+ * registration activities. payment_reminders (unique per installment + slot)
+ * guarantees a slot is never sent twice.
+ */
+class DunningService {
+    /**
+     * @param {Date} now
+     * @returns {Promise<{date:string, candidates:number, sent:number, skipped:number, failed:number}>}
+     */
+    async run(now = new Date()) {
+        const today = dayjs(now).tz(config.schedulerTimezone).format('YYYY-MM-DD');
+        const offsets = [...new Set(config.dunningOffsets)].sort((a, b) => a - b);
+        const limits = { repeatDays: config.dunningRepeatDays, maxOverdueDays: config.dunningMaxOverdueDays };
+        const result = { date: today, candidates: 0, sent: 0, skipped: 0, failed: 0 };
+        if (offsets.length === 0) return result;
+
+        // Installments that have reached the first offset and are not past the overdue limit
+        const { data: candidates, error } = await supabase
+            .from('payment_installments')
+            .select('*')
+            .lte('due_date', dayjs(today).subtract(offsets[0], 'day').format('YYYY-MM-DD'))
+            .gte('due_date', dayjs(today).subtract(limits.maxOverdueDays, 'day').format('YYYY-MM-DD'));
+
+        if (error) throw error;
+
+        const installments = (candidates || [])
+            .map(inst => {
+                const daysFromDue = dayjs(today).diff(dayjs(inst.due_date), 'day');
+                return { ...inst, daysFromDue, slot: slotFor(daysFromDue, offsets, limits) };
+            })
+            .filter(inst => inst.slot !== null);
+
+        result.candidates = installments.length;
+        if (installments.length === 0) return result;
+
+        const { data: alreadySent } = await supabase
+            .from('payment_reminders')
+            .select('installment_id, offset_days')
+            .in('installment_id', installments.map(i => i.id));
+
+        const sentKeys = new Set((alreadySent || []).map(r => `${r.installment_id}:${r.offset_days}`));
+
+        const byRegistration = new Map();
+        for (const inst of installments) {
+            if (sentKeys.has(`${inst.id}:${inst.slot}`)) {
+                result.skipped++;
+                continue;
+            }
+            if (!byRegistration.has(inst.registration_id)) byRegistration.set(inst.registration_id, []);
+            byRegistration.get(inst.registration_id).push(inst);
+        }
+
+        if (byRegistration.size === 0) return result;
+
+        const { data: registrations, error: regError } = await supabase
+            .from('registrations')
+            .select('id, name, email, status, admission_status, workflow')
+            .in('id', [...byRegistration.keys()]);
+
+        if (regError) throw regError;
+
+        for (const registration of registrations) {
+            const due = byRegistration.get(registration.id);
+
+            if (CLOSED_STATUSES.includes(registration.status) || registration.admission_status === 'CANCELLED') {
+                result.skipped += due.length;
+                continue;
+            }
+
+            try {
+                const summary = await ledgerService.getSummary(registration.id);
+
+                for (const inst of due) {
+                    const state = summary.installments.find(i => i.id === inst.id);
+                    if (!state || state.outstanding <= 0) {
+                        result.skipped++;
+                        continue;
+                    }
+
+                    const sent = await this.sendReminder(registration, state, inst.slot, inst.daysFromDue, summary.balance);
+                    if (sent) result.sent++;
+                    else result.skipped++;
+                }
+            } catch (err) {
+                result.failed += due.length;
+                logger.error(`[DUNNING] Registration ${registration.id} failed: ${err.message}`);
+            }
+        }
+
+        logger.info(`[DUNNING] ${today}: ${result.sent} sent, ${result.skipped} skipped, ${result.failed} failed`);
+        return result;
+    }
+
+    /**
+     * Claim the (installment, slot) pair, then notify student and counsellor.
+     * @param {number} slot - reminder slot (offset_days) being sent
+     * @param {number} offset - actual days from the due date today (may be past the slot)
+     * @returns {Promise<boolean>} false if another run already sent this reminder
+     */
+    async sendReminder(registration, installment, slot, offset, totalOutstanding) {
+        const stage = stageFor(offset);
+        const counsellorId = registration.workflow?.originCounsellor || null;
+        const label = installment.label || ledgerService.FEE_LABELS[installment.fee_type] || 'fee';
+        const channels = [registration.email ? 'EMAIL' : null, 'IN_APP'].filter(Boolean);
+
+        const { error: claimError } = await supabase
+            .from('payment_reminders')
+            .insert([{
+                registration_id: registration.id,
+                installment_id: installment.id,
+                offset_days: slot,
+                stage,
+                amount_due: installment.outstanding,
+                due_date: installment.due_date,
+                channels,
+                counsellor_id: counsellorId
+            }]);
+
+        if (claimError) {
+            // 23505 = unique violation: reminder already sent for this slot
+            if (claimError.code === '23505') return false;
+            throw claimError;
+        }
+
+        const amount = formatINR(installment.outstanding);
+        const dueOn = dayjs(installment.due_date).format('DD MMM YYYY');
+        const headline = {
+            UPCOMING: `${label}: ${amount} due on ${dueOn}`,
+            DUE: `${label}: ${amount} is due today`,
+            OVERDUE: `${label}: ${amount} overdue by ${offset} day(s)`
+        }[stage];
+
+        if (registration.email) {
+            emailService.sendPaymentReminderEmail(registration.email, registration.name, {
+                stage,
+                label,
+                amountDue: installment.outstanding,
+                dueDate: installment.due_date,
+                daysOverdue: offset,
+                totalOutstanding
+            });
+        }
+
+        await notificationService.sendToStudent({
+            registration_id: registration.id,
+            title: stage === 'OVERDUE' ? 'Payment overdue' : 'Payment reminder',
+            message: headline,
+            type: 'PAYMENT',
+            priority: stage === 'OVERDUE' ? 'HIGH' : 'NORMAL',
+            link: '/payments'
+        });
+
+        if (counsellorId) {
+            await notificationService.send({
+                recipient_id: counsellorId,
+                sender_id: null,
+                title: stage === 'OVERDUE' ? 'Student payment overdue' : 'Student payment reminder sent',
+                message: `${registration.name} — ${headline}. Total outstanding ${formatINR(totalOutstanding)}.`,
+                type: 'PAYMENT',
+                priority: stage === 'OVERDUE' ? 'HIGH' : 'NORMAL',
+                link: `/registrations/${registration.id}`
+            });
+        }
+
+        await supabase.rpc('append_activity', {
+            registration_id: registration.id,
+            new_activity: {
+                user: 'System',
+                action: `Payment reminder (${stage.toLowerCase()}) sent via ${channels.join(' + ').toLowerCase()}`,
+                notes: headline,
+                timestamp: new Date().toISOString()
+            }
+        });
+
+        return true;
+    }
+
+    async getReminders(registrationId) {
+        const { data, error } = await supabase
+            .from('payment_reminders')
+            .select('*')
+            .eq('registration_id', registrationId)
+            .order('sent_at', { ascending: false });
+
+        if (error) throw error;
+        return data || [];
+    }
+}
+
+module.exports = new DunningService();
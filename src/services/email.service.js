@@ -205,6 +205,32 @@ const sendStudentRegistrationEmail = async (userEmail, userName, credentials, pd
     return sendMail(userEmail, `Welcome to ${config.companyName} - Registration & Credentials`, { html, attachments });
 };
 
+const sendPaymentDocumentEmail = async (userEmail, userName, document, pdfBuffer) => {
+    const branding = getBrandingHeader('20px');
+    const isReceipt = document.docType === 'RECEIPT';
+    const label = isReceipt ? 'Payment Receipt' : 'Proforma Invoice';
+    const amount = Number(document.amount).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const intro = isReceipt
+        ? `We have received your payment of <b>Rs ${amount}</b>. Thank you!`
+        : `Please find attached the proforma invoice of <b>Rs ${amount}</b> for your ${document.description || 'registration fee'}.`;
+    const html = `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto; padding: 20px; border: 1px solid #f1f5f9; border-radius: 16px;"><div style="text-align: center; margin-bottom: 30px;">${branding}</div><h2 style="color: #2c3e50;">${label} ${document.docNumber}</h2><p>Dear <b>${userName}</b>,</p><p>${intro}</p><p>The ${label.toLowerCase()} is attached to this email and can also be downloaded anytime from the Payments section of your <a href="${config.studentPortalUrl}" style="color: #0066cc;">student portal</a>.</p><p style="margin-top: 30px;">Best regards,<br><b>Team ${config.companyName}</b></p><hr style="margin-top: 30px; border: none; border-top: 1px solid #eee;"><p style="font-size: 12px; color: #666; text-align: center;">${config.companyName} Pvt. Ltd. | ${config.companyAddress}<br>📞 ${config.supportPhone} | ✉️ ${config.supportEmail}</p></div>`;
+    const attachments = pdfBuffer ? [{ filename: `${label.replace(' ', '_')}_${document.docNumber.replace(/\//g, '-')}.pdf`, content: pdfBuffer, contentType: 'application/pdf' }] : [];
+    return sendMail(userEmail, `${label} ${document.docNumber} - ${config.companyName}`, { html, attachments });
+};
+
+const sendPaymentReminderEmail = async (userEmail, userName, reminder) => {
+    const branding = getBrandingHeader('20px');
+    const amount = Number(reminder.amountDue).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const dueDate = new Date(reminder.dueDate).toLocaleDateString('en-IN');
+    const tone = {
+        UPCOMING: { subject: 'Upcoming Payment Reminder', color: '#2563eb', bg: '#f0f7ff', text: `This is a friendly reminder that <b>Rs ${amount}</b> towards your ${reminder.label} is due on <b>${dueDate}</b>.` },
+        DUE: { subject: 'Payment Due Today', color: '#d97706', bg: '#fffbeb', text: `<b>Rs ${amount}</b> towards your ${reminder.label} is due <b>today (${dueDate})</b>. Please complete the payment to avoid any interruption to your application.` },
+        OVERDUE: { subject: 'Payment Overdue', color: '#dc2626', bg: '#fef2f2', text: `Our records show that <b>Rs ${amount}</b> towards your ${reminder.label} was due on <b>${dueDate}</b> and is now <b>${reminder.daysOverdue} day(s) overdue</b>. Please pay at the earliest or contact your counsellor.` }
+    }[reminder.stage];
+    const html = `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto; padding: 20px; border: 1px solid #f1f5f9; border-radius: 16px;"><div style="text-align: center; margin-bottom: 30px;">${branding}</div><h2 style="color: ${tone.color};">${tone.subject}</h2><p>Dear <b>${userName}</b>,</p><div style="background: ${tone.bg}; padding: 15px; border-radius: 8px; margin: 20px 0; border-left: 4px solid ${tone.color};">${tone.text}</div>${reminder.totalOutstanding > reminder.amountDue ? `<p>Total outstanding on your account: <b>Rs ${Number(reminder.totalOutstanding).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</b>.</p>` : ''}<p>You can view your payment schedule and download receipts from the Payments section of your <a href="${config.studentPortalUrl}" style="color: #0066cc;">student portal</a>. If you have already paid, please ignore this email.</p><p style="margin-top: 30px;">Best regards,<br><b>Team ${config.companyName}</b></p><hr style="margin-top: 30px; border: none; border-top: 1px solid #eee;"><p style="font-size: 12px; color: #666; text-align: center;">${config.companyName} Pvt. Ltd. | ${config.companyAddress}<br>📞 ${config.supportPhone} | ✉️ ${config.supportEmail}</p></div>`;
+    return sendMail(userEmail, `${tone.subject} - ${config.companyName}`, html);
+};
+
 const sendOTP = async (userEmail, userName, otp) => {
     const branding = getBrandingHeader('20px');
     const html = `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto; padding: 20px; border: 1px solid #f1f5f9; border-radius: 16px;"><div style="text-align: center; margin-bottom: 30px;">${branding}</div><h2 style="color: #2c3e50; text-align: center;">Verification Code</h2><p>Hello <b>${userName}</b>,</p><p>You requested a security code for your ${config.companyName} account. Use the code below to proceed:</p><div style="background: #f8fafc; padding: 30px; text-align: center; border-radius: 12px; margin: 30px 0; border: 2px dashed #e2e8f0;"><span style="font-size: 32px; font-weight: 800; color: #2563eb; letter-spacing: 5px;">${otp}</span></div><p style="font-size: 13px; color: #64748b;">This code expires in 2 minutes. If you didn't request this, please ignore this email.</p></div>`;
@@ -229,6 +255,8 @@ module.exports = {
     sendEligibilityConfirmation,
     sendProfessionalEnquiryConfirmation,
     sendStudentRegistrationEmail,
+    sendPaymentDocumentEmail,
+    sendPaymentReminderEmail,
     sendOTP,
     sendEmployeeCreationOTP,
     sendEmployeeWelcomeEmail,
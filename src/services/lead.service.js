@@ -2,15 +2,217 @@ const supabase = require('../config/supabaseClient');
 const logger = require('../utils/logger');
 const auditService = require('./audit.service');
 
+/**
+ * Fallback used when no admin rule matches (or none are configured).
+ * Mirrors the original hardcoded behaviour: active counsellor/WFH/admission staff,
+ * max 10 active leads, least-recently-assigned first.
+ */
+const DEFAULT_RULE = {
+    id: null,
+    name: 'Default Round Robin',
+    priority: Number.MAX_SAFE_INTEGER,
+    match_service_types: [],
+    match_countries: [],
+    match_sources: [],
+    match_department_ids: [],
+    target_department_id: null,
+    target_employee_ids: [],
+    eligible_roles: ['counsellor', 'wfh', 'admission', 'admission_officer'],
+    max_active_leads: 10,
+    capacity_overrides: {},
+    preferred_skills: [],
+    preferred_languages: [],
+    skill_weight: 0,
+    language_weight: 0
+};
+
+const normalize = (value) => (value || '').toString().trim().toLowerCase();
+
+const intersect = (a = [], b = []) => {
+    const set = new Set((b || []).map(normalize));
+    return (a || []).filter(v => set.has(normalize(v)));
+};
+
 class LeadService {
     /**
-     * Automatically assigns a lead to an eligible employee using logic:
-     * 1. Status = ACTIVE
-     * 2. Role = 'counsellor', 'wfh', 'admission'
-     * 3. Max active leads < 10
-     * 4. Round Robin (Least recently assigned)
-     * @param {string} leadId 
-     * @param {string} departmentId (optional) 
+     * Fetch active assignment rules ordered by priority (lowest first).
+     */
+    async getActiveRules() {
+        const { data, error } = await supabase
+            .from('lead_assignment_rules')
+            .select('*')
+            .eq('is_active', true)
+            .order('priority', { ascending: true })
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            logger.warn(`[LeadAssignment] Could not load assignment rules, using default: ${error.message}`);
+            return [];
+        }
+        return data || [];
+    }
+
+    /**
+     * Check a rule's match conditions against a lead.
+     * An empty condition list matches anything.
+     * @returns {{ matched: boolean, reasons: string[] }}
+     */
+    matchRule(rule, lead, departmentId = null) {
+        const reasons = [];
+        const checks = [
+            { label: 'service_type', allowed: rule.match_service_types, values: [lead.service_type] },
+            { label: 'preferred_country', allowed: rule.match_countries, values: [lead.preferred_country] },
+            { label: 'source', allowed: rule.match_sources, values: [lead.source, lead.source_type] },
+            { label: 'department', allowed: rule.match_department_ids, values: [departmentId || lead.department_id] }
+        ];
+
+        for (const check of checks) {
+            if (!check.allowed || check.allowed.length === 0) continue;
+
+            const hit = intersect(check.values.filter(Boolean), check.allowed);
+            if (hit.length === 0) {
+                reasons.push(`${check.label} '${check.values.filter(Boolean).join('/') || 'empty'}' not in [${check.allowed.join(', ')}]`);
+                return { matched: false, reasons };
+            }
+            reasons.push(`${check.label} '${hit[0]}' matched`);
+        }
+
+        if (reasons.length === 0) reasons.push('Rule has no conditions (matches all leads)');
+        return { matched: true, reasons };
+    }
+
+    /**
+     * Build the candidate pool for a rule with load, capacity and weighting details.
+     * @returns {Promise<Array>} candidates sorted best-first; `eligible` marks those under capacity
+     */
+    async rankCandidates(rule, departmentId = null) {
+        let query = supabase
+            .from('employees')
+            .select(`
+                id, name, email, department_id, last_lead_assigned_at, skills, languages,
+                roles(name)
+            `)
+            .eq('status', 'ACTIVE'); // Only active employees
+
+        const poolDepartment = rule.target_department_id || departmentId;
+        if (poolDepartment) {
+            query = query.eq('department_id', poolDepartment);
+        }
+        if (rule.target_employee_ids && rule.target_employee_ids.length > 0) {
+            query = query.in('id', rule.target_employee_ids);
+        }
+
+        const { data: employees, error: empError } = await query;
+        if (empError) throw empError;
+
+        const eligibleRoles = (rule.eligible_roles || []).map(normalize);
+        const candidates = (employees || []).filter(emp => {
+            if (eligibleRoles.length === 0) return true;
+            const roleName = normalize(emp.roles?.name);
+            return eligibleRoles.some(r => roleName.includes(r));
+        });
+
+        // Load check - loop per candidate (team sizes are small, see original note on RPC)
+        const ranked = [];
+        for (const candidate of candidates) {
+            const { count, error: countError } = await supabase
+                .from('leads')
+                .select('id', { count: 'exact', head: true })
+                .eq('assigned_to', candidate.id)
+                .neq('status', 'REJECTED')
+                .neq('status', 'CONVERTED')
+                .neq('status', 'DEAD');
+
+            if (countError) continue;
+
+            const capacity = Number(rule.capacity_overrides?.[candidate.id] ?? rule.max_active_leads ?? DEFAULT_RULE.max_active_leads);
+            const matchedSkills = intersect(candidate.skills, rule.preferred_skills);
+            const matchedLanguages = intersect(candidate.languages, rule.preferred_languages);
+            const score = matchedSkills.length * (rule.skill_weight || 0) +
+                matchedLanguages.length * (rule.language_weight || 0);
+
+            ranked.push({
+                id: candidate.id,
+                name: candidate.name,
+                email: candidate.email,
+                role: candidate.roles?.name || null,
+                last_lead_assigned_at: candidate.last_lead_assigned_at,
+                currentLoad: count,
+                capacity,
+                eligible: count < capacity,
+                score,
+                matchedSkills,
+                matchedLanguages
+            });
+        }
+
+        // Highest weight first, then round robin (oldest / never assigned first)
+        ranked.sort((a, b) => {
+            if (a.eligible !== b.eligible) return a.eligible ? -1 : 1;
+            if (b.score !== a.score) return b.score - a.score;
+            if (!a.last_lead_assigned_at && !b.last_lead_assigned_at) return 0;
+            if (!a.last_lead_assigned_at) return -1;
+            if (!b.last_lead_assigned_at) return 1;
+            return new Date(a.last_lead_assigned_at) - new Date(b.last_lead_assigned_at);
+        });
+
+        return ranked;
+    }
+
+    /**
+     * Evaluate rules in priority order and explain which employee would be picked.
+     * Pure read - nothing is written. Used by assignLead and the dry-run endpoint.
+     * @param {object} lead - lead row (or partial lead attributes for a dry run)
+     * @param {string} departmentId (optional)
+     */
+    async evaluateAssignment(lead, departmentId = null) {
+        const rules = [...(await this.getActiveRules()), DEFAULT_RULE];
+        const trace = [];
+
+        for (const rule of rules) {
+            const match = this.matchRule(rule, lead, departmentId);
+            const step = {
+                ruleId: rule.id,
+                ruleName: rule.name,
+                priority: rule.id ? rule.priority : null,
+                matched: match.matched,
+                reasons: match.reasons
+            };
+            trace.push(step);
+
+            if (!match.matched) continue;
+
+            const candidates = await this.rankCandidates(rule, departmentId);
+            step.candidates = candidates;
+
+            const selected = candidates.find(c => c.eligible);
+            if (!selected) {
+                step.reasons.push(candidates.length === 0
+                    ? 'No active employees with an eligible role in the target pool'
+                    : 'All candidates are at capacity');
+                continue; // Fall through to the next rule
+            }
+
+            const why = [`Rule '${rule.name}' matched`];
+            if (selected.score > 0) {
+                why.push(`highest weight ${selected.score} (skills: ${selected.matchedSkills.join(', ') || '-'}, languages: ${selected.matchedLanguages.join(', ') || '-'})`);
+            }
+            why.push(`load ${selected.currentLoad}/${selected.capacity}`);
+            why.push(selected.last_lead_assigned_at
+                ? `least recently assigned (${selected.last_lead_assigned_at})`
+                : 'never assigned a lead before');
+
+            return { selected, rule: { id: rule.id, name: rule.name }, explanation: why.join('; '), trace };
+        }
+
+        return { selected: null, rule: null, explanation: 'No rule produced an available employee. Lead stays in the General Pool.', trace };
+    }
+
+    /**
+     * Automatically assigns a lead using the admin-managed assignment rules
+     * (see lead_assignment_rules), falling back to the default round robin.
+     * @param {string} leadId
+     * @param {string} departmentId (optional)
      */
     async assignLead(leadId, departmentId = null) {
         try {
@@ -29,90 +231,24 @@ class LeadService {
                 return null;
             }
 
-            // 2. Fetch Eligible Employees
-            let query = supabase
-                .from('employees')
-                .select(`
-                    id, name, email, last_lead_assigned_at,
-                    roles(name)
-                `)
-                .eq('status', 'ACTIVE'); // Only active employees
-
-            if (departmentId) {
-                query = query.eq('department_id', departmentId);
-            }
-
-            const { data: employees, error: empError } = await query;
-            if (empError) throw empError;
-
-            // Filter by Roles (Counsellor, WFH, Admission)
-            // Normalized role check
-            const ELIGIBLE_ROLES = ['counsellor', 'wfh', 'admission', 'admission_officer'];
-
-            const candidates = employees.filter(emp => {
-                const roleName = emp.roles?.name ? emp.roles.name.toLowerCase() : '';
-                return ELIGIBLE_ROLES.some(r => roleName.includes(r));
-            });
+            // 2. Evaluate rules
+            const result = await this.evaluateAssignment(lead, departmentId);
+            const selectedEmployee = result.selected;
 
-            if (candidates.length === 0) {
-                logger.warn('[LeadAssignment] No eligible employees found for assignment');
-                return null; // Leave unassigned (General Pool)
-            }
-
-            // 3. Check Current Load (Max 10 Active Leads)
-            // We need to query lead counts for each candidate.
-            // Optimization: Do a grouped count query implies filtering. 
-            // Since Supabase/PostgREST doesn't support easy 'group by' for this logic in one go freely,
-            // we might have to loop or use a custom RPC.
-            // For now, let's just loop (assuming employee count is < 50, it's fast enough).
-            // "Performance Note": If 1000 employees, this is bad. But for < 50, it's < 100ms.
-
-            const qualifiedCandidates = [];
-
-            for (const candidate of candidates) {
-                const { count, error: countError } = await supabase
-                    .from('leads')
-                    .select('id', { count: 'exact', head: true })
-                    .eq('assigned_to', candidate.id)
-                    .neq('status', 'REJECTED')
-                    .neq('status', 'CONVERTED')
-                    .neq('status', 'DEAD'); // Optional: Exclude Dead leads too if you have that status
-
-                if (countError) continue;
-
-                if (count < 10) {
-                    qualifiedCandidates.push({
-                        ...candidate,
-                        currentLoad: count
-                    });
-                }
-            }
-
-            if (qualifiedCandidates.length === 0) {
-                logger.warn('[LeadAssignment] All eligible employees match max capacity (10 leads). Lead sent to General Pool.');
+            if (!selectedEmployee) {
+                logger.warn(`[LeadAssignment] ${result.explanation}`);
                 return null;
             }
 
-            // 4. Round Robin Selection (Sort by last_lead_assigned_at ASC)
-            // Oldest timestamp (or null) comes first.
-            qualifiedCandidates.sort((a, b) => {
-                if (!a.last_lead_assigned_at) return -1; // Never assigned -> Top priority
-                if (!b.last_lead_assigned_at) return 1;
-                return new Date(a.last_lead_assigned_at) - new Date(b.last_lead_assigned_at);
-            });
-
-            const selectedEmployee = qualifiedCandidates[0];
-
-            logger.info(`[LeadAssignment] Selected ${selectedEmployee.name} (Load: ${selectedEmployee.currentLoad}, Last: ${selectedEmployee.last_lead_assigned_at})`);
+            logger.info(`[LeadAssignment] Selected ${selectedEmployee.name} via '${result.rule.name}' (Load: ${selectedEmployee.currentLoad}/${selectedEmployee.capacity}, Score: ${selectedEmployee.score})`);
 
-            // 5. Assign Lead
-            // Update Lead
+            // 3. Assign Lead
             const { error: updateError } = await supabase
                 .from('leads')
                 .update({
                     assigned_to: selectedEmployee.id,
                     assigned_at: new Date().toISOString(),
-                    status: 'ASSIGNED', // Or keep original status? Usually 'ASSIGNED' is better for workflow.
+                    status: 'ASSIGNED',
                     is_assigned: true
                 })
                 .eq('id', leadId);
@@ -131,10 +267,13 @@ class LeadService {
                 metadata: {
                     leadId,
                     assignedTo: selectedEmployee.id,
-                    load: selectedEmployee.currentLoad + 1
+                    load: selectedEmployee.currentLoad + 1,
+                    ruleId: result.rule.id,
+                    ruleName: result.rule.name,
+                    explanation: result.explanation
                 },
                 ip: 'SYSTEM',
-                employeeId: selectedEmployee.id // Log against the employee or system? System usually.
+                employeeId: selectedEmployee.id
             });
 
             return selectedEmployee;
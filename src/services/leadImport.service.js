@@ -0,0 +1,220 @@
+const XLSX = require('xlsx');
+const supabase = require('../config/supabaseClient');
+const validationService = require('./validation.service');
+
+const MAX_ROWS = 5000;
+const LOOKUP_CHUNK = 200; // Keep PostgREST `in` filters within URL limits
+
+/**
+ * Header aliases -> lead column. Headers are compared lowercase with
+ * spaces, dots, dashes and underscores stripped ("Father's Name" -> "fathersname").
+ */
+const COLUMN_ALIASES = {
+    name: ['name', 'fullname', 'studentname', 'candidatename'],
+    father_name: ['fathername', 'fathersname', 'parentname', 'guardianname'],
+    email: ['email', 'emailid', 'emailaddress', 'mail'],
+    phone: ['phone', 'mobile', 'mobileno', 'mobilenumber', 'phonenumber', 'contact', 'contactnumber', 'whatsapp'],
+    qualification: ['qualification', 'education', 'highestqualification'],
+    district: ['district', 'city'],
+    state: ['state'],
+    pincode: ['pincode', 'pin', 'zip', 'zipcode', 'postalcode'],
+    gender: ['gender', 'sex'],
+    category: ['category'],
+    service_type: ['servicetype', 'service', 'interest', 'enquirytype'],
+    preferred_country: ['preferredcountry', 'country', 'destination', 'destinationcountry'],
+    university: ['university', 'college', 'preferreduniversity'],
+    source_type: ['sourcetype', 'source', 'campaign', 'event']
+};
+
+const LEAD_FIELDS = Object.keys(COLUMN_ALIASES);
+
+const normalizeHeader = (header) => header.toString().toLowerCase().replace(/[\s._\-'’]/g, '');
+
+const chunk = (arr, size) => {
+    const out = [];
+    for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
+    return out;
+};
+
+/**
+ * Strip spaces, dashes and a leading +91/0 so spreadsheet phone formats
+ * ("+91 98765-43210", 9876543210.0) land on the strict 10-digit rule.
+ */
+const cleanPhone = (value) => {
+    if (value === undefined || value === null) return '';
+    let phone = value.toString().trim().replace(/\.0+$/, '').replace(/[\s\-()]/g, '');
+    if (phone.startsWith('+91')) phone = phone.substring(3);
+    else if (phone.length === 12 && phone.startsWith('91')) phone = phone.substring(2);
+    else if (phone.length === 11 && phone.startsWith('0')) phone = phone.substring(1);
+    return phone;
+};
+
+class LeadImportService {
+    /**
+     * Parse a CSV or XLSX buffer into header + row objects (first sheet only).
+     * @param {Buffer} buffer
+     * @returns {{ headers: string[], rows: object[] }}
+     */
+    parseFile(buffer) {
+        const workbook = XLSX.read(buffer, { type: 'buffer', raw: false, cellDates: true });
+        const sheetName = workbook.SheetNames[0];
+        if (!sheetName) throw new Error('The uploaded file has no sheets');
+
+        const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { defval: '', raw: false });
+        const headers = rows.length > 0 ? Object.keys(rows[0]) : [];
+        return { headers, rows };
+    }
+
+    /**
+     * Resolve which spreadsheet column feeds each lead field.
+     * @param {string[]} headers - headers found in the file
+     * @param {object} overrides - optional { leadField: 'Spreadsheet Header' }
+     * @returns {{ mapping: object, unmapped: string[] }}
+     */
+    buildColumnMapping(headers, overrides = {}) {
+        const mapping = {};
+
+        headers.forEach(header => {
+            const key = normalizeHeader(header);
+            const field = LEAD_FIELDS.find(f => COLUMN_ALIASES[f].includes(key));
+            if (field && !mapping[field]) mapping[field] = header;
+        });
+
+        Object.entries(overrides || {}).forEach(([field, header]) => {
+            if (LEAD_FIELDS.includes(field) && headers.includes(header)) mapping[field] = header;
+        });
+
+        const used = new Set(Object.values(mapping));
+        return { mapping, unmapped: headers.filter(h => !used.has(h)) };
+    }
+
+    /**
+     * Map and validate a single row. Returns the lead payload or the reasons it was rejected.
+     */
+    validateRow(row, mapping) {
+        const get = (field) => {
+            const header = mapping[field];
+            if (!header) return null;
+            const value = row[header];
+            return value === undefined || value === null || value.toString().trim() === '' ? null : value.toString().trim();
+        };
+
+        const errors = [];
+        const name = get('name');
+        const phone = cleanPhone(get('phone'));
+        const rawEmail = get('email');
+        const pincode = get('pincode');
+
+        if (!name) errors.push('Name is missing');
+        if (!phone) errors.push('Phone is missing');
+        else if (!validationService.validatePhone(phone)) errors.push(`Phone '${get('phone')}' is not a valid 10-digit number`);
+        if (rawEmail && !validationService.validateEmail(rawEmail)) errors.push(`Email '${rawEmail}' is invalid`);
+        if (pincode && !validationService.validatePincode(pincode)) errors.push(`Pincode '${pincode}' must be exactly 6 digits`);
+
+        if (errors.length > 0) return { errors };
+
+        return {
+            lead: {
+                name,
+                father_name: get('father_name'),
+                email: rawEmail ? validationService.normalizeEmail(rawEmail) : null,
+                phone,
+                qualification: get('qualification'),
+                district: get('district'),
+                state: get('state'),
+                pincode,
+                gender: get('gender'),
+                category: get('category'),
+                service_type: get('service_type'),
+                preferred_country: get('preferred_country'),
+                university: get('university'),
+                source_type: get('source_type')
+            }
+        };
+    }
+
+    /**
+     * Look up which of the given emails/phones already exist in a table.
+     * Emails are compared case-insensitively (find_existing_emails RPC).
+     * @param {string[]} emails - normalized (lowercase)
+     * @returns {Promise<{ emails: Set<string>, phones: Set<string> }>}
+     */
+    async findExisting(table, emails, phones) {
+        const found = { emails: new Set(), phones: new Set() };
+
+        for (const batch of chunk(emails, LOOKUP_CHUNK)) {
+            const { data, error } = await supabase.rpc('find_existing_emails', { p_table: table, p_emails: batch });
+            if (error) throw error;
+            (data || []).forEach(r => r.email && found.emails.add(r.email));
+        }
+
+        for (const batch of chunk(phones, LOOKUP_CHUNK)) {
+            const { data, error } = await supabase.from(table).select('phone').in('phone', batch);
+            if (error) throw error;
+            (data || []).forEach(r => r.phone && found.phones.add(r.phone.toString()));
+        }
+
+        return found;
+    }
+
+    /**
+     * Validate and de-duplicate parsed rows.
+     * Row numbers in the report are spreadsheet rows (header = row 1).
+     * @returns {Promise<{ toCreate: Array<{ rowNumber, lead }>, report: Array }>}
+     */
+    async prepareRows(rows, mapping) {
+        if (rows.length > MAX_ROWS) {
+            throw new Error(`File has ${rows.length} rows. The maximum per import is ${MAX_ROWS}.`);
+        }
+
+        const report = [];
+        const valid = [];
+
+        rows.forEach((row, index) => {
+            const rowNumber = index + 2;
+            const result = this.validateRow(row, mapping);
+            if (result.errors) {
+                report.push({ row: rowNumber, status: 'REJECTED', reasons: result.errors, name: row[mapping.name] || null });
+            } else {
+                valid.push({ rowNumber, lead: result.lead });
+            }
+        });
+
+        const emails = [...new Set(valid.map(v => v.lead.email).filter(Boolean))];
+        const phones = [...new Set(valid.map(v => v.lead.phone))];
+
+        const [existingLeads, existingRegistrations] = await Promise.all([
+            this.findExisting('leads', emails, phones),
+            this.findExisting('registrations', emails, phones)
+        ]);
+
+        const seenEmails = new Map();
+        const seenPhones = new Map();
+        const toCreate = [];
+
+        for (const item of valid) {
+            const { lead, rowNumber } = item;
+            const reasons = [];
+
+            if (lead.email && existingRegistrations.emails.has(lead.email)) reasons.push(`Email ${lead.email} belongs to a registered student`);
+            else if (existingRegistrations.phones.has(lead.phone)) reasons.push(`Phone ${lead.phone} belongs to a registered student`);
+            else if (lead.email && existingLeads.emails.has(lead.email)) reasons.push(`Lead with email ${lead.email} already exists`);
+            else if (existingLeads.phones.has(lead.phone)) reasons.push(`Lead with phone ${lead.phone} already exists`);
+            else if (lead.email && seenEmails.has(lead.email)) reasons.push(`Duplicate of row ${seenEmails.get(lead.email)} in this file (email)`);
+            else if (seenPhones.has(lead.phone)) reasons.push(`Duplicate of row ${seenPhones.get(lead.phone)} in this file (phone)`);
+
+            if (reasons.length > 0) {
+                report.push({ row: rowNumber, status: 'SKIPPED', reasons, name: lead.name });
+                continue;
+            }
+
+            if (lead.email) seenEmails.set(lead.email, rowNumber);
+            seenPhones.set(lead.phone, rowNumber);
+            toCreate.push(item);
+        }
+
+        return { toCreate, report };
+    }
+}
+
+module.exports = new LeadImportService();
@@ -0,0 +1,441 @@
+const supabase = require('../config/supabaseClient');
+const logger = require('../utils/logger');
+
+const ENTRY_TYPES = ['CHARGE', 'PAYMENT', 'REFUND', 'WAIVER'];
+const FEE_TYPES = ['REGISTRATION_FEE', 'LOAN_PROCESSING_FEE', 'OTHER'];
+const NATURAL_DIRECTION = { CHARGE: 'DEBIT', REFUND: 'DEBIT', PAYMENT: 'CREDIT', WAIVER: 'CREDIT' };
+
+const FEE_LABELS = {
+    REGISTRATION_FEE: 'Registration Fee',
+    LOAN_PROCESSING_FEE: 'Loan Processing Fee',
+    OTHER: 'Other Charges'
+};
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Student Payment Ledger
+ * Append-only debits/credits per registration (payment_ledger) plus installment
+ * schedules (payment_installments). Every balance, status and installment state
+ * is derived from the ledger; registrations.payment_details and
+ * loan_applications.total_paid are refreshed caches for older screens.
+ */
+class LedgerService {
+    /**
+     * Post a ledger entry. Entries with a (source, sourceRef) pair are idempotent:
+     * posting the same key twice returns the existing row.
+     * @returns {Promise<object>} the ledger row
+     */
+    async postEntry({
+        registrationId, loanId = null, entryType, feeType = 'REGISTRATION_FEE', amount,
+        method = null, reference = null, notes = null, installmentId = null,
+        reversalOf = null, source = 'manual', sourceRef = null, entryDate = null, createdBy = null
+    }) {
+        if (!ENTRY_TYPES.includes(entryType)) throw new Error(`Invalid entry type: ${entryType}`);
+        if (!FEE_TYPES.includes(feeType)) throw new Error(`Invalid fee type: ${feeType}`);
+
+        const value = round2(amount);
+        if (!(value > 0)) throw new Error('Amount must be greater than zero');
+
+        const natural = NATURAL_DIRECTION[entryType];
+        const direction = reversalOf ? (natural === 'DEBIT' ? 'CREDIT' : 'DEBIT') : natural;
+
+        const { data, error } = await supabase
+            .from('payment_ledger')
+            .insert([{
+                registration_id: registrationId,
+                loan_id: loanId,
+                entry_type: entryType,
+                direction,
+                fee_type: feeType,
+                amount: value,
+                method,
+                reference,
+                notes,
+                installment_id: installmentId,
+                reversal_of: reversalOf,
+                source,
+                source_ref: sourceRef,
+                entry_date: entryDate || new Date().toISOString(),
+                created_by: createdBy
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            // 23505 = unique violation: entry for this source key already posted
+            if (error.code === '23505' && sourceRef) {
+                const { data: existing } = await supabase
+                    .from('payment_ledger')
+                    .select('*')
+                    .eq('source', source)
+                    .eq('source_ref', sourceRef)
+                    .maybeSingle();
+                if (existing) return existing;
+            }
+            if (error.code === '23505' && reversalOf) throw new Error('Entry has already been reversed');
+            throw error;
+        }
+
+        return data;
+    }
+
+    /**
+     * Post a fee charge unless one already exists for this registration/fee (and loan).
+     * Used where the fee is implied by the workflow, e.g. the loan processing fee.
+     */
+    async ensureCharge({ registrationId, loanId = null, feeType, amount, notes, createdBy = null }) {
+        let query = supabase
+            .from('payment_ledger')
+            .select('*')
+            .eq('registration_id', registrationId)
+            .eq('entry_type', 'CHARGE')
+            .eq('fee_type', feeType)
+            .is('reversal_of', null)
+            .limit(1);
+
+        if (loanId) query = query.eq('loan_id', loanId);
+
+        const { data: existing, error } = await query;
+        if (error) throw error;
+        if (existing && existing.length > 0) return existing[0];
+
+        return this.postEntry({ registrationId, loanId, entryType: 'CHARGE', feeType, amount, notes, createdBy });
+    }
+
+    /**
+     * Post the opposite of an entry. The original stays on the ledger untouched.
+     */
+    async reverseEntry(entryId, { reason, createdBy }) {
+        const { data: original, error } = await supabase
+            .from('payment_ledger')
+            .select('*')
+            .eq('id', entryId)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!original) throw new Error('Ledger entry not found');
+        if (original.reversal_of) throw new Error('A reversal cannot itself be reversed');
+
+        return this.postEntry({
+            registrationId: original.registration_id,
+            loanId: original.loan_id,
+            entryType: original.entry_type,
+            feeType: original.fee_type,
+            amount: original.amount,
+            method: original.method,
+            reference: original.reference,
+            notes: `Reversal: ${reason}`,
+            installmentId: original.installment_id,
+            reversalOf: original.id,
+            createdBy
+        });
+    }
+
+    async getEntries(registrationId) {
+        const { data, error } = await supabase
+            .from('payment_ledger')
+            .select('*, created_by_info:employees(name)')
+            .eq('registration_id', registrationId)
+            .order('entry_date', { ascending: true })
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    async getInstallments(registrationId) {
+        const { data, error } = await supabase
+            .from('payment_installments')
+            .select('*')
+            .eq('registration_id', registrationId)
+            .order('due_date', { ascending: true })
+            .order('sequence', { ascending: true });
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Replace the installment schedule for one fee type. Installments are
+     * matched by sequence and updated in place; extra old ones are removed.
+     * @param {Array<{amount:number, dueDate:string, label?:string}>} schedule
+     */
+    async setSchedule(registrationId, feeType, schedule, createdBy = null) {
+        if (!FEE_TYPES.includes(feeType)) throw new Error(`Invalid fee type: ${feeType}`);
+        if (!Array.isArray(schedule) || schedule.length === 0) throw new Error('At least one installment is required');
+
+        const rows = schedule.map((item, index) => {
+            const amount = round2(item.amount);
+            if (!(amount > 0)) throw new Error(`Installment ${index + 1}: amount must be greater than zero`);
+            if (!item.dueDate || isNaN(new Date(item.dueDate).getTime())) throw new Error(`Installment ${index + 1}: valid dueDate is required`);
+            return {
+                registration_id: registrationId,
+                fee_type: feeType,
+                sequence: index + 1,
+                label: item.label || `Installment ${index + 1}`,
+                amount,
+                due_date: String(item.dueDate).slice(0, 10),
+                created_by: createdBy
+            };
+        });
+
+        const { data: current, error: currentError } = await supabase
+            .from('payment_installments')
+            .select('id, sequence, due_date, created_by')
+            .eq('registration_id', registrationId)
+            .eq('fee_type', feeType);
+
+        if (currentError) throw currentError;
+        const bySequence = new Map((current || []).map(i => [i.sequence, i]));
+
+        // Update in place by sequence: ledger installment_id and sent reminders keep pointing at the same rows
+        const now = new Date().toISOString();
+        const { data, error } = await supabase
+            .from('payment_installments')
+            .upsert(rows.map(row => ({
+                ...row,
+                created_by: bySequence.get(row.sequence)?.created_by || row.created_by,
+                updated_at: now
+            })), { onConflict: 'registration_id,fee_type,sequence' })
+            .select();
+
+        if (error) throw error;
+
+        const removedIds = (current || []).filter(i => i.sequence > rows.length).map(i => i.id);
+        if (removedIds.length > 0) {
+            const { error: deleteError } = await supabase
+                .from('payment_installments')
+                .delete()
+                .in('id', removedIds);
+
+            if (deleteError) throw deleteError;
+        }
+
+        // A moved due date starts its reminder cycle again
+        const movedIds = (current || [])
+            .filter(i => i.sequence <= rows.length && rows[i.sequence - 1].due_date !== i.due_date)
+            .map(i => i.id);
+        if (movedIds.length > 0) {
+            const { error: remindersError } = await supabase
+                .from('payment_reminders')
+                .delete()
+                .in('installment_id', movedIds);
+
+            if (remindersError) throw remindersError;
+        }
+
+        return data.sort((a, b) => a.sequence - b.sequence);
+    }
+
+    /**
+     * Pure computation of balances and installment states from ledger rows.
+     * Net credits (payments - refunds + waivers) are allocated to installments
+     * of the same fee type in due-date order.
+     */
+    summarize(entries, installments = [], today = new Date()) {
+        const totals = { charged: 0, paid: 0, refunded: 0, waived: 0 };
+        const byFee = {};
+
+        const bucket = (feeType) => {
+            if (!byFee[feeType]) byFee[feeType] = { feeType, label: FEE_LABELS[feeType] || feeType, charged: 0, paid: 0, refunded: 0, waived: 0 };
+            return byFee[feeType];
+        };
+
+        const keyFor = { CHARGE: 'charged', PAYMENT: 'paid', REFUND: 'refunded', WAIVER: 'waived' };
+
+        for (const entry of entries) {
+            // Reversals carry the original type in the opposite direction
+            const sign = entry.direction === NATURAL_DIRECTION[entry.entry_type] ? 1 : -1;
+            const key = keyFor[entry.entry_type];
+            const value = sign * Number(entry.amount);
+            totals[key] += value;
+            bucket(entry.fee_type)[key] += value;
+        }
+
+        const finalize = (t) => {
+            const netPaid = round2(t.paid - t.refunded);
+            const balance = round2(t.charged + t.refunded - t.paid - t.waived);
+            const result = {
+                ...t,
+                charged: round2(t.charged),
+                paid: round2(t.paid),
+                refunded: round2(t.refunded),
+                waived: round2(t.waived),
+                netPaid,
+                balance
+            };
+            return { ...result, status: this.derivePaymentStatus(result) };
+        };
+
+        const fees = Object.values(byFee).map(finalize);
+        const todayStr = new Date(today).toISOString().slice(0, 10);
+
+        // Allocate settled amounts to each fee type's installments
+        const remainingCredit = {};
+        fees.forEach(f => { remainingCredit[f.feeType] = Math.max(0, round2(f.netPaid + f.waived)); });
+
+        const schedule = installments.map(inst => {
+            const available = remainingCredit[inst.fee_type] || 0;
+            const settled = round2(Math.min(available, Number(inst.amount)));
+            remainingCredit[inst.fee_type] = round2(available - settled);
+
+            const outstanding = round2(Number(inst.amount) - settled);
+            let status;
+            if (outstanding <= 0) status = 'PAID';
+            else if (inst.due_date < todayStr) status = 'OVERDUE';
+            else if (settled > 0) status = 'PARTIAL';
+            else if (inst.due_date === todayStr) status = 'DUE';
+            else status = 'UPCOMING';
+
+            return { ...inst, amount: Number(inst.amount), settled, outstanding, status };
+        });
+
+        const summary = finalize(totals);
+        const nextDue = schedule.find(i => i.outstanding > 0) || null;
+
+        return {
+            ...summary,
+            fees,
+            installments: schedule,
+            nextDue,
+            overdueAmount: round2(schedule.filter(i => i.status === 'OVERDUE').reduce((s, i) => s + i.outstanding, 0))
+        };
+    }
+
+    /**
+     * Legacy status values used across the CRM (registrations.payment_status).
+     */
+    derivePaymentStatus({ charged, netPaid, balance }) {
+        if (charged > 0 && balance <= 0) return 'Paid';
+        if (netPaid > 0) return 'Partial';
+        return 'Pending';
+    }
+
+    /**
+     * Totals of one fee type (zeros when nothing was posted for it).
+     * Portal access and registrations.payment_status follow REGISTRATION_FEE only;
+     * loan processing and other charges are reported on their own.
+     */
+    feeSummary(summary, feeType = 'REGISTRATION_FEE') {
+        return summary.fees.find(f => f.feeType === feeType) || {
+            feeType, label: FEE_LABELS[feeType] || feeType,
+            charged: 0, paid: 0, refunded: 0, waived: 0, netPaid: 0, balance: 0, status: 'Pending'
+        };
+    }
+
+    async getSummary(registrationId) {
+        const [entries, installments] = await Promise.all([
+            this.getEntries(registrationId),
+            this.getInstallments(registrationId)
+        ]);
+        return { ...this.summarize(entries, installments), entries };
+    }
+
+    /**
+     * Rewrite the cached totals on registrations / loan_applications from the ledger.
+     * Called after every posting so older screens keep showing correct numbers.
+     */
+    async refreshCaches(registrationId) {
+        try {
+            const summary = await this.getSummary(registrationId);
+            const registrationFee = this.feeSummary(summary, 'REGISTRATION_FEE');
+
+            // payment_details / payment_status describe the registration fee only
+            const payments = summary.entries
+                .filter(e => e.entry_type === 'PAYMENT' && e.fee_type === 'REGISTRATION_FEE' && !e.reversal_of)
+                .map(e => ({
+                    id: e.id,
+                    amount: Number(e.amount),
+                    type: FEE_LABELS[e.fee_type] || e.fee_type,
+                    method: e.method || 'Cash',
+                    status: summary.entries.some(r => r.reversal_of === e.id) ? 'Reversed' : 'Success',
+                    date: e.entry_date
+                }));
+
+            const { error: updateError } = await supabase
+                .from('registrations')
+                .update({
+                    payment_status: registrationFee.status,
+                    payment_details: {
+                        totalAmount: registrationFee.charged,
+                        paidAmount: registrationFee.netPaid,
+                        balance: registrationFee.balance,
+                        installments: payments,
+                        source: 'ledger',
+                        syncedAt: new Date().toISOString()
+                    }
+                })
+                .eq('id', registrationId);
+
+            if (updateError) throw updateError;
+
+            const loanFee = summary.fees.find(f => f.feeType === 'LOAN_PROCESSING_FEE');
+            if (loanFee) {
+                await supabase
+                    .from('loan_applications')
+                    .update({ total_paid: loanFee.netPaid, paid_amount: loanFee.netPaid, updated_at: new Date().toISOString() })
+                    .eq('registration_id', registrationId);
+            }
+
+            return summary;
+        } catch (err) {
+            logger.error(`[LEDGER] Cache refresh failed for ${registrationId}: ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Opening registration-fee entries: the charge, its installment schedule and the
+     * amount paid at registration. Idempotent (fixed source keys), so a failed attempt
+     * can be repeated by scripts/reconcile_payment_ledger.js --fix.
+     */
+    async postOpeningEntries({ registrationId, total, paid, method = null, reference = null, schedule = null, createdBy = null }) {
+        let paymentEntry = null;
+
+        if (total > 0) {
+            await this.postEntry({
+                registrationId,
+                entryType: 'CHARGE',
+                amount: total,
+                notes: 'Registration fee',
+                source: 'registration',
+                sourceRef: `reg-charge:${registrationId}`,
+                createdBy
+            });
+
+            const existing = (await this.getInstallments(registrationId)).filter(i => i.fee_type === 'REGISTRATION_FEE');
+            if (existing.length === 0) {
+                await this.setSchedule(
+                    registrationId,
+                    'REGISTRATION_FEE',
+                    schedule || [{ amount: total, dueDate: new Date().toISOString(), label: 'Registration Fee' }],
+                    createdBy
+                );
+            }
+        }
+
+        if (paid > 0) {
+            paymentEntry = await this.postEntry({
+                registrationId,
+                entryType: 'PAYMENT',
+                amount: paid,
+                method,
+                reference,
+                notes: 'Paid at registration',
+                source: 'registration',
+                sourceRef: `reg-payment:${registrationId}`,
+                createdBy
+            });
+        }
+
+        return paymentEntry;
+    }
+}
+
+const ledgerService = new LedgerService();
+ledgerService.ENTRY_TYPES = ENTRY_TYPES;
+ledgerService.FEE_TYPES = FEE_TYPES;
+ledgerService.FEE_LABELS = FEE_LABELS;
+
+module.exports = ledgerService;
@@ -0,0 +1,302 @@
+const crypto = require('crypto');
+const path = require('path');
+const JSZip = require('jszip');
+const supabase = require('../config/supabaseClient');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const pdfService = require('./pdf.service');
+const loanChecklistService = require('./loanChecklist.service');
+const { generateSignedUrl } = require('../middleware/storage.middleware');
+
+const BUCKET = 'lender-handoffs';
+const DOCUMENTS_BUCKET = 'study-materials';
+
+const MANIFEST_COLUMNS = ['fileName', 'category', 'documentType', 'label', 'originalName', 'sizeBytes', 'sha256', 'verifiedAt', 'sourceId'];
+
+// Upper-case, underscore-separated token safe for file names
+const token = (value, fallback = 'NA') => {
+    const cleaned = String(value || '').normalize('NFKD').replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '').toUpperCase();
+    return cleaned || fallback;
+};
+
+const csvCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Bucket and object path of a public or signed URL on this project's Supabase
+ * storage, or null for any other URL.
+ */
+const storageLocation = (url) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return null;
+    }
+    if (!config.supabaseUrl || parsed.origin !== new URL(config.supabaseUrl).origin) return null;
+
+    const match = parsed.pathname.match(/^\/storage\/v1\/object\/(?:public\/|sign\/|authenticated\/)?([^/]+)\/(.+)$/);
+    if (!match) return null;
+    return { bucket: decodeURIComponent(match[1]), objectPath: decodeURIComponent(match[2]) };
+};
+
+/**
+ * Lender Handoff Packages
+ * One ZIP per transfer to the lender:
+ *   00_COVER_SHEET.pdf                      student / co-applicant / collateral summary + index
+ *   01_STUDENT/<STUDENT>_<DOCTYPE>_<nn>.ext  verified student_documents
+ *   02_LOAN/<STUDENT>_<DOCTYPE>_<nn>.ext     verified loan_documents
+ *   manifest.json, manifest.csv             file list with sizes and SHA-256
+ * Stored in a private bucket and shared via signed links only.
+ */
+class LenderHandoffService {
+    /**
+     * Document bytes from storage. loan_documents.file_url is client-supplied, so
+     * absolute URLs are only accepted for this project's own storage and are read
+     * through the storage API; other URLs are never fetched.
+     */
+    async fetchFile(filePath) {
+        let bucket = DOCUMENTS_BUCKET;
+        let objectPath = filePath;
+
+        if (/^[a-z][a-z0-9+.-]*:/i.test(filePath)) {
+            const location = storageLocation(filePath);
+            if (!location) throw new Error('Link is not a file in this project\'s storage');
+            ({ bucket, objectPath } = location);
+        }
+
+        const { data, error } = await supabase.storage.from(bucket).download(objectPath);
+        if (error) throw error;
+        return Buffer.from(await data.arrayBuffer());
+    }
+
+    async loadCase(registrationId) {
+        const [registrationResult, loanResult, loanDocsResult, studentDocsResult] = await Promise.all([
+            supabase
+                .from('registrations')
+                .select('id, name, email, phone, student_id, course, workflow, veda_transfer_override')
+                .eq('id', registrationId)
+                .single(),
+            supabase
+                .from('loan_applications')
+                .select('*, accepted_offer:loan_offers!accepted_offer_id(lender_name, collateral_required, collateral_details)')
+                .eq('registration_id', registrationId)
+                .maybeSingle(),
+            supabase
+                .from('loan_documents')
+                .select('id, document_type, document_name, file_url, verified_at')
+                .eq('registration_id', registrationId)
+                .eq('status', 'VERIFIED')
+                .order('uploaded_at', { ascending: true }),
+            supabase
+                .from('student_documents')
+                .select('id, doc_id, file_path, file_name, action_at')
+                .eq('registration_id', registrationId)
+                .eq('status', 'VERIFIED')
+        ]);
+
+        for (const result of [registrationResult, loanResult, loanDocsResult, studentDocsResult]) {
+            if (result.error) throw result.error;
+        }
+
+        return {
+            registration: registrationResult.data,
+            loan: loanResult.data,
+            loanDocs: loanDocsResult.data || [],
+            studentDocs: studentDocsResult.data || []
+        };
+    }
+
+    /**
+     * Build, store and record a handoff package.
+     * @param {string} registrationId
+     * @param {object} options
+     * @param {object} options.user - req.user generating the package
+     * @param {object} [options.override] - checklist override record ({ reason, missing }) if any
+     * @returns {Promise<{package: object, downloadUrl: string, expiresAt: string}>}
+     */
+    async generate(registrationId, { user, override = null }) {
+        const { registration, loan, loanDocs, studentDocs } = await this.loadCase(registrationId);
+        const checklist = await loanChecklistService.getChecklist(registrationId);
+        const labels = new Map(checklist.items.map(i => [`${i.source}:${i.documentType}`, i.label]));
+
+        const packageId = crypto.randomUUID();
+        const generatedAt = new Date();
+        const prefix = token(registration.student_id || registration.name, 'STUDENT');
+        const zip = new JSZip();
+        const files = [];
+        const unavailable = [];
+        const counters = {};
+
+        const sources = [
+            ...studentDocs.map(d => ({
+                category: 'STUDENT', folder: '01_STUDENT', documentType: d.doc_id, originalName: d.file_name,
+                filePath: d.file_path, verifiedAt: d.action_at, sourceId: d.id
+            })),
+            ...loanDocs.map(d => ({
+                category: 'LOAN', folder: '02_LOAN', documentType: d.document_type, originalName: d.document_name || path.basename(d.file_url || ''),
+                filePath: d.file_url, verifiedAt: d.verified_at, sourceId: d.id
+            }))
+        ];
+
+        for (const source of sources) {
+            const typeToken = token(source.documentType, 'DOCUMENT');
+            const key = `${source.category}:${typeToken}`;
+            counters[key] = (counters[key] || 0) + 1;
+
+            const extension = (path.extname(source.originalName || '') || path.extname(String(source.filePath || '').split('?')[0]) || '.pdf').toLowerCase();
+            const fileName = `${source.folder}/${prefix}_${typeToken}_${String(counters[key]).padStart(2, '0')}${extension}`;
+            const label = labels.get(`${source.category}:${source.documentType}`) || source.documentType;
+
+            try {
+                const buffer = await this.fetchFile(source.filePath);
+                zip.file(fileName, buffer);
+                files.push({
+                    fileName,
+                    category: source.category,
+                    documentType: source.documentType,
+                    label,
+                    originalName: source.originalName,
+                    sizeBytes: buffer.length,
+                    sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+                    verifiedAt: source.verifiedAt,
+                    sourceId: source.sourceId
+                });
+            } catch (err) {
+                // A broken legacy link must not block the handoff; the lender sees it in the manifest
+                logger.warn(`[HANDOFF] ${registrationId}: could not fetch ${source.category} ${source.sourceId}: ${err.message}`);
+                unavailable.push({ category: source.category, documentType: source.documentType, label, sourceId: source.sourceId, error: err.message });
+            }
+        }
+
+        const offer = loan?.accepted_offer || null;
+        const manifest = {
+            packageId,
+            generatedAt: generatedAt.toISOString(),
+            generatedBy: user.id,
+            student: {
+                registrationId,
+                studentId: registration.student_id,
+                name: registration.name
+            },
+            loan: loan ? {
+                loanId: loan.id,
+                lender: loan.bank_name || offer?.lender_name || null,
+                amount: loan.loan_amount,
+                sanctionedAmount: loan.sanctioned_amount,
+                securityType: loan.security_type,
+                coApplicantType: loan.co_applicant_type
+            } : null,
+            checklist: {
+                isComplete: checklist.isComplete,
+                progress: checklist.progress,
+                outstanding: checklist.outstanding
+            },
+            override,
+            files,
+            unavailable
+        };
+
+        const coverSheet = await pdfService.generateHandoffCoverSheetPDF({
+            packageId,
+            generatedAt,
+            companyName: config.companyName,
+            student: {
+                name: registration.name,
+                studentId: registration.student_id,
+                email: registration.email,
+                phone: registration.phone,
+                course: registration.course,
+                country: registration.workflow?.preferredCountry
+            },
+            loan: {
+                lender: manifest.loan?.lender,
+                amount: loan?.loan_amount,
+                sanctionedAmount: loan?.sanctioned_amount,
+                loanType: loan?.loan_type,
+                status: loan?.status,
+                interestRate: loan?.interest_rate,
+                tenureMonths: loan?.loan_tenure
+            },
+            coApplicant: {
+                name: loan?.co_applicant_name,
+                relationship: loan?.relationship,
+                type: loan?.co_applicant_type,
+                email: loan?.co_applicant_email,
+                phone: loan?.co_applicant_phone
+            },
+            collateral: {
+                securityType: loan?.security_type,
+                details: offer?.collateral_details || (loan?.security_type === 'UNSECURED' ? 'No collateral' : null)
+            },
+            documents: files,
+            override
+        });
+
+        zip.file('00_COVER_SHEET.pdf', coverSheet);
+        zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+        zip.file('manifest.csv', [
+            MANIFEST_COLUMNS.join(','),
+            ...files.map(f => MANIFEST_COLUMNS.map(c => csvCell(f[c])).join(','))
+        ].join('\n'));
+
+        const archive = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', compressionOptions: { level: 6 } });
+        const archiveName = `${prefix}_LOAN_FILE_${generatedAt.toISOString().slice(0, 10).replace(/-/g, '')}.zip`;
+        const storagePath = `${registrationId}/${packageId}.zip`;
+
+        const { error: uploadError } = await supabase.storage
+            .from(BUCKET)
+            .upload(storagePath, archive, { contentType: 'application/zip', upsert: false });
+
+        if (uploadError) throw uploadError;
+
+        const { data: record, error } = await supabase
+            .from('lender_handoff_packages')
+            .insert([{
+                id: packageId,
+                registration_id: registrationId,
+                loan_id: loan?.id || null,
+                lender_name: manifest.loan?.lender || null,
+                file_path: storagePath,
+                file_name: archiveName,
+                file_size: archive.length,
+                document_count: files.length,
+                manifest,
+                checklist_override: !!override,
+                generated_by: user.id,
+                generated_at: generatedAt.toISOString()
+            }])
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        logger.info(`[HANDOFF] Package ${packageId} for ${registrationId}: ${files.length} files, ${unavailable.length} unavailable`);
+        return { package: record, ...(await this.signedLink(record)) };
+    }
+
+    async getLatest(registrationId) {
+        const { data, error } = await supabase
+            .from('lender_handoff_packages')
+            .select('*')
+            .eq('registration_id', registrationId)
+            .order('generated_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+
+    async signedLink(record) {
+        const ttlSeconds = config.handoffLinkTtlHours * 3600;
+        const downloadUrl = await generateSignedUrl(record.file_path, BUCKET, ttlSeconds);
+        if (!downloadUrl) throw new Error('Could not create a download link for the handoff package');
+
+        return { downloadUrl, expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString() };
+    }
+}
+
+module.exports = new LenderHandoffService();
@@ -0,0 +1,249 @@
+const dayjs = require('dayjs');
+
+const MAX_TENURE_MONTHS = 360;
+const MAX_MORATORIUM_MONTHS = 120;
+const MORATORIUM_INTEREST_MODES = ['CAPITALISE', 'SERVICE'];
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+const calculatorError = (message, errors = [message]) => {
+    const err = new Error(message);
+    err.status = 400;
+    err.details = { errors };
+    return err;
+};
+
+/**
+ * Education Loan Calculator
+ * Month-by-month schedule for a loan repaid as EMIs after a moratorium.
+ *
+ * - Moratorium = course duration + grace period. Only simple interest runs on
+ *   the amount disbursed so far; it is either paid monthly (SERVICE) or added
+ *   to the principal when repayment starts (CAPITALISE, the bank default).
+ * - Disbursements can be spread across the moratorium (e.g. one per semester).
+ * - Repayment is a reducing-balance EMI over tenureMonths; the last EMI absorbs rounding.
+ *
+ * Month 1 is the month after startDate; a disbursement in month 0 is made on startDate.
+ */
+class LoanCalculatorService {
+    /**
+     * Standard reducing-balance EMI.
+     */
+    emi(principal, annualRate, months) {
+        const p = Number(principal) || 0;
+        const n = Number(months) || 0;
+        const r = (Number(annualRate) || 0) / 1200;
+        if (p <= 0 || n <= 0) return 0;
+        if (r === 0) return p / n;
+        return p * r * Math.pow(1 + r, n) / (Math.pow(1 + r, n) - 1);
+    }
+
+    /**
+     * Validate and normalise calculator input.
+     * @param {object} input
+     * @param {number} [input.principal] - total loan; required unless disbursements are given
+     * @param {number} input.annualRate - % per year
+     * @param {number} input.tenureMonths - repayment months after the moratorium
+     * @param {number} [input.courseMonths=0]
+     * @param {number} [input.graceMonths=0]
+     * @param {string} [input.moratoriumInterest='CAPITALISE'] - CAPITALISE | SERVICE
+     * @param {Array<{amount:number, month?:number, date?:string, label?:string}>} [input.disbursements]
+     * @param {string} [input.startDate] - first disbursement / sanction date (default today)
+     */
+    normalize(input = {}) {
+        const errors = [];
+        const startDate = input.startDate ? dayjs(input.startDate) : dayjs();
+        if (!startDate.isValid()) errors.push('startDate must be a valid date');
+
+        const annualRate = Number(input.annualRate);
+        const tenureMonths = Number(input.tenureMonths);
+        const courseMonths = Number(input.courseMonths || 0);
+        const graceMonths = Number(input.graceMonths || 0);
+        const moratoriumMonths = courseMonths + graceMonths;
+        const moratoriumInterest = String(input.moratoriumInterest || 'CAPITALISE').toUpperCase();
+
+        if (!(annualRate >= 0 && annualRate <= 50)) errors.push('annualRate must be between 0 and 50 (% per year)');
+        if (!(Number.isInteger(tenureMonths) && tenureMonths > 0 && tenureMonths <= MAX_TENURE_MONTHS)) {
+            errors.push(`tenureMonths must be a whole number between 1 and ${MAX_TENURE_MONTHS}`);
+        }
+        if (!Number.isInteger(courseMonths) || courseMonths < 0 || !Number.isInteger(graceMonths) || graceMonths < 0) {
+            errors.push('courseMonths and graceMonths must be whole numbers of months');
+        } else if (moratoriumMonths > MAX_MORATORIUM_MONTHS) {
+            errors.push(`Moratorium (course + grace) cannot exceed ${MAX_MORATORIUM_MONTHS} months`);
+        }
+        if (!MORATORIUM_INTEREST_MODES.includes(moratoriumInterest)) {
+            errors.push(`moratoriumInterest must be one of ${MORATORIUM_INTEREST_MODES.join(', ')}`);
+        }
+
+        let disbursements;
+        if (Array.isArray(input.disbursements) && input.disbursements.length > 0) {
+            disbursements = input.disbursements.map((d, index) => {
+                const amount = round2(d.amount);
+                let month = d.month !== undefined ? Number(d.month) : null;
+                if (month === null && d.date) {
+                    const date = dayjs(d.date);
+                    month = date.isValid() ? Math.max(0, date.startOf('month').diff(startDate.startOf('month'), 'month')) : NaN;
+                }
+                if (month === null) month = 0;
+
+                if (!(amount > 0)) errors.push(`Disbursement ${index + 1}: amount must be greater than zero`);
+                if (!Number.isInteger(month) || month < 0) errors.push(`Disbursement ${index + 1}: month/date is invalid`);
+                else if (month > 0 && month >= moratoriumMonths) {
+                    errors.push(`Disbursement ${index + 1}: must fall within the moratorium (before month ${moratoriumMonths})`);
+                }
+
+                return { amount, month, label: d.label || `Disbursement ${index + 1}` };
+            }).sort((a, b) => a.month - b.month);
+        } else {
+            const principal = round2(input.principal);
+            if (!(principal > 0)) errors.push('principal must be greater than zero (or pass disbursements)');
+            disbursements = [{ amount: principal, month: 0, label: 'Full disbursement' }];
+        }
+
+        const principal = round2(disbursements.reduce((sum, d) => sum + d.amount, 0));
+        if (input.principal !== undefined && input.principal !== null && Array.isArray(input.disbursements) && input.disbursements.length > 0
+            && round2(input.principal) !== principal) {
+            errors.push(`Disbursements (${principal}) must add up to the principal (${round2(input.principal)})`);
+        }
+
+        if (errors.length > 0) throw calculatorError(errors[0], errors);
+
+        return {
+            principal,
+            annualRate,
+            tenureMonths,
+            courseMonths,
+            graceMonths,
+            moratoriumMonths,
+            moratoriumInterest,
+            disbursements,
+            startDate: startDate.format('YYYY-MM-DD')
+        };
+    }
+
+    /**
+     * Full amortization schedule.
+     * @returns {{inputs:object, emi:number, principal:number, moratoriumInterest:number, interestPaidDuringMoratorium:number,
+     *   capitalisedInterest:number, principalAtRepayment:number, repaymentInterest:number, totalInterest:number,
+     *   totalPayable:number, firstEmiDate:string, lastEmiDate:string, schedule:object[]}}
+     */
+    calculate(input) {
+        const inputs = this.normalize(input);
+        const monthlyRate = inputs.annualRate / 1200;
+        const start = dayjs(inputs.startDate);
+        const schedule = [];
+
+        const disbursedIn = (month) => inputs.disbursements.filter(d => d.month === month).reduce((s, d) => s + d.amount, 0);
+
+        let disbursed = 0;
+        let accrued = 0;
+        let moratoriumInterest = 0;
+        let interestPaid = 0;
+
+        for (let month = 1; month <= inputs.moratoriumMonths; month++) {
+            // Released at the start of the month (month 0 = on startDate)
+            const released = disbursedIn(month - 1);
+            disbursed += released;
+
+            // Simple interest: on disbursed principal only, never on accrued interest
+            const interest = disbursed * monthlyRate;
+            moratoriumInterest += interest;
+
+            const payment = inputs.moratoriumInterest === 'SERVICE' ? interest : 0;
+            if (payment > 0) interestPaid += payment;
+            else accrued += interest;
+
+            schedule.push({
+                month,
+                date: start.add(month, 'month').format('YYYY-MM-DD'),
+                phase: 'MORATORIUM',
+                disbursed: round2(released),
+                opening: round2(disbursed),
+                interest: round2(interest),
+                payment: round2(payment),
+                principalPaid: 0,
+                accruedInterest: round2(accrued),
+                closing: round2(disbursed + accrued)
+            });
+        }
+
+        if (inputs.moratoriumMonths === 0) disbursed = disbursedIn(0);
+
+        const principalAtRepayment = disbursed + accrued;
+        const emi = this.emi(principalAtRepayment, inputs.annualRate, inputs.tenureMonths);
+        const emiRounded = Math.round(emi);
+
+        let balance = principalAtRepayment;
+        let repaymentInterest = 0;
+        let totalPaidInRepayment = 0;
+
+        for (let i = 1; i <= inputs.tenureMonths; i++) {
+            const month = inputs.moratoriumMonths + i;
+            const interest = balance * monthlyRate;
+            const isLast = i === inputs.tenureMonths;
+            // EMIs are collected in whole rupees; the final instalment clears the remainder
+            const payment = isLast ? balance + interest : Math.min(emiRounded, balance + interest);
+            const principalPaid = payment - interest;
+
+            schedule.push({
+                month,
+                date: start.add(month, 'month').format('YYYY-MM-DD'),
+                phase: 'REPAYMENT',
+                installment: i,
+                disbursed: inputs.moratoriumMonths === 0 && i === 1 ? round2(disbursed) : 0,
+                opening: round2(balance),
+                interest: round2(interest),
+                payment: round2(payment),
+                principalPaid: round2(principalPaid),
+                accruedInterest: 0,
+                closing: round2(Math.max(0, balance - principalPaid))
+            });
+
+            repaymentInterest += interest;
+            totalPaidInRepayment += payment;
+            balance = Math.max(0, balance - principalPaid);
+        }
+
+        const repaymentRows = schedule.filter(r => r.phase === 'REPAYMENT');
+
+        return {
+            inputs,
+            emi: emiRounded,
+            principal: inputs.principal,
+            moratoriumInterest: round2(moratoriumInterest),
+            interestPaidDuringMoratorium: round2(interestPaid),
+            capitalisedInterest: round2(accrued),
+            principalAtRepayment: round2(principalAtRepayment),
+            repaymentInterest: round2(repaymentInterest),
+            totalInterest: round2(moratoriumInterest + repaymentInterest),
+            totalPayable: round2(interestPaid + totalPaidInRepayment),
+            firstEmiDate: repaymentRows[0].date,
+            lastEmiDate: repaymentRows[repaymentRows.length - 1].date,
+            schedule
+        };
+    }
+
+    /**
+     * Calculator input from a stored loan_applications row (+ optional overrides).
+     */
+    inputFromLoan(loan, overrides = {}) {
+        const plan = loan.repayment_plan || {};
+        const pick = (key, fallback) => (overrides[key] !== undefined ? overrides[key] : (plan[key] !== undefined ? plan[key] : fallback));
+
+        return {
+            principal: overrides.principal !== undefined ? overrides.principal : (Number(loan.sanctioned_amount) || Number(loan.loan_amount) || 0),
+            annualRate: pick('annualRate', loan.interest_rate),
+            tenureMonths: pick('tenureMonths', loan.loan_tenure),
+            courseMonths: pick('courseMonths', 0),
+            graceMonths: pick('graceMonths', 0),
+            moratoriumInterest: pick('moratoriumInterest', 'CAPITALISE'),
+            disbursements: pick('disbursements', undefined),
+            startDate: pick('startDate', loan.loan_disbursement_date || undefined)
+        };
+    }
+}
+
+const loanCalculatorService = new LoanCalculatorService();
+loanCalculatorService.MORATORIUM_INTEREST_MODES = MORATORIUM_INTEREST_MODES;
+
+module.exports = loanCalculatorService;
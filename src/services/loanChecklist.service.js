@@ -0,0 +1,158 @@
+const supabase = require('../config/supabaseClient');
+
+const SECURITY_TYPES = ['SECURED', 'UNSECURED'];
+const CO_APPLICANT_TYPES = ['SALARIED', 'SELF_EMPLOYED', 'NRI', 'PENSIONER'];
+const REQUIREMENTS = ['MANDATORY', 'OPTIONAL', 'NOT_REQUIRED'];
+const SOURCES = ['LOAN', 'STUDENT'];
+
+// Item statuses, best first
+const ITEM_STATUS_ORDER = ['VERIFIED', 'UPLOADED', 'REJECTED', 'MISSING'];
+
+const normalizeLender = (name) => (name ? String(name).trim().toLowerCase() : '');
+
+/**
+ * Loan Document Checklists
+ * Resolves the documents a lender needs for a loan from
+ * loan_document_requirements (keyed by lender, security type and co-applicant
+ * type) and reports each item's status from loan_documents / student_documents.
+ */
+class LoanChecklistService {
+    /**
+     * Pick the requirement rows that apply to a loan. When several rows cover the
+     * same document, the most specific wins: lender (4) > security type (2) > co-applicant type (1).
+     * @param {object[]} rules - active loan_document_requirements rows
+     * @param {{lender?:string, securityType?:string, coApplicantType?:string}} context
+     */
+    resolve(rules, { lender, securityType, coApplicantType }) {
+        const lenderKey = normalizeLender(lender);
+        const chosen = new Map();
+
+        for (const rule of rules) {
+            if (rule.lender_name && normalizeLender(rule.lender_name) !== lenderKey) continue;
+            if (rule.security_type && rule.security_type !== securityType) continue;
+            if (rule.co_applicant_type && rule.co_applicant_type !== coApplicantType) continue;
+
+            const specificity = (rule.lender_name ? 4 : 0) + (rule.security_type ? 2 : 0) + (rule.co_applicant_type ? 1 : 0);
+            const key = `${rule.source}:${rule.document_type}`;
+            const current = chosen.get(key);
+            if (!current || specificity > current.specificity) chosen.set(key, { rule, specificity });
+        }
+
+        return [...chosen.values()]
+            .map(c => c.rule)
+            .filter(rule => rule.requirement !== 'NOT_REQUIRED')
+            .sort((a, b) => (a.sort_order - b.sort_order) || a.label.localeCompare(b.label));
+    }
+
+    /**
+     * Status of a checklist item from the uploaded documents matching it.
+     */
+    itemStatus(docs) {
+        if (!docs || docs.length === 0) return 'MISSING';
+        const statuses = docs.map(d => {
+            if (d.status === 'VERIFIED') return 'VERIFIED';
+            if (d.status === 'REJECTED') return 'REJECTED';
+            return 'UPLOADED';
+        });
+        return ITEM_STATUS_ORDER.find(s => statuses.includes(s));
+    }
+
+    async getActiveRules() {
+        const { data, error } = await supabase
+            .from('loan_document_requirements')
+            .select('*')
+            .eq('is_active', true);
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Computed checklist for a registration's loan.
+     * Complete = checklist keys known and every MANDATORY item VERIFIED.
+     */
+    async getChecklist(registrationId) {
+        const [loanResult, rules, loanDocsResult, studentDocsResult] = await Promise.all([
+            supabase
+                .from('loan_applications')
+                .select('id, bank_name, security_type, co_applicant_type, status')
+                .eq('registration_id', registrationId)
+                .maybeSingle(),
+            this.getActiveRules(),
+            supabase
+                .from('loan_documents')
+                .select('id, document_type, document_name, status, remarks, file_url, uploaded_at, verified_at')
+                .eq('registration_id', registrationId),
+            supabase
+                .from('student_documents')
+                .select('id, doc_id, status, updated_at')
+                .eq('registration_id', registrationId)
+        ]);
+
+        if (loanResult.error) throw loanResult.error;
+        if (loanDocsResult.error) throw loanDocsResult.error;
+        if (studentDocsResult.error) throw studentDocsResult.error;
+
+        const loan = loanResult.data;
+        const context = {
+            lender: loan?.bank_name || null,
+            securityType: loan?.security_type || null,
+            coApplicantType: loan?.co_applicant_type || null
+        };
+
+        const missingContext = [];
+        if (!loan) missingContext.push('loanApplication');
+        if (!context.securityType) missingContext.push('securityType');
+        if (!context.coApplicantType) missingContext.push('coApplicantType');
+
+        const loanDocs = loanDocsResult.data || [];
+        const studentDocs = studentDocsResult.data || [];
+
+        const items = this.resolve(rules, context).map(rule => {
+            const docs = rule.source === 'STUDENT'
+                ? studentDocs.filter(d => d.doc_id === rule.document_type)
+                : loanDocs.filter(d => d.document_type === rule.document_type);
+
+            return {
+                requirementId: rule.id,
+                documentType: rule.document_type,
+                label: rule.label,
+                description: rule.description,
+                source: rule.source,
+                requirement: rule.requirement,
+                status: this.itemStatus(docs),
+                documents: docs
+            };
+        });
+
+        const mandatory = items.filter(i => i.requirement === 'MANDATORY');
+        const outstanding = mandatory.filter(i => i.status !== 'VERIFIED');
+        const verifiedCount = mandatory.length - outstanding.length;
+
+        return {
+            registrationId,
+            loanId: loan?.id || null,
+            context,
+            missingContext,
+            items,
+            summary: {
+                mandatory: mandatory.length,
+                verified: verifiedCount,
+                uploaded: outstanding.filter(i => i.status === 'UPLOADED').length,
+                rejected: outstanding.filter(i => i.status === 'REJECTED').length,
+                missing: outstanding.filter(i => i.status === 'MISSING').length
+            },
+            outstanding: outstanding.map(i => ({ documentType: i.documentType, label: i.label, status: i.status })),
+            progress: mandatory.length ? Math.round((verifiedCount / mandatory.length) * 100) : 0,
+            isComplete: missingContext.length === 0 && outstanding.length === 0
+        };
+    }
+}
+
+const loanChecklistService = new LoanChecklistService();
+loanChecklistService.SECURITY_TYPES = SECURITY_TYPES;
+loanChecklistService.CO_APPLICANT_TYPES = CO_APPLICANT_TYPES;
+loanChecklistService.REQUIREMENTS = REQUIREMENTS;
+loanChecklistService.SOURCES = SOURCES;
+
+module.exports = loanChecklistService;
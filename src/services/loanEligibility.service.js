@@ -0,0 +1,369 @@
+const supabase = require('../config/supabaseClient');
+const { toNumber, findValue, toBoolean } = require('../utils/formValues');
+
+/**
+ * Built-in rule set, used when no active row exists in loan_eligibility_rules.
+ * Stored rules are merged over these, so a saved rule set only needs the keys it changes.
+ * All amounts in INR.
+ */
+const DEFAULT_RULES = {
+    roundTo: 50000,
+    rangeLowFactor: 0.75,            // lower end of a range = upper end x factor
+    qualifyingScore: 50,             // minimum score for QUALIFIED pre-screening
+    incomeForFullPoints: 1200000,    // net annual co-applicant income earning all income points
+    unsecured: {
+        minAnnualIncome: 300000,
+        requireIncomeDocs: true,
+        incomeMultiplier: { SALARIED: 4, SELF_EMPLOYED: 3, NRI: 5, PENSIONER: 2, DEFAULT: 3 },
+        tierCaps: { TIER_1: 7500000, TIER_2: 5000000, TIER_3: 4000000, UNRANKED: 3000000 }
+    },
+    secured: {
+        ltv: { RESIDENTIAL: 0.8, COMMERCIAL: 0.65, LAND: 0.5, FIXED_DEPOSIT: 0.9, DEFAULT: 0.6 },
+        maxAmount: 15000000
+    },
+    // Lender appetite per destination; scales the unsecured cap and the country points
+    countryFactors: {
+        USA: 1, UK: 1, Canada: 1, Australia: 1, Germany: 0.9, Ireland: 0.9,
+        'New Zealand': 0.85, France: 0.85, Singapore: 0.85, Sweden: 0.8, Spain: 0.8, UAE: 0.75,
+        DEFAULT: 0.7
+    },
+    // By catalog world ranking; anything else is UNRANKED
+    universityTiers: [
+        { tier: 'TIER_1', maxRanking: 200 },
+        { tier: 'TIER_2', maxRanking: 500 },
+        { tier: 'TIER_3', maxRanking: 1000 }
+    ],
+    tierFactors: { TIER_1: 1, TIER_2: 0.75, TIER_3: 0.5, UNRANKED: 0.25 },
+    weights: { coApplicant: 15, incomeDocs: 15, income: 25, collateral: 20, country: 10, university: 15 }
+};
+
+const TIERS = ['TIER_1', 'TIER_2', 'TIER_3', 'UNRANKED'];
+
+const isPlainObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+const merge = (base, override) => {
+    if (!isPlainObject(override)) return base;
+    const result = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        result[key] = isPlainObject(value) && isPlainObject(base[key]) ? merge(base[key], value) : value;
+    }
+    return result;
+};
+
+const normalizeCoApplicantType = (value) => {
+    const text = String(value || '').toLowerCase();
+    if (!text) return null;
+    if (text.includes('nri') || text.includes('abroad')) return 'NRI';
+    if (text.includes('pension') || text.includes('retired')) return 'PENSIONER';
+    if (text.includes('self') || text.includes('business') || text.includes('professional')) return 'SELF_EMPLOYED';
+    if (text.includes('salar') || text.includes('employ') || text.includes('service') || text.includes('job')) return 'SALARIED';
+    return null;
+};
+
+const normalizeCollateralType = (value) => {
+    const text = String(value || '').toLowerCase();
+    if (!text) return null;
+    if (text.includes('fd') || text.includes('fixed') || text.includes('deposit') || text.includes('lic') || text.includes('bond')) return 'FIXED_DEPOSIT';
+    if (text.includes('commercial') || text.includes('shop') || text.includes('office')) return 'COMMERCIAL';
+    if (text.includes('land') || text.includes('plot') || text.includes('agri')) return 'LAND';
+    if (text.includes('resid') || text.includes('house') || text.includes('flat') || text.includes('apartment') || text.includes('home')) return 'RESIDENTIAL';
+    return null;
+};
+
+const formatAmount = (amount) => {
+    if (amount >= 10000000) return `₹${(amount / 10000000).toFixed(2).replace(/\.?0+$/, '')} Cr`;
+    return `₹${(amount / 100000).toFixed(1).replace(/\.0$/, '')} L`;
+};
+
+/**
+ * Loan Eligibility Scoring
+ * Estimates eligible loan ranges for unsecured (co-applicant income) and
+ * secured (collateral) loans, adjusted for destination country and university
+ * tier, plus a 0-100 profile score with a per-factor breakdown. Rules are
+ * versioned in loan_eligibility_rules and editable by admins.
+ */
+class LoanEligibilityService {
+    /**
+     * @returns {Promise<{version: number, rules: object, isDefault: boolean, notes?: string, updatedAt?: string}>}
+     */
+    async getRules() {
+        const { data, error } = await supabase
+            .from('loan_eligibility_rules')
+            .select('version, rules, notes, created_at')
+            .eq('is_active', true)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) return { version: 0, rules: DEFAULT_RULES, isDefault: true };
+        return { version: data.version, rules: merge(DEFAULT_RULES, data.rules), isDefault: false, notes: data.notes, updatedAt: data.created_at };
+    }
+
+    /**
+     * @returns {string|null} validation error for a (partial) rule set
+     */
+    validateRules(rules) {
+        if (!isPlainObject(rules)) return 'Rules must be an object';
+        const merged = merge(DEFAULT_RULES, rules);
+
+        const nonNegative = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+        const fraction = (value) => nonNegative(value) && value <= 1;
+
+        if (!nonNegative(merged.roundTo) || merged.roundTo === 0) return 'roundTo must be a positive number';
+        if (!fraction(merged.rangeLowFactor) || merged.rangeLowFactor === 0) return 'rangeLowFactor must be between 0 and 1';
+        if (!nonNegative(merged.qualifyingScore) || merged.qualifyingScore > 100) return 'qualifyingScore must be between 0 and 100';
+        if (!nonNegative(merged.incomeForFullPoints) || merged.incomeForFullPoints === 0) return 'incomeForFullPoints must be a positive number';
+        if (!nonNegative(merged.unsecured.minAnnualIncome)) return 'unsecured.minAnnualIncome must be a positive number';
+        if (!Object.values(merged.unsecured.incomeMultiplier).every(nonNegative)) return 'unsecured.incomeMultiplier values must be positive numbers';
+        if (!TIERS.every(t => nonNegative(merged.unsecured.tierCaps[t]))) return `unsecured.tierCaps needs ${TIERS.join(', ')}`;
+        if (!Object.values(merged.secured.ltv).every(fraction)) return 'secured.ltv values must be between 0 and 1';
+        if (!nonNegative(merged.secured.maxAmount)) return 'secured.maxAmount must be a positive number';
+        if (!Object.values(merged.countryFactors).every(fraction)) return 'countryFactors must be between 0 and 1';
+        if (merged.countryFactors.DEFAULT === undefined) return 'countryFactors needs a DEFAULT';
+        if (!TIERS.every(t => fraction(merged.tierFactors[t]))) return `tierFactors needs ${TIERS.join(', ')} between 0 and 1`;
+        if (!Object.values(merged.weights).every(nonNegative)) return 'weights must be positive numbers';
+
+        if (!Array.isArray(merged.universityTiers)) return 'universityTiers must be a list';
+        let previous = 0;
+        for (const band of merged.universityTiers) {
+            if (!['TIER_1', 'TIER_2', 'TIER_3'].includes(band.tier)) return 'universityTiers entries must be TIER_1, TIER_2 or TIER_3';
+            if (!Number.isInteger(band.maxRanking) || band.maxRanking <= previous) return 'universityTiers maxRanking must be whole numbers in ascending order';
+            previous = band.maxRanking;
+        }
+        return null;
+    }
+
+    /**
+     * Store a new rule version and make it the active one.
+     */
+    async saveRules(rules, { userId, notes = null }) {
+        const current = await supabase
+            .from('loan_eligibility_rules')
+            .select('version')
+            .order('version', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (current.error) throw current.error;
+        const version = (current.data?.version || 0) + 1;
+
+        // One transaction, so the previous version stays active if this save fails
+        const { data, error } = await supabase
+            .rpc('save_loan_eligibility_rules', {
+                p_version: version,
+                p_rules: rules,
+                p_notes: notes,
+                p_created_by: userId
+            })
+            .single();
+
+        if (error) throw error;
+        return { version: data.version, rules: merge(DEFAULT_RULES, data.rules), isDefault: false, notes: data.notes, updatedAt: data.created_at };
+    }
+
+    /**
+     * Pull the scoring inputs out of eligibility-form sections.
+     * @param {object} sections - { coApplicant, collateral, loanRequirement, courseDetails }
+     */
+    extractInputs({ coApplicant = {}, collateral = {}, loanRequirement = {}, courseDetails = {} } = {}) {
+        const monthlyIncome = toNumber(findValue(coApplicant, ['monthlyIncome', 'monthlySalary']));
+        const annualIncome = toNumber(findValue(coApplicant, ['annualIncome', 'yearlyIncome', 'income'])) ?? (monthlyIncome !== null ? monthlyIncome * 12 : null);
+        const stableIncome = toBoolean(findValue(coApplicant, ['hasStableIncome', 'stableIncome']));
+        let hasCoApplicant = toBoolean(findValue(coApplicant, ['hasCoApplicant']));
+        if (hasCoApplicant === undefined) hasCoApplicant = stableIncome === true || annualIncome !== null;
+
+        return {
+            hasCoApplicant,
+            stableIncome: stableIncome === true,
+            incomeDocs: toBoolean(findValue(coApplicant, ['incomeDocsAvailable', 'hasIncomeDocs', 'itrAvailable'])) ?? null,
+            coApplicantType: normalizeCoApplicantType(findValue(coApplicant, ['coApplicantType', 'employmentType', 'occupation', 'incomeType', 'profession'])),
+            annualIncome,
+            existingEmi: toNumber(findValue(coApplicant, ['existingEmi', 'existingEMI', 'monthlyEmi', 'currentEmi'])) || 0,
+            hasCollateral: toBoolean(findValue(collateral, ['hasCollateral'])) === true,
+            collateralType: normalizeCollateralType(findValue(collateral, ['collateralType', 'propertyType', 'type'])),
+            collateralValue: toNumber(findValue(collateral, ['marketValue', 'propertyValue', 'collateralValue', 'estimatedValue', 'value'])),
+            requestedAmount: toNumber(findValue(loanRequirement, ['loanAmount', 'amountRequired', 'requiredAmount', 'amount'])),
+            preferredType: findValue(loanRequirement, ['preferredType', 'loanType']) || null,
+            countryId: findValue(courseDetails, ['countryId']) || null,
+            country: findValue(courseDetails, ['country', 'preferredCountry', 'destinationCountry']) || null,
+            universityId: findValue(courseDetails, ['universityId']) || null,
+            university: findValue(courseDetails, ['university', 'universityName']) || null
+        };
+    }
+
+    /**
+     * Country name and university ranking from the catalog, when it knows them.
+     */
+    async resolveDestination(inputs) {
+        let { country } = inputs;
+        let countryCode = null;
+        let worldRanking = null;
+        let university = inputs.university;
+
+        let universityQuery = null;
+        if (inputs.universityId) {
+            universityQuery = supabase.from('catalog_universities').select('name, world_ranking, country:catalog_countries(name, code)').eq('id', inputs.universityId);
+        } else if (inputs.university) {
+            universityQuery = supabase.from('catalog_universities').select('name, world_ranking, country:catalog_countries(name, code)').ilike('name', String(inputs.university).trim()).limit(1);
+        }
+
+        if (universityQuery) {
+            const { data } = await universityQuery.maybeSingle();
+            if (data) {
+                university = data.name;
+                worldRanking = data.world_ranking;
+                country = country || data.country?.name;
+                countryCode = data.country?.code || null;
+            }
+        }
+
+        if (!country && inputs.countryId) {
+            const { data } = await supabase.from('catalog_countries').select('name, code').eq('id', inputs.countryId).maybeSingle();
+            if (data) {
+                country = data.name;
+                countryCode = data.code;
+            }
+        }
+
+        return { country, countryCode, university, worldRanking };
+    }
+
+    /**
+     * Pure scoring: ranges, score and breakdown for resolved inputs.
+     */
+    score(inputs, rules) {
+        const round = (amount) => Math.max(0, Math.floor(amount / rules.roundTo) * rules.roundTo);
+        const breakdown = [];
+        const add = (factor, value, fraction, note) => {
+            const maxPoints = rules.weights[factor] || 0;
+            breakdown.push({ factor, value, points: Math.round(maxPoints * fraction * 10) / 10, maxPoints, note });
+        };
+
+        // Destination
+        const factorKey = Object.keys(rules.countryFactors).find(k => k !== 'DEFAULT' && inputs.country
+            && (k.toLowerCase() === String(inputs.country).trim().toLowerCase() || (inputs.countryCode && k.toLowerCase() === inputs.countryCode.toLowerCase())));
+        const countryFactor = factorKey ? rules.countryFactors[factorKey] : rules.countryFactors.DEFAULT;
+        const band = inputs.worldRanking ? rules.universityTiers.find(b => inputs.worldRanking <= b.maxRanking) : null;
+        const universityTier = band ? band.tier : 'UNRANKED';
+
+        const netIncome = inputs.annualIncome !== null ? Math.max(0, inputs.annualIncome - inputs.existingEmi * 12) : null;
+
+        add('coApplicant', inputs.hasCoApplicant ? 'Yes' : 'No', inputs.hasCoApplicant ? 1 : 0,
+            inputs.hasCoApplicant ? 'Co-applicant available' : 'Most lenders need an earning co-applicant');
+        add('incomeDocs', inputs.incomeDocs === null ? null : (inputs.incomeDocs ? 'Yes' : 'No'), inputs.incomeDocs ? 1 : 0,
+            inputs.incomeDocs ? 'Income proof (ITR / salary slips) available' : 'Income documents not confirmed');
+        if (netIncome !== null) {
+            add('income', netIncome, Math.min(1, netIncome / rules.incomeForFullPoints),
+                `Net annual income ${formatAmount(netIncome)}${inputs.existingEmi ? ` after existing EMIs of ${formatAmount(inputs.existingEmi)}/month` : ''}`);
+        } else {
+            add('income', null, inputs.stableIncome ? 0.4 : 0,
+                inputs.stableIncome ? 'Stable income declared, amount not provided' : 'No income details provided');
+        }
+        if (inputs.hasCollateral) {
+            add('collateral', inputs.collateralValue, inputs.collateralValue ? 1 : 0.5,
+                inputs.collateralValue ? `${inputs.collateralType || 'Collateral'} worth ${formatAmount(inputs.collateralValue)}` : 'Collateral available, value not provided');
+        } else {
+            add('collateral', null, 0, 'No collateral offered');
+        }
+        add('country', inputs.country || null, countryFactor,
+            inputs.country ? `${inputs.country}: lender factor ${countryFactor}` : 'Destination not provided');
+        add('university', universityTier, rules.tierFactors[universityTier],
+            inputs.worldRanking ? `${inputs.university} (world rank #${inputs.worldRanking}) is ${universityTier.replace('_', ' ')}` : 'University not ranked in the catalog');
+
+        // Unsecured: income multiple, capped by university tier and destination.
+        // Declared income without an amount still qualifies for review, just without a range.
+        const unsecured = { eligible: false, min: null, max: null, reasons: [] };
+        if (!inputs.hasCoApplicant) unsecured.reasons.push('Needs an earning co-applicant');
+        else if (rules.unsecured.requireIncomeDocs && inputs.incomeDocs === false) unsecured.reasons.push('Income documents required');
+        else if (netIncome === null) {
+            unsecured.eligible = inputs.stableIncome;
+            unsecured.reasons.push(inputs.stableIncome ? 'Co-applicant annual income needed for an amount estimate' : 'No stable co-applicant income declared');
+        } else if (netIncome < rules.unsecured.minAnnualIncome) {
+            unsecured.reasons.push(`Net co-applicant income below ${formatAmount(rules.unsecured.minAnnualIncome)} per year`);
+        } else {
+            const multiplier = rules.unsecured.incomeMultiplier[inputs.coApplicantType] ?? rules.unsecured.incomeMultiplier.DEFAULT;
+            const byIncome = netIncome * multiplier;
+            const cap = rules.unsecured.tierCaps[universityTier] * countryFactor;
+            unsecured.max = round(Math.min(byIncome, cap));
+            unsecured.min = round(unsecured.max * rules.rangeLowFactor);
+            unsecured.eligible = unsecured.max > 0;
+            unsecured.reasons.push(`${multiplier}x net income (${inputs.coApplicantType || 'employment type not given'})`);
+            if (cap < byIncome) unsecured.reasons.push(`Capped at ${formatAmount(cap)} for a ${universityTier.replace('_', ' ')} university in ${inputs.country || 'this destination'}`);
+        }
+
+        // Secured: loan-to-value on the collateral
+        const secured = { eligible: false, min: null, max: null, reasons: [] };
+        if (!inputs.hasCollateral) secured.reasons.push('No collateral offered');
+        else if (!inputs.collateralValue) {
+            secured.eligible = true;
+            secured.reasons.push('Collateral value needed for an amount estimate');
+        } else {
+            const ltv = rules.secured.ltv[inputs.collateralType] ?? rules.secured.ltv.DEFAULT;
+            secured.max = round(Math.min(inputs.collateralValue * ltv, rules.secured.maxAmount));
+            secured.min = round(secured.max * rules.rangeLowFactor);
+            secured.eligible = secured.max > 0;
+            secured.reasons.push(`${Math.round(ltv * 100)}% of ${formatAmount(inputs.collateralValue)} ${inputs.collateralType ? inputs.collateralType.toLowerCase().replace('_', ' ') : 'collateral'} value`);
+            if (inputs.collateralValue * ltv > rules.secured.maxAmount) secured.reasons.push(`Capped at ${formatAmount(rules.secured.maxAmount)}`);
+        }
+
+        const totalWeight = breakdown.reduce((sum, b) => sum + b.maxPoints, 0);
+        const score = totalWeight > 0 ? Math.round((breakdown.reduce((sum, b) => sum + b.points, 0) / totalWeight) * 100) : 0;
+        const isEligible = unsecured.eligible || secured.eligible;
+
+        const best = [unsecured, secured].filter(o => o.max).sort((a, b) => b.max - a.max)[0] || null;
+        const fits = (option) => option.eligible && (!inputs.requestedAmount || !option.max || option.max >= inputs.requestedAmount);
+        let recommendedLoanType = inputs.preferredType || 'Unsecured';
+        if (fits(unsecured)) recommendedLoanType = 'Unsecured';
+        else if (secured.eligible) recommendedLoanType = 'Secured';
+        else if (unsecured.eligible) recommendedLoanType = 'Unsecured';
+
+        return {
+            score,
+            isEligible,
+            preScreeningStatus: isEligible && score >= rules.qualifyingScore ? 'QUALIFIED' : 'REVIEW_NEEDED',
+            recommendedLoanType,
+            estimatedRange: isEligible && best ? { min: best.min, max: best.max, currency: 'INR' } : null,
+            requestedAmount: inputs.requestedAmount,
+            coversRequest: inputs.requestedAmount && best ? best.max >= inputs.requestedAmount : null,
+            unsecured,
+            secured,
+            breakdown,
+            factors: { countryFactor, universityTier, worldRanking: inputs.worldRanking || null, netIncome }
+        };
+    }
+
+    /**
+     * Score an eligibility submission with the active rules.
+     * @param {object} sections - { coApplicant, collateral, loanRequirement, courseDetails }
+     * @returns {Promise<object>} analysis suitable for eligibility_records.analysis
+     */
+    async assess(sections) {
+        const { version, rules } = await this.getRules();
+        const inputs = this.extractInputs(sections);
+        const destination = await this.resolveDestination(inputs);
+        const resolved = { ...inputs, ...destination };
+
+        return {
+            rulesVersion: version,
+            ...this.score(resolved, rules),
+            inputs: resolved,
+            scoredAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Human-readable ranges for emails, e.g. "₹9 L - ₹12 L (unsecured); ₹30 L - ₹40 L (secured against collateral)".
+     */
+    formatRange(analysis) {
+        if (!analysis?.isEligible) return 'Pending review';
+        const parts = [];
+        const { unsecured, secured } = analysis;
+        if (unsecured.max) parts.push(`${formatAmount(unsecured.min)} - ${formatAmount(unsecured.max)} (unsecured)`);
+        if (secured.max) parts.push(`${formatAmount(secured.min)} - ${formatAmount(secured.max)} (secured against collateral)`);
+        return parts.length ? parts.join('; ') : 'Amount to be confirmed once income / collateral values are shared';
+    }
+}
+
+const loanEligibilityService = new LoanEligibilityService();
+loanEligibilityService.DEFAULT_RULES = DEFAULT_RULES;
+
+module.exports = loanEligibilityService;
@@ -0,0 +1,215 @@
+const supabase = require('../config/supabaseClient');
+const logger = require('../utils/logger');
+
+const LOAN_STATUSES = ['DRAFT', 'SUBMITTED', 'DOCS_PENDING', 'UNDER_REVIEW', 'SANCTIONED', 'DISBURSED', 'REJECTED', 'WITHDRAWN'];
+
+const STATUS_LABELS = {
+    DRAFT: 'Draft',
+    SUBMITTED: 'Submitted',
+    DOCS_PENDING: 'Docs Pending',
+    UNDER_REVIEW: 'Under Review',
+    SANCTIONED: 'Sanctioned',
+    DISBURSED: 'Disbursed',
+    REJECTED: 'Rejected',
+    WITHDRAWN: 'Withdrawn'
+};
+
+// Allowed next states. DISBURSED, REJECTED and WITHDRAWN are terminal.
+const TRANSITIONS = {
+    DRAFT: ['SUBMITTED', 'WITHDRAWN'],
+    SUBMITTED: ['DOCS_PENDING', 'UNDER_REVIEW', 'REJECTED', 'WITHDRAWN'],
+    DOCS_PENDING: ['UNDER_REVIEW', 'REJECTED', 'WITHDRAWN'],
+    UNDER_REVIEW: ['DOCS_PENDING', 'SANCTIONED', 'REJECTED', 'WITHDRAWN'],
+    SANCTIONED: ['DISBURSED', 'WITHDRAWN'],
+    DISBURSED: [],
+    REJECTED: [],
+    WITHDRAWN: []
+};
+
+// Values written before the lifecycle existed (and still sent by older screens)
+const LEGACY_ALIASES = {
+    PENDING: 'DRAFT',
+    APPLIED: 'SUBMITTED',
+    IN_REVIEW: 'UNDER_REVIEW',
+    APPROVED: 'SANCTIONED'
+};
+
+// Moves that need a written reason in the history
+const REASON_REQUIRED = ['REJECTED', 'WITHDRAWN'];
+
+const transitionError = (status, message, details = {}) => {
+    const err = new Error(message);
+    err.status = status;
+    err.details = details;
+    return err;
+};
+
+/**
+ * Loan Application Lifecycle
+ * Single place that moves loan_applications.status. Every move is checked
+ * against TRANSITIONS and the guard for the target state, and recorded in
+ * loan_status_history with who, when and why.
+ */
+class LoanLifecycleService {
+    /**
+     * Canonical status for user input or stored legacy values.
+     * @returns {string|null} null if the value is not a known status
+     */
+    normalizeStatus(value) {
+        if (!value) return null;
+        const key = String(value).trim().toUpperCase().replace(/[\s-]+/g, '_');
+        if (LOAN_STATUSES.includes(key)) return key;
+        return LEGACY_ALIASES[key] || null;
+    }
+
+    allowedTransitions(status) {
+        return TRANSITIONS[this.normalizeStatus(status) || 'DRAFT'] || [];
+    }
+
+    /**
+     * Conditions the loan (with the changes submitted alongside the move)
+     * must meet to enter a state.
+     * @returns {string[]} unmet conditions; empty when the move may proceed
+     */
+    checkGuards(loan, toStatus, reason) {
+        const errors = [];
+        const loanAmount = Number(loan.loan_amount) || 0;
+        const sanctioned = Number(loan.sanctioned_amount) || 0;
+        const disbursed = Number(loan.disbursed_amount) || 0;
+
+        if (REASON_REQUIRED.includes(toStatus) && !(reason && String(reason).trim())) {
+            errors.push(`A reason is required to mark a loan ${STATUS_LABELS[toStatus]}`);
+        }
+
+        if (toStatus === 'SUBMITTED' && !(loanAmount > 0)) {
+            errors.push('Loan amount is required before submitting');
+        }
+
+        if (['SANCTIONED', 'DISBURSED'].includes(toStatus) && !loan.co_applicant_name) {
+            errors.push('Co-applicant details are mandatory before sanctioning a loan');
+        }
+
+        if (toStatus === 'SANCTIONED') {
+            if (!(sanctioned > 0)) errors.push('Sanctioned amount is required before marking the loan Sanctioned');
+            else if (loanAmount > 0 && sanctioned > loanAmount) errors.push('Sanctioned amount cannot exceed applied amount');
+        }
+
+        if (toStatus === 'DISBURSED') {
+            if (!(sanctioned > 0)) errors.push('Sanctioned amount is required before disbursement');
+            if (!(disbursed > 0)) errors.push('Disbursed amount is required before marking the loan Disbursed');
+            else if (sanctioned > 0 && disbursed > sanctioned) errors.push('Disbursed amount cannot exceed sanctioned amount');
+            if (!loan.loan_disbursement_date) errors.push('Disbursement date is required before marking the loan Disbursed');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Move a loan to a new status.
+     * @param {object} loan - current loan_applications row
+     * @param {string} toStatus - target status (canonical, label or legacy alias)
+     * @param {object} options
+     * @param {string} [options.reason]
+     * @param {object} [options.updates] - loan_applications columns to write with the move
+     * @param {object} [options.user] - req.user of the actor
+     * @returns {Promise<{loan: object, history: object}>}
+     * @throws {Error} with .status 400 (unknown status / unmet guard) or 409 (illegal or concurrent move)
+     */
+    async transition(loan, toStatus, { reason = null, updates = {}, user = null } = {}) {
+        const to = this.normalizeStatus(toStatus);
+        if (!to) {
+            throw transitionError(400, `Unknown loan status '${toStatus}'`, { validStatuses: LOAN_STATUSES });
+        }
+
+        const from = this.normalizeStatus(loan.status) || 'DRAFT';
+        const allowed = TRANSITIONS[from];
+
+        if (from === to) {
+            throw transitionError(409, `Loan is already ${STATUS_LABELS[to]}`, { from, allowed });
+        }
+
+        if (!allowed.includes(to)) {
+            const options = allowed.length ? allowed.map(s => STATUS_LABELS[s]).join(', ') : 'none (final state)';
+            throw transitionError(409, `Cannot move loan from ${STATUS_LABELS[from]} to ${STATUS_LABELS[to]}. Allowed: ${options}`, { from, to, allowed });
+        }
+
+        const unmet = this.checkGuards({ ...loan, ...updates }, to, reason);
+        if (unmet.length > 0) {
+            throw transitionError(400, unmet[0], { from, to, errors: unmet });
+        }
+
+        const now = new Date().toISOString();
+
+        // Conditional on the status we validated against, so two concurrent moves cannot both win
+        const { data: updated, error } = await supabase
+            .from('loan_applications')
+            .update({ ...updates, status: to, status_changed_at: now, updated_at: now })
+            .eq('id', loan.id)
+            .eq('status', loan.status)
+            .select()
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!updated) {
+            throw transitionError(409, 'Loan status was changed by someone else. Reload and try again.', { from, to });
+        }
+
+        const history = await this.recordHistory(updated, from, to, { reason, metadata: { changes: updates }, user, at: now });
+
+        logger.info(`[LOAN] ${loan.id}: ${from} -> ${to}`);
+        return { loan: updated, history };
+    }
+
+    /**
+     * Initial history row for a newly created loan.
+     */
+    async recordCreated(loan, user = null) {
+        return this.recordHistory(loan, null, this.normalizeStatus(loan.status) || 'DRAFT', { reason: 'Loan application created', user });
+    }
+
+    async recordHistory(loan, fromStatus, toStatus, { reason = null, metadata = {}, user = null, at = null } = {}) {
+        const isStudent = user?.role?.toUpperCase() === 'STUDENT';
+
+        const { data, error } = await supabase
+            .from('loan_status_history')
+            .insert([{
+                loan_id: loan.id,
+                registration_id: loan.registration_id,
+                from_status: fromStatus,
+                to_status: toStatus,
+                reason,
+                metadata,
+                changed_by: user && !isStudent ? user.id : null,
+                changed_by_role: user ? (isStudent ? 'STUDENT' : 'STAFF') : 'SYSTEM',
+                changed_at: at || new Date().toISOString()
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            // The move itself has been applied; a missing history row must not fail the request
+            logger.error(`[LOAN] History write failed for ${loan.id}: ${error.message}`);
+            return null;
+        }
+
+        return data;
+    }
+
+    async getHistory(loanId) {
+        const { data, error } = await supabase
+            .from('loan_status_history')
+            .select('*, changed_by_info:employees(name)')
+            .eq('loan_id', loanId)
+            .order('changed_at', { ascending: true });
+
+        if (error) throw error;
+        return data || [];
+    }
+}
+
+const loanLifecycleService = new LoanLifecycleService();
+loanLifecycleService.LOAN_STATUSES = LOAN_STATUSES;
+loanLifecycleService.STATUS_LABELS = STATUS_LABELS;
+loanLifecycleService.TRANSITIONS = TRANSITIONS;
+
+module.exports = loanLifecycleService;
@@ -0,0 +1,240 @@
+const supabase = require('../config/supabaseClient');
+const logger = require('../utils/logger');
+const loanLifecycleService = require('./loanLifecycle.service');
+const loanCalculatorService = require('./loanCalculator.service');
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+const offerError = (status, message, details = {}) => {
+    const err = new Error(message);
+    err.status = status;
+    err.details = details;
+    return err;
+};
+
+// Loan states in which a lender's offer can be taken up
+const ACCEPTING_STATES = ['UNDER_REVIEW', 'SANCTIONED'];
+
+/**
+ * Loan Offers
+ * Competing lender offers for one loan application, compared on total cost of
+ * borrowing (interest over the tenure + processing fee). Accepting an offer
+ * copies its terms onto the loan and sanctions it through the loan lifecycle.
+ */
+class LoanOfferService {
+    /**
+     * Repayment cost of an offer on a standard reducing-balance EMI.
+     */
+    costOf(offer) {
+        const principal = Number(offer.sanctioned_amount) || 0;
+        const months = Number(offer.tenure_months) || 0;
+        const emi = loanCalculatorService.emi(principal, offer.interest_rate, months);
+
+        const totalRepayment = round2(emi * months);
+        const totalInterest = round2(totalRepayment - principal);
+        const processingFee = round2(offer.processing_fee);
+        const totalCost = round2(totalInterest + processingFee);
+
+        return {
+            emi: round2(emi),
+            totalRepayment,
+            totalInterest,
+            processingFee,
+            totalCost,
+            costPerLakh: principal > 0 ? round2(totalCost / (principal / 100000)) : null
+        };
+    }
+
+    /**
+     * Stored status, with open offers past their expiry reported as EXPIRED.
+     */
+    effectiveStatus(offer, today = new Date()) {
+        const todayStr = new Date(today).toISOString().slice(0, 10);
+        if (offer.status === 'OFFERED' && offer.expires_on && offer.expires_on < todayStr) return 'EXPIRED';
+        return offer.status;
+    }
+
+    decorate(offer) {
+        return { ...offer, effective_status: this.effectiveStatus(offer), cost: this.costOf(offer) };
+    }
+
+    async getOffer(offerId) {
+        const { data, error } = await supabase
+            .from('loan_offers')
+            .select('*')
+            .eq('id', offerId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+
+    async listOffers(loanId) {
+        const { data, error } = await supabase
+            .from('loan_offers')
+            .select('*, created_by_info:employees!created_by(name)')
+            .eq('loan_id', loanId)
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+        return (data || []).map(o => this.decorate(o));
+    }
+
+    /**
+     * Live offers (open or accepted) ranked cheapest first; the rest listed separately.
+     */
+    async compare(loanId) {
+        const offers = await this.listOffers(loanId);
+        const live = offers.filter(o => ['OFFERED', 'ACCEPTED'].includes(o.effective_status));
+        const excluded = offers.filter(o => !live.includes(o));
+
+        live.sort((a, b) => (a.cost.totalCost - b.cost.totalCost)
+            || (Number(a.interest_rate) - Number(b.interest_rate))
+            || (Number(b.sanctioned_amount) - Number(a.sanctioned_amount)));
+
+        const best = live[0];
+        const ranked = live.map((o, index) => ({
+            ...o,
+            rank: index + 1,
+            extraCostVsBest: round2(o.cost.totalCost - best.cost.totalCost)
+        }));
+
+        return { ranked, excluded, bestOfferId: best ? best.id : null };
+    }
+
+    async createOffer(loan, fields, user) {
+        const { data, error } = await supabase
+            .from('loan_offers')
+            .insert([{
+                ...fields,
+                loan_id: loan.id,
+                registration_id: loan.registration_id,
+                status: 'OFFERED',
+                created_by: user.id
+            }])
+            .select()
+            .single();
+
+        if (error) throw error;
+        return this.decorate(data);
+    }
+
+    async updateOffer(offer, fields) {
+        if (offer.status === 'ACCEPTED') {
+            throw offerError(409, 'An accepted offer cannot be edited. Accept another offer to replace it.');
+        }
+
+        const { data, error } = await supabase
+            .from('loan_offers')
+            .update({ ...fields, updated_at: new Date().toISOString() })
+            .eq('id', offer.id)
+            .select()
+            .single();
+
+        if (error) throw error;
+        return this.decorate(data);
+    }
+
+    /**
+     * Accept an offer: release any previously accepted offer, copy the terms onto
+     * the loan and sanction it (or re-point an already sanctioned loan).
+     * @returns {Promise<{offer: object, loan: object}>}
+     */
+    async acceptOffer(loan, offer, user) {
+        const effective = this.effectiveStatus(offer);
+        if (effective !== 'OFFERED') {
+            throw offerError(409, `Only open offers can be accepted (this offer is ${effective})`);
+        }
+
+        const loanStatus = loanLifecycleService.normalizeStatus(loan.status);
+        if (!ACCEPTING_STATES.includes(loanStatus)) {
+            throw offerError(409, `Offers can only be accepted while the loan is Under Review or Sanctioned (currently ${loanLifecycleService.STATUS_LABELS[loanStatus] || loan.status})`);
+        }
+
+        const cost = this.costOf(offer);
+        const loanUpdates = {
+            bank_name: offer.lender_name,
+            branch_name: offer.branch_name,
+            interest_rate: offer.interest_rate,
+            loan_tenure: offer.tenure_months,
+            emi_amount: cost.emi,
+            sanctioned_amount: offer.sanctioned_amount,
+            security_type: offer.collateral_required ? 'SECURED' : 'UNSECURED',
+            accepted_offer_id: offer.id
+        };
+
+        const unmet = loanLifecycleService.checkGuards({ ...loan, ...loanUpdates }, 'SANCTIONED');
+        if (unmet.length > 0) {
+            throw offerError(400, unmet[0], { errors: unmet });
+        }
+
+        const previousId = loan.accepted_offer_id && loan.accepted_offer_id !== offer.id ? loan.accepted_offer_id : null;
+        const now = new Date().toISOString();
+
+        if (previousId) {
+            await supabase
+                .from('loan_offers')
+                .update({ status: 'OFFERED', accepted_at: null, accepted_by: null, updated_at: now })
+                .eq('id', previousId)
+                .eq('status', 'ACCEPTED');
+        }
+
+        const { data: accepted, error } = await supabase
+            .from('loan_offers')
+            .update({ status: 'ACCEPTED', accepted_at: now, accepted_by: user.id, updated_at: now })
+            .eq('id', offer.id)
+            .eq('status', 'OFFERED')
+            .select()
+            .maybeSingle();
+
+        if (error || !accepted) {
+            await this.restoreAccepted(previousId);
+            // 23505 = another offer was accepted for this loan in the meantime
+            if (error && error.code === '23505') throw offerError(409, 'Another offer has already been accepted for this loan. Reload and try again.');
+            if (error) throw error;
+            throw offerError(409, 'Offer was changed by someone else. Reload and try again.');
+        }
+
+        let updatedLoan;
+        try {
+            if (loanStatus === 'UNDER_REVIEW') {
+                ({ loan: updatedLoan } = await loanLifecycleService.transition(loan, 'SANCTIONED', {
+                    reason: `Accepted offer from ${offer.lender_name}`,
+                    updates: loanUpdates,
+                    user
+                }));
+            } else {
+                const { data, error: loanError } = await supabase
+                    .from('loan_applications')
+                    .update({ ...loanUpdates, updated_at: now })
+                    .eq('id', loan.id)
+                    .select()
+                    .single();
+                if (loanError) throw loanError;
+                updatedLoan = data;
+            }
+        } catch (err) {
+            // Keep offer and loan consistent: put the offer back if the loan could not follow
+            await supabase
+                .from('loan_offers')
+                .update({ status: 'OFFERED', accepted_at: null, accepted_by: null })
+                .eq('id', offer.id);
+            await this.restoreAccepted(previousId);
+            throw err;
+        }
+
+        logger.info(`[LOAN OFFERS] Loan ${loan.id} accepted offer ${offer.id} (${offer.lender_name})`);
+        return { offer: this.decorate(accepted), loan: updatedLoan };
+    }
+
+    async restoreAccepted(offerId) {
+        if (!offerId) return;
+        await supabase
+            .from('loan_offers')
+            .update({ status: 'ACCEPTED' })
+            .eq('id', offerId)
+            .eq('status', 'OFFERED');
+    }
+}
+
+module.exports = new LoanOfferService();
@@ -1,5 +1,6 @@
 const supabase = require('../config/supabaseClient');
 const logger = require('../utils/logger');
+const realtime = require('./realtime.service');
 
 /**
  * Global Notification Service
@@ -30,9 +31,9 @@ class NotificationService {
 
             if (error) throw error;
 
-            // TODO: In a production environment with Socket.io, 
-            // you would emit a real-time event here:
-            // io.to(recipient_id).emit('notification', data);
+            // Push to every open session of the recipient
+            realtime.emitToUser(recipient_id, 'notification', data);
+            await this.publishUnreadCount(recipient_id);
 
             return data;
         } catch (err) {
@@ -64,12 +65,70 @@ class NotificationService {
                 link
             }));
 
-            const { error } = await supabase.from('notifications').insert(notifications);
+            const { data: inserted, error } = await supabase.from('notifications').insert(notifications).select();
             if (error) throw error;
+
+            // Fan out to connected members only; offline members pick them up via GET /api/notifications
+            for (const notification of inserted || []) {
+                if (!realtime.isOnline(notification.recipient_id)) continue;
+                realtime.emitToUser(notification.recipient_id, 'notification', notification);
+                await this.publishUnreadCount(notification.recipient_id);
+            }
         } catch (err) {
             logger.error(`Dept Notification Error: ${err.message}`);
         }
     }
+
+    /**
+     * sendToStudent: In-app notification for a student (registration) shown in the student portal
+     */
+    async sendToStudent({ registration_id, title, message, type = 'GENERAL', priority = 'NORMAL', link = null }) {
+        try {
+            if (!registration_id) return null;
+
+            const { data, error } = await supabase
+                .from('student_notifications')
+                .insert([{ registration_id, title, message, type, priority, link }])
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            // Student portal sessions stream under the registration id
+            realtime.emitToUser(registration_id, 'notification', data);
+            return data;
+        } catch (err) {
+            logger.error(`Student Notification Error: ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * getUnreadCount: Number of unread notifications for an employee
+     */
+    async getUnreadCount(recipient_id) {
+        const { count, error } = await supabase
+            .from('notifications')
+            .select('id', { count: 'exact', head: true })
+            .eq('recipient_id', recipient_id)
+            .eq('is_read', false);
+
+        if (error) throw error;
+        return count || 0;
+    }
+
+    /**
+     * publishUnreadCount: Push the current unread count to the recipient's open sessions
+     */
+    async publishUnreadCount(recipient_id) {
+        if (!realtime.isOnline(recipient_id)) return;
+        try {
+            const count = await this.getUnreadCount(recipient_id);
+            realtime.emitToUser(recipient_id, 'unread_count', { count });
+        } catch (err) {
+            logger.error(`Unread Count Push Error: ${err.message}`);
+        }
+    }
 }
 
 module.exports = new NotificationService();
@@ -0,0 +1,535 @@
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const supabase = require('../config/supabaseClient');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const notificationService = require('./notification.service');
+const loanLifecycleService = require('./loanLifecycle.service');
+const visaCaseService = require('./visaCase.service');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const OFFER_TYPES = ['CONDITIONAL', 'UNCONDITIONAL'];
+const CAS_STATUSES = ['NOT_APPLICABLE', 'NOT_REQUESTED', 'REQUESTED', 'ISSUED', 'REFUSED'];
+const ACCEPTANCE_STATUSES = ['PENDING', 'ACCEPTED', 'DECLINED', 'EXPIRED'];
+const DECISIONS = ['ACCEPTED', 'DECLINED'];
+
+// Legacy display label kept in offer_letters.status
+const STATUS_LABELS = { CONDITIONAL: 'Conditional', UNCONDITIONAL: 'Confirmed' };
+
+const OFFER_SELECT = '*, application:admission_applications(id, university, course, program_name, intake, country_id, status, decision, assigned_to), registration:registrations(id, name, email, workflow, loan_required, loan_opted, is_deleted)';
+
+const httpError = (status, message) => {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+};
+
+const formatMoney = (amount, currency) => `${currency || ''} ${Number(amount).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`.trim();
+
+/**
+ * Offer Letters
+ * Offer terms (conditional / unconditional, conditions, deposit, CAS / I-20),
+ * the student's accept / decline decision and what acceptance kicks off:
+ * a deposit task, the loan application and the visa case. A daily job
+ * reminds student and owner as the acceptance and deposit deadlines approach
+ * and expires offers left unanswered; offer_letter_reminders (unique per
+ * deadline + lead time) guarantees a reminder is never sent twice.
+ */
+class OfferLetterService {
+    today(now = new Date()) {
+        return dayjs(now).tz(config.schedulerTimezone).format('YYYY-MM-DD');
+    }
+
+    /**
+     * Conditions as stored: [{ text, met, metAt }].
+     * Accepts a list (strings or objects) or pasted text with one condition per
+     * line; bullets and numbering ("1.", "a)", "-", "•") are stripped.
+     */
+    parseConditions(input) {
+        if (input === undefined || input === null || input === '') return [];
+
+        const items = Array.isArray(input)
+            ? input
+            : String(input).split(/\r?\n|;/);
+
+        return items
+            .map(item => {
+                if (item && typeof item === 'object') {
+                    const text = String(item.text || '').trim();
+                    const met = item.met === true;
+                    return text ? { text, met, metAt: met ? (item.metAt || this.today()) : null } : null;
+                }
+                const text = String(item).replace(/^\s*(?:[-*•]|\(?[0-9]{1,2}[.)]|\(?[a-z][.)])\s*/i, '').trim();
+                return text ? { text, met: false, metAt: null } : null;
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Amount and currency from a number or text such as "GBP 5,000" / "£5000" / "USD 10,000.50".
+     * @returns {{amount: number|null, currency: string|null}}
+     */
+    parseMoney(value, currency = null) {
+        if (value === undefined || value === null || value === '') return { amount: null, currency };
+        if (typeof value === 'number') return { amount: value, currency };
+
+        const text = String(value).trim();
+        const symbols = { '£': 'GBP', '$': 'USD', '€': 'EUR', '₹': 'INR' };
+        const code = text.match(/\b([A-Z]{3})\b/i);
+        const symbol = Object.keys(symbols).find(s => text.includes(s));
+        const amount = parseFloat(text.replace(/[^0-9.]/g, ''));
+
+        return {
+            amount: Number.isFinite(amount) ? amount : null,
+            currency: currency || (code ? code[1].toUpperCase() : symbol ? symbols[symbol] : null)
+        };
+    }
+
+    statusLabel(offerType) {
+        return STATUS_LABELS[offerType] || STATUS_LABELS.CONDITIONAL;
+    }
+
+    /**
+     * Adds `tracking` with deadline states and condition progress.
+     */
+    decorate(offer, today = this.today()) {
+        const daysTo = (date) => (date ? dayjs(date).diff(dayjs(today), 'day') : null);
+        const conditions = Array.isArray(offer.conditions) ? offer.conditions : [];
+
+        const daysToAcceptanceDeadline = offer.acceptance_status === 'PENDING' ? daysTo(offer.acceptance_deadline) : null;
+        let depositState = 'NONE';
+        if (offer.deposit_amount) {
+            if (offer.deposit_paid_at) depositState = 'PAID';
+            else if (offer.deposit_deadline && daysTo(offer.deposit_deadline) < 0) depositState = 'OVERDUE';
+            else depositState = 'DUE';
+        }
+
+        return {
+            ...offer,
+            tracking: {
+                daysToAcceptanceDeadline,
+                daysToDepositDeadline: depositState === 'DUE' || depositState === 'OVERDUE' ? daysTo(offer.deposit_deadline) : null,
+                depositState,
+                conditionsMet: conditions.filter(c => c.met).length,
+                conditionsTotal: conditions.length,
+                allConditionsMet: conditions.every(c => c.met)
+            }
+        };
+    }
+
+    async getOffer(id) {
+        const { data, error } = await supabase
+            .from('offer_letters')
+            .select(OFFER_SELECT)
+            .eq('id', id)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+
+    async listForRegistration(registrationId) {
+        const { data, error } = await supabase
+            .from('offer_letters')
+            .select('*')
+            .eq('registration_id', registrationId)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+        const today = this.today();
+        return (data || []).map(o => this.decorate(o, today));
+    }
+
+    /**
+     * Record the student's decision on an offer and update the linked application.
+     * Acceptance then starts the next steps (see startNextSteps).
+     * @param {object} offer - row from getOffer()
+     * @param {object} options - { decision: ACCEPTED|DECLINED, reason?, loanRequired?, loanAmount?, user }
+     * @returns {Promise<object>} the updated offer (decorated)
+     * @throws {Error} err.status 400 / 409
+     */
+    async decide(offer, { decision, reason = null, loanRequired, loanAmount, user }) {
+        if (!DECISIONS.includes(decision)) throw httpError(400, `Decision must be one of ${DECISIONS.join(', ')}`);
+        if (offer.acceptance_status !== 'PENDING') {
+            throw httpError(409, `This offer has already been ${offer.acceptance_status.toLowerCase()}`);
+        }
+        if (decision === 'DECLINED' && !reason) throw httpError(400, 'Please give a reason for declining the offer');
+
+        const isStudent = user.role?.toUpperCase() === 'STUDENT';
+        const now = new Date().toISOString();
+
+        const { data: updated, error } = await supabase
+            .from('offer_letters')
+            .update({
+                acceptance_status: decision,
+                acceptance_decided_at: now,
+                acceptance_decided_by: isStudent ? null : user.id,
+                decline_reason: decision === 'DECLINED' ? reason : null,
+                updated_at: now
+            })
+            .eq('id', offer.id)
+            .eq('acceptance_status', 'PENDING')
+            .select('*')
+            .maybeSingle();
+
+        if (error) {
+            // 23505 = unique violation: another offer is already accepted for this registration
+            if (error.code === '23505') throw httpError(409, 'Another offer has already been accepted for this student');
+            throw error;
+        }
+        if (!updated) throw httpError(409, 'This offer was decided by someone else, reload and try again');
+
+        if (offer.application_id) {
+            const applicationUpdate = { offer_response: decision, offer_responded_at: now, updated_at: now };
+            // Declining the offer closes the application
+            if (decision === 'DECLINED') applicationUpdate.status = 'Withdrawn';
+
+            const { error: appError } = await supabase
+                .from('admission_applications')
+                .update(applicationUpdate)
+                .eq('id', offer.application_id);
+
+            if (appError) {
+                // Keep offer and application in step: undo the decision so it can be retried
+                const { error: revertError } = await supabase
+                    .from('offer_letters')
+                    .update({
+                        acceptance_status: 'PENDING',
+                        acceptance_decided_at: null,
+                        acceptance_decided_by: null,
+                        decline_reason: null,
+                        updated_at: new Date().toISOString()
+                    })
+                    .eq('id', offer.id);
+
+                if (revertError) logger.error(`[OFFERS] Reverting decision on ${offer.id} failed: ${revertError.message}`);
+                throw appError;
+            }
+        }
+
+        let result = updated;
+        if (decision === 'ACCEPTED') {
+            const nextSteps = await this.startNextSteps({ ...offer, ...updated }, { loanRequired, loanAmount, user });
+            const { data: withSteps, error: stepsError } = await supabase
+                .from('offer_letters')
+                .update({ next_steps: nextSteps })
+                .eq('id', offer.id)
+                .select('*')
+                .single();
+
+            if (stepsError) logger.error(`[OFFERS] Saving next steps for ${offer.id} failed: ${stepsError.message}`);
+            result = withSteps || { ...updated, next_steps: nextSteps };
+        }
+
+        const who = isStudent ? 'Student' : user.name;
+        await supabase.rpc('append_activity', {
+            registration_id: offer.registration_id,
+            new_activity: {
+                user: who,
+                action: decision === 'ACCEPTED' ? 'Offer accepted' : 'Offer declined',
+                notes: `${offer.university}${offer.program_name ? ` (${offer.program_name})` : ''}${reason ? ` — ${reason}` : ''}`,
+                timestamp: now
+            }
+        });
+
+        const ownerId = this.ownerOf(offer);
+        if (isStudent && ownerId) {
+            await notificationService.send({
+                recipient_id: ownerId,
+                sender_id: null,
+                title: decision === 'ACCEPTED' ? 'Offer accepted by student' : 'Offer declined by student',
+                message: `${offer.registration?.name} ${decision === 'ACCEPTED' ? 'accepted' : 'declined'} the offer from ${offer.university}.`,
+                type: 'APPLICATION',
+                priority: 'HIGH',
+                link: `/registrations/${offer.registration_id}`
+            });
+        }
+
+        return this.decorate(result);
+    }
+
+    ownerOf(offer) {
+        return offer.application?.assigned_to || offer.registration?.workflow?.originCounsellor || null;
+    }
+
+    /**
+     * What an accepted offer kicks off. Each step is independent and never
+     * fails the acceptance; the outcome of each is returned for next_steps.
+     *  - deposit: task for the owner (and a portal notice) when a deposit is unpaid
+     *  - loan: opens a draft loan application unless the student needs no loan
+     *  - visaCase: opens the registration's visa case
+     */
+    async startNextSteps(offer, { loanRequired, loanAmount, user }) {
+        const steps = {};
+        const ownerId = this.ownerOf(offer);
+        const registration = offer.registration || {};
+        const step = async (key, fn) => {
+            try {
+                steps[key] = await fn();
+            } catch (err) {
+                logger.error(`[OFFERS] Next step ${key} for offer ${offer.id} failed: ${err.message}`);
+                steps[key] = { status: 'FAILED', error: err.message };
+            }
+        };
+
+        await step('deposit', async () => {
+            if (!offer.deposit_amount) return { status: 'NOT_REQUIRED' };
+            if (offer.deposit_paid_at) return { status: 'PAID', paidAt: offer.deposit_paid_at };
+
+            const amount = formatMoney(offer.deposit_amount, offer.deposit_currency);
+            const dueOn = offer.deposit_deadline ? dayjs(offer.deposit_deadline).format('DD MMM YYYY') : null;
+
+            const { data: task, error } = await supabase
+                .from('admission_tasks')
+                .insert({
+                    title: `Tuition deposit: ${registration.name} — ${offer.university}`,
+                    description: `Confirm payment of the ${amount} deposit to ${offer.university}${dueOn ? ` by ${dueOn}` : ''} and record it on the offer letter.`,
+                    assigned_to: ownerId,
+                    assigned_by: user.role?.toUpperCase() === 'STUDENT' ? null : user.id,
+                    priority: 'HIGH',
+                    due_date: offer.deposit_deadline,
+                    status: 'PENDING'
+                })
+                .select('id')
+                .single();
+
+            if (error) throw error;
+
+            await notificationService.sendToStudent({
+                registration_id: offer.registration_id,
+                title: 'Pay your tuition deposit',
+                message: `Your place at ${offer.university} needs a deposit of ${amount}${dueOn ? ` by ${dueOn}` : ''}.`,
+                type: 'APPLICATION',
+                priority: 'HIGH',
+                link: '/applications'
+            });
+
+            return { status: 'PENDING', taskId: task.id, amount: offer.deposit_amount, currency: offer.deposit_currency, deadline: offer.deposit_deadline };
+        });
+
+        await step('loan', async () => {
+            const required = loanRequired !== undefined ? loanRequired : registration.loan_required !== false;
+
+            if (!required) {
+                if (loanRequired === false && registration.loan_required !== false) {
+                    // Same effect as answering "Loan required: No" on the registration
+                    const now = new Date().toISOString();
+                    const { error } = await supabase
+                        .from('registrations')
+                        .update({ loan_required: false, loan_opted: false, is_loan_completed: true, loan_completed_at: now, updated_at: now })
+                        .eq('id', offer.registration_id);
+                    if (error) throw error;
+                }
+                return { status: 'NOT_REQUIRED' };
+            }
+
+            const { data: existing, error: findError } = await supabase
+                .from('loan_applications')
+                .select('id, status')
+                .eq('registration_id', offer.registration_id)
+                .maybeSingle();
+
+            if (findError) throw findError;
+            if (existing) return { status: 'EXISTS', loanApplicationId: existing.id, loanStatus: existing.status };
+
+            if (registration.loan_required !== true || registration.loan_opted !== true) {
+                await supabase
+                    .from('registrations')
+                    .update({ loan_required: true, loan_opted: true, updated_at: new Date().toISOString() })
+                    .eq('id', offer.registration_id);
+            }
+
+            const { data: loan, error } = await supabase
+                .from('loan_applications')
+                .insert({
+                    registration_id: offer.registration_id,
+                    loan_amount: loanAmount || null,
+                    loan_type: 'Education Loan',
+                    applied_through: 'Veda Loans & Finance',
+                    application_date: new Date().toISOString().split('T')[0],
+                    remarks: `Opened on acceptance of the ${offer.university} offer`,
+                    status: 'DRAFT',
+                    status_changed_at: new Date().toISOString(),
+                    agent_id: user.role?.toUpperCase() === 'STUDENT' ? null : user.id
+                })
+                .select()
+                .single();
+
+            if (error) throw error;
+            await loanLifecycleService.recordCreated(loan, user);
+
+            return { status: 'OPENED', loanApplicationId: loan.id };
+        });
+
+        await step('visaCase', async () => {
+            const { visaCase, created } = await visaCaseService.ensureCase(offer.registration_id, {
+                offerLetterId: offer.id,
+                applicationId: offer.application_id,
+                countryId: offer.application?.country_id || null,
+                university: offer.university,
+                intake: offer.intake || offer.application?.intake || null,
+                reason: `Offer from ${offer.university} accepted`,
+                user
+            });
+            return { status: created ? 'OPENED' : 'EXISTS', visaCaseId: visaCase.id };
+        });
+
+        return { ...steps, startedAt: new Date().toISOString() };
+    }
+
+    /**
+     * Daily pass: expire unanswered offers past their acceptance deadline, then
+     * remind at config.offerReminderDays before the acceptance deadline (pending
+     * offers) and the deposit deadline (accepted offers with the deposit unpaid).
+     * @param {Date} now
+     * @returns {Promise<{date:string, expired:number, candidates:number, sent:number, skipped:number, failed:number}>}
+     */
+    async run(now = new Date()) {
+        const today = this.today(now);
+        const leadTimes = [...new Set(config.offerReminderDays)];
+        const result = { date: today, expired: 0, candidates: 0, sent: 0, skipped: 0, failed: 0 };
+
+        const { data: expired, error: expireError } = await supabase
+            .from('offer_letters')
+            .update({ acceptance_status: 'EXPIRED', updated_at: new Date().toISOString() })
+            .eq('acceptance_status', 'PENDING')
+            .lt('acceptance_deadline', today)
+            .select('id, registration_id, university, acceptance_deadline');
+
+        if (expireError) throw expireError;
+        for (const offer of expired || []) {
+            result.expired++;
+            await supabase.rpc('append_activity', {
+                registration_id: offer.registration_id,
+                new_activity: {
+                    user: 'System',
+                    action: 'Offer expired',
+                    notes: `${offer.university} offer was not accepted by ${dayjs(offer.acceptance_deadline).format('DD MMM YYYY')}`,
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+
+        if (leadTimes.length === 0) return result;
+        const horizon = dayjs(today).add(Math.max(...leadTimes), 'day').format('YYYY-MM-DD');
+
+        const { data: offers, error } = await supabase
+            .from('offer_letters')
+            .select(OFFER_SELECT)
+            .or(`and(acceptance_status.eq.PENDING,acceptance_deadline.gte.${today},acceptance_deadline.lte.${horizon}),and(acceptance_status.eq.ACCEPTED,deposit_paid_at.is.null,deposit_deadline.gte.${today},deposit_deadline.lte.${horizon})`);
+
+        if (error) throw error;
+
+        for (const offer of offers || []) {
+            if (offer.registration?.is_deleted) continue;
+
+            const deadline = offer.acceptance_status === 'PENDING'
+                ? { type: 'ACCEPTANCE', date: offer.acceptance_deadline }
+                : { type: 'DEPOSIT', date: offer.deposit_deadline };
+            if (deadline.type === 'DEPOSIT' && !offer.deposit_amount) continue;
+
+            const daysBefore = dayjs(deadline.date).diff(dayjs(today), 'day');
+            if (!leadTimes.includes(daysBefore)) continue;
+
+            result.candidates++;
+            try {
+                const sent = await this.sendReminder(offer, deadline, daysBefore);
+                if (sent) result.sent++;
+                else result.skipped++;
+            } catch (err) {
+                result.failed++;
+                logger.error(`[OFFERS] Offer ${offer.id} reminder failed: ${err.message}`);
+            }
+        }
+
+        logger.info(`[OFFERS] ${today}: ${result.expired} expired, ${result.sent} reminders sent, ${result.skipped} skipped, ${result.failed} failed`);
+        return result;
+    }
+
+    /**
+     * Claim the (deadline, lead time) slot, then notify student and owner.
+     * @returns {Promise<boolean>} false if another run already sent this reminder
+     */
+    async sendReminder(offer, deadline, daysBefore) {
+        const recipientId = this.ownerOf(offer);
+
+        const { error: claimError } = await supabase
+            .from('offer_letter_reminders')
+            .insert([{
+                offer_letter_id: offer.id,
+                registration_id: offer.registration_id,
+                reminder_type: deadline.type,
+                deadline_date: deadline.date,
+                days_before: daysBefore,
+                recipient_id: recipientId
+            }]);
+
+        if (claimError) {
+            // 23505 = unique violation: reminder already sent for this slot
+            if (claimError.code === '23505') return false;
+            throw claimError;
+        }
+
+        const dueOn = dayjs(deadline.date).format('DD MMM YYYY');
+        const when = daysBefore === 0 ? 'today' : `in ${daysBefore} day(s), ${dueOn}`;
+        const headline = deadline.type === 'ACCEPTANCE'
+            ? `Offer from ${offer.university} must be accepted ${when}`
+            : `${formatMoney(offer.deposit_amount, offer.deposit_currency)} deposit to ${offer.university} is due ${when}`;
+        const priority = daysBefore <= 3 ? 'HIGH' : 'NORMAL';
+
+        await notificationService.sendToStudent({
+            registration_id: offer.registration_id,
+            title: deadline.type === 'ACCEPTANCE' ? 'Respond to your offer' : 'Tuition deposit due',
+            message: `${headline}.`,
+            type: 'APPLICATION',
+            priority,
+            link: '/applications'
+        });
+
+        if (recipientId) {
+            await notificationService.send({
+                recipient_id: recipientId,
+                sender_id: null,
+                title: deadline.type === 'ACCEPTANCE' ? 'Offer acceptance deadline approaching' : 'Tuition deposit deadline approaching',
+                message: `${offer.registration?.name} — ${headline}.`,
+                type: 'APPLICATION',
+                priority,
+                link: `/registrations/${offer.registration_id}`
+            });
+        }
+
+        await supabase.rpc('append_activity', {
+            registration_id: offer.registration_id,
+            new_activity: {
+                user: 'System',
+                action: deadline.type === 'ACCEPTANCE' ? 'Offer acceptance reminder sent' : 'Deposit reminder sent',
+                notes: headline,
+                timestamp: new Date().toISOString()
+            }
+        });
+
+        return true;
+    }
+
+    async getReminders(offerId) {
+        const { data, error } = await supabase
+            .from('offer_letter_reminders')
+            .select('*')
+            .eq('offer_letter_id', offerId)
+            .order('sent_at', { ascending: false });
+
+        if (error) throw error;
+        return data || [];
+    }
+}
+
+const offerLetterService = new OfferLetterService();
+offerLetterService.OFFER_TYPES = OFFER_TYPES;
+offerLetterService.CAS_STATUSES = CAS_STATUSES;
+offerLetterService.ACCEPTANCE_STATUSES = ACCEPTANCE_STATUSES;
+offerLetterService.DECISIONS = DECISIONS;
+
+module.exports = offerLetterService;
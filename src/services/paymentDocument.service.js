@@ -0,0 +1,305 @@
+const supabase = require('../config/supabaseClient');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const pdfService = require('./pdf.service');
+const emailService = require('./email.service');
+const ledgerService = require('./ledger.service');
+const { uploadToSupabase } = require('../middleware/storage.middleware');
+const { amountInWords } = require('../utils/amountInWords');
+
+const BUCKET = 'payment-documents';
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Payment Documents (receipts & proforma invoices)
+ * - Receipts: one per ledger PAYMENT, numbered RCPT/<FY>/<seq>, stored once and never regenerated.
+ * - Proforma invoices: issued on request for an outstanding fee.
+ * Ledger amounts are GST-inclusive; documents back the tax out (CGST + SGST split).
+ */
+class PaymentDocumentService {
+    /**
+     * Indian financial year label (April - March), e.g. '2026-27'.
+     */
+    fiscalYear(date = new Date()) {
+        const d = new Date(date);
+        const start = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+        return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+    }
+
+    /**
+     * Split a GST-inclusive amount into taxable value and tax components.
+     */
+    gstBreakdown(amount, rate = config.gstRate) {
+        const total = round2(amount);
+        if (!rate || !config.companyGstin) {
+            // Unregistered supplier: no tax is shown on the document
+            return { total, taxableValue: total, gstRate: 0, cgst: 0, sgst: 0, igst: 0 };
+        }
+
+        const taxableValue = round2(total / (1 + rate / 100));
+        const tax = round2(total - taxableValue);
+        const cgst = round2(tax / 2);
+        const sgst = round2(tax - cgst);
+
+        return { total, taxableValue, gstRate: rate, cgst, sgst, igst: 0 };
+    }
+
+    async nextNumber(docType, date = new Date()) {
+        const fiscalYear = this.fiscalYear(date);
+        const { data: sequence, error } = await supabase.rpc('next_document_number', {
+            p_doc_type: docType,
+            p_fiscal_year: fiscalYear
+        });
+
+        if (error) throw error;
+
+        const prefix = docType === 'RECEIPT' ? config.receiptPrefix : config.invoicePrefix;
+        return { fiscalYear, sequence, docNumber: `${prefix}/${fiscalYear}/${String(sequence).padStart(6, '0')}` };
+    }
+
+    async getRegistration(registrationId) {
+        const { data, error } = await supabase
+            .from('registrations')
+            .select('id, name, email, phone, student_id, course')
+            .eq('id', registrationId)
+            .single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    buildPdfData(registration, fields) {
+        return {
+            ...fields,
+            company: {
+                name: config.companyName,
+                address: config.companyAddress,
+                gstin: config.companyGstin,
+                phone: config.supportPhone,
+                email: config.supportEmail
+            },
+            payer: {
+                name: registration.name,
+                email: registration.email,
+                phone: registration.phone,
+                studentId: registration.student_id,
+                course: registration.course
+            }
+        };
+    }
+
+    /**
+     * Render, store and record a document row.
+     */
+    async createDocument({ docType, registration, feeType, amount, ledgerEntryId = null, paymentMode = null, reference = null, paymentDate = null, dueDate = null, balanceAfter = null, issuedBy = null }) {
+        const issuedAt = new Date();
+        const { fiscalYear, sequence, docNumber } = await this.nextNumber(docType, issuedAt);
+        const tax = this.gstBreakdown(amount);
+        const words = amountInWords(tax.total);
+
+        const pdfData = this.buildPdfData(registration, {
+            docNumber,
+            issuedAt,
+            lines: [{ description: ledgerService.FEE_LABELS[feeType] || feeType, sac: config.gstSacCode, amount: tax.taxableValue }],
+            ...tax,
+            amountInWords: words,
+            paymentMode,
+            reference,
+            paymentDate,
+            dueDate,
+            balanceAfter
+        });
+
+        const pdfBuffer = docType === 'RECEIPT'
+            ? await pdfService.generateReceiptPDF(pdfData)
+            : await pdfService.generateProformaInvoicePDF(pdfData);
+
+        const stored = await uploadToSupabase({
+            buffer: pdfBuffer,
+            mimetype: 'application/pdf',
+            originalname: `${docNumber.replace(/\//g, '-')}.pdf`
+        }, BUCKET);
+
+        const { data: document, error } = await supabase
+            .from('payment_documents')
+            .insert([{
+                doc_type: docType,
+                doc_number: docNumber,
+                fiscal_year: fiscalYear,
+                sequence,
+                registration_id: registration.id,
+                ledger_entry_id: ledgerEntryId,
+                fee_type: feeType,
+                payer_name: registration.name,
+                payer_email: registration.email,
+                payment_mode: paymentMode,
+                reference,
+                amount: tax.total,
+                taxable_value: tax.taxableValue,
+                gst_rate: tax.gstRate,
+                cgst: tax.cgst,
+                sgst: tax.sgst,
+                igst: tax.igst,
+                amount_in_words: words,
+                file_path: stored.path,
+                issued_by: issuedBy,
+                issued_at: issuedAt.toISOString()
+            }])
+            .select()
+            .single();
+
+        if (error) throw error;
+        return { document, pdfBuffer };
+    }
+
+    async emailDocument(document, registration, pdfBuffer) {
+        if (!registration.email) return document;
+
+        emailService.sendPaymentDocumentEmail(registration.email, registration.name, {
+            docType: document.doc_type,
+            docNumber: document.doc_number,
+            amount: document.amount,
+            description: ledgerService.FEE_LABELS[document.fee_type]
+        }, pdfBuffer);
+
+        const { data } = await supabase
+            .from('payment_documents')
+            .update({ emailed_at: new Date().toISOString() })
+            .eq('id', document.id)
+            .select()
+            .single();
+
+        return data || document;
+    }
+
+    /**
+     * Issue (or return the existing) receipt for a ledger payment and email it.
+     * @returns {Promise<object|null>} payment_documents row, or null if the entry is not a payment
+     */
+    async issueReceipt(entry, { issuedBy = null, email = true } = {}) {
+        if (!entry || entry.entry_type !== 'PAYMENT' || entry.reversal_of) return null;
+
+        const { data: existing } = await supabase
+            .from('payment_documents')
+            .select('*')
+            .eq('doc_type', 'RECEIPT')
+            .eq('ledger_entry_id', entry.id)
+            .maybeSingle();
+
+        if (existing) return existing;
+
+        const registration = await this.getRegistration(entry.registration_id);
+        const summary = await ledgerService.getSummary(entry.registration_id);
+        const fee = summary.fees.find(f => f.feeType === entry.fee_type);
+
+        let result;
+        try {
+            result = await this.createDocument({
+                docType: 'RECEIPT',
+                registration,
+                feeType: entry.fee_type,
+                amount: entry.amount,
+                ledgerEntryId: entry.id,
+                paymentMode: entry.method,
+                reference: entry.reference,
+                paymentDate: entry.entry_date,
+                balanceAfter: fee ? fee.balance : null,
+                issuedBy
+            });
+        } catch (err) {
+            // 23505 = another request issued the receipt for this entry first
+            if (err.code === '23505') {
+                const { data: raced } = await supabase
+                    .from('payment_documents')
+                    .select('*')
+                    .eq('doc_type', 'RECEIPT')
+                    .eq('ledger_entry_id', entry.id)
+                    .maybeSingle();
+                if (raced) return raced;
+            }
+            throw err;
+        }
+
+        logger.info(`[RECEIPTS] Issued ${result.document.doc_number} for ledger entry ${entry.id}`);
+        return email ? this.emailDocument(result.document, registration, result.pdfBuffer) : result.document;
+    }
+
+    /**
+     * Issue a proforma invoice for the outstanding balance of a fee.
+     * Reuses the latest proforma when the outstanding amount has not changed.
+     */
+    async issueProforma(registrationId, { feeType = 'REGISTRATION_FEE', issuedBy = null, email = false } = {}) {
+        const summary = await ledgerService.getSummary(registrationId);
+        const fee = summary.fees.find(f => f.feeType === feeType);
+        if (!fee || fee.balance <= 0) return null;
+
+        const { data: latest } = await supabase
+            .from('payment_documents')
+            .select('*')
+            .eq('registration_id', registrationId)
+            .eq('doc_type', 'PROFORMA')
+            .eq('fee_type', feeType)
+            .order('issued_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (latest && round2(latest.amount) === round2(fee.balance)) return latest;
+
+        const registration = await this.getRegistration(registrationId);
+        const nextDue = summary.installments.find(i => i.fee_type === feeType && i.outstanding > 0);
+
+        const { document, pdfBuffer } = await this.createDocument({
+            docType: 'PROFORMA',
+            registration,
+            feeType,
+            amount: fee.balance,
+            dueDate: nextDue ? nextDue.due_date : null,
+            issuedBy
+        });
+
+        return email ? this.emailDocument(document, registration, pdfBuffer) : document;
+    }
+
+    async listDocuments(registrationId) {
+        const { data, error } = await supabase
+            .from('payment_documents')
+            .select('*')
+            .eq('registration_id', registrationId)
+            .order('issued_at', { ascending: false });
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    async getDocument(documentId) {
+        const { data, error } = await supabase
+            .from('payment_documents')
+            .select('*')
+            .eq('id', documentId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Stored PDF bytes for a document.
+     */
+    async downloadFile(document) {
+        const { data, error } = await supabase.storage.from(BUCKET).download(document.file_path);
+        if (error) throw error;
+        return Buffer.from(await data.arrayBuffer());
+    }
+
+    /**
+     * Re-send an issued document by email (staff action).
+     */
+    async resend(document) {
+        const registration = await this.getRegistration(document.registration_id);
+        const pdfBuffer = await this.downloadFile(document);
+        return this.emailDocument(document, registration, pdfBuffer);
+    }
+}
+
+module.exports = new PaymentDocumentService();
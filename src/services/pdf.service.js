@@ -356,7 +356,783 @@ const generateRegistrationPDF = (studentData, registrationId) => {
     });
 };
 
+// Two decimals for tax documents (amounts with paise must add up exactly)
+const formatCurrencyExact = (value) => {
+    const num = Number(value) || 0;
+    return 'Rs ' + num.toLocaleString('en-IN', {
+        maximumFractionDigits: 2,
+        minimumFractionDigits: 2,
+        useGrouping: true
+    });
+};
+
+/**
+ * Receipt / Proforma Invoice (shared layout).
+ * @param {object} data
+ * @param {'RECEIPT'|'PROFORMA'} data.docType
+ * @param {string} data.docNumber
+ * @param {Date|string} data.issuedAt
+ * @param {object} data.company - { name, address, gstin, phone, email }
+ * @param {object} data.payer - { name, email, phone, studentId, course }
+ * @param {Array<{description:string, sac:string, amount:number}>} data.lines - taxable values
+ * @param {number} data.taxableValue
+ * @param {number} data.gstRate
+ * @param {number} data.cgst
+ * @param {number} data.sgst
+ * @param {number} data.igst
+ * @param {number} data.total
+ * @param {string} data.amountInWords
+ * @param {string} [data.paymentMode] - receipts
+ * @param {string} [data.reference] - receipts
+ * @param {string} [data.paymentDate] - receipts
+ * @param {string} [data.dueDate] - proforma
+ * @param {number} [data.balanceAfter] - receipts: outstanding after this payment
+ */
+const generatePaymentDocumentPDF = (data) => {
+    return new Promise((resolve, reject) => {
+        try {
+            const isReceipt = data.docType === 'RECEIPT';
+            const title = isReceipt ? 'PAYMENT RECEIPT' : 'PROFORMA INVOICE';
+
+            const doc = new PDFDocument({
+                size: 'A4',
+                margin: 40,
+                info: {
+                    Title: `${title} ${data.docNumber}`,
+                    Author: 'JV Overseas CRM',
+                    Subject: title,
+                    CreationDate: new Date()
+                }
+            });
+
+            let buffers = [];
+            doc.on('data', buffers.push.bind(buffers));
+            doc.on('end', () => resolve(Buffer.concat(buffers)));
+
+            const pageWidth = doc.page.width;
+            const company = data.company || {};
+            const payer = data.payer || {};
+
+            // HEADER SECTION
+            doc.rect(0, 0, pageWidth, 70).fill('#1e3a8a');
+
+            const logoPath = path.join(__dirname, '../../assets/logo.webp');
+            if (fs.existsSync(logoPath)) {
+                doc.image(logoPath, 40, 15, { width: 45 });
+            }
+
+            doc.fillColor('white')
+                .font('Helvetica-Bold')
+                .fontSize(16)
+                .text((company.name || 'JV Overseas').toUpperCase(), 95, 20)
+                .font('Helvetica')
+                .fontSize(8)
+                .text(company.address || '', 95, 38, { width: 260 });
+
+            doc.roundedRect(pageWidth - 180, 20, 140, 30, 3).fill(isReceipt ? '#059669' : '#d97706');
+            doc.fillColor('white')
+                .font('Helvetica-Bold')
+                .fontSize(10)
+                .text(title, pageWidth - 180, 30, { width: 140, align: 'center' });
+
+            // DOCUMENT META
+            let currentY = 85;
+            doc.fillColor('#111827')
+                .font('Helvetica-Bold')
+                .fontSize(13)
+                .text(`${isReceipt ? 'Receipt' : 'Invoice'} No: ${data.docNumber}`, 40, currentY);
+
+            doc.fillColor('#6b7280')
+                .font('Helvetica')
+                .fontSize(8)
+                .text(`Date: ${new Date(data.issuedAt || Date.now()).toLocaleDateString('en-IN')}`, 40, currentY + 18)
+                .text(company.gstin ? `GSTIN: ${company.gstin}` : 'GSTIN: Not registered', pageWidth - 240, currentY + 4, { width: 200, align: 'right' });
+
+            if (!isReceipt && data.dueDate) {
+                doc.text(`Payable by: ${new Date(data.dueDate).toLocaleDateString('en-IN')}`, pageWidth - 240, currentY + 18, { width: 200, align: 'right' });
+            }
+
+            // BILLED TO / RECEIVED FROM
+            currentY = 125;
+            doc.roundedRect(40, currentY, pageWidth - 80, 70, 5)
+                .fill('#f8fafc')
+                .stroke('#e5e7eb');
+
+            doc.fillColor('#1e3a8a')
+                .font('Helvetica-Bold')
+                .fontSize(10)
+                .text(isReceipt ? 'RECEIVED FROM' : 'BILLED TO', 50, currentY + 10);
+
+            doc.fillColor('#111827')
+                .font('Helvetica-Bold')
+                .fontSize(10)
+                .text(payer.name || 'N/A', 50, currentY + 26)
+                .font('Helvetica')
+                .fontSize(8)
+                .text(payer.email || '', 50, currentY + 40)
+                .text(payer.phone || '', 50, currentY + 52);
+
+            doc.fillColor('#374151')
+                .font('Helvetica-Bold')
+                .fontSize(8)
+                .text('Student ID', 320, currentY + 26)
+                .text('Programme', 320, currentY + 44);
+            doc.fillColor('#111827')
+                .font('Helvetica')
+                .fontSize(9)
+                .text(payer.studentId || 'N/A', 390, currentY + 26)
+                .text(payer.course || 'N/A', 390, currentY + 44, { width: pageWidth - 440 });
+
+            // LINE ITEMS
+            currentY = 210;
+            doc.rect(40, currentY, pageWidth - 80, 18).fill('#1e3a8a');
+            doc.fillColor('white')
+                .font('Helvetica-Bold')
+                .fontSize(9)
+                .text('Description', 50, currentY + 5)
+                .text('SAC', 330, currentY + 5)
+                .text('Taxable Value', pageWidth - 160, currentY + 5, { width: 110, align: 'right' });
+
+            currentY += 18;
+            (data.lines || []).forEach((line, index) => {
+                doc.rect(40, currentY, pageWidth - 80, 20)
+                    .fill(index % 2 === 0 ? '#ffffff' : '#f9fafb');
+                doc.fillColor('#111827')
+                    .font('Helvetica')
+                    .fontSize(9)
+                    .text(line.description, 50, currentY + 6, { width: 270 })
+                    .text(line.sac || '', 330, currentY + 6)
+                    .text(formatCurrencyExact(line.amount), pageWidth - 160, currentY + 6, { width: 110, align: 'right' });
+                currentY += 20;
+            });
+
+            // TAX BREAKDOWN
+            currentY += 10;
+            const rows = [['Taxable Value', data.taxableValue]];
+            if (data.igst > 0) {
+                rows.push([`IGST @ ${data.gstRate}%`, data.igst]);
+            } else if (data.gstRate > 0) {
+                rows.push([`CGST @ ${data.gstRate / 2}%`, data.cgst]);
+                rows.push([`SGST @ ${data.gstRate / 2}%`, data.sgst]);
+            }
+
+            rows.forEach(([label, value]) => {
+                doc.fillColor('#374151')
+                    .font('Helvetica')
+                    .fontSize(9)
+                    .text(label, pageWidth - 300, currentY, { width: 140 })
+                    .text(formatCurrencyExact(value), pageWidth - 160, currentY, { width: 110, align: 'right' });
+                currentY += 16;
+            });
+
+            doc.moveTo(pageWidth - 300, currentY).lineTo(pageWidth - 50, currentY).stroke('#d1d5db');
+            currentY += 6;
+            doc.fillColor('#111827')
+                .font('Helvetica-Bold')
+                .fontSize(11)
+                .text(isReceipt ? 'Amount Received' : 'Total Payable', pageWidth - 300, currentY, { width: 140 })
+                .text(formatCurrencyExact(data.total), pageWidth - 160, currentY, { width: 110, align: 'right' });
+
+            currentY += 24;
+            doc.roundedRect(40, currentY, pageWidth - 80, 24, 4).fill('#f0f9ff');
+            doc.fillColor('#0c4a6e')
+                .font('Helvetica-Bold')
+                .fontSize(9)
+                .text(`In words: ${data.amountInWords}`, 50, currentY + 8, { width: pageWidth - 100 });
+
+            // PAYMENT DETAILS (receipts)
+            currentY += 40;
+            if (isReceipt) {
+                doc.fillColor('#111827')
+                    .font('Helvetica-Bold')
+                    .fontSize(11)
+                    .text('PAYMENT DETAILS', 40, currentY);
+
+                currentY += 18;
+                const details = [
+                    ['Payment Mode', data.paymentMode || 'N/A'],
+                    ['Reference', data.reference || 'N/A'],
+                    ['Payment Date', data.paymentDate ? new Date(data.paymentDate).toLocaleDateString('en-IN') : 'N/A']
+                ];
+                if (data.balanceAfter !== undefined && data.balanceAfter !== null) {
+                    details.push(['Balance Outstanding', formatCurrencyExact(data.balanceAfter)]);
+                }
+
+                details.forEach(([label, value]) => {
+                    doc.fillColor('#374151')
+                        .font('Helvetica-Bold')
+                        .fontSize(8)
+                        .text(label, 50, currentY);
+                    doc.fillColor('#111827')
+                        .font('Helvetica')
+                        .fontSize(9)
+                        .text(value, 170, currentY);
+                    currentY += 14;
+                });
+            } else {
+                doc.fillColor('#7f1d1d')
+                    .font('Helvetica')
+                    .fontSize(8)
+                    .text('This is a proforma invoice and not a demand for tax. A tax receipt is issued on payment.', 40, currentY, { width: pageWidth - 80 });
+            }
+
+            // FOOTER
+            const footerY = doc.page.height - 45;
+            doc.moveTo(40, footerY - 10)
+                .lineTo(pageWidth - 40, footerY - 10)
+                .stroke('#d1d5db');
+
+            doc.fillColor('#6b7280')
+                .font('Helvetica')
+                .fontSize(7)
+                .text(`${company.name || 'JV Overseas'} | ${company.email || ''} | ${company.phone || ''} | Computer-generated document, no signature required.`, 40, footerY, { align: 'center', width: pageWidth - 80 });
+
+            doc.end();
+
+        } catch (err) {
+            logger.error(`Error generating ${data.docType} PDF: ${err.message}`);
+            reject(err);
+        }
+    });
+};
+
+/**
+ * Loan repayment schedule (output of loanCalculator.service calculate()).
+ * @param {object} data
+ * @param {object} data.result - calculator result { inputs, emi, totals..., schedule }
+ * @param {object} [data.student] - { name, studentId }
+ * @param {string} [data.lender]
+ * @param {string} [data.companyName]
+ */
+const generateRepaymentSchedulePDF = (data) => {
+    return new Promise((resolve, reject) => {
+        try {
+            const { result } = data;
+            const inputs = result.inputs;
+            const student = data.student || {};
+
+            const doc = new PDFDocument({
+                size: 'A4',
+                margin: 30,
+                info: {
+                    Title: `Loan Repayment Schedule${student.name ? ` - ${student.name}` : ''}`,
+                    Author: 'JV Overseas CRM',
+                    Subject: 'Education Loan Repayment Schedule',
+                    CreationDate: new Date()
+                }
+            });
+
+            let buffers = [];
+            doc.on('data', buffers.push.bind(buffers));
+            doc.on('end', () => resolve(Buffer.concat(buffers)));
+
+            const pageWidth = doc.page.width;
+            const bottomLimit = doc.page.height - 50;
+
+            // HEADER SECTION
+            doc.rect(0, 0, pageWidth, 60).fill('#1e3a8a');
+            doc.fillColor('white')
+                .font('Helvetica-Bold')
+                .fontSize(15)
+                .text('EDUCATION LOAN REPAYMENT SCHEDULE', 30, 18)
+                .font('Helvetica')
+                .fontSize(8)
+                .text(`${data.companyName || 'JV Overseas'} | Generated ${new Date().toLocaleDateString('en-IN')}`, 30, 38);
+
+            // SUMMARY
+            let currentY = 75;
+            doc.fillColor('#111827')
+                .font('Helvetica-Bold')
+                .fontSize(10)
+                .text(student.name ? `Student: ${student.name}${student.studentId ? ` (${student.studentId})` : ''}` : 'Loan estimate', 30, currentY);
+            if (data.lender) {
+                doc.font('Helvetica').fontSize(9).text(`Lender: ${data.lender}`, pageWidth - 230, currentY, { width: 200, align: 'right' });
+            }
+
+            currentY += 20;
+            const moratoriumLabel = inputs.moratoriumMonths > 0
+                ? `${inputs.moratoriumMonths} months (course ${inputs.courseMonths} + grace ${inputs.graceMonths}), interest ${inputs.moratoriumInterest === 'SERVICE' ? 'paid monthly' : 'added to principal'}`
+                : 'None';
+
+            const summary = [
+                ['Loan Amount', formatCurrencyExact(result.principal)],
+                ['Interest Rate', `${inputs.annualRate}% p.a.`],
+                ['Moratorium', moratoriumLabel],
+                ['Repayment Tenure', `${inputs.tenureMonths} months`],
+                ['Principal at Repayment Start', formatCurrencyExact(result.principalAtRepayment)],
+                ['Monthly EMI', formatCurrencyExact(result.emi)],
+                ['First / Last EMI', `${new Date(result.firstEmiDate).toLocaleDateString('en-IN')} / ${new Date(result.lastEmiDate).toLocaleDateString('en-IN')}`],
+                ['Interest during Moratorium', formatCurrencyExact(result.moratoriumInterest)],
+                ['Total Interest', formatCurrencyExact(result.totalInterest)],
+                ['Total Payable', formatCurrencyExact(result.totalPayable)]
+            ];
+
+            doc.roundedRect(30, currentY, pageWidth - 60, 16 + Math.ceil(summary.length / 2) * 16, 5)
+                .fill('#f8fafc')
+                .stroke('#e5e7eb');
+
+            summary.forEach(([label, value], index) => {
+                const x = index % 2 === 0 ? 40 : pageWidth / 2 + 5;
+                const y = currentY + 8 + Math.floor(index / 2) * 16;
+                doc.fillColor('#374151').font('Helvetica-Bold').fontSize(8).text(label, x, y, { width: 120 });
+                doc.fillColor('#111827').font('Helvetica').fontSize(8).text(value, x + 125, y, { width: pageWidth / 2 - 165 });
+            });
+
+            currentY += 30 + Math.ceil(summary.length / 2) * 16;
+
+            // SCHEDULE TABLE
+            const columns = [
+                ['#', 30, 25, 'left'],
+                ['Date', 55, 60, 'left'],
+                ['Phase', 115, 60, 'left'],
+                ['Disbursed', 175, 65, 'right'],
+                ['Opening', 240, 70, 'right'],
+                ['Interest', 310, 60, 'right'],
+                ['Payment', 370, 65, 'right'],
+                ['Principal', 435, 65, 'right'],
+                ['Closing', 500, 65, 'right']
+            ];
+
+            const drawHeader = () => {
+                doc.rect(30, currentY, pageWidth - 60, 16).fill('#1e3a8a');
+                doc.fillColor('white').font('Helvetica-Bold').fontSize(7);
+                columns.forEach(([label, x, width, align]) => doc.text(label, x + 2, currentY + 5, { width: width - 4, align }));
+                currentY += 16;
+            };
+
+            const amount = (value) => (value ? Number(value).toLocaleString('en-IN', { maximumFractionDigits: 0 }) : '-');
+
+            drawHeader();
+            result.schedule.forEach((row, index) => {
+                if (currentY + 13 > bottomLimit) {
+                    doc.addPage();
+                    currentY = 30;
+                    drawHeader();
+                }
+
+                doc.rect(30, currentY, pageWidth - 60, 13)
+                    .fill(row.phase === 'MORATORIUM' ? '#fffbeb' : (index % 2 === 0 ? '#ffffff' : '#f9fafb'));
+
+                const cells = [
+                    String(row.month),
+                    new Date(row.date).toLocaleDateString('en-IN', { month: 'short', year: 'numeric' }),
+                    row.phase === 'MORATORIUM' ? 'Moratorium' : `EMI ${row.installment}`,
+                    amount(row.disbursed),
+                    amount(row.opening),
+                    amount(row.interest),
+                    amount(row.payment),
+                    amount(row.principalPaid),
+                    amount(row.closing)
+                ];
+
+                doc.fillColor('#111827').font('Helvetica').fontSize(7);
+                columns.forEach(([, x, width, align], i) => doc.text(cells[i], x + 2, currentY + 3, { width: width - 4, align }));
+                currentY += 13;
+            });
+
+            // FOOTER NOTE
+            if (currentY + 30 > bottomLimit) {
+                doc.addPage();
+                currentY = 30;
+            }
+            doc.fillColor('#6b7280')
+                .font('Helvetica')
+                .fontSize(7)
+                .text('Amounts in Rs. Indicative schedule: simple interest during the moratorium, reducing-balance EMI thereafter. The lender\'s sanction letter is final.', 30, currentY + 10, { width: pageWidth - 60 });
+
+            doc.end();
+
+        } catch (err) {
+            logger.error(`Error generating repayment schedule PDF: ${err.message}`);
+            reject(err);
+        }
+    });
+};
+
+/**
+ * Cover sheet for a lender handoff package.
+ * @param {object} data
+ * @param {string} data.packageId
+ * @param {Date|string} data.generatedAt
+ * @param {string} [data.companyName]
+ * @param {object} data.student - { name, studentId, email, phone, course, country }
+ * @param {object} data.loan - { lender, amount, sanctionedAmount, loanType, status, interestRate, tenureMonths }
+ * @param {object} data.coApplicant - { name, relationship, type, phone, email }
+ * @param {object} data.collateral - { securityType, details }
+ * @param {Array<{fileName:string, label:string, category:string}>} data.documents
+ * @param {object} [data.override] - { reason, missing[] } when the checklist was overridden
+ */
+const generateHandoffCoverSheetPDF = (data) => {
+    return new Promise((resolve, reject) => {
+        try {
+            const doc = new PDFDocument({
+                size: 'A4',
+                margin: 40,
+                info: {
+                    Title: `Loan Handoff - ${data.student.name || ''}`,
+                    Author: 'JV Overseas CRM',
+                    Subject: 'Lender Handoff Cover Sheet',
+                    CreationDate: new Date()
+                }
+            });
+
+            let buffers = [];
+            doc.on('data', buffers.push.bind(buffers));
+            doc.on('end', () => resolve(Buffer.concat(buffers)));
+
+            const pageWidth = doc.page.width;
+            const bottomLimit = doc.page.height - 60;
+
+            // HEADER SECTION
+            doc.rect(0, 0, pageWidth, 70).fill('#1e3a8a');
+            doc.fillColor('white')
+                .font('Helvetica-Bold')
+                .fontSize(16)
+                .text('EDUCATION LOAN FILE - COVER SHEET', 40, 20)
+                .font('Helvetica')
+                .fontSize(8)
+                .text(`${data.companyName || 'JV Overseas'} | Package ${data.packageId} | ${new Date(data.generatedAt).toLocaleString('en-IN')}`, 40, 42);
+
+            let currentY = 90;
+
+            const section = (title, rows) => {
+                doc.fillColor('#1e3a8a').font('Helvetica-Bold').fontSize(11).text(title, 40, currentY);
+                currentY += 16;
+                const height = rows.length * 15 + 10;
+                doc.roundedRect(40, currentY, pageWidth - 80, height, 4).fill('#f8fafc').stroke('#e5e7eb');
+                rows.forEach(([label, value], index) => {
+                    const y = currentY + 6 + index * 15;
+                    doc.fillColor('#374151').font('Helvetica-Bold').fontSize(8).text(label, 50, y, { width: 150 });
+                    doc.fillColor('#111827').font('Helvetica').fontSize(9).text(value === undefined || value === null || value === '' ? 'N/A' : String(value), 200, y, { width: pageWidth - 250 });
+                });
+                currentY += height + 14;
+            };
+
+            const { student, loan, coApplicant, collateral } = data;
+
+            section('STUDENT', [
+                ['Name', student.name],
+                ['Student ID', student.studentId],
+                ['Email / Phone', [student.email, student.phone].filter(Boolean).join(' / ')],
+                ['Programme', student.course],
+                ['Destination Country', student.country]
+            ]);
+
+            section('LOAN', [
+                ['Lender', loan.lender],
+                ['Loan Type', loan.loanType],
+                ['Amount Requested', loan.amount ? formatCurrencyINR(loan.amount) : null],
+                ['Sanctioned Amount', loan.sanctionedAmount ? formatCurrencyINR(loan.sanctionedAmount) : null],
+                ['Rate / Tenure', loan.interestRate ? `${loan.interestRate}% p.a. / ${loan.tenureMonths || '-'} months` : null],
+                ['Application Status', loan.status]
+            ]);
+
+            section('CO-APPLICANT', [
+                ['Name', coApplicant.name],
+                ['Relationship', coApplicant.relationship],
+                ['Employment Type', coApplicant.type],
+                ['Email / Phone', [coApplicant.email, coApplicant.phone].filter(Boolean).join(' / ')]
+            ]);
+
+            section('COLLATERAL', [
+                ['Security', collateral.securityType],
+                ['Details', collateral.details]
+            ]);
+
+            if (data.override) {
+                doc.roundedRect(40, currentY, pageWidth - 80, 36, 4).fill('#fef2f2');
+                doc.fillColor('#991b1b')
+                    .font('Helvetica-Bold')
+                    .fontSize(9)
+                    .text('Transferred with an incomplete document checklist (admin override)', 50, currentY + 6)
+                    .font('Helvetica')
+                    .fontSize(8)
+                    .text(`Reason: ${data.override.reason}. Outstanding: ${(data.override.missing || []).join(', ') || 'N/A'}`, 50, currentY + 19, { width: pageWidth - 100 });
+                currentY += 50;
+            }
+
+            // DOCUMENT INDEX
+            doc.fillColor('#1e3a8a').font('Helvetica-Bold').fontSize(11).text(`ENCLOSED DOCUMENTS (${data.documents.length})`, 40, currentY);
+            currentY += 16;
+
+            data.documents.forEach((item, index) => {
+                if (currentY + 14 > bottomLimit) {
+                    doc.addPage();
+                    currentY = 40;
+                }
+                doc.rect(40, currentY, pageWidth - 80, 14).fill(index % 2 === 0 ? '#ffffff' : '#f9fafb');
+                doc.fillColor('#111827')
+                    .font('Helvetica')
+                    .fontSize(8)
+                    .text(String(index + 1), 45, currentY + 3, { width: 20 })
+                    .text(item.label, 65, currentY + 3, { width: 220 })
+                    .fillColor('#6b7280')
+                    .text(item.fileName, 290, currentY + 3, { width: pageWidth - 335 });
+                currentY += 14;
+            });
+
+            doc.fillColor('#6b7280')
+                .font('Helvetica')
+                .fontSize(7)
+                .text('All enclosed documents were verified by the counselling / field team. See manifest.json or manifest.csv for checksums.', 40, doc.page.height - 55, { width: pageWidth - 80, align: 'center' });
+
+            doc.end();
+
+        } catch (err) {
+            logger.error(`Error generating handoff cover sheet PDF: ${err.message}`);
+            reject(err);
+        }
+    });
+};
+
+/**
+ * Program shortlist shared with the student.
+ * @param {object} data
+ * @param {string} [data.companyName]
+ * @param {object} data.student - { name, studentId }
+ * @param {string} [data.counsellorName]
+ * @param {Date|string} [data.savedAt]
+ * @param {Array<[string, string]>} data.profileRows - label / value pairs describing the profile used
+ * @param {Array<object>} data.items - saved shortlist items ({ category, program: {...}, reasons[], missing[], note })
+ */
+const generateShortlistPDF = (data) => {
+    return new Promise((resolve, reject) => {
+        try {
+            const doc = new PDFDocument({
+                size: 'A4',
+                margin: 40,
+                info: {
+                    Title: `University Shortlist - ${data.student.name || ''}`,
+                    Author: 'JV Overseas CRM',
+                    Subject: 'University & Program Shortlist',
+                    CreationDate: new Date()
+                }
+            });
+
+            let buffers = [];
+            doc.on('data', buffers.push.bind(buffers));
+            doc.on('end', () => resolve(Buffer.concat(buffers)));
+
+            const pageWidth = doc.page.width;
+            const bottomLimit = doc.page.height - 60;
+            const ensureSpace = (height) => {
+                if (currentY + height > bottomLimit) {
+                    doc.addPage();
+                    currentY = 40;
+                }
+            };
+
+            // HEADER SECTION
+            doc.rect(0, 0, pageWidth, 70).fill('#1e3a8a');
+            doc.fillColor('white')
+                .font('Helvetica-Bold')
+                .fontSize(16)
+                .text('YOUR UNIVERSITY SHORTLIST', 40, 20)
+                .font('Helvetica')
+                .fontSize(8)
+                .text(`${data.companyName || 'JV Overseas'} | Prepared ${new Date(data.savedAt || Date.now()).toLocaleDateString('en-IN')}${data.counsellorName ? ` by ${data.counsellorName}` : ''}`, 40, 42);
+
+            let currentY = 90;
+            doc.fillColor('#111827')
+                .font('Helvetica-Bold')
+                .fontSize(11)
+                .text(`${data.student.name || 'Student'}${data.student.studentId ? ` (${data.student.studentId})` : ''}`, 40, currentY);
+            currentY += 20;
+
+            // PROFILE
+            if (data.profileRows.length > 0) {
+                const height = Math.ceil(data.profileRows.length / 2) * 15 + 10;
+                doc.roundedRect(40, currentY, pageWidth - 80, height, 4).fill('#f8fafc').stroke('#e5e7eb');
+                data.profileRows.forEach(([label, value], index) => {
+                    const x = index % 2 === 0 ? 50 : pageWidth / 2 + 5;
+                    const y = currentY + 6 + Math.floor(index / 2) * 15;
+                    doc.fillColor('#374151').font('Helvetica-Bold').fontSize(8).text(label, x, y, { width: 90 });
+                    doc.fillColor('#111827').font('Helvetica').fontSize(8).text(value, x + 90, y, { width: pageWidth / 2 - 145 });
+                });
+                currentY += height + 16;
+            }
+
+            const groups = [
+                ['AMBITIOUS', 'Ambitious', 'Reach choices: competitive for your current profile', '#b45309'],
+                ['MODERATE', 'Moderate', 'Good fit: you meet or are close to the requirements', '#1d4ed8'],
+                ['SAFE', 'Safe', 'Strong fit: comfortably above the requirements', '#15803d']
+            ];
+
+            groups.forEach(([category, title, subtitle, color]) => {
+                const items = data.items.filter(i => i.category === category);
+                if (items.length === 0) return;
+
+                ensureSpace(60);
+                doc.fillColor(color).font('Helvetica-Bold').fontSize(12).text(`${title} (${items.length})`, 40, currentY);
+                doc.fillColor('#6b7280').font('Helvetica').fontSize(8).text(subtitle, 40, currentY + 15);
+                currentY += 30;
+
+                items.forEach((item) => {
+                    const program = item.program || {};
+                    const facts = [
+                        program.country,
+                        program.level,
+                        program.intakes ? `Intakes: ${program.intakes}` : null,
+                        program.tuitionFee ? `Tuition: ${program.tuitionCurrency || ''} ${Number(program.tuitionFee).toLocaleString('en-IN')} / year` : null,
+                        program.worldRanking ? `World rank #${program.worldRanking}` : null
+                    ].filter(Boolean).join('  |  ');
+                    const notes = [...(item.reasons || []), ...(item.missing || []).map(m => `Still needed: ${m}`)];
+                    if (item.note) notes.push(`Counsellor note: ${item.note}`);
+                    const deadlines = (program.applicationDeadlines || []).map(d => `${d.intake}: ${new Date(d.deadline).toLocaleDateString('en-IN')}`).join(', ');
+                    if (deadlines) notes.push(`Application deadlines: ${deadlines}`);
+
+                    const blockHeight = 34 + notes.length * 11;
+                    ensureSpace(blockHeight + 6);
+
+                    doc.rect(40, currentY, 3, blockHeight).fill(color);
+                    doc.fillColor('#111827').font('Helvetica-Bold').fontSize(10).text(program.name || 'Program', 50, currentY, { width: pageWidth - 100 });
+                    doc.fillColor('#374151').font('Helvetica').fontSize(9).text(program.university || '', 50, currentY + 13, { width: pageWidth - 100 });
+                    doc.fillColor('#6b7280').fontSize(7.5).text(facts, 50, currentY + 24, { width: pageWidth - 100 });
+                    notes.forEach((note, index) => {
+                        doc.fillColor('#111827').fontSize(7.5).text(`- ${note}`, 56, currentY + 35 + index * 11, { width: pageWidth - 110 });
+                    });
+                    currentY += blockHeight + 8;
+                });
+
+                currentY += 6;
+            });
+
+            doc.fillColor('#6b7280')
+                .font('Helvetica')
+                .fontSize(7)
+                .text('Categories are indicative and based on published entry requirements. Final admission decisions rest with each university.', 40, doc.page.height - 55, { width: pageWidth - 80, align: 'center' });
+
+            doc.end();
+
+        } catch (err) {
+            logger.error(`Error generating shortlist PDF: ${err.message}`);
+            reject(err);
+        }
+    });
+};
+
+/**
+ * Index page(s) at the front of a merged document dossier.
+ * @param {object} data
+ * @param {string} data.dossierId
+ * @param {Date|string} data.generatedAt
+ * @param {string} [data.companyName]
+ * @param {object} data.student - { name, studentId, course, country }
+ * @param {Array<object>} data.sections - { title, documents: [{ label, fileName, version, verifiedAt, startPage, endPage }] }
+ * @param {Array<object>} data.skipped - documents left out ({ label, fileName, reason })
+ */
+const generateDossierIndexPDF = (data) => {
+    return new Promise((resolve, reject) => {
+        try {
+            const doc = new PDFDocument({
+                size: 'A4',
+                margin: 40,
+                info: {
+                    Title: `Document Dossier - ${data.student.name || ''}`,
+                    Author: 'JV Overseas CRM',
+                    Subject: 'Document Dossier Index',
+                    CreationDate: new Date()
+                }
+            });
+
+            let buffers = [];
+            doc.on('data', buffers.push.bind(buffers));
+            doc.on('end', () => resolve(Buffer.concat(buffers)));
+
+            const pageWidth = doc.page.width;
+            const bottomLimit = doc.page.height - 60;
+            const ensureSpace = (height) => {
+                if (currentY + height > bottomLimit) {
+                    doc.addPage();
+                    currentY = 40;
+                }
+            };
+
+            // HEADER SECTION
+            doc.rect(0, 0, pageWidth, 70).fill('#1e3a8a');
+            doc.fillColor('white')
+                .font('Helvetica-Bold')
+                .fontSize(16)
+                .text('DOCUMENT DOSSIER', 40, 20)
+                .font('Helvetica')
+                .fontSize(8)
+                .text(`${data.companyName || 'JV Overseas'} | Dossier ${data.dossierId} | ${new Date(data.generatedAt).toLocaleString('en-IN')}`, 40, 42);
+
+            let currentY = 90;
+            const { student } = data;
+            doc.fillColor('#111827')
+                .font('Helvetica-Bold')
+                .fontSize(11)
+                .text(`${student.name || 'Student'}${student.studentId ? ` (${student.studentId})` : ''}`, 40, currentY);
+            doc.fillColor('#6b7280')
+                .font('Helvetica')
+                .fontSize(8)
+                .text([student.course, student.country].filter(Boolean).join(' | ') || ' ', 40, currentY + 15);
+            currentY += 36;
+
+            // INDEX
+            data.sections.forEach((section) => {
+                ensureSpace(40);
+                doc.fillColor('#1e3a8a').font('Helvetica-Bold').fontSize(11).text(section.title.toUpperCase(), 40, currentY);
+                currentY += 16;
+
+                section.documents.forEach((item, index) => {
+                    ensureSpace(26);
+                    const pages = item.startPage === item.endPage ? `p. ${item.startPage}` : `pp. ${item.startPage}-${item.endPage}`;
+                    doc.rect(40, currentY, pageWidth - 80, 24).fill(index % 2 === 0 ? '#f8fafc' : '#ffffff');
+                    doc.fillColor('#111827')
+                        .font('Helvetica-Bold')
+                        .fontSize(9)
+                        .text(item.label, 48, currentY + 3, { width: pageWidth - 180 })
+                        .font('Helvetica')
+                        .text(pages, pageWidth - 130, currentY + 3, { width: 82, align: 'right' });
+                    doc.fillColor('#6b7280')
+                        .fontSize(7)
+                        .text(`${item.fileName} | v${item.version || 1}${item.verifiedAt ? ` | verified ${new Date(item.verifiedAt).toLocaleDateString('en-IN')}` : ''}`, 48, currentY + 14, { width: pageWidth - 180 });
+                    currentY += 24;
+                });
+
+                currentY += 10;
+            });
+
+            if (data.skipped.length > 0) {
+                ensureSpace(30 + data.skipped.length * 12);
+                doc.fillColor('#991b1b').font('Helvetica-Bold').fontSize(10).text(`NOT INCLUDED (${data.skipped.length})`, 40, currentY);
+                currentY += 14;
+                data.skipped.forEach((item) => {
+                    ensureSpace(12);
+                    doc.fillColor('#374151')
+                        .font('Helvetica')
+                        .fontSize(8)
+                        .text(`- ${item.label} (${item.fileName}): ${item.reason}`, 48, currentY, { width: pageWidth - 96 });
+                    currentY += 12;
+                });
+            }
+
+            doc.fillColor('#6b7280')
+                .font('Helvetica')
+                .fontSize(7)
+                .text('Every enclosed document was verified by the counselling / admission team. Page numbers refer to this file.', 40, doc.page.height - 55, { width: pageWidth - 80, align: 'center' });
+
+            doc.end();
+
+        } catch (err) {
+            logger.error(`Error generating dossier index PDF: ${err.message}`);
+            reject(err);
+        }
+    });
+};
+
+const generateReceiptPDF = (data) => generatePaymentDocumentPDF({ ...data, docType: 'RECEIPT' });
+const generateProformaInvoicePDF = (data) => generatePaymentDocumentPDF({ ...data, docType: 'PROFORMA' });
+
 module.exports = {
     generateRegistrationPDF,
+    generateReceiptPDF,
+    generateProformaInvoicePDF,
+    generateRepaymentSchedulePDF,
+    generateHandoffCoverSheetPDF,
+    generateDossierIndexPDF,
+    generateShortlistPDF,
     formatCurrencyINR
 };
\ No newline at end of file
@@ -0,0 +1,369 @@
+const supabase = require('../config/supabaseClient');
+const catalogService = require('./catalog.service');
+const { toNumber, toScale, findValue } = require('../utils/formValues');
+
+const CATEGORIES = ['AMBITIOUS', 'MODERATE', 'SAFE'];
+
+// One "step" of comfortable margin above a minimum, per requirement.
+// Margins are measured in steps: < 0 below the minimum, >= 1 comfortably above it.
+const STEPS = {
+    academic: 5,   // percentage points
+    ielts: 0.5,
+    toefl: 8,
+    pte: 7,
+    gre: 8,
+    gmat: 40
+};
+
+const TEST_LABELS = { ielts: 'IELTS', toefl: 'TOEFL', pte: 'PTE', gre: 'GRE', gmat: 'GMAT' };
+const ENGLISH_TESTS = ['ielts', 'toefl', 'pte'];
+
+// More than this many steps below a minimum -> not eligible (left out of the shortlist)
+const EXCLUDE_BELOW = -1;
+// Universities ranked at or above this are treated one tier more ambitious
+const SELECTIVE_RANKING = 100;
+
+const LEVEL_ALIASES = {
+    UG: ['ug', 'undergraduate', 'bachelor', 'bachelors', "bachelor's", 'degree', 'btech', 'b.tech', 'bsc', 'bba'],
+    PG: ['pg', 'postgraduate', 'master', 'masters', "master's", 'ms', 'msc', 'mba', 'mtech', 'm.tech', 'ma'],
+    PHD: ['phd', 'ph.d', 'doctorate', 'doctoral'],
+    DIPLOMA: ['diploma', 'pg diploma', 'postgraduate diploma'],
+    FOUNDATION: ['foundation', 'pathway'],
+    CERTIFICATE: ['certificate']
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const normalizeLevel = (value) => {
+    if (!value) return null;
+    const text = String(value).trim().toLowerCase();
+    if (catalogService.PROGRAM_LEVELS.includes(text.toUpperCase())) return text.toUpperCase();
+    return Object.keys(LEVEL_ALIASES).find(level => LEVEL_ALIASES[level].some(alias => text === alias || text.startsWith(`${alias} `))) || null;
+};
+
+const normalizeMonth = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const n = parseInt(value, 10);
+    if (n >= 1 && n <= 12) return n;
+    const index = MONTHS.indexOf(String(value).trim().slice(0, 3).toLowerCase());
+    return index >= 0 ? index + 1 : null;
+};
+
+const clamp = (n, min, max) => Math.min(max, Math.max(min, n));
+
+/**
+ * Profile-to-Program Matching
+ * Scores a student profile (academics, test scores, destination preferences)
+ * against catalog program entry requirements and buckets the programs into
+ * Ambitious / Moderate / Safe, each with human-readable reasons.
+ */
+class ProgramMatchingService {
+    /**
+     * Build a normalized profile from eligibility-form style sections.
+     * Later sources win; explicit `overrides` (already normalized keys) win over all.
+     * @param {Array<{academics?, testScores?, courseDetails?}>} sources
+     * @param {object} [overrides]
+     */
+    buildProfile(sources = [], overrides = {}) {
+        const profile = {
+            percentage: null, gpa: null, gpaScale: null,
+            ielts: null, toefl: null, pte: null, gre: null, gmat: null,
+            level: null, countries: [], countryIds: [], discipline: null, intakeMonth: null,
+            budget: null, budgetCurrency: null
+        };
+
+        for (const source of sources.filter(Boolean)) {
+            const academics = source.academics || {};
+            const tests = source.testScores || {};
+            const course = source.courseDetails || {};
+
+            const percentage = toNumber(findValue(academics, ['percentage', 'highestPercentage', 'graduationPercentage', 'ugPercentage', 'marks']));
+            if (percentage !== null && percentage <= 100) profile.percentage = percentage;
+
+            const gpaValue = findValue(academics, ['cgpa', 'gpa', 'CGPA', 'GPA']);
+            const gpa = toNumber(gpaValue);
+            if (gpa !== null) {
+                profile.gpa = gpa;
+                profile.gpaScale = toNumber(findValue(academics, ['gpaScale', 'cgpaScale', 'scale', 'outOf']))
+                    || toScale(gpaValue)
+                    || (gpa <= 4 ? 4 : 10);
+            }
+
+            for (const test of Object.keys(TEST_LABELS)) {
+                const score = toNumber(findValue(tests, [test, test.toUpperCase(), `${test}Score`]));
+                if (score !== null) profile[test] = score;
+            }
+
+            const level = normalizeLevel(findValue(course, ['level', 'courseLevel', 'degreeLevel', 'degree', 'studyLevel']));
+            if (level) profile.level = level;
+
+            const countries = findValue(course, ['countries', 'preferredCountries', 'preferredCountry', 'country']);
+            if (countries) profile.countries = (Array.isArray(countries) ? countries : String(countries).split(',')).map(c => String(c).trim()).filter(Boolean);
+            const countryId = findValue(course, ['countryId']);
+            if (countryId) profile.countryIds = [countryId];
+
+            const discipline = findValue(course, ['discipline', 'fieldOfStudy', 'specialization', 'course', 'courseName']);
+            if (discipline) profile.discipline = String(discipline).trim();
+
+            const intakeMonth = normalizeMonth(findValue(course, ['intakeMonth', 'intake']));
+            if (intakeMonth) profile.intakeMonth = intakeMonth;
+
+            const budget = toNumber(findValue(course, ['tuitionBudget', 'budget', 'annualBudget']));
+            if (budget !== null) {
+                profile.budget = budget;
+                profile.budgetCurrency = String(findValue(course, ['budgetCurrency', 'currency']) || 'INR').toUpperCase();
+            }
+        }
+
+        for (const [key, value] of Object.entries(overrides || {})) {
+            if (value === undefined || !(key in profile)) continue;
+            if (key === 'level') profile.level = normalizeLevel(value);
+            else if (key === 'intakeMonth') profile.intakeMonth = normalizeMonth(value);
+            else if (key === 'countries' || key === 'countryIds') profile[key] = Array.isArray(value) ? value : [value].filter(Boolean);
+            else if (['discipline', 'budgetCurrency'].includes(key)) profile[key] = value ? String(value) : null;
+            else profile[key] = toNumber(value);
+        }
+
+        return profile;
+    }
+
+    /** Academic score as a percentage, or null if unknown. */
+    academicPercent(profile) {
+        if (profile.percentage !== null) return profile.percentage;
+        if (profile.gpa !== null && profile.gpaScale) return (profile.gpa / profile.gpaScale) * 100;
+        return null;
+    }
+
+    /**
+     * Score one program against a profile.
+     * @returns {{category:string|null, eligible:boolean, score:number, margin:number|null, reasons:string[], missing:string[], overBudget:boolean}}
+     */
+    evaluate(profile, program) {
+        const reasons = [];
+        const missing = [];
+        const margins = [];
+
+        // Academics
+        if (program.min_gpa !== null && program.min_gpa !== undefined) {
+            const requiredPct = (program.min_gpa / (program.gpa_scale || 10)) * 100;
+            const studentPct = this.academicPercent(profile);
+            if (studentPct === null) {
+                missing.push(`Academic score (minimum ${program.min_gpa}/${program.gpa_scale || 10})`);
+            } else {
+                const margin = (studentPct - requiredPct) / STEPS.academic;
+                margins.push(margin);
+                reasons.push(`Academics ${Math.round(studentPct)}% vs required ${Math.round(requiredPct)}% (${program.min_gpa}/${program.gpa_scale || 10})`);
+            }
+        }
+
+        // English: the best of the tests the program accepts
+        const acceptedEnglish = ENGLISH_TESTS.filter(t => program[`min_${t}`] !== null && program[`min_${t}`] !== undefined);
+        if (acceptedEnglish.length > 0) {
+            const taken = acceptedEnglish.filter(t => profile[t] !== null);
+            if (taken.length === 0) {
+                missing.push(`English test (${acceptedEnglish.map(t => `${TEST_LABELS[t]} ${program[`min_${t}`]}`).join(' / ')})`);
+            } else {
+                const best = taken
+                    .map(t => ({ test: t, margin: (profile[t] - program[`min_${t}`]) / STEPS[t] }))
+                    .sort((a, b) => b.margin - a.margin)[0];
+                margins.push(best.margin);
+                reasons.push(`${TEST_LABELS[best.test]} ${profile[best.test]} vs minimum ${program[`min_${best.test}`]}`);
+            }
+        }
+
+        // Aptitude tests
+        for (const test of ['gre', 'gmat']) {
+            const minimum = program[`min_${test}`];
+            if (minimum === null || minimum === undefined) continue;
+            if (profile[test] === null) {
+                missing.push(`${TEST_LABELS[test]} (minimum ${minimum})`);
+            } else {
+                margins.push((profile[test] - minimum) / STEPS[test]);
+                reasons.push(`${TEST_LABELS[test]} ${profile[test]} vs minimum ${minimum}`);
+            }
+        }
+
+        const margin = margins.length > 0 ? Math.min(...margins) : null;
+
+        if (margin !== null && margin < EXCLUDE_BELOW) {
+            return { category: null, eligible: false, score: 0, margin, reasons, missing, overBudget: false };
+        }
+
+        let tier;
+        if (margin === null) {
+            tier = 1;
+            reasons.push('No entry requirements on file for comparison');
+        } else if (margin < 0) {
+            tier = 0;
+        } else if (margin < 1) {
+            tier = 1;
+        } else {
+            tier = 2;
+        }
+
+        // Can't call a program safe on incomplete information
+        if (missing.length > 0 && tier === 2) {
+            tier = 1;
+            reasons.push('Capped at Moderate until missing scores are provided');
+        }
+
+        const ranking = program.university?.world_ranking;
+        const selective = ranking && ranking <= SELECTIVE_RANKING;
+        if (selective) {
+            if (tier > 0) tier -= 1;
+            reasons.push(`World ranking #${ranking}: highly competitive`);
+        }
+
+        let overBudget = false;
+        if (profile.budget !== null && program.tuition_fee !== null && program.tuition_fee !== undefined) {
+            if ((program.tuition_currency || '').toUpperCase() === profile.budgetCurrency) {
+                overBudget = Number(program.tuition_fee) > profile.budget;
+                reasons.push(overBudget
+                    ? `Tuition ${program.tuition_currency} ${Number(program.tuition_fee).toLocaleString('en-IN')} / year is above the budget`
+                    : `Tuition within budget (${program.tuition_currency} ${Number(program.tuition_fee).toLocaleString('en-IN')} / year)`);
+            }
+        }
+
+        const score = margin === null
+            ? 50
+            : clamp(Math.round(60 + 20 * margin - (missing.length ? 10 : 0) - (selective ? 10 : 0) - (overBudget ? 15 : 0)), 0, 100);
+
+        return { category: CATEGORIES[tier], eligible: true, score, margin, reasons, missing, overBudget };
+    }
+
+    /**
+     * Candidate programs for a profile's destination / level / intake / discipline.
+     */
+    async candidates(profile) {
+        let programs = await catalogService.listPrograms({ level: profile.level || undefined, intakeMonth: profile.intakeMonth || undefined });
+
+        if (profile.countryIds.length > 0 || profile.countries.length > 0) {
+            const names = profile.countries.map(c => c.toLowerCase());
+            programs = programs.filter(p => profile.countryIds.includes(p.university?.country?.id)
+                || names.includes((p.university?.country?.name || '').toLowerCase())
+                || names.includes((p.university?.country?.code || '').toLowerCase()));
+        }
+
+        if (profile.discipline) {
+            const words = profile.discipline.toLowerCase().split(/[^a-z0-9]+/).filter(w => w.length > 2);
+            const related = programs.filter(p => {
+                const text = `${p.name} ${p.discipline || ''}`.toLowerCase();
+                return words.some(w => text.includes(w));
+            });
+            // An unusual discipline string should not empty the shortlist
+            if (related.length > 0) programs = related;
+        }
+
+        return programs;
+    }
+
+    /**
+     * Ranked Ambitious / Moderate / Safe shortlists for a profile.
+     * @param {object} profile - from buildProfile()
+     * @param {object} [options]
+     * @param {number} [options.limit=5] - programs per category
+     */
+    async match(profile, { limit = 5 } = {}) {
+        const programs = await this.candidates(profile);
+        const categories = { AMBITIOUS: [], MODERATE: [], SAFE: [] };
+        const notEligible = [];
+
+        for (const program of programs) {
+            const result = this.evaluate(profile, program);
+            const entry = {
+                programId: program.id,
+                program: program.name,
+                level: program.level,
+                university: program.university?.name,
+                universityId: program.university_id,
+                country: program.university?.country?.name,
+                worldRanking: program.university?.world_ranking || null,
+                intakes: program.intake_label,
+                tuitionFee: program.tuition_fee,
+                tuitionCurrency: program.tuition_currency,
+                applicationDeadlines: program.application_deadlines || [],
+                score: result.score,
+                reasons: result.reasons,
+                missing: result.missing,
+                overBudget: result.overBudget
+            };
+
+            if (result.eligible) categories[result.category].push({ ...entry, category: result.category });
+            else notEligible.push(entry);
+        }
+
+        for (const category of CATEGORIES) {
+            categories[category].sort((a, b) => b.score - a.score || (a.worldRanking || Infinity) - (b.worldRanking || Infinity));
+        }
+
+        return {
+            profile,
+            evaluated: programs.length,
+            counts: Object.fromEntries(CATEGORIES.map(c => [c, categories[c].length])),
+            shortlist: Object.fromEntries(CATEGORIES.map(c => [c, categories[c].slice(0, limit)])),
+            notEligible: notEligible.length
+        };
+    }
+
+    /**
+     * Profile of a lead: latest eligibility submission, then lead details / catalog choice.
+     */
+    async profileForLead(lead, overrides) {
+        const { data: record } = await supabase
+            .from('eligibility_records')
+            .select('academics, test_scores, course_details')
+            .eq('lead_id', lead.id)
+            .order('created_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        const details = lead.details || {};
+        return this.buildProfile([
+            { academics: details.academics, testScores: details.testScores, courseDetails: details.courseDetails },
+            record ? { academics: record.academics, testScores: record.test_scores, courseDetails: record.course_details } : null,
+            {
+                courseDetails: {
+                    countryId: lead.country_id || undefined,
+                    country: lead.country_id ? undefined : lead.preferred_country || undefined
+                }
+            }
+        ], overrides);
+    }
+
+    /**
+     * Profile of a registration: its lead's profile, the registration's own destination,
+     * then the profile saved with the last shortlist (counsellor edits win).
+     */
+    async profileForRegistration(registration, overrides) {
+        let base = this.buildProfile([]);
+        if (registration.lead_id) {
+            const { data: lead } = await supabase
+                .from('leads')
+                .select('id, details, country_id, preferred_country')
+                .eq('id', registration.lead_id)
+                .maybeSingle();
+            if (lead) base = await this.profileForLead(lead);
+        }
+
+        const country = registration.workflow?.preferredCountry;
+        const registrationChoice = {};
+        if (registration.country_id) {
+            registrationChoice.countryIds = [registration.country_id];
+            registrationChoice.countries = [];
+        } else if (country) {
+            registrationChoice.countries = [country];
+        }
+
+        return this.buildProfile([], {
+            ...base,
+            ...registrationChoice,
+            ...(registration.shortlist?.profileOverrides || {}),
+            ...(overrides || {})
+        });
+    }
+}
+
+const programMatchingService = new ProgramMatchingService();
+programMatchingService.CATEGORIES = CATEGORIES;
+
+module.exports = programMatchingService;
@@ -0,0 +1,170 @@
+const logger = require('../utils/logger');
+
+const HEARTBEAT_MS = 25 * 1000; // Below typical proxy idle timeouts (30-60s)
+
+/**
+ * Real-time Hub (Server-Sent Events)
+ * Tracks every open stream per employee so events reach all of a user's
+ * sessions (tabs/devices). Connections are held in memory on this instance.
+ */
+class RealtimeHub {
+    constructor() {
+        this.clients = new Map(); // employeeId -> Set<client>
+        this.sequence = 0;
+        this.heartbeat = null;
+    }
+
+    /**
+     * Attach an SSE response to a user.
+     * @param {object} user - req.user from auth middleware
+     * @param {object} res - Express response (headers are written here)
+     * @returns {object} client handle
+     */
+    addClient(user, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no' // Disable nginx buffering
+        });
+        res.write('retry: 5000\n\n');
+
+        const client = {
+            id: `${user.id}:${Date.now()}:${Math.random().toString(36).slice(2, 8)}`,
+            userId: user.id,
+            departmentId: user.departmentId || null,
+            name: user.name,
+            status: 'online', // online | away (per session)
+            res,
+            connectedAt: new Date().toISOString()
+        };
+
+        if (!this.clients.has(user.id)) this.clients.set(user.id, new Set());
+        this.clients.get(user.id).add(client);
+        this.ensureHeartbeat();
+
+        logger.info(`[REALTIME] ${user.email} connected (${this.clients.get(user.id).size} session(s))`);
+        return client;
+    }
+
+    /**
+     * Detach a client. Returns true when it was the user's last open session.
+     */
+    removeClient(client) {
+        const sessions = this.clients.get(client.userId);
+        if (!sessions) return false;
+
+        sessions.delete(client);
+        if (sessions.size > 0) return false;
+
+        this.clients.delete(client.userId);
+        if (this.clients.size === 0 && this.heartbeat) {
+            clearInterval(this.heartbeat);
+            this.heartbeat = null;
+        }
+        return true;
+    }
+
+    ensureHeartbeat() {
+        if (this.heartbeat) return;
+        this.heartbeat = setInterval(() => {
+            for (const sessions of this.clients.values()) {
+                for (const client of sessions) client.res.write(': ping\n\n');
+            }
+        }, HEARTBEAT_MS);
+        if (this.heartbeat.unref) this.heartbeat.unref();
+    }
+
+    write(client, event, data) {
+        try {
+            this.sequence += 1;
+            client.res.write(`id: ${this.sequence}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        } catch (err) {
+            logger.warn(`[REALTIME] Write failed for ${client.userId}: ${err.message}`);
+        }
+    }
+
+    /**
+     * Send an event to every open session of a user.
+     */
+    emitToUser(userId, event, data) {
+        const sessions = this.clients.get(userId);
+        if (!sessions) return 0;
+        sessions.forEach(client => this.write(client, event, data));
+        return sessions.size;
+    }
+
+    emitToUsers(userIds, event, data) {
+        return [...new Set(userIds)].reduce((sent, id) => sent + this.emitToUser(id, event, data), 0);
+    }
+
+    /**
+     * Send an event to every connected member of a department.
+     */
+    emitToDepartment(departmentId, event, data, { excludeUserId = null } = {}) {
+        let sent = 0;
+        for (const [userId, sessions] of this.clients.entries()) {
+            if (userId === excludeUserId) continue;
+            for (const client of sessions) {
+                if (client.departmentId === departmentId) {
+                    this.write(client, event, data);
+                    sent++;
+                }
+            }
+        }
+        return sent;
+    }
+
+    /**
+     * Send an event to every connected session.
+     */
+    broadcast(event, data, { excludeUserId = null } = {}) {
+        let sent = 0;
+        for (const [userId, sessions] of this.clients.entries()) {
+            if (userId === excludeUserId) continue;
+            sessions.forEach(client => this.write(client, event, data));
+            sent += sessions.size;
+        }
+        return sent;
+    }
+
+    isOnline(userId) {
+        return this.clients.has(userId);
+    }
+
+    onlineUserIds() {
+        return [...this.clients.keys()];
+    }
+
+    /**
+     * Set presence for one session (clientId) or all of a user's sessions.
+     * @returns {string} the user's resulting presence
+     */
+    setStatus(userId, status, clientId = null) {
+        const sessions = this.clients.get(userId);
+        if (!sessions) return 'offline';
+        sessions.forEach(client => {
+            if (!clientId || client.id === clientId) client.status = status;
+        });
+        return this.getPresence(userId);
+    }
+
+    /**
+     * A user is online if any session is active, away if all sessions are idle.
+     * @returns {'online'|'away'|'offline'}
+     */
+    getPresence(userId) {
+        const sessions = this.clients.get(userId);
+        if (!sessions || sessions.size === 0) return 'offline';
+        return [...sessions].some(c => c.status === 'online') ? 'online' : 'away';
+    }
+
+    /**
+     * Presence of every connected user (offline users are omitted).
+     */
+    getPresenceList() {
+        return this.onlineUserIds().map(userId => ({ userId, status: this.getPresence(userId) }));
+    }
+}
+
+module.exports = new RealtimeHub();
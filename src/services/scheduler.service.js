@@ -0,0 +1,200 @@
+const os = require('os');
+const supabase = require('../config/supabaseClient');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const cron = require('../utils/cron');
+
+const TICK_MS = 30 * 1000; // Checked twice a minute so a slow tick never skips a slot
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Persistent Job Scheduler
+ * - Jobs are registered in code (src/jobs) with a cron expression.
+ * - Pause state lives in `scheduled_jobs`, run history in `scheduled_job_runs`.
+ * - Locking: each run claims a row keyed by (job_name, scheduled_for). The unique
+ *   constraint means only one instance (e.g. PM2 cluster) can claim a given slot.
+ */
+class JobScheduler {
+    constructor() {
+        this.jobs = new Map();
+        this.timer = null;
+        this.running = new Set();
+    }
+
+    /**
+     * Register a job. Call before start().
+     * @param {object} job
+     * @param {string} job.name - unique key, e.g. 'attendance-auto-checkout'
+     * @param {string} job.cron - 5-field cron expression evaluated in config.schedulerTimezone
+     * @param {string} job.description
+     * @param {Function} job.handler - async () => result; a returned { error } marks the run FAILED
+     */
+    register({ name, cron: expression, description = '', handler }) {
+        if (!name || typeof handler !== 'function') throw new Error('Job name and handler are required');
+        cron.parseCron(expression); // Fail fast on bad expressions
+        this.jobs.set(name, { name, cron: expression, description, handler });
+    }
+
+    /**
+     * Sync registered jobs into the database and begin ticking.
+     */
+    async start() {
+        if (this.timer) return;
+
+        const rows = [...this.jobs.values()].map(job => ({
+            name: job.name,
+            description: job.description,
+            cron: job.cron,
+            timezone: config.schedulerTimezone
+        }));
+
+        if (rows.length > 0) {
+            // Keep admin-controlled state (is_paused) on existing rows; refresh definition fields
+            const { error } = await supabase
+                .from('scheduled_jobs')
+                .upsert(rows, { onConflict: 'name' });
+
+            if (error) logger.error(`[SCHEDULER] Failed to sync job definitions: ${error.message}`);
+        }
+
+        logger.info(`[SCHEDULER] Started on ${INSTANCE_ID} with ${rows.length} job(s) (tz: ${config.schedulerTimezone})`);
+        this.timer = setInterval(() => this.tick().catch(err => logger.error(`[SCHEDULER] Tick failed: ${err.message}`)), TICK_MS);
+        this.tick().catch(err => logger.error(`[SCHEDULER] Tick failed: ${err.message}`));
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async tick(now = new Date()) {
+        const due = [...this.jobs.values()].filter(job => cron.matches(job.cron, now, config.schedulerTimezone));
+        if (due.length === 0) return;
+
+        const { data: states, error } = await supabase
+            .from('scheduled_jobs')
+            .select('name, is_paused')
+            .in('name', due.map(j => j.name));
+
+        if (error) {
+            logger.error(`[SCHEDULER] Could not read job state: ${error.message}`);
+            return;
+        }
+
+        const paused = new Set((states || []).filter(s => s.is_paused).map(s => s.name));
+        const slot = cron.minuteSlot(now);
+
+        for (const job of due) {
+            if (paused.has(job.name)) continue;
+            await this.execute(job, { scheduledFor: slot, trigger: 'SCHEDULE' });
+        }
+    }
+
+    /**
+     * Claim the run slot and execute the handler, recording status and duration.
+     * @returns {Promise<object|null>} the finished run row, or null if another instance holds the slot
+     */
+    async execute(job, { scheduledFor, trigger, triggeredBy = null }) {
+        const { data: run, error: claimError } = await supabase
+            .from('scheduled_job_runs')
+            .insert([{
+                job_name: job.name,
+                scheduled_for: scheduledFor,
+                trigger,
+                triggered_by: triggeredBy,
+                status: 'RUNNING',
+                instance_id: INSTANCE_ID,
+                started_at: new Date().toISOString()
+            }])
+            .select()
+            .single();
+
+        if (claimError) {
+            // 23505 = unique violation: another instance already claimed this slot
+            if (claimError.code !== '23505') {
+                logger.error(`[SCHEDULER] Could not claim ${job.name}: ${claimError.message}`);
+            }
+            return null;
+        }
+
+        this.running.add(job.name);
+        const startedAt = Date.now();
+        let status = 'SUCCESS';
+        let result = null;
+        let errorMessage = null;
+
+        logger.info(`[SCHEDULER] Running ${job.name} (${trigger})`);
+
+        try {
+            result = await job.handler();
+            if (result && result.error) {
+                status = 'FAILED';
+                errorMessage = result.error;
+            }
+        } catch (err) {
+            status = 'FAILED';
+            errorMessage = err.message;
+        } finally {
+            this.running.delete(job.name);
+        }
+
+        const finishedAt = new Date().toISOString();
+        const durationMs = Date.now() - startedAt;
+
+        const { data: finished, error: updateError } = await supabase
+            .from('scheduled_job_runs')
+            .update({
+                status,
+                finished_at: finishedAt,
+                duration_ms: durationMs,
+                result: result || {},
+                error: errorMessage
+            })
+            .eq('id', run.id)
+            .select()
+            .single();
+
+        if (updateError) logger.error(`[SCHEDULER] Could not record run for ${job.name}: ${updateError.message}`);
+
+        await supabase
+            .from('scheduled_jobs')
+            .update({ last_run_at: finishedAt, last_status: status, last_duration_ms: durationMs })
+            .eq('name', job.name);
+
+        const logFn = status === 'SUCCESS' ? logger.info.bind(logger) : logger.error.bind(logger);
+        logFn(`[SCHEDULER] ${job.name} ${status} in ${durationMs}ms${errorMessage ? `: ${errorMessage}` : ''}`);
+
+        return finished || { ...run, status, duration_ms: durationMs, error: errorMessage };
+    }
+
+    /**
+     * Run a job immediately (admin trigger). Ignores the paused flag.
+     */
+    async trigger(name, employeeId = null) {
+        const job = this.jobs.get(name);
+        if (!job) return null;
+        if (this.running.has(name)) throw new Error(`Job ${name} is already running on this instance`);
+
+        return this.execute(job, { scheduledFor: new Date().toISOString(), trigger: 'MANUAL', triggeredBy: employeeId });
+    }
+
+    getJob(name) {
+        return this.jobs.get(name) || null;
+    }
+
+    /**
+     * Registered jobs with their next scheduled run (for the admin list).
+     */
+    describeJobs() {
+        return [...this.jobs.values()].map(job => ({
+            name: job.name,
+            cron: job.cron,
+            description: job.description,
+            timezone: config.schedulerTimezone,
+            nextRunAt: cron.nextRun(job.cron, config.schedulerTimezone),
+            runningHere: this.running.has(job.name)
+        }));
+    }
+}
+
+module.exports = new JobScheduler();
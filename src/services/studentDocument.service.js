@@ -0,0 +1,392 @@
+const crypto = require('crypto');
+const dayjs = require('dayjs');
+const supabase = require('../config/supabaseClient');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const notificationService = require('./notification.service');
+const applicationPipelineService = require('./applicationPipeline.service');
+
+// Documents that expired while no alert run happened still get their 0-day alert for this long
+const EXPIRED_LOOKBACK_DAYS = 30;
+
+/**
+ * Validity rules by document type, matched against doc_id.
+ * expiryRequired: the document carries its own expiry date (needed to verify it).
+ * validityMonths / validityDays: expiry derived from the issue date when none is given.
+ */
+const EXPIRY_RULES = [
+    { key: 'passport', pattern: /passport(?!_(size_)?photo)/, label: 'Passport', expiryRequired: true },
+    { key: 'visa', pattern: /(^|_)(visa|brp|residence_permit)(_|$)/, label: 'Visa / permit', expiryRequired: true },
+    { key: 'test_score', pattern: /(^|_)(ielts|toefl|pte|duolingo|gre|gmat|english_test|test_score)(_|$)/, label: 'Test score', validityMonths: 24 },
+    // Embassies and lenders want a statement issued within the last month
+    { key: 'bank_statement', pattern: /bank_statement|bank_balance|balance_certificate/, label: 'Bank statement', validityDays: 30 }
+];
+
+// Compared between versions, in display order
+const DIFF_FIELDS = [
+    { field: 'file_name', label: 'File name' },
+    { field: 'file_size', label: 'File size' },
+    { field: 'mime_type', label: 'File type' },
+    { field: 'page_count', label: 'Pages' },
+    { field: 'inspection_status', label: 'Upload checks' },
+    { field: 'issue_date', label: 'Issue date' },
+    { field: 'expiry_date', label: 'Expiry date' },
+    { field: 'document_number', label: 'Document number' },
+    { field: 'status', label: 'Verification outcome' },
+    { field: 'rejection_reasons', label: 'Rejection reasons' },
+    { field: 'remarks', label: 'Remarks' }
+];
+
+const isDate = (value) => !Number.isNaN(Date.parse(value));
+const toDate = (value) => (value ? dayjs(value).format('YYYY-MM-DD') : null);
+
+/**
+ * Student Documents
+ * Version history, issue / expiry dates and the rejection reason catalog for
+ * student_documents. Every upload is kept in student_document_versions; the
+ * document row always describes the current version. run() alerts the student
+ * and counsellor before a document expires.
+ */
+class StudentDocumentService {
+    today(now = new Date()) {
+        return applicationPipelineService.today(now);
+    }
+
+    hashFile(buffer) {
+        return buffer ? crypto.createHash('sha256').update(buffer).digest('hex') : null;
+    }
+
+    expiryRuleFor(docId) {
+        const key = String(docId || '').toLowerCase();
+        return EXPIRY_RULES.find(rule => rule.pattern.test(key)) || null;
+    }
+
+    /**
+     * Validate issue / expiry dates for a document and derive the expiry
+     * from the issue date where the document type has a fixed validity.
+     * @returns {{dates: {issue_date?:string|null, expiry_date?:string|null}, error: string|null}}
+     */
+    resolveDates(docId, { issueDate, expiryDate } = {}) {
+        const dates = {};
+
+        if (issueDate !== undefined) {
+            if (issueDate && !isDate(issueDate)) return { dates, error: 'issueDate must be a valid date' };
+            dates.issue_date = toDate(issueDate);
+        }
+        if (expiryDate !== undefined) {
+            if (expiryDate && !isDate(expiryDate)) return { dates, error: 'expiryDate must be a valid date' };
+            dates.expiry_date = toDate(expiryDate);
+        }
+
+        if (dates.issue_date && dates.expiry_date && dates.expiry_date < dates.issue_date) {
+            return { dates, error: 'Expiry date cannot be before the issue date' };
+        }
+
+        const rule = this.expiryRuleFor(docId);
+        if (rule && dates.issue_date && !dates.expiry_date) {
+            if (rule.validityMonths) dates.expiry_date = dayjs(dates.issue_date).add(rule.validityMonths, 'month').format('YYYY-MM-DD');
+            if (rule.validityDays) dates.expiry_date = dayjs(dates.issue_date).add(rule.validityDays, 'day').format('YYYY-MM-DD');
+        }
+
+        return { dates, error: null };
+    }
+
+    /**
+     * EXPIRED, EXPIRING (within the longest alert lead time), VALID, MISSING
+     * (type needs an expiry date and has none) or NOT_TRACKED.
+     */
+    expiryStatus(doc, today = this.today()) {
+        const rule = this.expiryRuleFor(doc.doc_id);
+        if (!doc.expiry_date) {
+            return { status: rule?.expiryRequired ? 'MISSING' : 'NOT_TRACKED', daysToExpiry: null };
+        }
+
+        const daysToExpiry = dayjs(doc.expiry_date).diff(dayjs(today), 'day');
+        const horizon = Math.max(0, ...config.documentExpiryAlertDays);
+        const status = daysToExpiry < 0 ? 'EXPIRED' : daysToExpiry <= horizon ? 'EXPIRING' : 'VALID';
+        return { status, daysToExpiry };
+    }
+
+    // ==================== Rejection reasons ====================
+
+    appliesTo(reason, docId) {
+        const targets = Array.isArray(reason.applies_to) ? reason.applies_to : [];
+        if (targets.length === 0) return true;
+        // Whole underscore-separated parts only, so 'gre' does not match 'degree'
+        const key = `_${String(docId || '').toLowerCase()}_`;
+        return targets.some(t => key.includes(`_${String(t).toLowerCase()}_`));
+    }
+
+    /**
+     * Catalog entries, optionally only those that apply to a doc_id.
+     */
+    async getRejectionReasons(docId = null, { includeInactive = false } = {}) {
+        let query = supabase
+            .from('document_rejection_reasons')
+            .select('*')
+            .order('sort_order', { ascending: true });
+
+        if (!includeInactive) query = query.eq('is_active', true);
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+        return (data || []).filter(reason => !docId || this.appliesTo(reason, docId));
+    }
+
+    /**
+     * Check the codes a verifier picked for a rejection.
+     * @returns {Promise<{reasons: object[], error: string|null}>}
+     */
+    async resolveRejectionReasons(codes, docId, remarks) {
+        const wanted = [...new Set((Array.isArray(codes) ? codes : [codes]).filter(Boolean).map(c => String(c).trim().toUpperCase()))];
+        if (wanted.length === 0) return { reasons: [], error: 'Choose at least one rejection reason' };
+
+        const catalog = await this.getRejectionReasons(docId);
+        const reasons = wanted.map(code => catalog.find(r => r.code === code));
+        const unknown = wanted.filter((code, i) => !reasons[i]);
+        if (unknown.length) return { reasons: [], error: `Unknown rejection reason for this document: ${unknown.join(', ')}` };
+
+        if (reasons.some(r => r.requires_remarks) && !(remarks && String(remarks).trim())) {
+            return { reasons: [], error: 'Remarks are required for the selected rejection reason' };
+        }
+
+        return { reasons, error: null };
+    }
+
+    /**
+     * Codes stored on a document -> { code, label, guidance } using the catalog.
+     */
+    describeReasons(codes, catalog) {
+        return (Array.isArray(codes) ? codes : []).map(code => {
+            const reason = catalog.find(r => r.code === code);
+            return { code, label: reason?.label || code, guidance: reason?.guidance || null };
+        });
+    }
+
+    // ==================== Versions ====================
+
+    /**
+     * Record an upload as the document's next version.
+     * @param {object} document - student_documents row after the upload
+     * @param {object} user - req.user (student or employee)
+     */
+    async recordVersion(document, user) {
+        const isStudent = !user || user.role?.toUpperCase() === 'STUDENT';
+
+        const { data, error } = await supabase
+            .from('student_document_versions')
+            .insert([{
+                document_id: document.id,
+                registration_id: document.registration_id,
+                doc_id: document.doc_id,
+                version: document.version || 1,
+                file_path: document.file_path,
+                file_name: document.file_name,
+                file_size: document.file_size,
+                mime_type: document.mime_type,
+                content_hash: document.content_hash,
+                issue_date: document.issue_date,
+                expiry_date: document.expiry_date,
+                document_number: document.document_number,
+                inspection: document.inspection,
+                inspection_status: document.inspection_status,
+                page_count: document.page_count,
+                uploaded_by: isStudent ? null : user.id,
+                uploaded_by_role: isStudent ? 'STUDENT' : 'STAFF',
+                uploaded_at: document.uploaded_at
+            }])
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Copy a verification outcome (and any date corrections) onto the current version.
+     */
+    async recordOutcome(document, { status, reasons = [], remarks = null, user, role }) {
+        const changes = {
+            status,
+            rejection_reasons: status === 'REJECTED' ? reasons : [],
+            remarks: remarks || null,
+            verified_by: user.id,
+            verified_role: role,
+            verified_at: new Date().toISOString(),
+            issue_date: document.issue_date,
+            expiry_date: document.expiry_date,
+            document_number: document.document_number
+        };
+
+        const { error } = await supabase
+            .from('student_document_versions')
+            .update(changes)
+            .eq('document_id', document.id)
+            .eq('version', document.version || 1);
+
+        if (error) logger.error(`[DOCUMENTS] Version outcome write failed for ${document.id}: ${error.message}`);
+    }
+
+    async getVersions(documentId) {
+        const { data, error } = await supabase
+            .from('student_document_versions')
+            .select('*, uploader:employees!uploaded_by(id, name), verifier:employees!verified_by(id, name)')
+            .eq('document_id', documentId)
+            .order('version', { ascending: false });
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * What changed from one version to another.
+     * @returns {{fileChanged: boolean|null, changes: {field:string, label:string, from:any, to:any}[]}}
+     */
+    diffVersions(from, to) {
+        const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+        const changes = DIFF_FIELDS
+            .filter(({ field }) => !same(from[field], to[field]))
+            .map(({ field, label }) => ({ field, label, from: from[field] ?? null, to: to[field] ?? null }));
+
+        return {
+            // Unknown when either version predates content hashing
+            fileChanged: from.content_hash && to.content_hash ? from.content_hash !== to.content_hash : null,
+            changes
+        };
+    }
+
+    // ==================== Expiry alerts ====================
+
+    /**
+     * Daily pass over documents with an expiry date. Alerts are due at each lead
+     * time in config.documentExpiryAlertDays; a run sends the nearest lead time
+     * already reached that was not sent yet, so a missed run is caught up the next
+     * day (documents that expired while no run happened get the 0-day alert for
+     * EXPIRED_LOOKBACK_DAYS). document_expiry_alerts guarantees a lead time is
+     * never sent twice.
+     * @param {Date} now
+     * @returns {Promise<{date:string, candidates:number, sent:number, skipped:number, failed:number}>}
+     */
+    async run(now = new Date()) {
+        const today = this.today(now);
+        const leadTimes = [...new Set(config.documentExpiryAlertDays)];
+        const result = { date: today, candidates: 0, sent: 0, skipped: 0, failed: 0 };
+        if (leadTimes.length === 0) return result;
+
+        const horizon = dayjs(today).add(Math.max(...leadTimes), 'day').format('YYYY-MM-DD');
+        const lookback = dayjs(today).subtract(EXPIRED_LOOKBACK_DAYS, 'day').format('YYYY-MM-DD');
+
+        const { data: documents, error } = await supabase
+            .from('student_documents')
+            .select('id, registration_id, doc_id, file_name, status, expiry_date, registration:registrations!inner(id, name, is_deleted, workflow)')
+            .eq('registration.is_deleted', false)
+            .neq('status', 'REJECTED')
+            .gte('expiry_date', lookback)
+            .lte('expiry_date', horizon);
+
+        if (error) throw error;
+        if (!documents || documents.length === 0) return result;
+
+        const { data: alreadySent } = await supabase
+            .from('document_expiry_alerts')
+            .select('document_id, expiry_date, days_before')
+            .in('document_id', documents.map(d => d.id));
+
+        const sentKeys = new Set((alreadySent || []).map(a => `${a.document_id}:${a.expiry_date}:${a.days_before}`));
+
+        for (const document of documents) {
+            const daysLeft = dayjs(document.expiry_date).diff(dayjs(today), 'day');
+            // Nearest lead time reached: the smallest one not below the days left
+            const reached = leadTimes.filter(d => d >= Math.max(daysLeft, 0));
+            if (reached.length === 0) continue;
+            const leadTime = Math.min(...reached);
+            if (sentKeys.has(`${document.id}:${document.expiry_date}:${leadTime}`)) continue;
+
+            result.candidates++;
+            try {
+                const sent = await this.sendExpiryAlert(document, leadTime, daysLeft);
+                if (sent) result.sent++;
+                else result.skipped++;
+            } catch (err) {
+                result.failed++;
+                logger.error(`[DOCUMENT-EXPIRY] Document ${document.id} failed: ${err.message}`);
+            }
+        }
+
+        logger.info(`[DOCUMENT-EXPIRY] ${today}: ${result.sent} sent, ${result.skipped} skipped, ${result.failed} failed`);
+        return result;
+    }
+
+    /**
+     * Claim the (document, expiry date, lead time) slot, then notify.
+     * @param {number} daysBefore - lead time being sent
+     * @param {number} [daysLeft] - actual days until expiry today (negative once expired)
+     * @returns {Promise<boolean>} false if another run already sent this alert
+     */
+    async sendExpiryAlert(document, daysBefore, daysLeft = daysBefore) {
+        const registration = document.registration;
+        const counsellorId = registration.workflow?.originCounsellor || null;
+
+        const { error: claimError } = await supabase
+            .from('document_expiry_alerts')
+            .insert([{
+                document_id: document.id,
+                registration_id: document.registration_id,
+                expiry_date: document.expiry_date,
+                days_before: daysBefore,
+                recipient_id: counsellorId
+            }]);
+
+        if (claimError) {
+            // 23505 = unique violation: alert already sent for this slot
+            if (claimError.code === '23505') return false;
+            throw claimError;
+        }
+
+        const name = this.expiryRuleFor(document.doc_id)?.label || document.doc_id;
+        const expiresOn = dayjs(document.expiry_date).format('DD MMM YYYY');
+        const expired = daysLeft < 0;
+        const when = expired ? `expired on ${expiresOn}`
+            : daysLeft === 0 ? 'expires today'
+                : `expires in ${daysLeft} day(s), on ${expiresOn}`;
+
+        await notificationService.sendToStudent({
+            registration_id: document.registration_id,
+            title: expired ? `${name} expired` : `${name} expiring soon`,
+            message: `Your ${name.toLowerCase()} (${document.file_name}) ${when}. Please upload a renewed copy once you have it.`,
+            type: 'DOCUMENT',
+            priority: daysLeft <= 7 ? 'HIGH' : 'NORMAL',
+            link: '/documents'
+        });
+
+        if (counsellorId) {
+            await notificationService.send({
+                recipient_id: counsellorId,
+                sender_id: null,
+                title: 'Student document expiring',
+                message: `${registration.name} — ${name} ${when}.`,
+                type: 'DOCUMENT',
+                priority: daysLeft <= 7 ? 'HIGH' : 'NORMAL',
+                link: `/registrations/${document.registration_id}`
+            });
+        }
+
+        await supabase.rpc('append_activity', {
+            registration_id: document.registration_id,
+            new_activity: {
+                user: 'System',
+                action: 'Document expiry alert sent',
+                notes: `${name} ${when}`,
+                timestamp: new Date().toISOString()
+            }
+        });
+
+        return true;
+    }
+}
+
+const studentDocumentService = new StudentDocumentService();
+studentDocumentService.EXPIRY_RULES = EXPIRY_RULES;
+
+module.exports = studentDocumentService;
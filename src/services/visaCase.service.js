@@ -0,0 +1,516 @@
+const supabase = require('../config/supabaseClient');
+const logger = require('../utils/logger');
+
+const VISA_STATUSES = ['OPEN', 'DOCS_IN_PROGRESS', 'READY_TO_SUBMIT', 'SUBMITTED', 'AWAITING_DECISION', 'GRANTED', 'REFUSED', 'WITHDRAWN'];
+
+const STATUS_LABELS = {
+    OPEN: 'Open',
+    DOCS_IN_PROGRESS: 'Documents in Progress',
+    READY_TO_SUBMIT: 'Ready to Submit',
+    SUBMITTED: 'Submitted',
+    AWAITING_DECISION: 'Awaiting Decision',
+    GRANTED: 'Granted',
+    REFUSED: 'Refused',
+    WITHDRAWN: 'Withdrawn'
+};
+
+// Allowed next states. GRANTED and WITHDRAWN are terminal; a refusal may be re-applied.
+const TRANSITIONS = {
+    OPEN: ['DOCS_IN_PROGRESS', 'WITHDRAWN'],
+    DOCS_IN_PROGRESS: ['READY_TO_SUBMIT', 'WITHDRAWN'],
+    READY_TO_SUBMIT: ['DOCS_IN_PROGRESS', 'SUBMITTED', 'WITHDRAWN'],
+    SUBMITTED: ['AWAITING_DECISION', 'GRANTED', 'REFUSED', 'WITHDRAWN'],
+    AWAITING_DECISION: ['GRANTED', 'REFUSED', 'WITHDRAWN'],
+    GRANTED: [],
+    REFUSED: ['DOCS_IN_PROGRESS'],
+    WITHDRAWN: []
+};
+
+// Moves that need a written reason in the history
+const REASON_REQUIRED = ['REFUSED', 'WITHDRAWN'];
+
+// Decision recorded with the terminal moves
+const STATUS_DECISION = { GRANTED: 'GRANTED', REFUSED: 'REFUSED', WITHDRAWN: 'WITHDRAWN' };
+
+const PASSPORT_STATUSES = ['WITH_STUDENT', 'SUBMITTED', 'RETURNED'];
+const FEE_TYPES = ['VISA_FEE', 'HEALTH_SURCHARGE', 'SEVIS_FEE', 'BIOMETRICS_FEE', 'SERVICE_CENTRE_FEE', 'PRIORITY_FEE', 'OTHER'];
+
+const COMMON_ITEMS = [
+    { key: 'passport', label: 'Valid passport (+ old passports)' },
+    { key: 'photos', label: 'Passport-size photographs' },
+    { key: 'offer_letter', label: 'Unconditional offer / admission letter' },
+    { key: 'academics', label: 'Academic transcripts and certificates' },
+    { key: 'english_test', label: 'English test score report' },
+    { key: 'funds', label: 'Proof of funds (bank statements / loan sanction letter)' }
+];
+
+/**
+ * Visa type and document checklist per destination. `countries` lists the
+ * names and codes a case's destination may be stored under.
+ */
+const COUNTRY_TEMPLATES = [
+    {
+        countries: ['uk', 'gb', 'united kingdom', 'england', 'scotland'],
+        visaType: 'Student visa',
+        items: [
+            { key: 'cas', label: 'CAS statement' },
+            { key: 'tb_test', label: 'TB test certificate' },
+            { key: 'ihs', label: 'Immigration Health Surcharge payment' },
+            { key: 'atas', label: 'ATAS certificate (if course requires)', required: false }
+        ]
+    },
+    {
+        countries: ['usa', 'us', 'united states', 'united states of america'],
+        visaType: 'F-1',
+        items: [
+            { key: 'i20', label: 'Form I-20' },
+            { key: 'ds160', label: 'DS-160 confirmation page' },
+            { key: 'sevis', label: 'SEVIS I-901 fee receipt' },
+            { key: 'visa_fee', label: 'MRV visa fee receipt' },
+            { key: 'test_scores', label: 'GRE / GMAT / SAT scores', required: false }
+        ]
+    },
+    {
+        countries: ['canada', 'ca'],
+        visaType: 'Study permit',
+        items: [
+            { key: 'loa', label: 'Letter of acceptance' },
+            { key: 'pal', label: 'Provincial attestation letter' },
+            { key: 'gic', label: 'GIC certificate' },
+            { key: 'tuition_receipt', label: 'First-year tuition receipt' },
+            { key: 'medical', label: 'Upfront medical examination' },
+            { key: 'sop', label: 'Statement of purpose' }
+        ]
+    },
+    {
+        countries: ['australia', 'au'],
+        visaType: 'Student visa (Subclass 500)',
+        items: [
+            { key: 'coe', label: 'Confirmation of Enrolment (CoE)' },
+            { key: 'oshc', label: 'Overseas Student Health Cover (OSHC)' },
+            { key: 'gs_statement', label: 'Genuine Student statement' },
+            { key: 'medical', label: 'Health examination' }
+        ]
+    },
+    {
+        countries: ['germany', 'de'],
+        visaType: 'National visa (study)',
+        items: [
+            { key: 'blocked_account', label: 'Blocked account confirmation' },
+            { key: 'health_insurance', label: 'Health insurance' },
+            { key: 'aps', label: 'APS certificate' },
+            { key: 'motivation_letter', label: 'Motivation letter' },
+            { key: 'cv', label: 'CV' }
+        ]
+    },
+    {
+        countries: ['ireland', 'ie'],
+        visaType: 'Study visa (D)',
+        items: [
+            { key: 'fee_receipt', label: 'Tuition fee payment receipt' },
+            { key: 'health_insurance', label: 'Private medical insurance' },
+            { key: 'gap_explanation', label: 'Explanation of study gaps', required: false }
+        ]
+    },
+    {
+        countries: ['new zealand', 'nz'],
+        visaType: 'Fee Paying Student Visa',
+        items: [
+            { key: 'fee_receipt', label: 'Tuition fee payment receipt' },
+            { key: 'medical', label: 'Medical and chest X-ray certificates' },
+            { key: 'insurance', label: 'Travel and medical insurance' }
+        ]
+    }
+];
+
+const DEFAULT_TEMPLATE = { visaType: 'Student visa', items: [] };
+
+const transitionError = (status, message, details = {}) => {
+    const err = new Error(message);
+    err.status = status;
+    err.details = details;
+    return err;
+};
+
+/**
+ * Visa Cases
+ * One case per registration, opened when an offer is accepted or admission is
+ * marked successful. Tracks visa type, document checklist, biometrics and
+ * interview appointments, fees, submission, decision and passport return.
+ * Status moves go through transition(), which checks TRANSITIONS and the
+ * guards and records visa_case_history.
+ */
+class VisaCaseService {
+    normalizeStatus(value) {
+        if (!value) return null;
+        const key = String(value).trim().toUpperCase().replace(/[\s-]+/g, '_');
+        return VISA_STATUSES.includes(key) ? key : null;
+    }
+
+    allowedTransitions(status) {
+        return TRANSITIONS[this.normalizeStatus(status) || 'OPEN'] || [];
+    }
+
+    templateFor(country) {
+        const name = String(country || '').trim().toLowerCase();
+        return COUNTRY_TEMPLATES.find(t => t.countries.includes(name)) || DEFAULT_TEMPLATE;
+    }
+
+    /**
+     * Starting checklist for a destination: common items plus the country's own.
+     */
+    checklistFor(country) {
+        return [...COMMON_ITEMS, ...this.templateFor(country).items].map(item => ({
+            key: item.key,
+            label: item.label,
+            required: item.required !== false,
+            received: false,
+            receivedAt: null,
+            notes: null
+        }));
+    }
+
+    /**
+     * Adds `progress` with checklist, fee and appointment state.
+     */
+    decorate(visaCase) {
+        const checklist = Array.isArray(visaCase.checklist) ? visaCase.checklist : [];
+        const fees = Array.isArray(visaCase.fees) ? visaCase.fees : [];
+        const required = checklist.filter(i => i.required !== false);
+
+        return {
+            ...visaCase,
+            statusLabel: STATUS_LABELS[visaCase.status] || visaCase.status,
+            allowedTransitions: this.allowedTransitions(visaCase.status),
+            progress: {
+                documentsReceived: required.filter(i => i.received).length,
+                documentsRequired: required.length,
+                missingDocuments: required.filter(i => !i.received).map(i => i.label),
+                feesTotal: fees.length,
+                feesPaid: fees.filter(f => f.paidAt).length,
+                biometrics: visaCase.biometrics_completed_at ? 'DONE' : visaCase.biometrics_at ? 'SCHEDULED' : 'NOT_SCHEDULED',
+                interview: visaCase.interview_completed_at ? 'DONE' : visaCase.interview_at ? 'SCHEDULED' : 'NOT_SCHEDULED'
+            }
+        };
+    }
+
+    /**
+     * Conditions the case (with the changes submitted alongside the move)
+     * must meet to enter a state.
+     * @returns {string[]} unmet conditions; empty when the move may proceed
+     */
+    checkGuards(visaCase, toStatus, reason) {
+        const errors = [];
+        const checklist = Array.isArray(visaCase.checklist) ? visaCase.checklist : [];
+        const fees = Array.isArray(visaCase.fees) ? visaCase.fees : [];
+
+        if (REASON_REQUIRED.includes(toStatus) && !(reason && String(reason).trim())) {
+            errors.push(`A reason is required to mark a visa case ${STATUS_LABELS[toStatus]}`);
+        }
+
+        if (['READY_TO_SUBMIT', 'SUBMITTED'].includes(toStatus)) {
+            const missing = checklist.filter(i => i.required !== false && !i.received).map(i => i.label);
+            if (missing.length) errors.push(`Documents still missing: ${missing.join(', ')}`);
+            if (!visaCase.visa_type) errors.push('Visa type is required');
+        }
+
+        if (toStatus === 'SUBMITTED') {
+            const unpaid = fees.filter(f => !f.paidAt).map(f => f.label || f.type);
+            if (unpaid.length) errors.push(`Fees not yet paid: ${unpaid.join(', ')}`);
+        }
+
+        if (toStatus === 'AWAITING_DECISION') {
+            if (visaCase.biometrics_at && !visaCase.biometrics_completed_at) errors.push('Biometrics appointment has not been marked completed');
+            if (visaCase.interview_at && !visaCase.interview_completed_at) errors.push('Visa interview has not been marked completed');
+        }
+
+        if (toStatus === 'GRANTED' && visaCase.visa_valid_from && visaCase.visa_valid_until
+            && visaCase.visa_valid_until < visaCase.visa_valid_from) {
+            errors.push('Visa validity end date is before its start date');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Move a case to a new status.
+     * @param {object} visaCase - current visa_cases row
+     * @param {string} toStatus
+     * @param {object} options - { reason, updates (visa_cases columns), user }
+     * @returns {Promise<{visaCase: object, history: object}>}
+     * @throws {Error} with .status 400 (unknown status / unmet guard) or 409 (illegal or concurrent move)
+     */
+    async transition(visaCase, toStatus, { reason = null, updates = {}, user = null } = {}) {
+        const to = this.normalizeStatus(toStatus);
+        if (!to) {
+            throw transitionError(400, `Unknown visa status '${toStatus}'`, { validStatuses: VISA_STATUSES });
+        }
+
+        const from = this.normalizeStatus(visaCase.status) || 'OPEN';
+        const allowed = TRANSITIONS[from];
+
+        if (from === to) {
+            throw transitionError(409, `Visa case is already ${STATUS_LABELS[to]}`, { from, allowed });
+        }
+
+        if (!allowed.includes(to)) {
+            const options = allowed.length ? allowed.map(s => STATUS_LABELS[s]).join(', ') : 'none (final state)';
+            throw transitionError(409, `Cannot move visa case from ${STATUS_LABELS[from]} to ${STATUS_LABELS[to]}. Allowed: ${options}`, { from, to, allowed });
+        }
+
+        const changes = { ...updates };
+        const today = new Date().toISOString().slice(0, 10);
+        if (to === 'SUBMITTED' && !visaCase.submitted_at && !changes.submitted_at) changes.submitted_at = today;
+        if (STATUS_DECISION[to]) {
+            changes.decision = STATUS_DECISION[to];
+            if (!changes.decision_date) changes.decision_date = today;
+            if (reason) changes.decision_reason = reason;
+        }
+        // A re-application starts a new decision
+        if (from === 'REFUSED') {
+            Object.assign(changes, { decision: 'PENDING', decision_date: null, submitted_at: null });
+        }
+
+        const unmet = this.checkGuards({ ...visaCase, ...changes }, to, reason);
+        if (unmet.length > 0) {
+            throw transitionError(400, unmet[0], { from, to, errors: unmet });
+        }
+
+        const now = new Date().toISOString();
+
+        // Conditional on the status we validated against, so two concurrent moves cannot both win
+        const { data: updated, error } = await supabase
+            .from('visa_cases')
+            .update({ ...changes, status: to, status_changed_at: now, updated_at: now })
+            .eq('id', visaCase.id)
+            .eq('status', visaCase.status)
+            .select()
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!updated) {
+            throw transitionError(409, 'Visa case was changed by someone else. Reload and try again.', { from, to });
+        }
+
+        const history = await this.recordHistory(updated, from, to, { reason, metadata: { changes: updates }, user, at: now });
+
+        logger.info(`[VISA] ${visaCase.id}: ${from} -> ${to}`);
+        return { visaCase: updated, history };
+    }
+
+    async recordHistory(visaCase, fromStatus, toStatus, { reason = null, metadata = {}, user = null, at = null } = {}) {
+        const isStudent = user?.role?.toUpperCase() === 'STUDENT';
+
+        const { data, error } = await supabase
+            .from('visa_case_history')
+            .insert([{
+                visa_case_id: visaCase.id,
+                registration_id: visaCase.registration_id,
+                from_status: fromStatus,
+                to_status: toStatus,
+                reason,
+                metadata,
+                changed_by: user && !isStudent ? user.id : null,
+                changed_by_role: user ? (isStudent ? 'STUDENT' : 'STAFF') : 'SYSTEM',
+                changed_at: at || new Date().toISOString()
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            // The move itself has been applied; a missing history row must not fail the request
+            logger.error(`[VISA] History write failed for ${visaCase.id}: ${error.message}`);
+            return null;
+        }
+
+        return data;
+    }
+
+    async getHistory(visaCaseId) {
+        const { data, error } = await supabase
+            .from('visa_case_history')
+            .select('*, changed_by_info:employees(name)')
+            .eq('visa_case_id', visaCaseId)
+            .order('changed_at', { ascending: true });
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Open the registration's visa case, or return the one it already has.
+     * Destination and links come from the accepted offer when there is one,
+     * otherwise from the latest approved application, otherwise from the registration.
+     * @param {string} registrationId
+     * @param {object} options - { offerLetterId?, applicationId?, countryId?, destinationCountry?, university?, intake?, visaType?, ownerId?, user? }
+     * @returns {Promise<{visaCase: object, created: boolean}>}
+     */
+    async ensureCase(registrationId, options = {}) {
+        const { data: existing, error: findError } = await supabase
+            .from('visa_cases')
+            .select('*')
+            .eq('registration_id', registrationId)
+            .maybeSingle();
+
+        if (findError) throw findError;
+        if (existing) return { visaCase: existing, created: false };
+
+        const source = await this.resolveSource(registrationId, options);
+        const user = options.user || null;
+        const isStudent = user?.role?.toUpperCase() === 'STUDENT';
+
+        const { data: visaCase, error } = await supabase
+            .from('visa_cases')
+            .insert([{
+                registration_id: registrationId,
+                offer_letter_id: source.offerLetterId,
+                application_id: source.applicationId,
+                destination_country: source.destinationCountry,
+                country_id: source.countryId,
+                university: source.university,
+                intake: source.intake,
+                visa_type: options.visaType || this.templateFor(source.destinationCountry).visaType,
+                checklist: this.checklistFor(source.destinationCountry),
+                status: 'OPEN',
+                owner_id: options.ownerId || null,
+                owner_assigned_at: options.ownerId ? new Date().toISOString() : null,
+                created_by: user && !isStudent ? user.id : null
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            // 23505 = unique violation: opened concurrently
+            if (error.code === '23505') {
+                const { data: current } = await supabase.from('visa_cases').select('*').eq('registration_id', registrationId).single();
+                return { visaCase: current, created: false };
+            }
+            throw error;
+        }
+
+        await this.recordHistory(visaCase, null, 'OPEN', { reason: options.reason || 'Visa case opened', user });
+
+        await supabase.rpc('append_activity', {
+            registration_id: registrationId,
+            new_activity: {
+                user: user ? (isStudent ? 'Student' : user.name) : 'System',
+                action: 'Visa case opened',
+                notes: [visaCase.visa_type, visaCase.destination_country, visaCase.university].filter(Boolean).join(' — '),
+                timestamp: new Date().toISOString()
+            }
+        });
+
+        return { visaCase, created: true };
+    }
+
+    async resolveSource(registrationId, options) {
+        const source = {
+            offerLetterId: options.offerLetterId || null,
+            applicationId: options.applicationId || null,
+            countryId: options.countryId || null,
+            destinationCountry: options.destinationCountry || null,
+            university: options.university || null,
+            intake: options.intake || null
+        };
+
+        if (!source.offerLetterId && !source.applicationId) {
+            const { data: offer, error: offerError } = await supabase
+                .from('offer_letters')
+                .select('id, application_id, university, intake')
+                .eq('registration_id', registrationId)
+                .eq('acceptance_status', 'ACCEPTED')
+                .maybeSingle();
+
+            if (offerError) throw offerError;
+
+            if (offer) {
+                source.offerLetterId = offer.id;
+                source.applicationId = offer.application_id;
+                source.university = source.university || offer.university;
+                source.intake = source.intake || offer.intake;
+            }
+        }
+
+        let application = null;
+        if (source.applicationId) {
+            const { data, error } = await supabase
+                .from('admission_applications')
+                .select('id, university, intake, country_id')
+                .eq('id', source.applicationId)
+                .maybeSingle();
+            if (error) throw error;
+            application = data;
+        } else {
+            const { data, error } = await supabase
+                .from('admission_applications')
+                .select('id, university, intake, country_id')
+                .eq('registration_id', registrationId)
+                .eq('status', 'Approved')
+                .order('updated_at', { ascending: false })
+                .limit(1)
+                .maybeSingle();
+            if (error) throw error;
+            application = data;
+            if (application) source.applicationId = application.id;
+        }
+
+        if (application) {
+            source.university = source.university || application.university;
+            source.intake = source.intake || application.intake;
+            source.countryId = source.countryId || application.country_id;
+        }
+
+        if (!source.destinationCountry && source.countryId) {
+            const { data: country, error: countryError } = await supabase.from('catalog_countries').select('name').eq('id', source.countryId).maybeSingle();
+            if (countryError) throw countryError;
+            if (country) source.destinationCountry = country.name;
+        }
+
+        if (!source.destinationCountry) {
+            const { data: registration, error: registrationError } = await supabase
+                .from('registrations')
+                .select('workflow')
+                .eq('id', registrationId)
+                .maybeSingle();
+
+            if (registrationError) throw registrationError;
+            source.destinationCountry = registration?.workflow?.preferredCountry || null;
+        }
+
+        return source;
+    }
+
+    /**
+     * Visa summaries keyed by registration id, for registration lists.
+     */
+    async summariesFor(registrationIds) {
+        if (!registrationIds.length) return new Map();
+
+        const { data, error } = await supabase
+            .from('visa_cases')
+            .select('id, registration_id, status, decision, visa_type, destination_country, passport_status, visa_valid_until, owner_id, owner:employees!owner_id(id, name)')
+            .in('registration_id', registrationIds);
+
+        if (error) throw error;
+        return new Map((data || []).map(v => [v.registration_id, {
+            id: v.id,
+            status: v.status,
+            statusLabel: STATUS_LABELS[v.status] || v.status,
+            decision: v.decision,
+            visaType: v.visa_type,
+            destinationCountry: v.destination_country,
+            passportStatus: v.passport_status,
+            validUntil: v.visa_valid_until,
+            owner: v.owner || null
+        }]));
+    }
+}
+
+const visaCaseService = new VisaCaseService();
+visaCaseService.VISA_STATUSES = VISA_STATUSES;
+visaCaseService.STATUS_LABELS = STATUS_LABELS;
+visaCaseService.TRANSITIONS = TRANSITIONS;
+visaCaseService.PASSPORT_STATUSES = PASSPORT_STATUSES;
+visaCaseService.FEE_TYPES = FEE_TYPES;
+
+module.exports = visaCaseService;
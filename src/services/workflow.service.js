@@ -1,6 +1,7 @@
 const supabase = require('../config/supabaseClient');
 const logger = require('../utils/logger');
 const auditService = require('../services/audit.service');
+const loanChecklistService = require('../services/loanChecklist.service');
 
 /**
  * Service to handle registration workflow state transitions reliably.
@@ -92,13 +93,35 @@ class WorkflowStateService {
             return {
                 isComplete: missingDocs.length === 0,
                 missingDocs,
-                progress: Math.round(((requiredDocIds.length - missingDocs.length) / requiredDocIds.length) * 100)
+                progress: requiredDocIds.length ? Math.round(((requiredDocIds.length - missingDocs.length) / requiredDocIds.length) * 100) : 100
             };
         } catch (err) {
             logger.error(`checkDocumentCompleteness Error: ${err.message}`);
             throw err;
         }
     }
+
+    /**
+     * Check the lender's loan document checklist (see loanChecklist.service).
+     * Unlike checkDocumentCompleteness, items must be VERIFIED, not just uploaded.
+     * @param {string} registrationId
+     * @returns {Promise<{isComplete:boolean, missingDocs:string[], progress:number, checklist:object}>}
+     */
+    async checkLoanDocumentChecklist(registrationId) {
+        try {
+            const checklist = await loanChecklistService.getChecklist(registrationId);
+
+            return {
+                isComplete: checklist.isComplete,
+                missingDocs: checklist.outstanding.map(i => i.documentType),
+                progress: checklist.progress,
+                checklist
+            };
+        } catch (err) {
+            logger.error(`checkLoanDocumentChecklist Error: ${err.message}`);
+            throw err;
+        }
+    }
 }
 
 module.exports = new WorkflowStateService();
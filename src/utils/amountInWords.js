@@ -0,0 +1,56 @@
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+    'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const belowHundred = (n) => {
+    if (n < 20) return ONES[n];
+    return `${TENS[Math.floor(n / 10)]}${n % 10 ? ` ${ONES[n % 10]}` : ''}`;
+};
+
+const belowThousand = (n) => {
+    const hundreds = Math.floor(n / 100);
+    const rest = n % 100;
+    const parts = [];
+    if (hundreds) parts.push(`${ONES[hundreds]} Hundred`);
+    if (rest) parts.push(belowHundred(rest));
+    return parts.join(' ');
+};
+
+/**
+ * Whole number in the Indian numbering system (thousand, lakh, crore).
+ * @param {number} n - non-negative integer
+ * @returns {string} e.g. 125000 -> 'One Lakh Twenty Five Thousand'
+ */
+const integerToWords = (n) => {
+    if (n === 0) return 'Zero';
+
+    const parts = [];
+    const crore = Math.floor(n / 10000000);
+    const lakh = Math.floor((n % 10000000) / 100000);
+    const thousand = Math.floor((n % 100000) / 1000);
+    const rest = n % 1000;
+
+    if (crore) parts.push(`${integerToWords(crore)} Crore`);
+    if (lakh) parts.push(`${belowHundred(lakh)} Lakh`);
+    if (thousand) parts.push(`${belowHundred(thousand)} Thousand`);
+    if (rest) parts.push(belowThousand(rest));
+
+    return parts.join(' ');
+};
+
+/**
+ * Rupee amount in words for receipts and invoices.
+ * @param {number} amount
+ * @returns {string} e.g. 17700.5 -> 'Rupees Seventeen Thousand Seven Hundred and Fifty Paise Only'
+ */
+exports.amountInWords = (amount) => {
+    const value = Math.round(Math.abs(Number(amount) || 0) * 100);
+    const rupees = Math.floor(value / 100);
+    const paise = value % 100;
+
+    let words = `Rupees ${integerToWords(rupees)}`;
+    if (paise) words += ` and ${belowHundred(paise)} Paise`;
+    return `${words} Only`;
+};
+
+exports.integerToWords = integerToWords;
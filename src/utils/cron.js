@@ -0,0 +1,137 @@
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/**
+ * Minimal 5-field cron support: minute hour day-of-month month day-of-week.
+ * Each field accepts *, numbers, ranges (1-5), lists (1,15) and steps (*\/15, 0-30/10).
+ * Day-of-week: 0-6 (Sunday = 0, 7 is also accepted as Sunday).
+ */
+const FIELD_RANGES = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const parseField = (expr, { name, min, max }) => {
+    const values = new Set();
+
+    for (const part of expr.split(',')) {
+        const [rangeExpr, stepExpr] = part.split('/');
+        const step = stepExpr !== undefined ? parseInt(stepExpr, 10) : 1;
+        if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step '${part}' in ${name}`);
+
+        let start;
+        let end;
+        if (rangeExpr === '*') {
+            start = min;
+            end = max;
+        } else if (rangeExpr.includes('-')) {
+            [start, end] = rangeExpr.split('-').map(v => parseInt(v, 10));
+        } else {
+            start = parseInt(rangeExpr, 10);
+            end = stepExpr !== undefined ? max : start;
+        }
+
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+            throw new Error(`Invalid value '${part}' in ${name} (allowed ${min}-${max})`);
+        }
+
+        for (let v = start; v <= end; v += step) values.add(v);
+    }
+
+    return values;
+};
+
+/**
+ * Parse a cron expression into sets of allowed values.
+ * @param {string} expression - e.g. '0 4 * * *'
+ * @throws {Error} if the expression is malformed
+ */
+const parseCron = (expression) => {
+    const parts = (expression || '').trim().split(/\s+/);
+    if (parts.length !== 5) throw new Error(`Cron expression must have 5 fields, got '${expression}'`);
+
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((p, i) => parseField(p, FIELD_RANGES[i]));
+    if (dayOfWeek.has(7)) dayOfWeek.add(0);
+
+    return {
+        minute, hour, dayOfMonth, month, dayOfWeek,
+        // Standard cron: when both day fields are restricted, either may match
+        dayOfMonthRestricted: parts[2] !== '*',
+        dayOfWeekRestricted: parts[4] !== '*'
+    };
+};
+
+const matchesParsed = (parsed, local) => {
+    if (!parsed.minute.has(local.minute())) return false;
+    if (!parsed.hour.has(local.hour())) return false;
+    if (!parsed.month.has(local.month() + 1)) return false;
+
+    const domMatch = parsed.dayOfMonth.has(local.date());
+    const dowMatch = parsed.dayOfWeek.has(local.day());
+    if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) return domMatch || dowMatch;
+    return domMatch && dowMatch;
+};
+
+/**
+ * Does the cron expression fire at the given instant (minute precision) in the timezone?
+ * @param {string} expression
+ * @param {Date} date
+ * @param {string} tz - IANA timezone, e.g. 'Asia/Kolkata'
+ */
+const matches = (expression, date, tz) => matchesParsed(parseCron(expression), dayjs(date).tz(tz));
+
+/**
+ * Next instant (after `from`) at which the expression fires, or null if none within a year.
+ * @returns {Date|null}
+ */
+const nextRun = (expression, tz, from = new Date()) => {
+    const parsed = parseCron(expression);
+    let cursor = dayjs(from).tz(tz).second(0).millisecond(0).add(1, 'minute');
+    const limit = dayjs(from).add(366, 'day');
+
+    // Skip whole months/days/hours that cannot match instead of walking every minute
+    while (cursor.isBefore(limit)) {
+        if (!parsed.month.has(cursor.month() + 1)) {
+            cursor = cursor.add(1, 'month').date(1).hour(0).minute(0);
+            continue;
+        }
+        const domMatch = parsed.dayOfMonth.has(cursor.date());
+        const dowMatch = parsed.dayOfWeek.has(cursor.day());
+        const dayOk = parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted ? (domMatch || dowMatch) : (domMatch && dowMatch);
+        if (!dayOk) {
+            cursor = cursor.add(1, 'day').hour(0).minute(0);
+            continue;
+        }
+        if (!parsed.hour.has(cursor.hour())) {
+            cursor = cursor.add(1, 'hour').minute(0);
+            continue;
+        }
+        if (parsed.minute.has(cursor.minute())) return cursor.toDate();
+        cursor = cursor.add(1, 'minute');
+    }
+    return null;
+};
+
+/**
+ * Start of the minute for `date`, as an ISO string. Used as the run slot key
+ * so every instance computes the same value for the same tick.
+ */
+const minuteSlot = (date = new Date()) => {
+    const d = new Date(date);
+    d.setSeconds(0, 0);
+    return d.toISOString();
+};
+
+module.exports = {
+    parseCron,
+    matches,
+    nextRun,
+    minuteSlot
+};
@@ -0,0 +1,109 @@
+/**
+ * Helpers for reading loosely-shaped public form payloads (eligibility forms,
+ * lead details) where the same value may arrive under different keys, as a
+ * string with units, or nested one level deep.
+ */
+
+const UNIT_MULTIPLIERS = {
+    crore: 1e7, crores: 1e7, cr: 1e7,
+    lakh: 1e5, lakhs: 1e5, lac: 1e5, lacs: 1e5, l: 1e5,
+    million: 1e6, mn: 1e6,
+    thousand: 1e3, k: 1e3
+};
+
+// Currency codes and score labels that may sit before or after the number ('USD 20,000', '8.5 CGPA', '7 bands')
+const LABEL = '(?:rs\\.?|inr|usd|₹|\\$|cgpa|gpa|bands?|marks|percent|points|pts|score)';
+const LEADING_LABEL = new RegExp(`^${LABEL}\\s*`);
+const TRAILING_LABEL = new RegExp(`\\s*(?:${LABEL}|%)$`);
+
+const NUMBER = '(\\d+(?:\\.\\d+)?|\\.\\d+)';
+const WITH_UNIT = new RegExp(`^${NUMBER}\\s*([a-z]*)$`);
+const OUT_OF = new RegExp(`^${NUMBER}\\s*(?:/|out of)\\s*${NUMBER}$`);
+
+const cleanText = (value) => String(value)
+    .toLowerCase()
+    .trim()
+    .replace(/(\d),(?=\d)/g, '$1')
+    .replace(LEADING_LABEL, '')
+    .replace(/\/-$/, '')
+    .replace(TRAILING_LABEL, '')
+    .trim();
+
+/**
+ * 'x/scale' or 'x out of scale' as { score, scale }, when the score fits the scale.
+ */
+const outOf = (text) => {
+    const match = text.match(OUT_OF);
+    if (!match) return null;
+    const score = parseFloat(match[1]);
+    const scale = parseFloat(match[2]);
+    return scale > 0 && score <= scale ? { score, scale } : null;
+};
+
+/**
+ * Numeric value of a form field, or null.
+ * Accepts one number with an optional currency / score label and Indian unit
+ * ('80 lakh', '1.2 cr', 'Rs 12,00,000/-', 'USD 20,000', '8.5 CGPA'), or a score
+ * on a scale ('8.5/10' gives 8.5). Anything else ('60-70', '7.5/5') is ambiguous
+ * and gives null rather than a guess.
+ * @param {*} value - number, '7.5', 'Rs 12,00,000', '80 lakh', or { overall | score | total | value }
+ * @returns {number|null}
+ */
+const toNumber = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value === 'object') return toNumber(value.overall ?? value.score ?? value.total ?? value.value);
+
+    const text = cleanText(value);
+    const scored = outOf(text);
+    if (scored) return scored.score;
+
+    const match = text.match(WITH_UNIT);
+    if (!match) return null;
+
+    const multiplier = match[2] ? UNIT_MULTIPLIERS[match[2]] : 1;
+    if (!multiplier) return null;
+
+    const n = parseFloat(match[1]) * multiplier;
+    return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * Scale of a score written as 'x/scale' ('8.5/10' gives 10), or null.
+ */
+const toScale = (value) => {
+    if (value === null || value === undefined || typeof value !== 'string') return null;
+    return outOf(cleanText(value))?.scale ?? null;
+};
+
+/**
+ * First usable value for any of `keys` in `source`, looking one level into nested
+ * objects too (forms send e.g. academics.graduation.percentage).
+ * @param {object} source
+ * @param {string[]} keys - in order of preference
+ */
+const findValue = (source, keys) => {
+    if (!source || typeof source !== 'object') return undefined;
+    for (const key of keys) {
+        if (source[key] !== undefined && source[key] !== null && source[key] !== '') return source[key];
+    }
+    for (const value of Object.values(source)) {
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            for (const key of keys) {
+                if (value[key] !== undefined && value[key] !== null && value[key] !== '') return value[key];
+            }
+        }
+    }
+    return undefined;
+};
+
+/**
+ * Yes/No style form answer as a boolean (undefined when not answered).
+ */
+const toBoolean = (value) => {
+    if (value === undefined || value === null || value === '') return undefined;
+    if (typeof value === 'boolean') return value;
+    return ['yes', 'y', 'true', '1'].includes(String(value).trim().toLowerCase());
+};
+
+module.exports = { toNumber, toScale, findValue, toBoolean };